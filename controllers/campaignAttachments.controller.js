@@ -0,0 +1,188 @@
+const pool = require('../config/database');
+const mimeBuilder = require('../services/mimeBuilder');
+const campaignAttachmentService = require('../services/campaignAttachmentService');
+const { getCampaignForUser } = require('./controllerHelpers');
+
+/**
+ * Campaign Attachments Controller - Files sent with a campaign's emails
+ * Files go out with every email or with one sequence step; files with a contentId are
+ * inline images the HTML shows with <img src="cid:...">
+ */
+class CampaignAttachmentsController {
+
+    /**
+     * List a campaign's attachments (without content)
+     * GET /api/campaigns/:campaignId/attachments
+     */
+    async getAttachments(req, res) {
+        const client = await pool.connect();
+
+        try {
+            const userId = req.user.userId;
+            const { campaignId } = req.params;
+
+            const campaign = await getCampaignForUser(client, campaignId, userId);
+            if (!campaign) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Campaign not found or access denied'
+                });
+            }
+
+            const attachments = await campaignAttachmentService.listAttachments(campaignId);
+
+            return res.json({
+                success: true,
+                data: {
+                    attachments,
+                    limits: {
+                        maxAttachments: mimeBuilder.maxAttachments,
+                        maxAttachmentBytes: mimeBuilder.maxAttachmentBytes
+                    }
+                }
+            });
+
+        } catch (error) {
+            console.error('Get campaign attachments error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to fetch campaign attachments'
+            });
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Attach a file to a campaign's emails
+     * POST /api/campaigns/:campaignId/attachments
+     * Body: { filename, content (base64), contentType?, contentId?, stepNumber? }
+     */
+    async addAttachment(req, res) {
+        const client = await pool.connect();
+
+        try {
+            const userId = req.user.userId;
+            const { campaignId } = req.params;
+            const { stepNumber } = req.body;
+
+            const errors = mimeBuilder.validateAttachments([req.body]);
+            if (errors.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: errors[0].replace(/^Attachment 1: /, ''),
+                    data: { errors }
+                });
+            }
+
+            if (stepNumber !== undefined && stepNumber !== null && (!Number.isInteger(stepNumber) || stepNumber < 1)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'stepNumber must be a positive whole number'
+                });
+            }
+
+            const campaign = await getCampaignForUser(client, campaignId, userId);
+            if (!campaign) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Campaign not found or access denied'
+                });
+            }
+
+            // Same rule as editing the template
+            if (campaign.status === 'active' && campaign.emails_sent > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Cannot change attachments of campaign that has already sent emails'
+                });
+            }
+
+            const attachment = await campaignAttachmentService.addAttachment(campaignId, req.body, userId);
+
+            return res.status(201).json({
+                success: true,
+                message: `${attachment.filename} attached`,
+                data: { attachment }
+            });
+
+        } catch (error) {
+            console.error('Add campaign attachment error:', error);
+
+            let statusCode = 500;
+            let message = 'Failed to add campaign attachment';
+
+            if (error.message.includes("can't have more than") || error.message.includes("can't exceed")) {
+                statusCode = 400;
+                message = error.message;
+            }
+
+            return res.status(statusCode).json({
+                success: false,
+                message
+            });
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Remove an attachment
+     * DELETE /api/campaigns/:campaignId/attachments/:attachmentId
+     */
+    async deleteAttachment(req, res) {
+        const client = await pool.connect();
+
+        try {
+            const userId = req.user.userId;
+            const { campaignId, attachmentId } = req.params;
+
+            const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+            if (!uuidRegex.test(attachmentId)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid attachment ID format'
+                });
+            }
+
+            const campaign = await getCampaignForUser(client, campaignId, userId);
+            if (!campaign) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Campaign not found or access denied'
+                });
+            }
+
+            if (campaign.status === 'active' && campaign.emails_sent > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Cannot change attachments of campaign that has already sent emails'
+                });
+            }
+
+            const removed = await campaignAttachmentService.deleteAttachment(campaignId, attachmentId);
+            if (!removed) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Attachment not found'
+                });
+            }
+
+            return res.json({
+                success: true,
+                message: 'Attachment removed'
+            });
+
+        } catch (error) {
+            console.error('Delete campaign attachment error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to remove campaign attachment'
+            });
+        } finally {
+            client.release();
+        }
+    }
+}
+
+module.exports = new CampaignAttachmentsController();
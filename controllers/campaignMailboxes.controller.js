@@ -0,0 +1,189 @@
+const pool = require('../config/database');
+const inboxRotationService = require('../services/inboxRotationService');
+
+/**
+ * Campaign Mailboxes Controller - Sender accounts a campaign rotates across
+ * Each lead is assigned one mailbox at launch and all of its follow-ups are sent from it
+ */
+class CampaignMailboxesController {
+
+    /**
+     * Get the mailboxes attached to a campaign
+     * GET /api/campaigns/:campaignId/mailboxes
+     */
+    async getCampaignMailboxes(req, res) {
+        const client = await pool.connect();
+
+        try {
+            const userId = req.user.userId;
+            const { campaignId } = req.params;
+
+            // Validate UUID format
+            const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+            if (!uuidRegex.test(campaignId)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid campaign ID format'
+                });
+            }
+
+            // Verify campaign access
+            const campaignResult = await client.query(`
+                SELECT c.id, c.from_email, c.inbox_rotation
+                FROM campaigns c
+                JOIN organization_members om ON c.organization_id = om.organization_id
+                WHERE c.id = $1 AND om.user_id = $2 AND om.status = 'active'
+            `, [campaignId, userId]);
+
+            if (campaignResult.rows.length === 0) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Campaign not found or access denied'
+                });
+            }
+
+            const campaign = campaignResult.rows[0];
+            const mailboxes = await inboxRotationService.getCampaignMailboxes(campaignId, { includeInactive: true });
+
+            return res.json({
+                success: true,
+                data: {
+                    rotation: campaign.inbox_rotation,
+                    fromEmail: campaign.from_email,
+                    mailboxes
+                }
+            });
+
+        } catch (error) {
+            console.error('Get campaign mailboxes error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to fetch campaign mailboxes'
+            });
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Replace the mailboxes attached to a campaign
+     * PUT /api/campaigns/:campaignId/mailboxes
+     * Body: { rotation: 'round_robin' | 'capacity', mailboxes: [{ emailAccountId, dailyLimit?, isActive? }] }
+     */
+    async saveCampaignMailboxes(req, res) {
+        const client = await pool.connect();
+
+        try {
+            const userId = req.user.userId;
+            const { campaignId } = req.params;
+            const { rotation, mailboxes } = req.body;
+
+            // Validate UUID format
+            const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+            if (!uuidRegex.test(campaignId)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid campaign ID format'
+                });
+            }
+
+            // Input validation
+            if (!Array.isArray(mailboxes)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Mailboxes array is required'
+                });
+            }
+
+            if (mailboxes.length > 50) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Cannot attach more than 50 mailboxes to a campaign'
+                });
+            }
+
+            if (rotation !== undefined && !inboxRotationService.validStrategies.includes(rotation)) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Invalid rotation. Must be one of: ${inboxRotationService.validStrategies.join(', ')}`
+                });
+            }
+
+            for (const mailbox of mailboxes) {
+                if (!mailbox || !uuidRegex.test(mailbox.emailAccountId)) {
+                    return res.status(400).json({
+                        success: false,
+                        message: 'Each mailbox needs a valid emailAccountId'
+                    });
+                }
+
+                if (mailbox.dailyLimit !== undefined && (!Number.isInteger(mailbox.dailyLimit) || mailbox.dailyLimit < 1 || mailbox.dailyLimit > 2000)) {
+                    return res.status(400).json({
+                        success: false,
+                        message: 'Mailbox dailyLimit must be a whole number between 1 and 2000'
+                    });
+                }
+            }
+
+            const accountIds = mailboxes.map(mailbox => mailbox.emailAccountId);
+            if (new Set(accountIds).size !== accountIds.length) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Each mailbox can only be attached once'
+                });
+            }
+
+            // Verify campaign access
+            const campaignResult = await client.query(`
+                SELECT c.id, c.organization_id
+                FROM campaigns c
+                JOIN organization_members om ON c.organization_id = om.organization_id
+                WHERE c.id = $1 AND om.user_id = $2 AND om.status = 'active'
+            `, [campaignId, userId]);
+
+            if (campaignResult.rows.length === 0) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Campaign not found or access denied'
+                });
+            }
+
+            // Mailboxes must be connected by members of the campaign's organization
+            const accountsResult = await client.query(`
+                SELECT ea.id, ea.status
+                FROM email_accounts ea
+                JOIN organization_members om ON om.user_id = ea.user_id AND om.status = 'active'
+                WHERE om.organization_id = $1 AND ea.id = ANY($2::UUID[])
+            `, [campaignResult.rows[0].organization_id, accountIds]);
+
+            if (accountsResult.rows.length !== accountIds.length) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'One or more mailboxes were not found in your organization'
+                });
+            }
+
+            const savedMailboxes = await inboxRotationService.setCampaignMailboxes(campaignId, mailboxes, rotation, userId);
+
+            return res.json({
+                success: true,
+                message: `Campaign now rotates across ${savedMailboxes.filter(mailbox => mailbox.is_active).length} mailboxes`,
+                data: {
+                    mailboxes: savedMailboxes,
+                    inactiveAccounts: accountsResult.rows.filter(account => account.status !== 'active').map(account => account.id)
+                }
+            });
+
+        } catch (error) {
+            console.error('Save campaign mailboxes error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to save campaign mailboxes'
+            });
+        } finally {
+            client.release();
+        }
+    }
+}
+
+module.exports = new CampaignMailboxesController();
@@ -0,0 +1,402 @@
+const pool = require('../config/database');
+const templateEngine = require('../services/templateEngine');
+
+/**
+ * Campaign Sequences Controller - Manages follow-up steps for sequence campaigns
+ * Step 1 is sent on launch; each later step is queued by EmailJobService after the previous one is sent
+ */
+class CampaignSequencesController {
+
+    /**
+     * Get sequence steps for a campaign
+     * GET /api/campaigns/:campaignId/sequence
+     */
+    async getSequenceSteps(req, res) {
+        const client = await pool.connect();
+
+        try {
+            const userId = req.user.userId;
+            const { campaignId } = req.params;
+
+            // Validate UUID format
+            const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+            if (!uuidRegex.test(campaignId)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid campaign ID format'
+                });
+            }
+
+            // Verify campaign access
+            const campaignResult = await client.query(`
+                SELECT c.id, c.type
+                FROM campaigns c
+                JOIN organization_members om ON c.organization_id = om.organization_id
+                WHERE c.id = $1 AND om.user_id = $2 AND om.status = 'active'
+            `, [campaignId, userId]);
+
+            if (campaignResult.rows.length === 0) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Campaign not found or access denied'
+                });
+            }
+
+            // Get steps with per-step send counts
+            const stepsResult = await client.query(`
+                SELECT
+                    s.*,
+                    COUNT(ej.id) FILTER (WHERE ej.status = 'sent') as emails_sent,
+                    COUNT(ej.id) FILTER (WHERE ej.status = 'pending') as emails_pending
+                FROM campaign_sequence_steps s
+                LEFT JOIN email_jobs ej ON ej.campaign_id = s.campaign_id AND ej.sequence_step = s.step_number
+                WHERE s.campaign_id = $1
+                GROUP BY s.id
+                ORDER BY s.step_number ASC
+            `, [campaignId]);
+
+            return res.json({
+                success: true,
+                data: {
+                    campaignType: campaignResult.rows[0].type,
+                    steps: stepsResult.rows.map(step => ({
+                        ...step,
+                        emails_sent: parseInt(step.emails_sent),
+                        emails_pending: parseInt(step.emails_pending)
+                    }))
+                }
+            });
+
+        } catch (error) {
+            console.error('Get sequence steps error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to fetch sequence steps'
+            });
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Replace all sequence steps for a campaign
+     * Steps are numbered in the order they are given
+     * PUT /api/campaigns/:campaignId/sequence
+     * Body: { steps: [{ subject, bodyHtml?, bodyText?, delayDays?, delayHours?, delayBusinessDays?, isActive?, threadWithPrevious?, replySubject? }] }
+     */
+    async saveSequenceSteps(req, res) {
+        const client = await pool.connect();
+
+        try {
+            const userId = req.user.userId;
+            const { campaignId } = req.params;
+            const { steps } = req.body;
+
+            // Validate UUID format
+            const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+            if (!uuidRegex.test(campaignId)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid campaign ID format'
+                });
+            }
+
+            // Input validation
+            if (!Array.isArray(steps) || steps.length === 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'At least one sequence step is required'
+                });
+            }
+
+            for (let i = 0; i < steps.length; i++) {
+                const step = steps[i];
+                const stepLabel = `Step ${i + 1}`;
+                const delayDays = step.delayDays ?? 0;
+                const delayHours = step.delayHours ?? 0;
+
+                if (!step.subject || !step.subject.trim()) {
+                    return res.status(400).json({
+                        success: false,
+                        message: `${stepLabel}: email subject is required`
+                    });
+                }
+
+                if (!step.bodyHtml && !step.bodyText) {
+                    return res.status(400).json({
+                        success: false,
+                        message: `${stepLabel}: email content (HTML or text) is required`
+                    });
+                }
+
+                const templateErrors = templateEngine.validate({
+                    subject: step.subject,
+                    bodyHtml: step.bodyHtml,
+                    bodyText: step.bodyText
+                });
+                if (templateErrors.length > 0) {
+                    return res.status(400).json({
+                        success: false,
+                        message: `${stepLabel}: ${templateErrors[0]}`,
+                        data: { errors: templateErrors }
+                    });
+                }
+
+                if (!Number.isInteger(delayDays) || delayDays < 0) {
+                    return res.status(400).json({
+                        success: false,
+                        message: `${stepLabel}: delayDays must be a whole number of 0 or more`
+                    });
+                }
+
+                if (!Number.isInteger(delayHours) || delayHours < 0 || delayHours > 23) {
+                    return res.status(400).json({
+                        success: false,
+                        message: `${stepLabel}: delayHours must be a whole number between 0 and 23`
+                    });
+                }
+
+                if (step.delayBusinessDays !== undefined && typeof step.delayBusinessDays !== 'boolean') {
+                    return res.status(400).json({
+                        success: false,
+                        message: `${stepLabel}: delayBusinessDays must be true or false`
+                    });
+                }
+
+                for (const setting of ['threadWithPrevious', 'replySubject']) {
+                    if (step[setting] !== undefined && typeof step[setting] !== 'boolean') {
+                        return res.status(400).json({
+                            success: false,
+                            message: `${stepLabel}: ${setting} must be true or false`
+                        });
+                    }
+                }
+
+                if (i > 0 && delayDays === 0 && delayHours === 0) {
+                    return res.status(400).json({
+                        success: false,
+                        message: `${stepLabel}: follow-up steps need a delay after the previous step`
+                    });
+                }
+            }
+
+            // Verify campaign access
+            const campaignResult = await client.query(`
+                SELECT c.*, om.organization_id as user_org
+                FROM campaigns c
+                JOIN organization_members om ON c.organization_id = om.organization_id
+                WHERE c.id = $1 AND om.user_id = $2 AND om.status = 'active'
+            `, [campaignId, userId]);
+
+            if (campaignResult.rows.length === 0) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Campaign not found or access denied'
+                });
+            }
+
+            const campaign = campaignResult.rows[0];
+
+            if (campaign.type !== 'sequence') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Sequence steps can only be added to campaigns of type sequence'
+                });
+            }
+
+            // Queued jobs and follow-ups still to be scheduled refer to steps by number
+            if (await isSequenceInProgress(client, campaign)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Cannot change sequence steps while the campaign still has emails queued or leads mid-sequence'
+                });
+            }
+
+            await client.query('BEGIN');
+
+            // Replace existing steps
+            await client.query(`
+                DELETE FROM campaign_sequence_steps
+                WHERE campaign_id = $1
+            `, [campaignId]);
+
+            const savedSteps = [];
+            for (let i = 0; i < steps.length; i++) {
+                const step = steps[i];
+                const stepResult = await client.query(`
+                    INSERT INTO campaign_sequence_steps (
+                        campaign_id, step_number, delay_days, delay_hours, delay_business_days,
+                        subject, body_html, body_text, is_active, created_by,
+                        thread_with_previous, reply_subject
+                    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+                    RETURNING *
+                `, [
+                    campaignId,
+                    i + 1,
+                    step.delayDays ?? 0,
+                    step.delayHours ?? 0,
+                    step.delayBusinessDays === true,
+                    step.subject.trim(),
+                    step.bodyHtml?.trim() || null,
+                    step.bodyText?.trim() || null,
+                    step.isActive !== false,
+                    userId,
+                    // Follow-ups reply in the lead's thread unless turned off; step 1 starts the thread
+                    step.threadWithPrevious !== false,
+                    step.replySubject === true
+                ]);
+                savedSteps.push(stepResult.rows[0]);
+            }
+
+            await client.query('COMMIT');
+
+            return res.json({
+                success: true,
+                message: `Sequence saved with ${savedSteps.length} steps`,
+                data: {
+                    steps: savedSteps
+                }
+            });
+
+        } catch (error) {
+            await client.query('ROLLBACK');
+            console.error('Save sequence steps error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to save sequence steps'
+            });
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Delete a single sequence step and renumber the steps after it
+     * DELETE /api/campaigns/:campaignId/sequence/:stepNumber
+     */
+    async deleteSequenceStep(req, res) {
+        const client = await pool.connect();
+
+        try {
+            const userId = req.user.userId;
+            const { campaignId } = req.params;
+            const stepNumber = parseInt(req.params.stepNumber);
+
+            // Validate UUID format
+            const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+            if (!uuidRegex.test(campaignId)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid campaign ID format'
+                });
+            }
+
+            if (!Number.isInteger(stepNumber) || stepNumber < 1) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid step number'
+                });
+            }
+
+            // Verify campaign access
+            const campaignResult = await client.query(`
+                SELECT c.id, c.status, c.emails_sent, c.type
+                FROM campaigns c
+                JOIN organization_members om ON c.organization_id = om.organization_id
+                WHERE c.id = $1 AND om.user_id = $2 AND om.status = 'active'
+            `, [campaignId, userId]);
+
+            if (campaignResult.rows.length === 0) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Campaign not found or access denied'
+                });
+            }
+
+            const campaign = campaignResult.rows[0];
+
+            // Renumbering would shift follow-ups that are already queued or still to be scheduled
+            if (await isSequenceInProgress(client, campaign)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Cannot delete steps while the campaign still has emails queued or leads mid-sequence'
+                });
+            }
+
+            await client.query('BEGIN');
+
+            const deleteResult = await client.query(`
+                DELETE FROM campaign_sequence_steps
+                WHERE campaign_id = $1 AND step_number = $2
+            `, [campaignId, stepNumber]);
+
+            if (deleteResult.rowCount === 0) {
+                await client.query('ROLLBACK');
+                return res.status(404).json({
+                    success: false,
+                    message: 'Sequence step not found'
+                });
+            }
+
+            // Shift later steps down in two passes to stay clear of the unique constraint
+            await client.query(`
+                UPDATE campaign_sequence_steps
+                SET step_number = step_number + 10000
+                WHERE campaign_id = $1 AND step_number > $2
+            `, [campaignId, stepNumber]);
+
+            await client.query(`
+                UPDATE campaign_sequence_steps
+                SET step_number = step_number - 10001
+                WHERE campaign_id = $1 AND step_number > 10000
+            `, [campaignId]);
+
+            await client.query('COMMIT');
+
+            return res.json({
+                success: true,
+                message: 'Sequence step deleted successfully',
+                data: {
+                    deletedStep: stepNumber
+                }
+            });
+
+        } catch (error) {
+            await client.query('ROLLBACK');
+            console.error('Delete sequence step error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to delete sequence step'
+            });
+        } finally {
+            client.release();
+        }
+    }
+}
+
+/**
+ * Whether a launched campaign still has jobs waiting to send, or leads whose next
+ * follow-up will be scheduled from the current steps (drafts can always be edited)
+ */
+async function isSequenceInProgress(client, campaign) {
+    if (campaign.status === 'draft') return false;
+
+    const result = await client.query(`
+        SELECT
+            EXISTS (
+                SELECT 1 FROM email_jobs ej
+                WHERE ej.campaign_id = $1 AND ej.status IN ('pending', 'processing', 'paused', 'held')
+            )
+            OR EXISTS (
+                SELECT 1 FROM campaign_leads cl
+                WHERE cl.campaign_id = $1
+                  AND cl.sent_at IS NOT NULL
+                  AND cl.sequence_completed_at IS NULL
+                  AND cl.sequence_stopped_at IS NULL
+            ) as in_progress
+    `, [campaign.id]);
+
+    return result.rows[0].in_progress;
+}
+
+module.exports = new CampaignSequencesController();
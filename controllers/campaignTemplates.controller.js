@@ -1,5 +1,8 @@
 const pool = require('../config/database');
-const { v4: uuidv4 } = require('uuid');
+const templateEngine = require('../services/templateEngine');
+const spintaxService = require('../services/spintaxService');
+const templateVersionService = require('../services/templateVersionService');
+const { getCampaignForUser } = require('./controllerHelpers');
 
 /**
  * Campaign Templates Controller - Handles email template management for campaigns
@@ -100,6 +103,15 @@ class CampaignTemplatesController {
                 });
             }
 
+            const templateErrors = templateEngine.validate({ subject, bodyHtml, bodyText });
+            if (templateErrors.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Template has errors',
+                    data: { errors: templateErrors }
+                });
+            }
+
             // Validate UUID format
             const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
             if (!uuidRegex.test(campaignId)) {
@@ -136,37 +148,21 @@ class CampaignTemplatesController {
 
             await client.query('BEGIN');
 
-            // Deactivate existing templates
-            await client.query(`
-                UPDATE campaign_templates 
-                SET is_active = false 
-                WHERE campaign_id = $1
-            `, [campaignId]);
-
-            // Create new active template
-            const templateId = uuidv4();
-            const templateResult = await client.query(`
-                INSERT INTO campaign_templates (
-                    id, campaign_id, name, subject, body_html, body_text, is_active
-                ) VALUES ($1, $2, $3, $4, $5, $6, $7)
-                RETURNING *
-            `, [
-                templateId, 
-                campaignId, 
-                name.trim(), 
-                subject.trim(), 
-                bodyHtml?.trim() || null, 
-                bodyText?.trim() || null, 
-                true
-            ]);
+            // Every save is a new version; earlier versions are kept for history and rollback
+            const template = await templateVersionService.createVersion(client, campaignId, {
+                name: name.trim(),
+                subject: subject.trim(),
+                bodyHtml: bodyHtml?.trim() || null,
+                bodyText: bodyText?.trim() || null
+            }, userId);
 
             await client.query('COMMIT');
 
             return res.json({
                 success: true,
-                message: 'Template saved successfully',
+                message: `Template saved as version ${template.version_number}`,
                 data: {
-                    template: templateResult.rows[0]
+                    template
                 }
             });
 
@@ -196,7 +192,8 @@ class CampaignTemplatesController {
                 subject,
                 bodyHtml,
                 bodyText,
-                sampleData = {}
+                sampleData = {},
+                spintaxSeed = 'preview'
             } = req.body;
 
             // Input validation
@@ -241,19 +238,29 @@ class CampaignTemplatesController {
                 ...sampleData
             };
 
-            // Personalize content
-            const personalizedSubject = this.personalizeContent(subject, defaultSampleData);
-            const personalizedBodyHtml = bodyHtml ? this.personalizeContent(bodyHtml, defaultSampleData) : null;
-            const personalizedBodyText = bodyText ? this.personalizeContent(bodyText, defaultSampleData) : null;
+            const templateErrors = templateEngine.validate({ subject, bodyHtml, bodyText });
+            if (templateErrors.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Template has errors',
+                    data: { errors: templateErrors }
+                });
+            }
+
+            // Resolve spintax (a different seed shows other variants), then personalize content
+            const spun = spintaxService.spinEmail({ subject, bodyHtml, bodyText }, String(spintaxSeed));
+            const preview = templateEngine.renderEmail(spun, templateEngine.buildSampleContext(defaultSampleData));
 
             return res.json({
                 success: true,
                 data: {
                     preview: {
-                        subject: personalizedSubject,
-                        bodyHtml: personalizedBodyHtml,
-                        bodyText: personalizedBodyText,
-                        sampleData: defaultSampleData
+                        subject: preview.subject,
+                        bodyHtml: preview.bodyHtml || null,
+                        bodyText: preview.bodyText || null,
+                        sampleData: defaultSampleData,
+                        spintax: spun.variants,
+                        missingVariables: preview.missing
                     }
                 }
             });
@@ -314,10 +321,11 @@ class CampaignTemplatesController {
                 });
             }
 
-            // Delete all templates for this campaign
+            // Deactivate rather than delete, so jobs and leads keep their template version
             const result = await client.query(`
-                DELETE FROM campaign_templates 
-                WHERE campaign_id = $1
+                UPDATE campaign_templates
+                SET is_active = false
+                WHERE campaign_id = $1 AND is_active = true
             `, [campaignId]);
 
             return res.json({
@@ -339,45 +347,6 @@ class CampaignTemplatesController {
         }
     }
 
-    /**
-     * Helper method to personalize email content
-     * Replaces placeholders like {{firstName}} with actual values
-     */
-    personalizeContent(content, data) {
-        if (!content) return content;
-
-        let personalizedContent = content;
-
-        // Standard personalization variables
-        const replacements = {
-            '{{firstName}}': data.firstName || '',
-            '{{lastName}}': data.lastName || '',
-            '{{fullName}}': `${data.firstName || ''} ${data.lastName || ''}`.trim(),
-            '{{email}}': data.email || '',
-            '{{company}}': data.company || '',
-            '{{companyName}}': data.company || '',
-            '{{jobTitle}}': data.jobTitle || '',
-            '{{title}}': data.jobTitle || ''
-        };
-
-        // Apply standard replacements
-        for (const [placeholder, value] of Object.entries(replacements)) {
-            const regex = new RegExp(placeholder.replace(/[{}]/g, '\\$&'), 'g');
-            personalizedContent = personalizedContent.replace(regex, value);
-        }
-
-        // Apply custom field replacements
-        for (const [key, value] of Object.entries(data)) {
-            if (!key.startsWith('_') && typeof value === 'string') {
-                const placeholder = `{{${key}}}`;
-                const regex = new RegExp(placeholder.replace(/[{}]/g, '\\$&'), 'g');
-                personalizedContent = personalizedContent.replace(regex, value);
-            }
-        }
-
-        return personalizedContent;
-    }
-
     /**
      * Get available personalization variables
      * GET /api/campaigns/:campaignId/template/variables
@@ -431,7 +400,8 @@ class CampaignTemplatesController {
                 { name: 'fullName', placeholder: '{{fullName}}', description: 'Lead\'s full name' },
                 { name: 'email', placeholder: '{{email}}', description: 'Lead\'s email address' },
                 { name: 'company', placeholder: '{{company}}', description: 'Lead\'s company name' },
-                { name: 'jobTitle', placeholder: '{{jobTitle}}', description: 'Lead\'s job title' }
+                { name: 'jobTitle', placeholder: '{{jobTitle}}', description: 'Lead\'s job title' },
+                { name: 'unsubscribeUrl', placeholder: '{{unsubscribeUrl}}', description: 'One-click unsubscribe link for this recipient' }
             ];
 
             // Custom field variables
@@ -448,7 +418,18 @@ class CampaignTemplatesController {
                     variables: {
                         standard: standardVariables,
                         custom: customVariables
-                    }
+                    },
+                    filters: [
+                        { name: 'default', example: '{{firstName | default: "there"}}', description: 'Fallback when the lead has no value' },
+                        { name: 'capitalize', example: '{{company | capitalize}}', description: 'Uppercase the first letter' },
+                        { name: 'upcase', example: '{{company | upcase}}', description: 'Uppercase everything' },
+                        { name: 'downcase', example: '{{email | downcase}}', description: 'Lowercase everything' },
+                        { name: 'trim', example: '{{jobTitle | trim}}', description: 'Remove surrounding whitespace' },
+                        { name: 'truncate', example: '{{company | truncate: 20}}', description: 'Shorten to a length, ending with "..."' },
+                        { name: 'date', example: '{{custom_fields.renewal_date | date: "MMMM D, YYYY"}}', description: 'Format a date' }
+                    ],
+                    conditionals: '{% if company %}...{% elsif jobTitle %}...{% else %}...{% endif %}',
+                    spintax: '{Hi|Hello|Hey} {{firstName}}'
                 }
             });
 
@@ -462,6 +443,222 @@ class CampaignTemplatesController {
             client.release();
         }
     }
+
+    /**
+     * List template versions with reply rates
+     * GET /api/campaigns/:campaignId/template/versions
+     */
+    async getTemplateVersions(req, res) {
+        const client = await pool.connect();
+
+        try {
+            const userId = req.user.userId;
+            const { campaignId } = req.params;
+
+            const campaign = await getCampaignForUser(client, campaignId, userId);
+            if (!campaign) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Campaign not found or access denied'
+                });
+            }
+
+            const versions = await templateVersionService.listVersions(campaignId);
+
+            return res.json({
+                success: true,
+                data: {
+                    versions
+                }
+            });
+
+        } catch (error) {
+            console.error('Get template versions error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to fetch template versions'
+            });
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Get one template version
+     * GET /api/campaigns/:campaignId/template/versions/:version
+     */
+    async getTemplateVersion(req, res) {
+        const client = await pool.connect();
+
+        try {
+            const userId = req.user.userId;
+            const { campaignId } = req.params;
+            const versionNumber = parseInt(req.params.version);
+
+            if (!Number.isInteger(versionNumber) || versionNumber < 1) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Version must be a positive number'
+                });
+            }
+
+            const campaign = await getCampaignForUser(client, campaignId, userId);
+            if (!campaign) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Campaign not found or access denied'
+                });
+            }
+
+            const version = await templateVersionService.getVersion(campaignId, versionNumber);
+            if (!version) {
+                return res.status(404).json({
+                    success: false,
+                    message: `Template version ${versionNumber} not found`
+                });
+            }
+
+            return res.json({
+                success: true,
+                data: {
+                    template: version
+                }
+            });
+
+        } catch (error) {
+            console.error('Get template version error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to fetch template version'
+            });
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Diff two template versions
+     * GET /api/campaigns/:campaignId/template/versions/diff?from=1&to=2
+     * "to" defaults to the active version
+     */
+    async diffTemplateVersions(req, res) {
+        const client = await pool.connect();
+
+        try {
+            const userId = req.user.userId;
+            const { campaignId } = req.params;
+            const fromVersion = parseInt(req.query.from);
+            const toVersion = req.query.to !== undefined ? parseInt(req.query.to) : null;
+
+            if (!Number.isInteger(fromVersion) || (toVersion !== null && !Number.isInteger(toVersion))) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Query parameters "from" (and optionally "to") must be version numbers'
+                });
+            }
+
+            const campaign = await getCampaignForUser(client, campaignId, userId);
+            if (!campaign) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Campaign not found or access denied'
+                });
+            }
+
+            const from = await templateVersionService.getVersion(campaignId, fromVersion);
+            const to = toVersion !== null
+                ? await templateVersionService.getVersion(campaignId, toVersion)
+                : (await client.query(`
+                    SELECT * FROM campaign_templates
+                    WHERE campaign_id = $1 AND is_active = true
+                `, [campaignId])).rows[0];
+
+            if (!from || !to) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Template version not found'
+                });
+            }
+
+            return res.json({
+                success: true,
+                data: {
+                    diff: templateVersionService.diffVersions(from, to)
+                }
+            });
+
+        } catch (error) {
+            console.error('Diff template versions error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to diff template versions'
+            });
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Roll back to an earlier template version (saved as a new version)
+     * POST /api/campaigns/:campaignId/template/versions/:version/rollback
+     */
+    async rollbackTemplate(req, res) {
+        const client = await pool.connect();
+
+        try {
+            const userId = req.user.userId;
+            const { campaignId } = req.params;
+            const versionNumber = parseInt(req.params.version);
+
+            if (!Number.isInteger(versionNumber) || versionNumber < 1) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Version must be a positive number'
+                });
+            }
+
+            const campaign = await getCampaignForUser(client, campaignId, userId);
+            if (!campaign) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Campaign not found or access denied'
+                });
+            }
+
+            // Same rule as saving a template
+            if (campaign.status === 'active' && campaign.emails_sent > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Cannot edit template of campaign that has already sent emails'
+                });
+            }
+
+            const template = await templateVersionService.rollback(campaignId, versionNumber, userId);
+            if (!template) {
+                return res.status(404).json({
+                    success: false,
+                    message: `Template version ${versionNumber} not found`
+                });
+            }
+
+            return res.json({
+                success: true,
+                message: `Rolled back to version ${versionNumber} as version ${template.version_number}`,
+                data: {
+                    template
+                }
+            });
+
+        } catch (error) {
+            console.error('Rollback template error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to roll back template'
+            });
+        } finally {
+            client.release();
+        }
+    }
 }
 
 module.exports = new CampaignTemplatesController();
@@ -0,0 +1,555 @@
+const pool = require('../config/database');
+const templateEngine = require('../services/templateEngine');
+const campaignVariantService = require('../services/campaignVariantService');
+const campaignLaunchService = require('../services/campaignLaunchService');
+const { getCampaignForUser } = require('./controllerHelpers');
+
+/**
+ * Campaign Variants Controller - A/B content variants and winner mode
+ * Variants of a step split its leads by weight; in winner mode only a test slice gets
+ * the variants and the rest get the best one once the test ends
+ */
+class CampaignVariantsController {
+
+    /**
+     * Get a campaign's variants with their results
+     * GET /api/campaigns/:campaignId/variants?stepNumber=1
+     */
+    async getVariants(req, res) {
+        const client = await pool.connect();
+
+        try {
+            const userId = req.user.userId;
+            const { campaignId } = req.params;
+            const stepNumber = req.query.stepNumber ? parseInt(req.query.stepNumber) : null;
+
+            const campaign = await getCampaignForUser(client, campaignId, userId);
+            if (!campaign) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Campaign not found or access denied'
+                });
+            }
+
+            const variants = await campaignVariantService.getVariants(campaignId, stepNumber, { includeInactive: true });
+            const stats = await campaignVariantService.getVariantStats(campaignId, stepNumber);
+            const statsById = new Map(stats.map(row => [row.id, row]));
+
+            return res.json({
+                success: true,
+                data: {
+                    variants: variants.map(variant => {
+                        const { sent, opened, clicked, replied, openRate, clickRate, replyRate } = statsById.get(variant.id) || {};
+                        return { ...variant, stats: { sent, opened, clicked, replied, openRate, clickRate, replyRate } };
+                    }),
+                    abTest: await campaignVariantService.getTest(campaignId)
+                }
+            });
+
+        } catch (error) {
+            console.error('Get campaign variants error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to fetch campaign variants'
+            });
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Add a variant to a campaign step
+     * POST /api/campaigns/:campaignId/variants
+     * Body: { stepNumber?, label?, name?, subject, bodyHtml?, bodyText?, weight? }
+     */
+    async createVariant(req, res) {
+        const client = await pool.connect();
+
+        try {
+            const userId = req.user.userId;
+            const { campaignId } = req.params;
+            const { stepNumber = 1, label, subject, bodyHtml, bodyText } = req.body;
+
+            if (!subject || (!bodyHtml && !bodyText)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Subject and either HTML or text body are required'
+                });
+            }
+
+            if (!Number.isInteger(stepNumber) || stepNumber < 1) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'stepNumber must be a positive whole number'
+                });
+            }
+
+            if (label !== undefined && !/^[A-Za-z0-9]{1,10}$/.test(label)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Label must be 1-10 letters or digits'
+                });
+            }
+
+            const validationError = validateVariant(req.body);
+            if (validationError) {
+                return res.status(400).json(validationError);
+            }
+
+            const campaign = await getCampaignForUser(client, campaignId, userId);
+            if (!campaign) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Campaign not found or access denied'
+                });
+            }
+
+            if (campaign.type !== 'sequence' && stepNumber !== 1) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Only sequence campaigns have steps after the first email'
+                });
+            }
+
+            // Same rule as editing the template
+            if (campaign.status === 'active' && campaign.emails_sent > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Cannot change variants of campaign that has already sent emails'
+                });
+            }
+
+            const existing = await campaignVariantService.getVariants(campaignId, stepNumber, { includeInactive: true });
+            if (existing.length >= 10) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Cannot add more than 10 variants to a step'
+                });
+            }
+
+            const variant = await campaignVariantService.createVariant(campaignId, req.body, userId);
+
+            return res.status(201).json({
+                success: true,
+                message: `Variant ${variant.label} added`,
+                data: { variant }
+            });
+
+        } catch (error) {
+            console.error('Create campaign variant error:', error);
+
+            let statusCode = 500;
+            let message = 'Failed to create campaign variant';
+
+            if (error.message.includes('duplicate key')) {
+                statusCode = 409;
+                message = 'A variant with this label already exists for the step';
+            }
+
+            return res.status(statusCode).json({
+                success: false,
+                message
+            });
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Update a variant
+     * PUT /api/campaigns/:campaignId/variants/:variantId
+     * Body: { name?, subject?, bodyHtml?, bodyText?, weight?, isActive? }
+     */
+    async updateVariant(req, res) {
+        const client = await pool.connect();
+
+        try {
+            const userId = req.user.userId;
+            const { campaignId, variantId } = req.params;
+
+            const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+            if (!uuidRegex.test(variantId)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid variant ID format'
+                });
+            }
+
+            if (req.body.subject !== undefined && !req.body.subject) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Subject cannot be empty'
+                });
+            }
+
+            const validationError = validateVariant(req.body);
+            if (validationError) {
+                return res.status(400).json(validationError);
+            }
+
+            const campaign = await getCampaignForUser(client, campaignId, userId);
+            if (!campaign) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Campaign not found or access denied'
+                });
+            }
+
+            if (campaign.status === 'active' && campaign.emails_sent > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Cannot change variants of campaign that has already sent emails'
+                });
+            }
+
+            // Results would mix two versions of the content; add a new variant instead
+            const changesContent = ['subject', 'bodyHtml', 'bodyText'].some(field => req.body[field] !== undefined);
+            if (changesContent && await campaignVariantService.hasSends(variantId)) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'This variant has already been sent. Add a new variant to try different content.'
+                });
+            }
+
+            const variant = await campaignVariantService.updateVariant(campaignId, variantId, req.body);
+            if (!variant) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Variant not found'
+                });
+            }
+
+            return res.json({
+                success: true,
+                message: `Variant ${variant.label} updated`,
+                data: { variant }
+            });
+
+        } catch (error) {
+            console.error('Update campaign variant error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to update campaign variant'
+            });
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Remove a variant (deactivated instead if it was already sent)
+     * DELETE /api/campaigns/:campaignId/variants/:variantId
+     */
+    async deleteVariant(req, res) {
+        const client = await pool.connect();
+
+        try {
+            const userId = req.user.userId;
+            const { campaignId, variantId } = req.params;
+
+            const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+            if (!uuidRegex.test(variantId)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid variant ID format'
+                });
+            }
+
+            const campaign = await getCampaignForUser(client, campaignId, userId);
+            if (!campaign) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Campaign not found or access denied'
+                });
+            }
+
+            if (campaign.status === 'active' && campaign.emails_sent > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Cannot change variants of campaign that has already sent emails'
+                });
+            }
+
+            const result = await campaignVariantService.deleteVariant(campaignId, variantId);
+            if (!result) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Variant not found'
+                });
+            }
+
+            return res.json({
+                success: true,
+                message: result === 'deleted'
+                    ? 'Variant deleted'
+                    : 'Variant was already sent, so it was deactivated to keep its results'
+            });
+
+        } catch (error) {
+            console.error('Delete campaign variant error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to delete campaign variant'
+            });
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Get a campaign's A/B test settings and first-email results
+     * GET /api/campaigns/:campaignId/ab-test
+     */
+    async getAbTest(req, res) {
+        const client = await pool.connect();
+
+        try {
+            const userId = req.user.userId;
+            const { campaignId } = req.params;
+
+            const campaign = await getCampaignForUser(client, campaignId, userId);
+            if (!campaign) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Campaign not found or access denied'
+                });
+            }
+
+            const abTest = await campaignVariantService.getTest(campaignId);
+            const results = await campaignVariantService.getVariantStats(campaignId, 1);
+            const leader = abTest ? campaignVariantService.chooseWinner(results, abTest.winner_metric) : null;
+
+            return res.json({
+                success: true,
+                data: {
+                    abTest,
+                    results,
+                    leaderVariantId: leader ? leader.id : null
+                }
+            });
+
+        } catch (error) {
+            console.error('Get A/B test error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to fetch A/B test'
+            });
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Turn on winner mode for the first email, or change its settings before launch
+     * PUT /api/campaigns/:campaignId/ab-test
+     * Body: { winnerMetric: 'open' | 'click' | 'reply', testPercent?: 1-99, decideAfterHours?: number }
+     */
+    async saveAbTest(req, res) {
+        const client = await pool.connect();
+
+        try {
+            const userId = req.user.userId;
+            const { campaignId } = req.params;
+            const { winnerMetric = 'open', testPercent = 20, decideAfterHours = 4 } = req.body;
+
+            if (!Object.keys(campaignVariantService.winnerMetrics).includes(winnerMetric)) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Invalid winnerMetric. Must be one of: ${Object.keys(campaignVariantService.winnerMetrics).join(', ')}`
+                });
+            }
+
+            if (!Number.isInteger(testPercent) || testPercent < 1 || testPercent > 99) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'testPercent must be a whole number between 1 and 99'
+                });
+            }
+
+            if (!Number.isInteger(decideAfterHours) || decideAfterHours < 1 || decideAfterHours > 168) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'decideAfterHours must be a whole number between 1 and 168'
+                });
+            }
+
+            const campaign = await getCampaignForUser(client, campaignId, userId);
+            if (!campaign) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Campaign not found or access denied'
+                });
+            }
+
+            const abTest = await campaignVariantService.saveTest(campaignId, { winnerMetric, testPercent, decideAfterHours });
+            if (!abTest) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'A/B test has already started and can no longer be changed'
+                });
+            }
+
+            const variants = await campaignVariantService.getVariants(campaignId, 1);
+
+            return res.json({
+                success: true,
+                message: variants.length >= 2
+                    ? `Winner mode on: ${testPercent}% of leads get the test, the rest get the best ${winnerMetric} rate after ${decideAfterHours} hours`
+                    : 'Winner mode saved. Add at least two variants of the first email to run the test.',
+                data: { abTest }
+            });
+
+        } catch (error) {
+            console.error('Save A/B test error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to save A/B test'
+            });
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Turn off winner mode; leads held back for a running test go back to pending
+     * DELETE /api/campaigns/:campaignId/ab-test
+     */
+    async deleteAbTest(req, res) {
+        const client = await pool.connect();
+
+        try {
+            const userId = req.user.userId;
+            const { campaignId } = req.params;
+
+            const campaign = await getCampaignForUser(client, campaignId, userId);
+            if (!campaign) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Campaign not found or access denied'
+                });
+            }
+
+            const result = await campaignVariantService.deleteTest(campaignId);
+            if (!result.removed) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Campaign has no A/B test'
+                });
+            }
+
+            return res.json({
+                success: true,
+                message: result.releasedLeads > 0
+                    ? `A/B test removed. ${result.releasedLeads} held-back leads are pending again and go out on the next launch.`
+                    : 'A/B test removed',
+                data: result
+            });
+
+        } catch (error) {
+            console.error('Delete A/B test error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to remove A/B test'
+            });
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * End a running A/B test now and send the winner to the held-back leads
+     * POST /api/campaigns/:campaignId/ab-test/pick-winner
+     * Body: { variantId? } - pick this variant instead of the best one by the test's metric
+     */
+    async pickAbTestWinner(req, res) {
+        const client = await pool.connect();
+
+        try {
+            const userId = req.user.userId;
+            const { campaignId } = req.params;
+            const { variantId } = req.body;
+
+            const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+            if (variantId !== undefined && !uuidRegex.test(variantId)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid variant ID format'
+                });
+            }
+
+            const campaign = await getCampaignForUser(client, campaignId, userId);
+            if (!campaign) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Campaign not found or access denied'
+                });
+            }
+
+            const result = await campaignLaunchService.sendWinner(campaignId, { variantId, userId });
+            if (!result) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'Campaign has no running A/B test'
+                });
+            }
+
+            const { test, winner, launch } = result;
+            let message = `Variant ${winner.label} is the winner.`;
+            if (launch && !launch.error) {
+                message += ` ${launch.jobResult.jobsCreated} email jobs created for the held-back leads.`;
+            } else if (launch) {
+                message += ` Held-back leads were not sent: ${launch.error}`;
+            } else if (campaign.status !== 'active') {
+                message += ' Held-back leads are pending and go out when the campaign is launched again.';
+            }
+
+            return res.json({
+                success: true,
+                message,
+                data: {
+                    abTest: test,
+                    winner,
+                    jobsCreated: launch && !launch.error ? launch.jobResult.jobsCreated : 0
+                }
+            });
+
+        } catch (error) {
+            console.error('Pick A/B test winner error:', error);
+
+            let statusCode = 500;
+            let message = 'Failed to pick A/B test winner';
+
+            if (error.message.includes('Winning variant not found')) {
+                statusCode = 400;
+                message = 'Variant not found among the active variants of the first email';
+            }
+
+            return res.status(statusCode).json({
+                success: false,
+                message
+            });
+        } finally {
+            client.release();
+        }
+    }
+}
+
+/**
+ * Error response for an invalid weight or template syntax, or null
+ */
+function validateVariant(body) {
+    const { weight, subject, bodyHtml, bodyText } = body;
+
+    if (weight !== undefined && (!Number.isInteger(weight) || weight < 1 || weight > 100)) {
+        return { success: false, message: 'Weight must be a whole number between 1 and 100' };
+    }
+
+    const errors = templateEngine.validate({ subject, bodyHtml, bodyText });
+    if (errors.length > 0) {
+        return { success: false, message: 'Variant has template errors', data: { errors } };
+    }
+
+    return null;
+}
+
+module.exports = new CampaignVariantsController();
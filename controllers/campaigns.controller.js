@@ -1,6 +1,14 @@
 const pool = require('../config/database');
 const { v4: uuidv4 } = require('uuid');
 const emailJobService = require('../services/emailJobService');
+const suppressionService = require('../services/suppressionService');
+const sendingCalendarService = require('../services/sendingCalendarService');
+const campaignPreflightService = require('../services/campaignPreflightService');
+const templateEngine = require('../services/templateEngine');
+const campaignTestSendService = require('../services/campaignTestSendService');
+const campaignLifecycleService = require('../services/campaignLifecycleService');
+const campaignLaunchService = require('../services/campaignLaunchService');
+const campaignVariantService = require('../services/campaignVariantService');
 
 /**
  * Campaigns Controller - Handles campaign management operations
@@ -356,7 +364,8 @@ class CampaignsController {
                 scheduled_at: scheduledAt,
                 send_immediately: sendImmediately,
                 timezone,
-                daily_send_limit: dailySendLimit
+                daily_send_limit: dailySendLimit,
+                sending_calendar_id: sendingCalendarId
             } = req.body;
 
             // Validate UUID format
@@ -467,6 +476,24 @@ class CampaignsController {
                 updateValues.push(dailySendLimit);
             }
 
+            if (sendingCalendarId !== undefined) {
+                if (sendingCalendarId) {
+                    const calendarResult = await client.query(`
+                        SELECT id FROM sending_calendars
+                        WHERE id = $1 AND organization_id = $2
+                    `, [sendingCalendarId, campaign.organization_id]);
+
+                    if (calendarResult.rows.length === 0) {
+                        return res.status(400).json({
+                            success: false,
+                            message: 'Sending calendar not found'
+                        });
+                    }
+                }
+                updateFields.push(`sending_calendar_id = $${paramCounter++}`);
+                updateValues.push(sendingCalendarId || null);
+            }
+
             if (updateFields.length === 0) {
                 return res.status(400).json({
                     success: false,
@@ -491,6 +518,10 @@ class CampaignsController {
 
             const result = await client.query(updateQuery, updateValues);
 
+            if (sendingCalendarId !== undefined) {
+                sendingCalendarService.clearCache();
+            }
+
             return res.json({
                 success: true,
                 message: 'Campaign updated successfully',
@@ -532,11 +563,17 @@ class CampaignsController {
             const { status } = req.body;
 
             // Validate inputs
-            const validStatuses = ['draft', 'active', 'paused', 'completed', 'archived'];
-            if (!validStatuses.includes(status)) {
+            if (!campaignLifecycleService.statuses.includes(status)) {
                 return res.status(400).json({
                     success: false,
-                    message: `Invalid status. Must be one of: ${validStatuses.join(', ')}`
+                    message: `Invalid status. Must be one of: ${campaignLifecycleService.statuses.join(', ')}`
+                });
+            }
+
+            if (status === 'scheduled') {
+                return res.status(400).json({
+                    success: false,
+                    message: "Campaigns are scheduled by launching them with sendType 'scheduled'"
                 });
             }
 
@@ -568,18 +605,18 @@ class CampaignsController {
 
             // Validate status transitions
             const currentStatus = campaign.status;
-            const validTransitions = {
-                'draft': ['active', 'archived'],
-                'active': ['paused', 'completed', 'archived'],
-                'paused': ['active', 'completed', 'archived'],
-                'completed': ['archived'],
-                'archived': [] // Cannot transition from archived
-            };
-
-            if (!validTransitions[currentStatus]?.includes(status)) {
+
+            // Resuming before the scheduled start goes back to waiting for it
+            const targetStatus = status === 'active' && currentStatus === 'paused' &&
+                campaign.scheduled_at && new Date(campaign.scheduled_at) > new Date()
+                ? 'scheduled'
+                : status;
+
+            if (!campaignLifecycleService.canTransition(currentStatus, targetStatus)) {
                 return res.status(400).json({
                     success: false,
-                    message: `Cannot change status from ${currentStatus} to ${status}`
+                    message: `Cannot change status from ${currentStatus} to ${status}`,
+                    data: { allowedTransitions: campaignLifecycleService.getAllowedTransitions(currentStatus) }
                 });
             }
 
@@ -614,23 +651,44 @@ class CampaignsController {
                 }
             }
 
-            // Update campaign status
-            const result = await client.query(`
-                UPDATE campaigns 
-                SET status = $1, updated_at = NOW(), updated_by = $2
-                WHERE id = $3
-                RETURNING *
-            `, [status, userId, campaignId]);
+            // Update campaign status and record the transition
+            await client.query('BEGIN');
+            const updatedCampaign = await campaignLifecycleService.transition(client, campaignId, targetStatus, {
+                fromStatus: currentStatus,
+                userId,
+                reason: 'user'
+            });
+            await client.query('COMMIT');
+
+            if (!updatedCampaign) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'Campaign status changed in the meantime. Please refresh and try again.'
+                });
+            }
+
+            // Hold, release or cancel the campaign's queued emails to match
+            const jobs = {};
+            if (targetStatus === 'paused') {
+                jobs.paused = await emailJobService.pauseCampaignJobs(campaignId);
+            } else if (currentStatus === 'paused' && ['active', 'scheduled'].includes(targetStatus)) {
+                Object.assign(jobs, await emailJobService.resumeCampaignJobs(campaignId));
+            } else if (['completed', 'archived', 'draft'].includes(targetStatus)) {
+                // Unscheduling returns the campaign to draft; its leads stay pending for the next launch
+                jobs.cancelled = await emailJobService.cancelCampaignJobs(campaignId, `Campaign ${targetStatus}`);
+            }
 
             return res.json({
                 success: true,
-                message: `Campaign ${status} successfully`,
+                message: `Campaign ${targetStatus} successfully`,
                 data: {
-                    campaign: result.rows[0]
+                    campaign: updatedCampaign,
+                    jobs
                 }
             });
 
         } catch (error) {
+            await client.query('ROLLBACK');
             console.error('Update campaign status error:', error);
             return res.status(500).json({
                 success: false,
@@ -641,6 +699,66 @@ class CampaignsController {
         }
     }
 
+    /**
+     * Get campaign status history
+     * GET /api/campaigns/:id/status-history
+     */
+    async getCampaignStatusHistory(req, res) {
+        const client = await pool.connect();
+        
+        try {
+            const userId = req.user.userId;
+            const { id: campaignId } = req.params;
+
+            // Validate UUID format
+            const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+            if (!uuidRegex.test(campaignId)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid campaign ID format'
+                });
+            }
+
+            // Verify campaign access
+            const campaignResult = await client.query(`
+                SELECT c.id, c.status, c.scheduled_at, c.completed_at
+                FROM campaigns c
+                JOIN organization_members om ON c.organization_id = om.organization_id
+                WHERE c.id = $1 AND om.user_id = $2 AND om.status = 'active'
+            `, [campaignId, userId]);
+            
+            if (campaignResult.rows.length === 0) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Campaign not found or access denied'
+                });
+            }
+
+            const campaign = campaignResult.rows[0];
+            const events = await campaignLifecycleService.getHistory(campaignId);
+
+            return res.json({
+                success: true,
+                data: {
+                    status: campaign.status,
+                    scheduledAt: campaign.scheduled_at,
+                    completedAt: campaign.completed_at,
+                    allowedTransitions: campaignLifecycleService.getAllowedTransitions(campaign.status),
+                    events
+                }
+            });
+
+        } catch (error) {
+            console.error('Get campaign status history error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to fetch campaign status history'
+            });
+        } finally {
+            client.release();
+        }
+    }
+
     /**
      * Add leads to campaign
      * POST /api/campaigns/:id/leads
@@ -704,10 +822,14 @@ class CampaignsController {
 
             const campaign = campaignResult.rows[0];
 
+            // Suppressed, do-not-contact and opted-out leads are never added
+            const suppressedLeads = await suppressionService.getSuppressedLeads(campaign.organization_id, leadIds);
+
             await client.query('BEGIN');
 
             let addedCount = 0;
             let skippedCount = 0;
+            let suppressedCount = 0;
             const errors = [];
 
             for (const leadId of leadIds) {
@@ -727,6 +849,13 @@ class CampaignsController {
 
                     const lead = leadResult.rows[0];
 
+                    if (suppressedLeads.has(leadId)) {
+                        errors.push(`Lead ${lead.email} is suppressed (${suppressedLeads.get(leadId)})`);
+                        suppressedCount++;
+                        skippedCount++;
+                        continue;
+                    }
+
                     // Check if lead is already in campaign
                     const existingResult = await client.query(`
                         SELECT id FROM campaign_leads 
@@ -774,6 +903,7 @@ class CampaignsController {
                 data: {
                     added: addedCount,
                     skipped: skippedCount,
+                    suppressed: suppressedCount,
                     errors: errors.slice(0, 10) // Limit error messages to prevent large responses
                 }
             });
@@ -790,10 +920,184 @@ class CampaignsController {
         }
     }
 
+    /**
+     * Pre-flight checks for a campaign launch
+     * POST /api/campaigns/:id/preflight
+     */
+    async preflightCampaign(req, res) {
+        const client = await pool.connect();
+        
+        try {
+            const userId = req.user.userId;
+            const { id: campaignId } = req.params;
+
+            // Validate UUID format
+            const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+            if (!uuidRegex.test(campaignId)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid campaign ID format'
+                });
+            }
+
+            // Verify campaign access
+            const campaignResult = await client.query(`
+                SELECT c.id
+                FROM campaigns c
+                JOIN organization_members om ON c.organization_id = om.organization_id
+                WHERE c.id = $1 AND om.user_id = $2 AND om.status = 'active'
+            `, [campaignId, userId]);
+            
+            if (campaignResult.rows.length === 0) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Campaign not found or access denied'
+                });
+            }
+            
+            const preflight = await campaignPreflightService.runPreflight(campaignId);
+            
+            return res.json({
+                success: true,
+                message: preflight.ready
+                    ? `Campaign is ready to launch (${preflight.summary.warnings} warnings)`
+                    : `Campaign has ${preflight.summary.errors} blocking errors`,
+                data: preflight
+            });
+            
+        } catch (error) {
+            console.error('Campaign preflight error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to run campaign pre-flight checks'
+            });
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Send a campaign email to internal addresses to check it in a real inbox
+     * POST /api/campaigns/:id/test-send
+     * Body: { recipients?: string[], leadId?: string, sampleData?: object, stepNumber?: number, emailAccountId?: string }
+     * recipients defaults to the current user; leadId renders for a real lead, otherwise sampleData is used
+     */
+    async testSendCampaign(req, res) {
+        const client = await pool.connect();
+        
+        try {
+            const userId = req.user.userId;
+            const { id: campaignId } = req.params;
+            const {
+                recipients = [req.user.email],
+                leadId,
+                sampleData = {},
+                stepNumber = 1,
+                emailAccountId
+            } = req.body;
+
+            // Validate UUID format
+            const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+            if (!uuidRegex.test(campaignId)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid campaign ID format'
+                });
+            }
+
+            if ((leadId && !uuidRegex.test(leadId)) || (emailAccountId && !uuidRegex.test(emailAccountId))) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid lead or email account ID format'
+                });
+            }
+
+            const addresses = [...new Set((Array.isArray(recipients) ? recipients : [recipients])
+                .filter(address => typeof address === 'string')
+                .map(address => address.trim().toLowerCase())
+                .filter(Boolean))];
+
+            if (addresses.length === 0 || addresses.length > campaignTestSendService.maxRecipients) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Provide between 1 and ${campaignTestSendService.maxRecipients} recipient addresses`
+                });
+            }
+
+            if (!Number.isInteger(stepNumber) || stepNumber < 1) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'stepNumber must be a positive integer'
+                });
+            }
+
+            // Verify campaign access
+            const campaignResult = await client.query(`
+                SELECT c.*
+                FROM campaigns c
+                JOIN organization_members om ON c.organization_id = om.organization_id
+                WHERE c.id = $1 AND om.user_id = $2 AND om.status = 'active'
+            `, [campaignId, userId]);
+            
+            if (campaignResult.rows.length === 0) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Campaign not found or access denied'
+                });
+            }
+
+            const campaign = campaignResult.rows[0];
+
+            // Test emails only go to the team, never to prospects
+            const internalAddresses = await campaignTestSendService.getInternalAddresses(campaign.organization_id);
+            const externalAddresses = addresses.filter(address => !internalAddresses.has(address));
+            if (externalAddresses.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Test emails can only be sent to members or mailboxes of your organization',
+                    data: { rejectedRecipients: externalAddresses }
+                });
+            }
+
+            const testSend = await campaignTestSendService.sendTest(campaign, {
+                recipients: addresses,
+                leadId,
+                sampleData,
+                stepNumber,
+                emailAccountId
+            });
+
+            const sentCount = testSend.results.filter(result => result.success).length;
+            
+            return res.status(sentCount > 0 ? 200 : 502).json({
+                success: sentCount > 0,
+                message: sentCount > 0
+                    ? `Test email sent to ${sentCount} of ${addresses.length} address(es) from ${testSend.sender.email}`
+                    : 'Test email could not be sent',
+                data: testSend
+            });
+            
+        } catch (error) {
+            console.error('Campaign test send error:', error);
+
+            let statusCode = 500;
+            if (error.message.includes('not found')) statusCode = 404;
+            if (error.message.includes('Template has errors') || error.message.includes('email account') ||
+                error.message.includes('mailboxes') || error.message.includes('no email template')) statusCode = 400;
+
+            return res.status(statusCode).json({
+                success: false,
+                message: statusCode === 500 ? 'Failed to send test email' : error.message
+            });
+        } finally {
+            client.release();
+        }
+    }
+
     /**
      * Launch campaign - create email jobs for all pending leads
      * POST /api/campaigns/:id/launch
-     * Body: { sendType: 'immediate' | 'scheduled', scheduledFor?: date, rateLimit?: number }
+     * Body: { sendType: 'immediate' | 'scheduled', scheduledFor?: date, rateLimit?: number, overridePreflight?: boolean }
      */
     async launchCampaign(req, res) {
         const client = await pool.connect();
@@ -804,12 +1108,14 @@ class CampaignsController {
             const { 
                 sendType = 'immediate', 
                 scheduledFor, 
-                rateLimit = 100 
+                rateLimit = 100,
+                overridePreflight = false
             } = req.body;
 
             // Validate campaign access and get campaign details
             const campaignResult = await client.query(`
                 SELECT c.*, ct.subject, ct.body_html, ct.body_text,
+                       ct.id as template_version_id,
                        om.organization_id as user_org
                 FROM campaigns c
                 LEFT JOIN campaign_templates ct ON c.id = ct.campaign_id AND ct.is_active = true
@@ -826,6 +1132,23 @@ class CampaignsController {
             
             const campaign = campaignResult.rows[0];
             
+            // Sequence campaigns send step 1 first; follow-ups are queued as each step is sent
+            if (campaign.type === 'sequence') {
+                const firstStepResult = await client.query(`
+                    SELECT subject, body_html, body_text
+                    FROM campaign_sequence_steps
+                    WHERE campaign_id = $1 AND step_number = 1 AND is_active = true
+                `, [campaignId]);
+                
+                if (firstStepResult.rows.length > 0) {
+                    const firstStep = firstStepResult.rows[0];
+                    campaign.subject = firstStep.subject;
+                    campaign.body_html = firstStep.body_html;
+                    campaign.body_text = firstStep.body_text;
+                    campaign.template_version_id = null;
+                }
+            }
+            
             // Handle mass email rate limiting
             let finalRateLimit = rateLimit;
             if (campaign.is_mass_email) {
@@ -845,202 +1168,197 @@ class CampaignsController {
                 massEmailConcurrency: campaign.mass_email_concurrency
             });
             
+            // A/B variants of the first email replace its template
+            const variants = await campaignVariantService.getVariants(campaignId, 1);
+            
             // Check if campaign has a template
-            if (!campaign.subject || (!campaign.body_html && !campaign.body_text)) {
+            if (variants.length === 0 && (!campaign.subject || (!campaign.body_html && !campaign.body_text))) {
                 return res.status(400).json({
                     success: false,
                     message: 'Campaign template is missing. Please add an email template before launching.'
                 });
             }
             
-            // Check if campaign can be launched
-            if (campaign.status !== 'active') {
+            const contents = variants.length > 0
+                ? variants.map(variant => ({
+                    label: `Variant ${variant.label} `,
+                    subject: variant.subject,
+                    bodyHtml: variant.body_html,
+                    bodyText: variant.body_text
+                }))
+                : [{ label: '', subject: campaign.subject, bodyHtml: campaign.body_html, bodyText: campaign.body_text }];
+            
+            const templateErrors = contents.flatMap(({ label, ...content }) =>
+                templateEngine.validate(content).map(error => `${label}${error}`)
+            );
+            if (templateErrors.length > 0) {
                 return res.status(400).json({
                     success: false,
-                    message: 'Only active campaigns can be launched'
+                    message: 'Campaign template has errors. Please fix them before launching.',
+                    data: { errors: templateErrors }
                 });
             }
             
-            // Get pending leads for this campaign (including custom fields)
-            const leadsResult = await client.query(`
-                SELECT cl.*, l.email, l.first_name, l.last_name, l.company_name, l.job_title,
-                       l.phone, l.website, l.custom_fields, l.original_row_data
-                FROM campaign_leads cl
-                JOIN leads l ON cl.lead_id = l.id
-                WHERE cl.campaign_id = $1 AND cl.status = 'pending'
-            `, [campaignId]);
-            
-            if (leadsResult.rows.length === 0) {
+            // Check if campaign can be launched
+            if (!campaignLifecycleService.canLaunch(campaign.status)) {
                 return res.status(400).json({
                     success: false,
-                    message: 'No pending leads found for this campaign'
+                    message: campaign.status === 'paused'
+                        ? 'Resume the campaign before launching more leads'
+                        : `Cannot launch a ${campaign.status} campaign`
                 });
             }
             
-            // Get email account for sending
-            const emailAccountResult = await client.query(`
-                SELECT * FROM email_accounts 
-                WHERE email = $1 AND status = 'active'
-                LIMIT 1
-            `, [campaign.from_email]);
+            // Blocking pre-flight errors stop the launch unless the user explicitly overrides them
+            const preflight = await campaignPreflightService.runPreflight(campaignId);
+            if (!preflight.ready && overridePreflight !== true) {
+                return res.status(409).json({
+                    success: false,
+                    message: `Campaign has ${preflight.summary.errors} blocking pre-flight errors. Fix them or launch with overridePreflight: true.`,
+                    data: { preflight }
+                });
+            }
             
-            if (emailAccountResult.rows.length === 0) {
+            if (!preflight.ready) {
+                console.log(`⚠️ Launching campaign ${campaignId} with ${preflight.summary.errors} pre-flight errors (overridden)`);
+            }
+            
+            // Get pending leads for this campaign (including custom fields)
+            const pendingLeads = await campaignLaunchService.getPendingLeads(campaignId);
+            
+            if (pendingLeads.length === 0) {
                 return res.status(400).json({
                     success: false,
-                    message: 'No active email account found for the from address'
+                    message: 'No pending leads found for this campaign'
                 });
             }
             
-            const emailAccount = emailAccountResult.rows[0];
+            // Leads added while an A/B test is running wait for its winner
+            const abTest = await campaignVariantService.getTest(campaignId);
+            if (abTest && abTest.status === 'testing') {
+                const heldLeads = await campaignVariantService.holdLeads(pendingLeads.map(lead => lead.id));
+                
+                return res.status(200).json({
+                    success: true,
+                    message: `A/B test is running. ${heldLeads} leads will get the winning variant.`,
+                    data: {
+                        campaignId,
+                        status: campaign.status,
+                        jobsCreated: 0,
+                        abTest: { status: abTest.status, heldLeads, decideAt: abTest.decide_at }
+                    }
+                });
+            }
             
-            // Prepare recipients for EmailJobService
-            const recipients = [];
+            // Winner mode sends to a test slice now and holds the rest back for the winner
+            const runTest = abTest && abTest.status === 'draft' && variants.length >= 2;
+            const { testLeads, holdoutLeads } = runTest
+                ? campaignVariantService.splitTestSlice(pendingLeads, abTest.test_percent)
+                : { testLeads: pendingLeads, holdoutLeads: [] };
             
-            // Process each pending lead and prepare personalized emails
-            for (const lead of leadsResult.rows) {
-                try {
-                    // Personalize the email content
-                    let subject = campaign.subject || 'Message from Campaign';
-                    let bodyHtml = campaign.body_html || '<p>Hello {{first_name}},</p><p>This is a message from our campaign.</p>';
-                    let bodyText = campaign.body_text || 'Hello {{first_name}}, This is a message from our campaign.';
+            const launch = await campaignLaunchService.launchLeads(campaign, testLeads, {
+                getContent: lead => {
+                    const variant = campaignVariantService.pickVariant(variants, `${lead.id}:1`);
                     
-                    // Replace placeholders with comprehensive mappings
-                    const replacements = {
-                        // First Name variations
-                        '{{first_name}}': lead.first_name || '',
-                        '{{firstName}}': lead.first_name || '',
-                        
-                        // Last Name variations
-                        '{{last_name}}': lead.last_name || '',
-                        '{{lastName}}': lead.last_name || '',
-                        
-                        // Email
-                        '{{email}}': lead.email || '',
-                        
-                        // Company variations
-                        '{{company}}': lead.company_name || '',
-                        '{{company_name}}': lead.company_name || '',
-                        '{{companyName}}': lead.company_name || '',
-                        
-                        // Job Title variations
-                        '{{job_title}}': lead.job_title || '',
-                        '{{jobTitle}}': lead.job_title || '',
-                        
-                        // Phone
-                        '{{phone}}': lead.phone || '',
-                        
-                        // Website
-                        '{{website}}': lead.website || '',
-                        
-                        // From Name variations
-                        '{{from_name}}': campaign.from_name || '',
-                        '{{fromName}}': campaign.from_name || ''
-                    };
-
-                    // Add custom fields from lead's custom_fields JSONB column
-                    if (lead.custom_fields && typeof lead.custom_fields === 'object') {
-                        Object.entries(lead.custom_fields).forEach(([fieldName, fieldValue]) => {
-                            const placeholder = `{{${fieldName}}}`;
-                            replacements[placeholder] = fieldValue || '';
-                        });
-                    }
-
-                    // BACKWARD COMPATIBILITY: Also check original_row_data for custom fields
-                    // (for leads imported before the custom_fields fix)
-                    if (lead.original_row_data && typeof lead.original_row_data === 'object') {
-                        const standardFields = new Set([
-                            'email', 'first_name', 'last_name', 'phone', 'company_name', 
-                            'job_title', 'website', 'linkedin_url', 'status', 'tags', 'full_name'
-                        ]);
-                        
-                        Object.entries(lead.original_row_data).forEach(([fieldName, fieldValue]) => {
-                            // Only use custom fields that aren't already in custom_fields column
-                            const placeholder = `{{${fieldName}}}`;
-                            if (!standardFields.has(fieldName) && !replacements[placeholder] && fieldValue) {
-                                replacements[placeholder] = fieldValue;
-                            }
-                        });
-                    }
-                    
-                    // Apply all replacements
-                    Object.entries(replacements).forEach(([placeholder, value]) => {
-                        const regex = new RegExp(placeholder.replace(/[{}]/g, '\\$&'), 'g');
-                        subject = subject.replace(regex, value);
-                        bodyHtml = bodyHtml.replace(regex, value);
-                        bodyText = bodyText.replace(regex, value);
-                    });
-                    
-                    // Add to recipients list with personalized content
-                    recipients.push({
-                        leadId: lead.id,
-                        email: lead.email,
-                        personalizedSubject: subject,
-                        personalizedBodyHtml: bodyHtml,
-                        personalizedBodyText: bodyText,
-                        firstName: lead.first_name,
-                        lastName: lead.last_name,
-                        company: lead.company_name
-                    });
-                    
-                } catch (error) {
-                    console.error(`Failed to personalize email for ${lead.email}:`, error);
-                    // Skip this lead but continue with others
-                    continue;
-                }
-            }
+                    return variant
+                        ? {
+                            content: { subject: variant.subject, bodyHtml: variant.body_html, bodyText: variant.body_text },
+                            variantId: variant.id
+                        }
+                        : {
+                            content: { subject: campaign.subject, bodyHtml: campaign.body_html, bodyText: campaign.body_text },
+                            templateVersionId: campaign.template_version_id
+                        };
+                },
+                sendType,
+                scheduledFor,
+                rateLimit: finalRateLimit,
+                createdBy: userId
+            });
             
-            if (recipients.length === 0) {
+            if (launch.error) {
                 return res.status(400).json({
                     success: false,
-                    message: 'No valid recipients found after processing leads'
+                    message: launch.error,
+                    data: launch.unscheduledLeads
+                        ? { skippedLeads: launch.skippedLeads.slice(0, 20), unscheduledLeads: launch.unscheduledLeads.slice(0, 20) }
+                        : launch.skippedLeads.length > 0 ? { skippedLeads: launch.skippedLeads.slice(0, 20) } : undefined
                 });
             }
             
-            // Create email jobs using EmailJobService
-            const jobParams = {
-                campaignId,
-                organizationId: campaign.user_org,
-                recipients,
-                rateLimit: finalRateLimit,
-                createdBy: userId,
-                // Use the campaign template as base (will be overridden by personalized content)
-                subject: campaign.subject,
-                bodyHtml: campaign.body_html,
-                bodyText: campaign.body_text,
-                // Mass email configuration
-                isMassEmail: campaign.is_mass_email,
-                massEmailConcurrency: campaign.mass_email_concurrency
-            };
-            
-            let jobResult;
-            if (sendType === 'scheduled' && scheduledFor) {
-                // Create scheduled jobs
-                jobResult = await emailJobService.createScheduledJobs({
-                    ...jobParams,
-                    scheduledFor: new Date(scheduledFor)
+            const { jobResult, recipients, skippedLeads, unscheduledLeads } = launch;
+            
+            let abTestInfo = null;
+            if (runTest) {
+                await campaignVariantService.holdLeads(holdoutLeads.map(lead => lead.id));
+                
+                // The test runs from the first send, which is later for scheduled launches
+                const testStart = sendType === 'scheduled' && scheduledFor && new Date(scheduledFor) > new Date()
+                    ? new Date(scheduledFor)
+                    : new Date();
+                const startedTest = await campaignVariantService.startTest(abTest.id, {
+                    decideAt: new Date(testStart.getTime() + abTest.decide_after_hours * 60 * 60 * 1000),
+                    rateLimit: finalRateLimit,
+                    launchedBy: userId
                 });
-            } else {
-                // Create immediate jobs (default)
-                jobResult = await emailJobService.createImmediateJobs(jobParams);
+                
+                abTestInfo = {
+                    status: startedTest.status,
+                    winnerMetric: startedTest.winner_metric,
+                    testLeads: testLeads.length,
+                    heldLeads: holdoutLeads.length,
+                    decideAt: startedTest.decide_at
+                };
             }
             
-            // Update campaign status to active (since we're launching it)
-            await client.query(`
-                UPDATE campaigns 
-                SET status = 'active',
-                    updated_at = NOW()
-                WHERE id = $1
-            `, [campaignId]);
+            // Future sends make a campaign that hasn't started 'scheduled'; the lifecycle check activates it
+            const launchStatus = sendType === 'scheduled' && scheduledFor && new Date(scheduledFor) > new Date() &&
+                campaign.status !== 'active'
+                ? 'scheduled'
+                : 'active';
+            
+            if (launchStatus === 'scheduled') {
+                await client.query(`
+                    UPDATE campaigns
+                    SET scheduled_at = CASE
+                            WHEN status = 'scheduled' AND scheduled_at IS NOT NULL THEN LEAST(scheduled_at, $2)
+                            ELSE $2
+                        END,
+                        updated_at = NOW()
+                    WHERE id = $1
+                `, [campaignId, new Date(scheduledFor)]);
+            }
+            
+            if (launchStatus !== campaign.status) {
+                await client.query('BEGIN');
+                await campaignLifecycleService.transition(client, campaignId, launchStatus, {
+                    fromStatus: campaign.status,
+                    userId,
+                    reason: 'launched',
+                    metadata: { sendType, scheduledFor: scheduledFor || null, jobsCreated: jobResult.jobsCreated }
+                });
+                await client.query('COMMIT');
+            }
             
             return res.status(200).json({
                 success: true,
-                message: `Campaign launched successfully! ${jobResult.jobsCreated} email jobs created.${campaign.is_mass_email ? ' 🚀 Mass email mode enabled!' : ' 📈 Distributed sending mode.'}`,
+                message: `Campaign launched successfully! ${jobResult.jobsCreated} email jobs created.${campaign.is_mass_email ? ' 🚀 Mass email mode enabled!' : ' 📈 Distributed sending mode.'}${unscheduledLeads.length > 0 ? ` ${unscheduledLeads.length} leads don't fit before the end date and stay pending.` : ''}`,
                 data: {
                     campaignId,
+                    status: launchStatus,
                     sendType,
                     scheduledFor: sendType === 'scheduled' ? scheduledFor : null,
                     jobsCreated: jobResult.jobsCreated,
                     totalRecipients: recipients.length,
+                    suppressedLeads: launch.suppressedCount,
+                    skippedLeads: skippedLeads.length,
+                    unscheduledLeads: unscheduledLeads.length,
+                    unscheduledRecipients: unscheduledLeads.slice(0, 20),
+                    spintaxLeads: launch.spintaxCount,
+                    templateErrors: skippedLeads.slice(0, 20),
+                    preflight: preflight.summary,
+                    mailboxes: launch.mailboxCount,
+                    abTest: abTestInfo,
                     rateLimit: finalRateLimit,
                     isMassEmail: campaign.is_mass_email,
                     massEmailConcurrency: campaign.mass_email_concurrency,
@@ -1050,6 +1368,7 @@ class CampaignsController {
             });
             
         } catch (error) {
+            await client.query('ROLLBACK');
             console.error('Launch campaign error:', error);
             return res.status(500).json({
                 success: false,
@@ -1195,6 +1514,7 @@ class CampaignsController {
             const campaignStatsResult = await client.query(`
                 SELECT 
                     COUNT(*) as total_campaigns,
+                    COUNT(CASE WHEN status = 'scheduled' THEN 1 END) as scheduled_campaigns,
                     COUNT(CASE WHEN status = 'active' THEN 1 END) as active_campaigns,
                     COUNT(CASE WHEN status = 'paused' THEN 1 END) as paused_campaigns,
                     COUNT(CASE WHEN status = 'completed' THEN 1 END) as completed_campaigns,
@@ -1286,6 +1606,7 @@ class CampaignsController {
                         opportunities: opportunities
                     },
                     campaign_breakdown: {
+                        scheduled: parseInt(campaignStats.scheduled_campaigns),
                         active: parseInt(campaignStats.active_campaigns),
                         paused: parseInt(campaignStats.paused_campaigns),
                         completed: parseInt(campaignStats.completed_campaigns),
@@ -1384,6 +1705,10 @@ class CampaignsController {
             const replyRate = emailsSent > 0 ? (parseInt(analytics.emails_replied) / emailsSent * 100) : 0;
             const bounceRate = emailsSent > 0 ? (parseInt(analytics.emails_bounced) / emailsSent * 100) : 0;
 
+            // Per-variant results of A/B tested steps
+            const variants = await campaignVariantService.getVariantStats(campaignId);
+            const abTest = await campaignVariantService.getTest(campaignId);
+
             return res.json({
                 success: true,
                 data: {
@@ -1396,7 +1721,9 @@ class CampaignsController {
                         reply_rate: Math.round(replyRate * 100) / 100,
                         bounce_rate: Math.round(bounceRate * 100) / 100
                     },
-                    timeline: timelineResult.rows
+                    timeline: timelineResult.rows,
+                    variants,
+                    abTest
                 }
             });
 
@@ -1497,12 +1824,14 @@ class CampaignsController {
                 });
             }
 
-            // Find the campaign lead by tracking ID
-            const leadResult = await client.query(`
-                SELECT cl.id, cl.campaign_id, cl.lead_id, cl.status
-                FROM campaign_leads cl
-                WHERE cl.id = $1
-            `, [trackingId]);
+            // Test sends are never counted
+            const leadResult = campaignTestSendService.isTestTrackingId(trackingId)
+                ? { rows: [] }
+                : await client.query(`
+                    SELECT cl.id, cl.campaign_id, cl.lead_id, cl.status
+                    FROM campaign_leads cl
+                    WHERE cl.id = $1
+                `, [trackingId]);
 
             if (leadResult.rows.length === 0) {
                 // Return 1x1 transparent pixel even if tracking fails
@@ -1515,6 +1844,9 @@ class CampaignsController {
 
             const campaignLead = leadResult.rows[0];
 
+            // Every open counts for the message being read (A/B results), not just the lead's first
+            await emailJobService.recordJobEngagement(campaignLead.id, 'open');
+
             // Update the lead status to 'opened' if not already opened
             if (campaignLead.status === 'sent' || campaignLead.status === 'delivered') {
                 await client.query(`
@@ -1574,16 +1906,20 @@ class CampaignsController {
                 });
             }
 
-            // Find the campaign lead by tracking ID
-            const leadResult = await client.query(`
-                SELECT cl.id, cl.campaign_id, cl.lead_id, cl.status
-                FROM campaign_leads cl
-                WHERE cl.id = $1
-            `, [trackingId]);
+            // Find the campaign lead by tracking ID (test sends are never counted)
+            const leadResult = campaignTestSendService.isTestTrackingId(trackingId)
+                ? { rows: [] }
+                : await client.query(`
+                    SELECT cl.id, cl.campaign_id, cl.lead_id, cl.status
+                    FROM campaign_leads cl
+                    WHERE cl.id = $1
+                `, [trackingId]);
 
             if (leadResult.rows.length > 0) {
                 const campaignLead = leadResult.rows[0];
 
+                await emailJobService.recordJobEngagement(campaignLead.id, 'click');
+
                 // Update the lead status to 'clicked' if not already
                 if (['sent', 'delivered', 'opened'].includes(campaignLead.status)) {
                     await client.query(`
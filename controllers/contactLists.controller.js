@@ -1,4 +1,5 @@
 const pool = require('../config/database');
+const suppressionService = require('../services/suppressionService');
 const { v4: uuidv4 } = require('uuid');
 
 /**
@@ -404,7 +405,12 @@ class ContactListsController {
                         WHERE lch.lead_id = l.id AND lch.status IN ('sent', 'delivered')
                     ) as last_contacted
                 FROM leads l
-                LEFT JOIN suppression_lists sl ON l.email = sl.email AND sl.organization_id = l.organization_id
+                LEFT JOIN LATERAL (
+                    SELECT sl.email, sl.reason FROM suppression_lists sl
+                    WHERE sl.organization_id = l.organization_id
+                    AND ${suppressionService.matchSql}
+                    LIMIT 1
+                ) sl ON true
             `;
             
             // Apply filters
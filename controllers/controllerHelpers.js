@@ -0,0 +1,43 @@
+/**
+ * Helpers shared by the organization-scoped controllers
+ */
+
+/**
+ * Get the user's active organization ID (or null)
+ */
+async function getOrganizationId(client, userId) {
+    const orgResult = await client.query(`
+        SELECT om.organization_id
+        FROM organization_members om
+        WHERE om.user_id = $1 AND om.status = 'active'
+        LIMIT 1
+    `, [userId]);
+
+    return orgResult.rows[0]?.organization_id || null;
+}
+
+function isUuid(value) {
+    return /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i.test(value);
+}
+
+/**
+ * Campaign the user can access through an active organization membership, or null (also for a malformed ID)
+ */
+async function getCampaignForUser(client, campaignId, userId) {
+    if (!isUuid(campaignId)) return null;
+
+    const campaignResult = await client.query(`
+        SELECT c.id, c.type, c.status, c.emails_sent
+        FROM campaigns c
+        JOIN organization_members om ON c.organization_id = om.organization_id
+        WHERE c.id = $1 AND om.user_id = $2 AND om.status = 'active'
+    `, [campaignId, userId]);
+
+    return campaignResult.rows[0] || null;
+}
+
+module.exports = {
+    getOrganizationId,
+    getCampaignForUser,
+    isUuid
+};
@@ -1,4 +1,6 @@
-const gmailService = require('../services/gmailService');
+const mailProviders = require('../services/mailProviders');
+const mailboxLimitService = require('../services/mailboxLimitService');
+const mimeBuilder = require('../services/mimeBuilder');
 const pool = require('../config/database');
 const { v4: uuidv4 } = require('uuid');
 
@@ -10,6 +12,7 @@ class EmailController {
     /**
      * Send a single email
      * POST /api/emails/send
+     * Body: { to, subject, textBody?, htmlBody?, accountId, cc?, bcc?, attachments?: [{ filename, content (base64), contentType?, contentId? }] }
      */
     async sendEmail(req, res) {
         const client = await pool.connect();
@@ -23,7 +26,8 @@ class EmailController {
                 htmlBody, 
                 accountId,
                 cc,
-                bcc 
+                bcc,
+                attachments
             } = req.body;
 
             // Validation
@@ -34,6 +38,15 @@ class EmailController {
                 });
             }
 
+            const attachmentErrors = mimeBuilder.validateAttachments(attachments);
+            if (attachmentErrors.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: attachmentErrors[0],
+                    data: { errors: attachmentErrors }
+                });
+            }
+
             // Verify user owns the email account
             const accountResult = await client.query(`
                 SELECT ea.*, u.email as user_email 
@@ -58,12 +71,13 @@ class EmailController {
                 textBody,
                 htmlBody,
                 cc,
-                bcc
+                bcc,
+                attachments
             };
 
-            // Send email using Gmail service
+            // Send through the mailbox's provider (Gmail API, Microsoft Graph or SMTP)
             console.log(`📧 Sending email from ${emailAccount.email} to ${to}`);
-            const sendResult = await gmailService.sendEmail(accountId, emailData);
+            const sendResult = await mailProviders.forAccount(emailAccount).sendEmail(accountId, emailData);
 
             // Log the email send to database
             const emailLogId = uuidv4();
@@ -168,6 +182,148 @@ class EmailController {
         }
     }
 
+    /**
+     * Get each mailbox's current sending allowance and warm-up progress
+     * GET /api/emails/accounts/limits
+     */
+    async getMailboxLimits(req, res) {
+        const client = await pool.connect();
+
+        try {
+            const userId = req.user.userId;
+
+            const orgResult = await client.query(`
+                SELECT om.organization_id
+                FROM organization_members om
+                WHERE om.user_id = $1 AND om.status = 'active'
+                LIMIT 1
+            `, [userId]);
+
+            if (orgResult.rows.length === 0) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'No active organization membership found'
+                });
+            }
+
+            const mailboxes = await mailboxLimitService.getOrganizationAllowances(orgResult.rows[0].organization_id);
+
+            return res.status(200).json({
+                success: true,
+                data: {
+                    mailboxes
+                }
+            });
+
+        } catch (error) {
+            console.error('❌ Get mailbox limits error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to fetch mailbox limits'
+            });
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Update a mailbox's daily/hourly caps and warm-up ramp
+     * PUT /api/emails/accounts/:accountId/limits
+     * Body: { dailySendLimit?, hourlySendLimit?, warmupEnabled?, warmupStartedAt?, warmupStartVolume?, warmupDailyIncrement?, warmupMaxVolume? }
+     */
+    async updateMailboxLimits(req, res) {
+        const client = await pool.connect();
+
+        try {
+            const userId = req.user.userId;
+            const { accountId } = req.params;
+            const settings = req.body || {};
+
+            // Validate UUID format
+            const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+            if (!uuidRegex.test(accountId)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid email account ID format'
+                });
+            }
+
+            const positiveFields = ['dailySendLimit', 'hourlySendLimit', 'warmupStartVolume', 'warmupMaxVolume'];
+            for (const field of positiveFields) {
+                if (settings[field] !== undefined && (!Number.isInteger(settings[field]) || settings[field] < 1 || settings[field] > 10000)) {
+                    return res.status(400).json({
+                        success: false,
+                        message: `${field} must be a whole number between 1 and 10000`
+                    });
+                }
+            }
+
+            if (settings.warmupDailyIncrement !== undefined && (!Number.isInteger(settings.warmupDailyIncrement) || settings.warmupDailyIncrement < 0 || settings.warmupDailyIncrement > 1000)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'warmupDailyIncrement must be a whole number between 0 and 1000'
+                });
+            }
+
+            if (settings.warmupEnabled !== undefined && typeof settings.warmupEnabled !== 'boolean') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'warmupEnabled must be true or false'
+                });
+            }
+
+            if (settings.warmupStartedAt !== undefined && isNaN(new Date(settings.warmupStartedAt).getTime())) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'warmupStartedAt must be a valid date'
+                });
+            }
+
+            // Verify ownership
+            const accountResult = await client.query(
+                'SELECT * FROM email_accounts WHERE id = $1 AND user_id = $2',
+                [accountId, userId]
+            );
+
+            if (accountResult.rows.length === 0) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Email account not found or access denied'
+                });
+            }
+
+            const account = accountResult.rows[0];
+            const startVolume = settings.warmupStartVolume ?? account.warmup_start_volume;
+            const maxVolume = settings.warmupMaxVolume ?? account.warmup_max_volume;
+
+            if (maxVolume < startVolume) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'warmupMaxVolume cannot be lower than warmupStartVolume'
+                });
+            }
+
+            const mailbox = await mailboxLimitService.updateLimits(accountId, settings);
+
+            return res.status(200).json({
+                success: true,
+                message: 'Mailbox limits updated',
+                data: {
+                    mailbox
+                }
+            });
+
+        } catch (error) {
+            console.error('❌ Update mailbox limits error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to update mailbox limits'
+            });
+        } finally {
+            client.release();
+        }
+    }
+
     /**
      * Test email account connection
      * POST /api/emails/test-connection
@@ -178,10 +334,11 @@ class EmailController {
             const userId = req.user.userId;
 
             // Verify ownership
+            let provider;
             const client = await pool.connect();
             try {
                 const result = await client.query(
-                    'SELECT id FROM email_accounts WHERE id = $1 AND user_id = $2',
+                    'SELECT id, provider FROM email_accounts WHERE id = $1 AND user_id = $2',
                     [accountId, userId]
                 );
 
@@ -191,12 +348,14 @@ class EmailController {
                         message: 'Email account not found or access denied'
                     });
                 }
+
+                provider = result.rows[0].provider;
             } finally {
                 client.release();
             }
 
             // Test connection
-            const testResult = await gmailService.testConnection(accountId);
+            const testResult = await mailProviders.get(provider).testConnection(accountId);
 
             return res.status(200).json({
                 success: true,
@@ -1,7 +1,15 @@
 const { google } = require('googleapis');
 const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
 const pool = require('../config/database');
 const EncryptionService = require('../services/encryptionService');
+const smtpImapService = require('../services/smtpImapService');
+const outlookService = require('../services/outlookService');
+const microsoftIdentityService = require('../services/microsoftIdentityService');
+const mailProviders = require('../services/mailProviders');
+const emailJobService = require('../services/emailJobService');
+const tokenRefreshService = require('../services/tokenRefreshService');
+const mailboxLimitService = require('../services/mailboxLimitService');
 
 /**
  * Controller for handling OAuth authentication with email providers
@@ -145,8 +153,172 @@ class EmailAuthController {
         }
     }
 
+    /**
+     * Initiate Microsoft OAuth flow for an Outlook / Microsoft 365 mailbox
+     * GET /auth/microsoft/connect
+     */
+    async initiateMicrosoftAuth(req, res) {
+        try {
+            const userId = req.user.userId;
+            
+            // Signed state so the callback can trust the user ID (CSRF protection)
+            const state = jwt.sign(
+                { userId, purpose: 'microsoft_mailbox', random: crypto.randomBytes(16).toString('hex') },
+                process.env.JWT_SECRET,
+                { expiresIn: '10m' }
+            );
+            
+            const authUrl = microsoftIdentityService.getAuthUrl(state);
+            
+            console.log(`🔗 Generated Microsoft OAuth URL for user ${userId}`);
+            
+            res.json({
+                success: true,
+                authUrl: authUrl,
+                provider: 'outlook'
+            });
+            
+        } catch (error) {
+            console.error('❌ Error initiating Microsoft OAuth:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to initiate OAuth flow',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Handle Microsoft OAuth callback
+     * GET /auth/microsoft/callback
+     */
+    async handleMicrosoftCallback(req, res) {
+        try {
+            const { code, state, error, error_description: errorDescription } = req.query;
+            
+            if (error) {
+                console.error('❌ Microsoft OAuth error:', error, errorDescription);
+                return res.redirect(`${process.env.FRONTEND_URL}/onboarding?error=oauth_error&details=${encodeURIComponent(error)}`);
+            }
+            
+            if (!code || !state) {
+                return res.redirect(`${process.env.FRONTEND_URL}/onboarding?error=missing_params`);
+            }
+            
+            let stateData;
+            try {
+                stateData = jwt.verify(state, process.env.JWT_SECRET);
+            } catch (stateError) {
+                const reason = stateError.name === 'TokenExpiredError' ? 'expired_state' : 'invalid_state';
+                return res.redirect(`${process.env.FRONTEND_URL}/onboarding?error=${reason}`);
+            }
+            
+            if (stateData.purpose !== 'microsoft_mailbox') {
+                return res.redirect(`${process.env.FRONTEND_URL}/onboarding?error=invalid_state`);
+            }
+            
+            const userId = stateData.userId;
+            
+            // Exchange code for tokens, then read the mailbox address from Graph
+            const tokens = await microsoftIdentityService.exchangeCode(code);
+            delete tokens.id_token;
+            
+            const { email, displayName } = await outlookService.getProfile(tokens.access_token);
+            if (!email) {
+                return res.redirect(`${process.env.FRONTEND_URL}/onboarding?error=no_mailbox`);
+            }
+            
+            console.log(`📧 Connected Outlook account: ${email} for user ${userId}`);
+            
+            await this.storeEmailAccount(userId, {
+                provider: 'outlook',
+                email: email,
+                displayName: displayName,
+                tokens: tokens,
+                scopes: microsoftIdentityService.mailScopes
+            });
+            
+            res.redirect(`${process.env.FRONTEND_URL}/onboarding?connected=outlook&email=${encodeURIComponent(email)}`);
+            
+        } catch (error) {
+            console.error('❌ Error handling Microsoft OAuth callback:', error);
+            res.redirect(`${process.env.FRONTEND_URL}/onboarding?error=callback_error&details=${encodeURIComponent(error.message)}`);
+        }
+    }
+
+    /**
+     * Connect a mailbox with SMTP/IMAP credentials
+     * POST /auth/imap-smtp/connect
+     * Body: { email, displayName?, password?, saveToSent?, smtp: { host, port?, security?, username?, password? }, imap: { ... } }
+     */
+    async connectSmtpImap(req, res) {
+        try {
+            const userId = req.user.userId;
+
+            const errors = smtpImapService.validateSettings(req.body);
+            if (errors.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: errors[0],
+                    errors
+                });
+            }
+
+            const email = req.body.email.trim().toLowerCase();
+            const { settings, credentials } = smtpImapService.buildConfig({ ...req.body, email });
+
+            // Log in to both servers before anything is stored
+            let verifiedSettings;
+            try {
+                verifiedSettings = await smtpImapService.verifyCredentials({ email, settings, credentials });
+            } catch (verifyError) {
+                // Server replies stay in the log; they would tell users about hosts they can't see
+                console.warn(`⚠️ SMTP/IMAP verification failed for ${email}:`, verifyError.message);
+                return res.status(400).json({
+                    success: false,
+                    message: 'Could not connect to the mail server. Check the host, port, security mode and password.'
+                });
+            }
+
+            const accountId = await this.storeEmailAccount(userId, {
+                provider: 'imap_smtp',
+                email,
+                displayName: req.body.displayName || null,
+                tokens: credentials,
+                // Passwords don't expire like OAuth tokens
+                expiresAt: null,
+                scopes: [],
+                providerSettings: verifiedSettings
+            });
+
+            console.log(`📧 Connected SMTP/IMAP account: ${email} for user ${userId}`);
+
+            res.status(201).json({
+                success: true,
+                message: 'Email account connected successfully',
+                account: {
+                    id: accountId,
+                    provider: 'imap_smtp',
+                    email,
+                    displayName: req.body.displayName || null,
+                    status: 'active',
+                    providerSettings: verifiedSettings
+                }
+            });
+
+        } catch (error) {
+            console.error('❌ Error connecting SMTP/IMAP account:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to connect email account',
+                error: error.message
+            });
+        }
+    }
+
     /**
      * Store email account with encrypted tokens
+     * @returns {string} Account ID
      */
     async storeEmailAccount(userId, accountData) {
         const client = await pool.connect();
@@ -162,9 +334,12 @@ class EmailAuthController {
             const encryptedTokens = this.encryptionService.encryptTokens(accountData.tokens);
             
             // Calculate token expiry
-            const expiresAt = accountData.tokens.expiry_date 
+            let expiresAt = accountData.tokens.expiry_date 
                 ? new Date(accountData.tokens.expiry_date)
                 : new Date(Date.now() + (accountData.tokens.expires_in || 3600) * 1000);
+            if (accountData.expiresAt !== undefined) {
+                expiresAt = accountData.expiresAt;
+            }
             
             if (existingAccount.rows.length > 0) {
                 // Update existing account
@@ -174,7 +349,9 @@ class EmailAuthController {
                         token_expires_at = $2, 
                         scopes = $3, 
                         status = 'active',
+                        status_reason = NULL,
                         display_name = $4,
+                        provider_settings = COALESCE($8, provider_settings),
                         updated_at = NOW()
                     WHERE user_id = $5 AND email = $6 AND provider = $7
                 `, [
@@ -184,18 +361,26 @@ class EmailAuthController {
                     accountData.displayName,
                     userId,
                     accountData.email,
-                    accountData.provider
+                    accountData.provider,
+                    accountData.providerSettings || null
                 ]);
                 
                 console.log(`✅ Updated existing email account: ${accountData.email}`);
                 
+                // Reconnecting a mailbox that stopped working sends its held jobs
+                await emailJobService.releaseMailboxJobs(existingAccount.rows[0].id);
+                
+                return existingAccount.rows[0].id;
+                
             } else {
-                // Insert new account
-                await client.query(`
+                // Insert new account (new mailboxes start with the default sending caps)
+                const insertResult = await client.query(`
                     INSERT INTO email_accounts (
                         user_id, provider, email, display_name, 
-                        encrypted_tokens, token_expires_at, scopes, status
-                    ) VALUES ($1, $2, $3, $4, $5, $6, $7, 'active')
+                        encrypted_tokens, token_expires_at, scopes, status, provider_settings,
+                        daily_send_limit, hourly_send_limit
+                    ) VALUES ($1, $2, $3, $4, $5, $6, $7, 'active', COALESCE($8, '{}'::JSONB), $9, $10)
+                    RETURNING id
                 `, [
                     userId,
                     accountData.provider,
@@ -203,10 +388,15 @@ class EmailAuthController {
                     accountData.displayName,
                     encryptedTokens,
                     expiresAt,
-                    accountData.scopes
+                    accountData.scopes,
+                    accountData.providerSettings || null,
+                    mailboxLimitService.defaults.dailySendLimit,
+                    mailboxLimitService.defaults.hourlySendLimit
                 ]);
                 
                 console.log(`✅ Stored new email account: ${accountData.email}`);
+                
+                return insertResult.rows[0].id;
             }
             
         } finally {
@@ -226,8 +416,8 @@ class EmailAuthController {
             
             try {
                 const result = await client.query(`
-                    SELECT id, provider, email, display_name, status, 
-                           token_expires_at, scopes, created_at, last_synced_at
+                    SELECT id, provider, email, display_name, status, status_reason,
+                           token_expires_at, scopes, provider_settings, created_at, last_synced_at
                     FROM email_accounts 
                     WHERE user_id = $1 
                     ORDER BY created_at DESC
@@ -241,6 +431,12 @@ class EmailAuthController {
                     status: account.status,
                     expiresAt: account.token_expires_at,
                     scopes: account.scopes,
+                    // Why an expired/revoked mailbox needs reconnecting
+                    statusReason: account.status_reason,
+                    // Server settings only; credentials stay encrypted
+                    providerSettings: account.provider === 'imap_smtp' ? account.provider_settings : undefined,
+                    // What the mailbox supports (threading, reply detection, message size limit)
+                    capabilities: mailProviders.forAccount(account).capabilities,
                     createdAt: account.created_at,
                     lastSyncedAt: account.last_synced_at
                 }));
@@ -264,6 +460,94 @@ class EmailAuthController {
         }
     }
 
+    /**
+     * Refresh a mailbox's OAuth tokens now (Gmail or Outlook)
+     * POST /auth/google/refresh
+     */
+    async refreshEmailAccountTokens(req, res) {
+        try {
+            const userId = req.user.userId;
+            const { accountId } = req.body;
+            
+            if (!accountId) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'accountId is required'
+                });
+            }
+            
+            const accountResult = await pool.query(
+                'SELECT id, provider, email, status FROM email_accounts WHERE id = $1 AND user_id = $2',
+                [accountId, userId]
+            );
+            
+            if (accountResult.rows.length === 0) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Email account not found'
+                });
+            }
+            
+            const account = accountResult.rows[0];
+            
+            if (!mailProviders.forAccount(account).capabilities.refreshableCredentials) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'This mailbox has no OAuth tokens to refresh'
+                });
+            }
+            
+            try {
+                const { expiresAt, releasedJobs } = await tokenRefreshService.refreshAccount(account);
+                
+                res.json({
+                    success: true,
+                    message: 'Tokens refreshed successfully',
+                    account: {
+                        id: account.id,
+                        provider: account.provider,
+                        email: account.email,
+                        status: 'active',
+                        expiresAt
+                    },
+                    releasedJobs
+                });
+                
+            } catch (refreshError) {
+                // A dead refresh token has already taken the mailbox out of service
+                const statusResult = await pool.query(
+                    'SELECT status, status_reason FROM email_accounts WHERE id = $1',
+                    [account.id]
+                );
+                const current = statusResult.rows[0];
+                
+                if (current && current.status !== 'active') {
+                    return res.status(409).json({
+                        success: false,
+                        message: 'The mailbox needs to be reconnected',
+                        account: {
+                            id: account.id,
+                            provider: account.provider,
+                            email: account.email,
+                            status: current.status,
+                            statusReason: current.status_reason
+                        }
+                    });
+                }
+                
+                throw refreshError;
+            }
+            
+        } catch (error) {
+            console.error('❌ Error refreshing tokens:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to refresh tokens',
+                error: error.message
+            });
+        }
+    }
+
     /**
      * Disconnect email account
      * DELETE /auth/email-accounts/:accountId
@@ -304,6 +588,9 @@ class EmailAuthController {
                     }
                 }
                 
+                // Held jobs go back to the queue to be sent from the campaign's other mailboxes
+                await emailJobService.releaseMailboxJobs(accountId);
+                
                 // Delete the account
                 await client.query(
                     'DELETE FROM email_accounts WHERE id = $1 AND user_id = $2',
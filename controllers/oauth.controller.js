@@ -1,6 +1,7 @@
 const { Pool } = require('pg');
 const jwt = require('jsonwebtoken');
 const { authOAuthClient, emailOAuthClient, getOAuthClient } = require('../config/oauth');
+const microsoftIdentityService = require('../services/microsoftIdentityService');
 
 // Database configuration from environment variables
 const dbConfig = {
@@ -42,6 +43,57 @@ const storeRefreshToken = async (userId, token) => {
   );
 };
 
+// Tenant of personal Microsoft accounts, whose email addresses Microsoft has verified
+const MICROSOFT_CONSUMER_TENANT = '9188040d-6c67-4c5b-b112-36a304b66dad';
+
+// Issue session tokens and send the login response
+const sendLoginResponse = async (res, user, isNewUser) => {
+  // Update last login
+  await pool.query(
+    'UPDATE users SET last_login = NOW() WHERE id = $1',
+    [user.id]
+  );
+
+  // Generate tokens
+  const token = generateToken(user.id);
+  const refreshToken = generateRefreshToken(user.id);
+
+  // Store refresh token
+  await storeRefreshToken(user.id, refreshToken);
+
+  // Set refresh token as HTTP-only cookie
+  res.cookie('refreshToken', refreshToken, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'lax',
+    maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days
+  });
+
+  // Return user data and token
+  const userData = {
+    id: user.id,
+    email: user.email,
+    firstName: user.first_name,
+    lastName: user.last_name,
+    avatarUrl: user.avatar_url,
+    isVerified: user.email_verified,
+    onboardingCompleted: user.onboarding_completed || false,
+    authProvider: user.auth_provider,
+    createdAt: user.created_at,
+    updatedAt: user.updated_at
+  };
+
+  res.status(200).json({
+    success: true,
+    message: isNewUser ? 'Account created successfully' : 'Login successful',
+    data: {
+      user: userData,
+      token,
+      isNewUser
+    }
+  });
+};
+
 // Google OAuth login
 const googleAuth = async (req, res) => {
   try {
@@ -121,50 +173,7 @@ const googleAuth = async (req, res) => {
       user.onboarding_completed = false;
     }
 
-    // Update last login
-    await pool.query(
-      'UPDATE users SET last_login = NOW() WHERE id = $1',
-      [user.id]
-    );
-
-    // Generate tokens
-    const token = generateToken(user.id);
-    const refreshToken = generateRefreshToken(user.id);
-
-    // Store refresh token
-    await storeRefreshToken(user.id, refreshToken);
-
-    // Set refresh token as HTTP-only cookie
-    res.cookie('refreshToken', refreshToken, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      sameSite: 'lax',
-      maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days
-    });
-
-    // Return user data and token
-    const userData = {
-      id: user.id,
-      email: user.email,
-      firstName: user.first_name,
-      lastName: user.last_name,
-      avatarUrl: user.avatar_url,
-      isVerified: user.email_verified,
-      onboardingCompleted: user.onboarding_completed || false,
-      authProvider: user.auth_provider,
-      createdAt: user.created_at,
-      updatedAt: user.updated_at
-    };
-
-    res.status(200).json({
-      success: true,
-      message: isNewUser ? 'Account created successfully' : 'Login successful',
-      data: {
-        user: userData,
-        token,
-        isNewUser
-      }
-    });
+    await sendLoginResponse(res, user, isNewUser);
 
   } catch (error) {
     console.error('Google OAuth error:', error);
@@ -183,12 +192,119 @@ const googleAuth = async (req, res) => {
   }
 };
 
-// Microsoft OAuth login (placeholder for future implementation)
+// Microsoft OAuth login (ID token from MSAL in the frontend)
 const microsoftAuth = async (req, res) => {
-  res.status(501).json({
-    success: false,
-    message: 'Microsoft OAuth not implemented yet'
-  });
+  try {
+    const idToken = req.body.idToken || req.body.credential;
+
+    if (!idToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Microsoft ID token is required'
+      });
+    }
+
+    const claims = await microsoftIdentityService.verifyIdToken(idToken);
+
+    // oid is the user's stable ID; email and preferred_username can be edited by tenant admins
+    const microsoftId = claims.oid || claims.sub;
+    const email = (claims.email || claims.preferred_username || '').toLowerCase();
+    const emailVerified = claims.tid === MICROSOFT_CONSUMER_TENANT || claims.xms_edov === true;
+    const [firstName = null, ...rest] = (claims.name || '').split(' ').filter(Boolean);
+    const lastName = rest.join(' ') || null;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Microsoft account has no email address'
+      });
+    }
+
+    // Users who signed in with Microsoft before are matched by their Microsoft ID
+    let userResult = await pool.query(`
+      SELECT u.*, p.onboarding_completed
+      FROM users u
+      LEFT JOIN user_profiles p ON u.id = p.user_id
+      WHERE u.auth_provider = 'microsoft' AND u.provider_id = $1
+    `, [microsoftId]);
+
+    if (userResult.rows.length === 0) {
+      userResult = await pool.query(`
+        SELECT u.*, p.onboarding_completed
+        FROM users u
+        LEFT JOIN user_profiles p ON u.id = p.user_id
+        WHERE u.email = $1
+      `, [email]);
+    }
+
+    let user;
+    let isNewUser = false;
+
+    if (userResult.rows.length > 0) {
+      user = userResult.rows[0];
+
+      if (user.auth_provider !== 'microsoft' || user.provider_id !== microsoftId) {
+        // Only a verified address may take over an existing account
+        if (!emailVerified) {
+          return res.status(409).json({
+            success: false,
+            message: 'An account with this email already exists. Sign in with your password instead.'
+          });
+        }
+
+        // Update user with Microsoft info if they signed up with email/password
+        if (user.auth_provider === 'local' && !user.provider_id) {
+          await pool.query(
+            `UPDATE users 
+             SET auth_provider = 'microsoft', 
+                 provider_id = $1, 
+                 email_verified = true,
+                 updated_at = NOW()
+             WHERE id = $2`,
+            [microsoftId, user.id]
+          );
+        }
+      }
+    } else {
+      // Create new user
+      isNewUser = true;
+      userResult = await pool.query(
+        `INSERT INTO users (
+          email, first_name, last_name, 
+          email_verified, auth_provider, provider_id
+        ) VALUES ($1, $2, $3, $4, 'microsoft', $5) 
+        RETURNING *`,
+        [email, firstName, lastName, emailVerified, microsoftId]
+      );
+      user = userResult.rows[0];
+
+      // Create user profile
+      await pool.query(
+        'INSERT INTO user_profiles (user_id) VALUES ($1)',
+        [user.id]
+      );
+      
+      // Set onboarding_completed to false for new users
+      user.onboarding_completed = false;
+    }
+
+    await sendLoginResponse(res, user, isNewUser);
+
+  } catch (error) {
+    console.error('Microsoft OAuth error:', error);
+
+    if (error.message.includes('Invalid token')) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid Microsoft token'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error during Microsoft authentication'
+    });
+  }
 };
 
 module.exports = {
@@ -0,0 +1,557 @@
+const pool = require('../config/database');
+const sendingCalendarService = require('../services/sendingCalendarService');
+const { getOrganizationId, isUuid } = require('./controllerHelpers');
+
+/**
+ * Sending Calendars Controller - Allowed weekdays and blackout dates for campaigns
+ * Campaigns use their own calendar, or the organization's default calendar
+ */
+class SendingCalendarsController {
+
+    /**
+     * List the organization's sending calendars
+     * GET /api/sending-calendars
+     */
+    async getCalendars(req, res) {
+        const client = await pool.connect();
+
+        try {
+            const organizationId = await getOrganizationId(client, req.user.userId);
+            if (!organizationId) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'No active organization membership found'
+                });
+            }
+
+            const calendars = await sendingCalendarService.listCalendars(organizationId);
+
+            return res.json({
+                success: true,
+                data: {
+                    calendars
+                }
+            });
+
+        } catch (error) {
+            console.error('Get sending calendars error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to fetch sending calendars'
+            });
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Get a calendar with its blackout dates
+     * GET /api/sending-calendars/:id
+     */
+    async getCalendar(req, res) {
+        const client = await pool.connect();
+
+        try {
+            const { id } = req.params;
+
+            if (!isUuid(id)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid calendar ID format'
+                });
+            }
+
+            const organizationId = await getOrganizationId(client, req.user.userId);
+            if (!organizationId) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'No active organization membership found'
+                });
+            }
+
+            const calendar = await sendingCalendarService.getCalendar(organizationId, id);
+            if (!calendar) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Sending calendar not found'
+                });
+            }
+
+            return res.json({
+                success: true,
+                data: {
+                    calendar
+                }
+            });
+
+        } catch (error) {
+            console.error('Get sending calendar error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to fetch sending calendar'
+            });
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Create a sending calendar
+     * POST /api/sending-calendars
+     * Body: { name, description?, allowedWeekdays?, isDefault?, blackoutDates?: [{ date, description }] }
+     */
+    async createCalendar(req, res) {
+        const client = await pool.connect();
+
+        try {
+            const userId = req.user.userId;
+            const { name, description, allowedWeekdays, isDefault = false, blackoutDates = [] } = req.body;
+
+            // Input validation
+            if (!name || !name.trim()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Calendar name is required'
+                });
+            }
+
+            const validationError = validateCalendarFields({ allowedWeekdays, isDefault });
+            if (validationError) {
+                return res.status(400).json({
+                    success: false,
+                    message: validationError
+                });
+            }
+
+            if (!Array.isArray(blackoutDates) || blackoutDates.some(entry => !sendingCalendarService.isValidDate(entry?.date))) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'blackoutDates must be an array of { date: "YYYY-MM-DD", description }'
+                });
+            }
+
+            const organizationId = await getOrganizationId(client, userId);
+            if (!organizationId) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'No active organization membership found'
+                });
+            }
+
+            const calendar = await sendingCalendarService.createCalendar(organizationId, {
+                name: name.trim(),
+                description: description?.trim() || null,
+                allowedWeekdays,
+                isDefault,
+                blackoutDates
+            }, userId);
+
+            return res.status(201).json({
+                success: true,
+                message: 'Sending calendar created successfully',
+                data: {
+                    calendar
+                }
+            });
+
+        } catch (error) {
+            if (error.message.includes('sending_calendars_organization_id_name_key')) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'A sending calendar with this name already exists'
+                });
+            }
+
+            console.error('Create sending calendar error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to create sending calendar'
+            });
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Update a sending calendar
+     * PUT /api/sending-calendars/:id
+     * Body: { name?, description?, allowedWeekdays?, isDefault? }
+     */
+    async updateCalendar(req, res) {
+        const client = await pool.connect();
+
+        try {
+            const { id } = req.params;
+            const { name, description, allowedWeekdays, isDefault } = req.body;
+
+            if (!isUuid(id)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid calendar ID format'
+                });
+            }
+
+            if (name !== undefined && (!name || !name.trim())) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Calendar name cannot be empty'
+                });
+            }
+
+            const validationError = validateCalendarFields({ allowedWeekdays, isDefault });
+            if (validationError) {
+                return res.status(400).json({
+                    success: false,
+                    message: validationError
+                });
+            }
+
+            const organizationId = await getOrganizationId(client, req.user.userId);
+            if (!organizationId) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'No active organization membership found'
+                });
+            }
+
+            const calendar = await sendingCalendarService.updateCalendar(organizationId, id, {
+                name: name?.trim(),
+                description: description === undefined ? undefined : (description?.trim() || ''),
+                allowedWeekdays,
+                isDefault
+            });
+
+            if (!calendar) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Sending calendar not found'
+                });
+            }
+
+            return res.json({
+                success: true,
+                message: 'Sending calendar updated successfully',
+                data: {
+                    calendar
+                }
+            });
+
+        } catch (error) {
+            if (error.message.includes('sending_calendars_organization_id_name_key')) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'A sending calendar with this name already exists'
+                });
+            }
+
+            console.error('Update sending calendar error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to update sending calendar'
+            });
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Delete a sending calendar
+     * DELETE /api/sending-calendars/:id
+     */
+    async deleteCalendar(req, res) {
+        const client = await pool.connect();
+
+        try {
+            const { id } = req.params;
+
+            if (!isUuid(id)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid calendar ID format'
+                });
+            }
+
+            const organizationId = await getOrganizationId(client, req.user.userId);
+            if (!organizationId) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'No active organization membership found'
+                });
+            }
+
+            const deleted = await sendingCalendarService.deleteCalendar(organizationId, id);
+            if (!deleted) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Sending calendar not found'
+                });
+            }
+
+            return res.json({
+                success: true,
+                message: 'Sending calendar deleted successfully'
+            });
+
+        } catch (error) {
+            console.error('Delete sending calendar error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to delete sending calendar'
+            });
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Add blackout dates to a calendar
+     * POST /api/sending-calendars/:id/blackout-dates
+     * Body: { date, description? } or { dates: [{ date, description }] }
+     */
+    async addBlackoutDates(req, res) {
+        const client = await pool.connect();
+
+        try {
+            const { id } = req.params;
+            const { date, description = null, dates } = req.body;
+
+            const entries = Array.isArray(dates) ? dates : (date ? [{ date, description }] : []);
+
+            if (!isUuid(id)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid calendar ID format'
+                });
+            }
+
+            if (entries.length === 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'A date or a dates array is required'
+                });
+            }
+
+            if (entries.length > 1000) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Cannot add more than 1000 dates at once'
+                });
+            }
+
+            const calendar = await findCalendar(client, req.user.userId, id);
+            if (!calendar) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Sending calendar not found'
+                });
+            }
+
+            const result = await sendingCalendarService.addBlackoutDates(id, entries, 'manual');
+
+            if (entries.length === 1 && result.invalid.length === 1) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid date. Use YYYY-MM-DD'
+                });
+            }
+
+            return res.status(201).json({
+                success: true,
+                message: `Added ${result.added} blackout dates. ${result.existing} already present, ${result.invalid.length} invalid.`,
+                data: result
+            });
+
+        } catch (error) {
+            console.error('Add blackout dates error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to add blackout dates'
+            });
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Remove a blackout date from a calendar
+     * DELETE /api/sending-calendars/:id/blackout-dates/:date
+     */
+    async removeBlackoutDate(req, res) {
+        const client = await pool.connect();
+
+        try {
+            const { id, date } = req.params;
+
+            if (!isUuid(id)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid calendar ID format'
+                });
+            }
+
+            if (!sendingCalendarService.isValidDate(date)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid date. Use YYYY-MM-DD'
+                });
+            }
+
+            const calendar = await findCalendar(client, req.user.userId, id);
+            if (!calendar) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Sending calendar not found'
+                });
+            }
+
+            const removed = await sendingCalendarService.removeBlackoutDate(id, date);
+            if (!removed) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Blackout date not found'
+                });
+            }
+
+            return res.json({
+                success: true,
+                message: 'Blackout date removed successfully'
+            });
+
+        } catch (error) {
+            console.error('Remove blackout date error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to remove blackout date'
+            });
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Import blackout dates from an iCal (.ics) file
+     * POST /api/sending-calendars/:id/import-ical
+     * Body: { ics, fromDate? } as JSON, or the raw .ics file as text/calendar
+     */
+    async importIcal(req, res) {
+        const client = await pool.connect();
+
+        try {
+            const { id } = req.params;
+            const isRawIcs = typeof req.body === 'string';
+            const ics = isRawIcs ? req.body : req.body.ics;
+            const { fromDate = null } = isRawIcs ? req.query : req.body;
+
+            if (!isUuid(id)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid calendar ID format'
+                });
+            }
+
+            if (!ics || typeof ics !== 'string' || !ics.includes('BEGIN:VCALENDAR')) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'iCal content (BEGIN:VCALENDAR ...) is required'
+                });
+            }
+
+            if (fromDate && !sendingCalendarService.isValidDate(fromDate)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'fromDate must be YYYY-MM-DD'
+                });
+            }
+
+            const calendar = await findCalendar(client, req.user.userId, id);
+            if (!calendar) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Sending calendar not found'
+                });
+            }
+
+            // Recurring events are expanded; repeat rules that can't be turned into dates are refused
+            let parsed;
+            try {
+                parsed = sendingCalendarService.parseIcal(ics);
+            } catch (error) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Could not import the iCal file: ${error.message}`
+                });
+            }
+
+            // Past holidays in public feeds are of no use, so only import upcoming dates by default
+            const since = fromDate || new Date().toISOString().slice(0, 10);
+            const entries = parsed.filter(entry => entry.date >= since);
+
+            if (entries.length === 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'No upcoming events found in the iCal file'
+                });
+            }
+
+            const result = await sendingCalendarService.addBlackoutDates(id, entries.slice(0, 5000), 'ical');
+
+            console.log(`📅 iCal import for calendar ${id}: ${result.added} added, ${result.existing} existing`);
+
+            return res.json({
+                success: true,
+                message: `Imported ${result.added} blackout dates. ${result.existing} already present.`,
+                data: {
+                    added: result.added,
+                    existing: result.existing,
+                    dates: entries.slice(0, 5000)
+                }
+            });
+
+        } catch (error) {
+            console.error('Import iCal error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to import iCal file'
+            });
+        } finally {
+            client.release();
+        }
+    }
+}
+
+/**
+ * Find a calendar the user's organization owns
+ */
+async function findCalendar(client, userId, calendarId) {
+    const result = await client.query(`
+        SELECT sc.id
+        FROM sending_calendars sc
+        JOIN organization_members om ON sc.organization_id = om.organization_id
+        WHERE sc.id = $1 AND om.user_id = $2 AND om.status = 'active'
+    `, [calendarId, userId]);
+
+    return result.rows[0] || null;
+}
+
+/**
+ * Validate optional calendar fields, returning an error message or null
+ */
+function validateCalendarFields({ allowedWeekdays, isDefault }) {
+    if (allowedWeekdays !== undefined) {
+        const isValid = Array.isArray(allowedWeekdays)
+            && allowedWeekdays.length > 0
+            && allowedWeekdays.every(day => Number.isInteger(day) && day >= 1 && day <= 7);
+
+        if (!isValid) {
+            return 'allowedWeekdays must be a non-empty array of ISO weekdays (1 = Monday ... 7 = Sunday)';
+        }
+    }
+
+    if (isDefault !== undefined && typeof isDefault !== 'boolean') {
+        return 'isDefault must be true or false';
+    }
+
+    return null;
+}
+
+module.exports = new SendingCalendarsController();
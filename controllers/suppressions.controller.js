@@ -0,0 +1,462 @@
+const pool = require('../config/database');
+const suppressionService = require('../services/suppressionService');
+const { getOrganizationId } = require('./controllerHelpers');
+
+/**
+ * Suppressions Controller - Manage the organization's do-not-email list
+ * Entries are email addresses or whole domains ('@competitor.com')
+ */
+class SuppressionsController {
+
+    /**
+     * List suppression entries with search and pagination
+     * GET /api/suppressions
+     * Query: { page, limit, search, reason, type: 'email' | 'domain' }
+     */
+    async getSuppressions(req, res) {
+        const client = await pool.connect();
+
+        try {
+            const userId = req.user.userId;
+            const { reason = null, type = null } = req.query;
+            const search = typeof req.query.search === 'string' ? req.query.search : '';
+            const page = Math.max(parseInt(req.query.page) || 1, 1);
+            const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 500);
+
+            const organizationId = await getOrganizationId(client, userId);
+            if (!organizationId) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'No active organization membership found'
+                });
+            }
+
+            const conditions = ['sl.organization_id = $1'];
+            const queryParams = [organizationId];
+
+            if (search.trim()) {
+                queryParams.push(`%${search.trim().toLowerCase()}%`);
+                conditions.push(`(LOWER(sl.email) LIKE $${queryParams.length} OR LOWER(sl.notes) LIKE $${queryParams.length})`);
+            }
+
+            if (reason) {
+                queryParams.push(reason);
+                conditions.push(`sl.reason = $${queryParams.length}`);
+            }
+
+            if (type === 'domain') {
+                conditions.push(`sl.email LIKE '@%'`);
+            } else if (type === 'email') {
+                conditions.push(`sl.email NOT LIKE '@%'`);
+            }
+
+            const whereClause = conditions.join(' AND ');
+            const offset = (page - 1) * limit;
+
+            const suppressionsResult = await client.query(`
+                SELECT
+                    sl.*,
+                    u.first_name as suppressed_by_first_name,
+                    u.last_name as suppressed_by_last_name
+                FROM suppression_lists sl
+                LEFT JOIN users u ON sl.suppressed_by = u.id
+                WHERE ${whereClause}
+                ORDER BY sl.suppressed_at DESC
+                LIMIT $${queryParams.length + 1} OFFSET $${queryParams.length + 2}
+            `, [...queryParams, limit, offset]);
+
+            const countResult = await client.query(`
+                SELECT COUNT(*) as total
+                FROM suppression_lists sl
+                WHERE ${whereClause}
+            `, queryParams);
+
+            const total = parseInt(countResult.rows[0].total);
+            const totalPages = Math.ceil(total / limit);
+
+            return res.json({
+                success: true,
+                data: {
+                    suppressions: suppressionsResult.rows,
+                    pagination: {
+                        page,
+                        limit,
+                        total,
+                        totalPages,
+                        hasNext: page < totalPages,
+                        hasPrev: page > 1
+                    }
+                }
+            });
+
+        } catch (error) {
+            console.error('Get suppressions error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to fetch suppressions'
+            });
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Add one or many suppression entries
+     * POST /api/suppressions
+     * Body: { email, reason?, notes? } or { emails: [...], reason?, notes? }
+     */
+    async addSuppressions(req, res) {
+        const client = await pool.connect();
+
+        try {
+            const userId = req.user.userId;
+            const { email, emails, reason = 'manual', notes = null } = req.body;
+
+            const values = Array.isArray(emails) ? emails : (email ? [email] : []);
+
+            // Input validation
+            if (values.length === 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'An email, a domain (@example.com) or an emails array is required'
+                });
+            }
+
+            if (values.length > 10000) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Cannot add more than 10,000 entries at once'
+                });
+            }
+
+            if (!suppressionService.validReasons.includes(reason)) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Invalid reason. Must be one of: ${suppressionService.validReasons.join(', ')}`
+                });
+            }
+
+            const organizationId = await getOrganizationId(client, userId);
+            if (!organizationId) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'No active organization membership found'
+                });
+            }
+
+            const result = await suppressionService.addSuppressions(
+                organizationId,
+                values.map(value => ({ email: value, reason, notes })),
+                { userId, source: 'manual', action: 'added' }
+            );
+
+            if (values.length === 1 && result.invalid.length === 1) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid email address or domain'
+                });
+            }
+
+            return res.status(201).json({
+                success: true,
+                message: `Added ${result.added} suppression entries. ${result.existing} already suppressed, ${result.invalid.length} invalid.`,
+                data: {
+                    added: result.added,
+                    existing: result.existing,
+                    invalid: result.invalid.slice(0, 50)
+                }
+            });
+
+        } catch (error) {
+            console.error('Add suppressions error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to add suppressions'
+            });
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Remove a suppression entry (an audit note is required)
+     * DELETE /api/suppressions/:id
+     * Body: { note }
+     */
+    async removeSuppression(req, res) {
+        const client = await pool.connect();
+
+        try {
+            const userId = req.user.userId;
+            const { id } = req.params;
+            const note = req.body?.note;
+
+            // Validate UUID format
+            const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+            if (!uuidRegex.test(id)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid suppression ID format'
+                });
+            }
+
+            if (!note || !note.trim()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'A note explaining why this entry is removed is required'
+                });
+            }
+
+            const organizationId = await getOrganizationId(client, userId);
+            if (!organizationId) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'No active organization membership found'
+                });
+            }
+
+            await client.query('BEGIN');
+
+            const deleteResult = await client.query(`
+                DELETE FROM suppression_lists
+                WHERE id = $1 AND organization_id = $2
+                RETURNING email, reason
+            `, [id, organizationId]);
+
+            if (deleteResult.rows.length === 0) {
+                await client.query('ROLLBACK');
+                return res.status(404).json({
+                    success: false,
+                    message: 'Suppression entry not found'
+                });
+            }
+
+            const removed = deleteResult.rows[0];
+
+            await client.query(`
+                INSERT INTO suppression_audit_log (
+                    organization_id, email, action, reason, notes, performed_by
+                ) VALUES ($1, $2, 'removed', $3, $4, $5)
+            `, [organizationId, removed.email, removed.reason, note.trim(), userId]);
+
+            await client.query('COMMIT');
+
+            console.log(`🔓 Suppression removed: ${removed.email} by user ${userId}`);
+
+            return res.json({
+                success: true,
+                message: `${removed.email} removed from the suppression list`,
+                data: {
+                    email: removed.email,
+                    reason: removed.reason
+                }
+            });
+
+        } catch (error) {
+            await client.query('ROLLBACK');
+            console.error('Remove suppression error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to remove suppression'
+            });
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Import suppression entries from CSV
+     * POST /api/suppressions/import
+     * Body: { csv, reason?, notes?, fileName? } as JSON, or raw text/csv with ?reason=&notes=
+     */
+    async importSuppressions(req, res) {
+        const client = await pool.connect();
+
+        try {
+            const userId = req.user.userId;
+            const isRawCsv = typeof req.body === 'string';
+            const options = isRawCsv ? req.query : req.body;
+            const csv = isRawCsv ? req.body : req.body.csv;
+            const { reason = 'manual', notes = null, fileName = null } = options;
+
+            // Input validation
+            if (!csv || typeof csv !== 'string' || !csv.trim()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'CSV content is required'
+                });
+            }
+
+            if (!suppressionService.validReasons.includes(reason)) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Invalid reason. Must be one of: ${suppressionService.validReasons.join(', ')}`
+                });
+            }
+
+            const entries = suppressionService.csvToEntries(csv, { reason, notes });
+
+            if (entries.length === 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'No rows found in CSV'
+                });
+            }
+
+            if (entries.length > 50000) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Cannot import more than 50,000 entries at once'
+                });
+            }
+
+            const organizationId = await getOrganizationId(client, userId);
+            if (!organizationId) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'No active organization membership found'
+                });
+            }
+
+            const result = await suppressionService.addSuppressions(organizationId, entries, {
+                userId,
+                source: `CSV Import: ${fileName || 'unknown.csv'}`,
+                action: 'imported'
+            });
+
+            console.log(`📥 Suppression import for org ${organizationId}: ${result.added} added, ${result.existing} existing, ${result.invalid.length} invalid`);
+
+            return res.json({
+                success: true,
+                message: `Imported ${result.added} suppression entries. ${result.existing} already suppressed, ${result.invalid.length} invalid.`,
+                data: {
+                    totalRows: entries.length,
+                    added: result.added,
+                    existing: result.existing,
+                    invalid: result.invalid.slice(0, 50)
+                }
+            });
+
+        } catch (error) {
+            console.error('Import suppressions error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to import suppressions'
+            });
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Export suppression entries as CSV
+     * GET /api/suppressions/export
+     * Query: { reason? }
+     */
+    async exportSuppressions(req, res) {
+        const client = await pool.connect();
+
+        try {
+            const userId = req.user.userId;
+            const { reason = null } = req.query;
+
+            const organizationId = await getOrganizationId(client, userId);
+            if (!organizationId) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'No active organization membership found'
+                });
+            }
+
+            const suppressionsResult = await client.query(`
+                SELECT email, reason, source, bounce_type, complaint_type, notes, suppressed_at
+                FROM suppression_lists
+                WHERE organization_id = $1
+                AND ($2::TEXT IS NULL OR reason = $2)
+                ORDER BY suppressed_at DESC
+            `, [organizationId, reason]);
+
+            const fileName = `suppressions-${new Date().toISOString().slice(0, 10)}.csv`;
+
+            res.set('Content-Type', 'text/csv; charset=utf-8');
+            res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+            return res.send(suppressionService.toCsv(suppressionsResult.rows));
+
+        } catch (error) {
+            console.error('Export suppressions error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to export suppressions'
+            });
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Suppression change history
+     * GET /api/suppressions/audit-log
+     * Query: { page, limit, email? }
+     */
+    async getAuditLog(req, res) {
+        const client = await pool.connect();
+
+        try {
+            const userId = req.user.userId;
+            const { email = null } = req.query;
+            const page = Math.max(parseInt(req.query.page) || 1, 1);
+            const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 500);
+
+            const organizationId = await getOrganizationId(client, userId);
+            if (!organizationId) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'No active organization membership found'
+                });
+            }
+
+            const logResult = await client.query(`
+                SELECT
+                    sal.*,
+                    u.first_name as performed_by_first_name,
+                    u.last_name as performed_by_last_name,
+                    COUNT(*) OVER() as total_count
+                FROM suppression_audit_log sal
+                LEFT JOIN users u ON sal.performed_by = u.id
+                WHERE sal.organization_id = $1
+                AND ($2::TEXT IS NULL OR sal.email = LOWER($2))
+                ORDER BY sal.created_at DESC
+                LIMIT $3 OFFSET $4
+            `, [organizationId, email, limit, (page - 1) * limit]);
+
+            const total = logResult.rows.length > 0 ? parseInt(logResult.rows[0].total_count) : 0;
+            const totalPages = Math.ceil(total / limit);
+
+            return res.json({
+                success: true,
+                data: {
+                    entries: logResult.rows.map(({ total_count, ...entry }) => entry),
+                    pagination: {
+                        page,
+                        limit,
+                        total,
+                        totalPages,
+                        hasNext: page < totalPages,
+                        hasPrev: page > 1
+                    }
+                }
+            });
+
+        } catch (error) {
+            console.error('Get suppression audit log error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to fetch suppression audit log'
+            });
+        } finally {
+            client.release();
+        }
+    }
+}
+
+module.exports = new SuppressionsController();
@@ -0,0 +1,495 @@
+const pool = require('../config/database');
+const templateLibraryService = require('../services/templateLibraryService');
+const templateEngine = require('../services/templateEngine');
+const { getOrganizationId, isUuid } = require('./controllerHelpers');
+
+/**
+ * Template Library Controller - Reusable email templates shared across an organization
+ * Copying a template into a campaign gives the campaign its own editable copy
+ */
+class TemplateLibraryController {
+
+    /**
+     * List library templates with search and pagination
+     * GET /api/templates
+     * Query: { page, limit, search, category, tag, includeInactive }
+     */
+    async getTemplates(req, res) {
+        const client = await pool.connect();
+
+        try {
+            const page = Math.max(parseInt(req.query.page) || 1, 1);
+            const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+            // Repeated query params arrive as arrays; only plain strings are used as filters
+            const { search, category, tag } = req.query;
+            const textParam = value => (typeof value === 'string' && value.trim()) || null;
+
+            const organizationId = await getOrganizationId(client, req.user.userId);
+            if (!organizationId) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'No active organization membership found'
+                });
+            }
+
+            const { templates, total } = await templateLibraryService.listTemplates(organizationId, {
+                search: textParam(search),
+                category: textParam(category),
+                tag: textParam(tag),
+                includeInactive: req.query.includeInactive === 'true',
+                limit,
+                offset: (page - 1) * limit
+            });
+
+            const totalPages = Math.ceil(total / limit);
+
+            return res.json({
+                success: true,
+                data: {
+                    templates,
+                    pagination: {
+                        page,
+                        limit,
+                        total,
+                        totalPages,
+                        hasNext: page < totalPages,
+                        hasPrev: page > 1
+                    }
+                }
+            });
+
+        } catch (error) {
+            console.error('Get library templates error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to fetch templates'
+            });
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Categories and tags used in the library
+     * GET /api/templates/facets
+     */
+    async getFacets(req, res) {
+        const client = await pool.connect();
+
+        try {
+            const organizationId = await getOrganizationId(client, req.user.userId);
+            if (!organizationId) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'No active organization membership found'
+                });
+            }
+
+            const facets = await templateLibraryService.getFacets(organizationId);
+
+            return res.json({
+                success: true,
+                data: facets
+            });
+
+        } catch (error) {
+            console.error('Get template facets error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to fetch template categories'
+            });
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Get a library template
+     * GET /api/templates/:id
+     */
+    async getTemplate(req, res) {
+        const client = await pool.connect();
+
+        try {
+            const { id } = req.params;
+
+            if (!isUuid(id)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid template ID format'
+                });
+            }
+
+            const organizationId = await getOrganizationId(client, req.user.userId);
+            if (!organizationId) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'No active organization membership found'
+                });
+            }
+
+            const template = await templateLibraryService.getTemplate(organizationId, id);
+            if (!template) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Template not found'
+                });
+            }
+
+            return res.json({
+                success: true,
+                data: {
+                    template
+                }
+            });
+
+        } catch (error) {
+            console.error('Get library template error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to fetch template'
+            });
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Add a template to the library
+     * POST /api/templates
+     * Body: { name, subject, bodyHtml?, bodyText?, description?, category?, tags?, sampleData? }
+     */
+    async createTemplate(req, res) {
+        const client = await pool.connect();
+
+        try {
+            const userId = req.user.userId;
+            const { name, subject, bodyHtml, bodyText, description, category, tags, sampleData } = req.body;
+
+            // Input validation
+            if (!name || !name.trim()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Template name is required'
+                });
+            }
+
+            if (!subject || !subject.trim()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Email subject is required'
+                });
+            }
+
+            if (!bodyHtml && !bodyText) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Email content (HTML or text) is required'
+                });
+            }
+
+            const validationError = validateTemplateFields({ subject, bodyHtml, bodyText, category, tags, sampleData });
+            if (validationError) {
+                return res.status(400).json(validationError);
+            }
+
+            const organizationId = await getOrganizationId(client, userId);
+            if (!organizationId) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'No active organization membership found'
+                });
+            }
+
+            const template = await templateLibraryService.createTemplate(organizationId, {
+                name: name.trim(),
+                description: description?.trim() || null,
+                subject: subject.trim(),
+                bodyHtml: bodyHtml?.trim() || null,
+                bodyText: bodyText?.trim() || null,
+                category: category?.trim() || null,
+                tags: normalizeTags(tags),
+                sampleData
+            }, userId);
+
+            return res.status(201).json({
+                success: true,
+                message: 'Template added to the library',
+                data: {
+                    template
+                }
+            });
+
+        } catch (error) {
+            console.error('Create library template error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to create template'
+            });
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Update a library template
+     * PUT /api/templates/:id
+     * Body: { name?, subject?, bodyHtml?, bodyText?, description?, category?, tags?, sampleData?, isActive? }
+     */
+    async updateTemplate(req, res) {
+        const client = await pool.connect();
+
+        try {
+            const { id } = req.params;
+            const { name, subject, bodyHtml, bodyText, description, category, tags, sampleData, isActive } = req.body;
+
+            if (!isUuid(id)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid template ID format'
+                });
+            }
+
+            if (name !== undefined && (!name || !name.trim())) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Template name cannot be empty'
+                });
+            }
+
+            if (subject !== undefined && (!subject || !subject.trim())) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Email subject cannot be empty'
+                });
+            }
+
+            if (isActive !== undefined && typeof isActive !== 'boolean') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'isActive must be true or false'
+                });
+            }
+
+            const validationError = validateTemplateFields({ subject, bodyHtml, bodyText, category, tags, sampleData });
+            if (validationError) {
+                return res.status(400).json(validationError);
+            }
+
+            const organizationId = await getOrganizationId(client, req.user.userId);
+            if (!organizationId) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'No active organization membership found'
+                });
+            }
+
+            const template = await templateLibraryService.updateTemplate(organizationId, id, {
+                name: name?.trim(),
+                description: description === undefined ? undefined : description?.trim(),
+                subject: subject?.trim(),
+                bodyHtml: bodyHtml === undefined ? undefined : bodyHtml?.trim() || null,
+                bodyText: bodyText === undefined ? undefined : bodyText?.trim() || null,
+                category: category === undefined ? undefined : category?.trim(),
+                tags: tags === undefined ? undefined : normalizeTags(tags),
+                sampleData,
+                isActive
+            });
+
+            if (!template) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Template not found'
+                });
+            }
+
+            return res.json({
+                success: true,
+                message: 'Template updated successfully',
+                data: {
+                    template
+                }
+            });
+
+        } catch (error) {
+            if (error.message.includes('Email content (HTML or text) is required')) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Email content (HTML or text) is required'
+                });
+            }
+
+            console.error('Update library template error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to update template'
+            });
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Delete a library template (campaigns keep their copies)
+     * DELETE /api/templates/:id
+     */
+    async deleteTemplate(req, res) {
+        const client = await pool.connect();
+
+        try {
+            const { id } = req.params;
+
+            if (!isUuid(id)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid template ID format'
+                });
+            }
+
+            const organizationId = await getOrganizationId(client, req.user.userId);
+            if (!organizationId) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'No active organization membership found'
+                });
+            }
+
+            const deleted = await templateLibraryService.deleteTemplate(organizationId, id);
+            if (!deleted) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Template not found'
+                });
+            }
+
+            return res.json({
+                success: true,
+                message: 'Template deleted successfully'
+            });
+
+        } catch (error) {
+            console.error('Delete library template error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to delete template'
+            });
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Copy a library template into a campaign as its active template
+     * POST /api/templates/:id/copy-to-campaign
+     * Body: { campaignId }
+     */
+    async copyToCampaign(req, res) {
+        const client = await pool.connect();
+
+        try {
+            const userId = req.user.userId;
+            const { id } = req.params;
+            const { campaignId } = req.body;
+
+            if (!isUuid(id) || !isUuid(campaignId)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Valid template and campaign IDs are required'
+                });
+            }
+
+            const organizationId = await getOrganizationId(client, userId);
+            if (!organizationId) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'No active organization membership found'
+                });
+            }
+
+            const template = await templateLibraryService.getTemplate(organizationId, id);
+            if (!template || !template.is_active) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Template not found'
+                });
+            }
+
+            // Verify campaign access and check if it can be edited
+            const campaignResult = await client.query(`
+                SELECT c.id, c.status, c.emails_sent
+                FROM campaigns c
+                JOIN organization_members om ON c.organization_id = om.organization_id
+                WHERE c.id = $1 AND om.user_id = $2 AND om.status = 'active'
+            `, [campaignId, userId]);
+
+            if (campaignResult.rows.length === 0) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Campaign not found or access denied'
+                });
+            }
+
+            const campaign = campaignResult.rows[0];
+
+            // Same rule as saving a campaign template directly
+            if (campaign.status === 'active' && campaign.emails_sent > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Cannot edit template of campaign that has already sent emails'
+                });
+            }
+
+            const campaignTemplate = await templateLibraryService.copyToCampaign(template, campaignId, userId);
+
+            return res.json({
+                success: true,
+                message: `Template "${template.name}" copied to campaign`,
+                data: {
+                    template: campaignTemplate
+                }
+            });
+
+        } catch (error) {
+            console.error('Copy library template error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to copy template to campaign'
+            });
+        } finally {
+            client.release();
+        }
+    }
+}
+
+/**
+ * Validate optional template fields, returning an error response body or null
+ */
+function validateTemplateFields({ subject, bodyHtml, bodyText, category, tags, sampleData }) {
+    if (category !== undefined && category !== null && (typeof category !== 'string' || category.length > 100)) {
+        return { success: false, message: 'category must be a string of at most 100 characters' };
+    }
+
+    if (tags !== undefined && (!Array.isArray(tags) || tags.length > 20 || tags.some(tag => typeof tag !== 'string' || !tag.trim() || tag.length > 50))) {
+        return { success: false, message: 'tags must be an array of up to 20 non-empty strings' };
+    }
+
+    if (sampleData !== undefined && sampleData !== null && (typeof sampleData !== 'object' || Array.isArray(sampleData))) {
+        return { success: false, message: 'sampleData must be an object' };
+    }
+
+    const templateErrors = templateEngine.validate({ subject, bodyHtml, bodyText });
+    if (templateErrors.length > 0) {
+        return { success: false, message: 'Template has errors', data: { errors: templateErrors } };
+    }
+
+    return null;
+}
+
+/**
+ * Trim, lowercase and de-duplicate tags
+ */
+function normalizeTags(tags) {
+    return [...new Set((tags || []).map(tag => tag.trim().toLowerCase()))];
+}
+
+module.exports = new TemplateLibraryController();
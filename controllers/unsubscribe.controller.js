@@ -0,0 +1,119 @@
+const unsubscribeService = require('../services/unsubscribeService');
+const emailJobService = require('../services/emailJobService');
+
+/**
+ * Unsubscribe Controller - Public opt-out pages for campaign recipients
+ * Tokens are signed per campaign lead, so these routes need no authentication
+ */
+class UnsubscribeController {
+
+    /**
+     * Show the unsubscribe confirmation page
+     * GET /api/campaigns/unsubscribe/:token
+     */
+    async showUnsubscribePage(req, res) {
+        try {
+            const campaignLeadId = unsubscribeService.verifyToken(req.params.token);
+            if (!campaignLeadId) {
+                return sendPage(res, 400, 'Invalid link', 'This unsubscribe link is invalid or has been altered.');
+            }
+
+            const recipient = await unsubscribeService.getRecipient(campaignLeadId);
+            if (!recipient) {
+                return sendPage(res, 404, 'Link expired', 'We could not find this subscription. You will not receive further emails from this campaign.');
+            }
+
+            if (recipient.isUnsubscribed) {
+                return sendPage(res, 200, 'Already unsubscribed', `${escapeHtml(recipient.email)} is already unsubscribed from ${escapeHtml(recipient.organizationName)}.`);
+            }
+
+            return sendPage(res, 200, 'Unsubscribe', `
+                <p>Stop receiving emails from ${escapeHtml(recipient.organizationName)} at ${escapeHtml(recipient.email)}?</p>
+                <form method="POST" action="">
+                    <button type="submit">Unsubscribe</button>
+                </form>
+            `);
+
+        } catch (error) {
+            console.error('Show unsubscribe page error:', error);
+            return sendPage(res, 500, 'Something went wrong', 'Please try again later.');
+        }
+    }
+
+    /**
+     * Unsubscribe a recipient (confirmation form or RFC 8058 one-click POST)
+     * POST /api/campaigns/unsubscribe/:token
+     */
+    async processUnsubscribe(req, res) {
+        try {
+            const campaignLeadId = unsubscribeService.verifyToken(req.params.token);
+            if (!campaignLeadId) {
+                return sendPage(res, 400, 'Invalid link', 'This unsubscribe link is invalid or has been altered.');
+            }
+
+            // Mail clients send "List-Unsubscribe=One-Click" as the form body
+            const isOneClick = req.body && req.body['List-Unsubscribe'] === 'One-Click';
+
+            const recipient = await unsubscribeService.unsubscribe(campaignLeadId, {
+                method: isOneClick ? 'one-click' : 'link'
+            });
+
+            if (!recipient) {
+                return sendPage(res, 404, 'Link expired', 'We could not find this subscription. You will not receive further emails from this campaign.');
+            }
+
+            // Cancel any follow-ups still queued for this lead
+            await emailJobService.stopSequenceForLead(campaignLeadId, 'unsubscribed');
+
+            return sendPage(res, 200, 'You have been unsubscribed', `${escapeHtml(recipient.email)} will no longer receive emails from ${escapeHtml(recipient.organizationName)}.`);
+
+        } catch (error) {
+            console.error('Process unsubscribe error:', error);
+            return sendPage(res, 500, 'Something went wrong', 'We could not process your request. Please try again later.');
+        }
+    }
+}
+
+/**
+ * Render a minimal standalone HTML page
+ */
+function sendPage(res, status, title, body) {
+    const content = body.trim().startsWith('<') ? body : `<p>${body}</p>`;
+
+    res.status(status);
+    res.set('Content-Type', 'text/html; charset=utf-8');
+    res.set('Cache-Control', 'no-store');
+    return res.send(`<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <title>${title}</title>
+    <style>
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; background: #f6f7f9; color: #1f2933; }
+        main { max-width: 480px; margin: 80px auto; padding: 32px; background: #fff; border-radius: 8px; box-shadow: 0 1px 3px rgba(0, 0, 0, 0.1); }
+        button { padding: 10px 20px; border: 0; border-radius: 4px; background: #1f2933; color: #fff; font-size: 15px; cursor: pointer; }
+    </style>
+</head>
+<body>
+    <main>
+        <h1>${title}</h1>
+        ${content}
+    </main>
+</body>
+</html>`);
+}
+
+/**
+ * Escape user data for HTML output
+ */
+function escapeHtml(value) {
+    return String(value || '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+module.exports = new UnsubscribeController();
@@ -0,0 +1,91 @@
+-- Migration: Add Campaign A/B Tests
+-- Description: A campaign (or a sequence step) can have several content variants with a traffic
+--              split. Each lead and job records the variant it got. An optional winner mode sends
+--              to a test slice first, then sends the best variant (by open, click or reply rate)
+--              to the held-back leads after a set number of hours.
+-- Date: 2026
+-- Version: 1.0
+
+BEGIN;
+
+-- Content variants per campaign step (step 1 is the first email of any campaign)
+CREATE TABLE IF NOT EXISTS campaign_variants (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    campaign_id UUID NOT NULL REFERENCES campaigns(id) ON DELETE CASCADE,
+    step_number INTEGER NOT NULL DEFAULT 1 CHECK (step_number >= 1),
+    label VARCHAR(10) NOT NULL,
+    name VARCHAR(255),
+    subject TEXT NOT NULL,
+    body_html TEXT,
+    body_text TEXT,
+    weight INTEGER NOT NULL DEFAULT 50 CHECK (weight > 0),
+    is_active BOOLEAN DEFAULT true,
+    is_winner BOOLEAN DEFAULT false,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+    UNIQUE(campaign_id, step_number, label)
+);
+
+CREATE INDEX IF NOT EXISTS idx_campaign_variants_campaign ON campaign_variants(campaign_id, step_number) WHERE is_active = true;
+
+-- Winner mode settings and state (one test per campaign, on the first email)
+CREATE TABLE IF NOT EXISTS campaign_ab_tests (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    campaign_id UUID NOT NULL UNIQUE REFERENCES campaigns(id) ON DELETE CASCADE,
+    winner_metric VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (winner_metric IN ('open', 'click', 'reply')),
+    test_percent INTEGER NOT NULL DEFAULT 20 CHECK (test_percent BETWEEN 1 AND 99),
+    decide_after_hours INTEGER NOT NULL DEFAULT 4 CHECK (decide_after_hours >= 1),
+    status VARCHAR(20) NOT NULL DEFAULT 'draft' CHECK (status IN ('draft', 'testing', 'decided')),
+    decide_at TIMESTAMPTZ,
+    decided_at TIMESTAMPTZ,
+    winner_variant_id UUID REFERENCES campaign_variants(id) ON DELETE SET NULL,
+    results JSONB,
+    rate_limit INTEGER,
+    launched_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_campaign_ab_tests_due ON campaign_ab_tests(decide_at) WHERE status = 'testing';
+
+-- The variant each lead and job got
+ALTER TABLE campaign_leads ADD COLUMN IF NOT EXISTS variant_id UUID REFERENCES campaign_variants(id) ON DELETE SET NULL;
+ALTER TABLE campaign_leads ADD COLUMN IF NOT EXISTS ab_holdout BOOLEAN DEFAULT false;
+ALTER TABLE email_jobs ADD COLUMN IF NOT EXISTS variant_id UUID REFERENCES campaign_variants(id) ON DELETE SET NULL;
+
+-- Opens and clicks of each sent message, so variant results count the message that earned them
+ALTER TABLE email_jobs ADD COLUMN IF NOT EXISTS opened_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE email_jobs ADD COLUMN IF NOT EXISTS clicked_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_campaign_leads_variant ON campaign_leads(variant_id) WHERE variant_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_campaign_leads_holdout ON campaign_leads(campaign_id) WHERE ab_holdout = true;
+CREATE INDEX IF NOT EXISTS idx_email_jobs_variant ON email_jobs(variant_id) WHERE variant_id IS NOT NULL;
+
+-- Update timestamp triggers
+CREATE OR REPLACE TRIGGER update_campaign_variants_updated_at
+    BEFORE UPDATE ON campaign_variants
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+CREATE OR REPLACE TRIGGER update_campaign_ab_tests_updated_at
+    BEFORE UPDATE ON campaign_ab_tests
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Comments for documentation
+COMMENT ON TABLE campaign_variants IS 'A/B content variants of a campaign step; when a step has variants they replace its template';
+COMMENT ON COLUMN campaign_variants.weight IS 'Relative share of leads that get this variant';
+COMMENT ON COLUMN campaign_variants.is_winner IS 'Picked as the winner of the campaign''s A/B test';
+COMMENT ON TABLE campaign_ab_tests IS 'Winner mode: send to a test slice, then the best variant to everyone else';
+COMMENT ON COLUMN campaign_ab_tests.test_percent IS 'Percent of leads in the test slice; the rest wait for the winner';
+COMMENT ON COLUMN campaign_ab_tests.decide_at IS 'When the winner is picked (test start plus decide_after_hours)';
+COMMENT ON COLUMN campaign_ab_tests.results IS 'Per-variant rates when the winner was picked';
+COMMENT ON COLUMN campaign_leads.variant_id IS 'Variant of the first email this lead got';
+COMMENT ON COLUMN campaign_leads.ab_holdout IS 'Lead is waiting for the A/B test winner';
+COMMENT ON COLUMN email_jobs.variant_id IS 'Variant this job was rendered from';
+COMMENT ON COLUMN email_jobs.opened_at IS 'First open tracked while this was the latest email sent to the lead';
+COMMENT ON COLUMN email_jobs.clicked_at IS 'First click tracked while this was the latest email sent to the lead';
+
+COMMIT;
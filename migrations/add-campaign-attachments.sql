@@ -0,0 +1,29 @@
+-- Migration: Add Campaign Attachments
+-- Description: Files attached to a campaign's emails, sent with every email or with one sequence
+--              step. Files with a content ID are inline images the HTML references as cid:...
+-- Date: 2026
+-- Version: 1.0
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS campaign_attachments (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    campaign_id UUID NOT NULL REFERENCES campaigns(id) ON DELETE CASCADE,
+    step_number INTEGER CHECK (step_number >= 1),
+    filename VARCHAR(255) NOT NULL,
+    content_type VARCHAR(255) NOT NULL DEFAULT 'application/octet-stream',
+    content_id VARCHAR(200),
+    size_bytes INTEGER NOT NULL,
+    content BYTEA NOT NULL,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_campaign_attachments_campaign ON campaign_attachments(campaign_id, step_number);
+
+-- Comments for documentation
+COMMENT ON TABLE campaign_attachments IS 'Files attached to campaign emails';
+COMMENT ON COLUMN campaign_attachments.step_number IS 'Sequence step the file is sent with (NULL for every email)';
+COMMENT ON COLUMN campaign_attachments.content_id IS 'Content-ID of an inline image referenced from the HTML as cid:<content_id>';
+
+COMMIT;
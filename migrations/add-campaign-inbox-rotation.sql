@@ -0,0 +1,52 @@
+-- Migration: Add Campaign Inbox Rotation
+-- Description: Several connected mailboxes can send for one campaign. Leads are spread across
+--              them round-robin or by each mailbox's remaining daily capacity, and every lead
+--              stays on the mailbox that sent its first email.
+-- Date: 2026
+-- Version: 1.0
+
+BEGIN;
+
+-- Mailboxes attached to a campaign
+CREATE TABLE IF NOT EXISTS campaign_email_accounts (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    campaign_id UUID NOT NULL REFERENCES campaigns(id) ON DELETE CASCADE,
+    email_account_id UUID NOT NULL REFERENCES email_accounts(id) ON DELETE CASCADE,
+
+    -- Emails per day this mailbox should send (used for capacity weighting)
+    daily_limit INTEGER DEFAULT 50 CHECK (daily_limit > 0),
+
+    -- Inactive mailboxes get no new leads but keep sending follow-ups for their leads
+    is_active BOOLEAN DEFAULT true,
+
+    created_by UUID REFERENCES users(id),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    UNIQUE(campaign_id, email_account_id)
+);
+
+-- How new leads are spread over the campaign's mailboxes
+ALTER TABLE campaigns ADD COLUMN IF NOT EXISTS inbox_rotation VARCHAR(20) DEFAULT 'round_robin';
+ALTER TABLE campaigns DROP CONSTRAINT IF EXISTS campaigns_inbox_rotation_check;
+ALTER TABLE campaigns ADD CONSTRAINT campaigns_inbox_rotation_check
+    CHECK (inbox_rotation IN ('round_robin', 'capacity'));
+
+-- The mailbox a lead is assigned to (sticky for all follow-ups)
+ALTER TABLE campaign_leads ADD COLUMN IF NOT EXISTS email_account_id UUID REFERENCES email_accounts(id) ON DELETE SET NULL;
+
+-- The mailbox a job sends from
+ALTER TABLE email_jobs ADD COLUMN IF NOT EXISTS email_account_id UUID REFERENCES email_accounts(id) ON DELETE SET NULL;
+
+-- Performance indexes
+CREATE INDEX IF NOT EXISTS idx_campaign_email_accounts_campaign ON campaign_email_accounts(campaign_id) WHERE is_active = true;
+CREATE INDEX IF NOT EXISTS idx_campaign_leads_email_account ON campaign_leads(email_account_id) WHERE email_account_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_email_sends_account_sent_at ON email_sends(email_account_id, sent_at);
+
+-- Comments for documentation
+COMMENT ON TABLE campaign_email_accounts IS 'Mailboxes a campaign rotates its sends across';
+COMMENT ON COLUMN campaigns.inbox_rotation IS 'How leads are spread across mailboxes: round_robin or capacity (remaining daily capacity)';
+COMMENT ON COLUMN campaign_leads.email_account_id IS 'Mailbox assigned to this lead; all steps of the sequence are sent from it';
+COMMENT ON COLUMN email_jobs.email_account_id IS 'Mailbox this job is sent from (NULL falls back to the campaign from_email account)';
+
+COMMIT;
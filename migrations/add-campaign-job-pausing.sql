@@ -0,0 +1,27 @@
+-- Migration: Add Campaign Job Pausing
+-- Description: Pausing a campaign holds its queued email jobs ('paused') instead of letting the
+--              processor keep sending them. Resuming puts them back in the queue and shifts
+--              jobs that came due while paused by the length of the pause.
+-- Date: 2026
+-- Version: 1.0
+
+BEGIN;
+
+-- Allow 'paused' as an email job status
+ALTER TABLE email_jobs DROP CONSTRAINT IF EXISTS email_jobs_status_check;
+ALTER TABLE email_jobs ADD CONSTRAINT email_jobs_status_check
+    CHECK (status IN ('pending', 'processing', 'sent', 'failed', 'cancelled', 'paused'));
+
+-- When the job was paused, used to shift its send time on resume
+ALTER TABLE email_jobs ADD COLUMN IF NOT EXISTS paused_at TIMESTAMPTZ;
+
+-- Pause/resume look up a campaign's held jobs
+CREATE INDEX IF NOT EXISTS idx_email_jobs_campaign_paused
+ON email_jobs(campaign_id)
+WHERE status = 'paused';
+
+-- Comments for documentation
+COMMENT ON COLUMN email_jobs.status IS 'Job status: pending, processing, sent, failed, cancelled, paused (held while the campaign is paused)';
+COMMENT ON COLUMN email_jobs.paused_at IS 'When the job was paused with its campaign; cleared on resume';
+
+COMMIT;
@@ -0,0 +1,45 @@
+-- Migration: Add Campaign Lifecycle
+-- Description: Campaigns follow a state machine (draft -> scheduled -> active -> paused -> completed
+--              -> archived). Launching for a later date makes a campaign 'scheduled', a background
+--              check activates it when its start time comes and completes it once every job and
+--              sequence has finished. Every status change is recorded in campaign_status_events.
+-- Date: 2026
+-- Version: 1.0
+
+BEGIN;
+
+-- Allow 'scheduled' as a campaign status
+ALTER TABLE campaigns DROP CONSTRAINT IF EXISTS campaigns_status_check;
+ALTER TABLE campaigns ADD CONSTRAINT campaigns_status_check
+    CHECK (status IN ('draft', 'scheduled', 'active', 'paused', 'completed', 'archived'));
+
+-- When the campaign finished
+ALTER TABLE campaigns ADD COLUMN IF NOT EXISTS completed_at TIMESTAMPTZ;
+
+-- Status change history
+CREATE TABLE IF NOT EXISTS campaign_status_events (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    campaign_id UUID NOT NULL REFERENCES campaigns(id) ON DELETE CASCADE,
+    from_status VARCHAR(50),
+    to_status VARCHAR(50) NOT NULL,
+    reason VARCHAR(100),
+    changed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    metadata JSONB DEFAULT '{}',
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_campaign_status_events_campaign ON campaign_status_events(campaign_id, created_at DESC);
+
+-- The lifecycle check looks for scheduled and active campaigns
+CREATE INDEX IF NOT EXISTS idx_campaigns_lifecycle
+ON campaigns(status, scheduled_at)
+WHERE status IN ('scheduled', 'active');
+
+-- Comments for documentation
+COMMENT ON COLUMN campaigns.status IS 'Campaign status: draft, scheduled, active, paused, completed, archived';
+COMMENT ON COLUMN campaigns.completed_at IS 'When the campaign was completed (automatically or by a user)';
+COMMENT ON TABLE campaign_status_events IS 'History of campaign status transitions';
+COMMENT ON COLUMN campaign_status_events.reason IS 'Why the status changed, e.g. user, launched, schedule_started, all_jobs_finished';
+COMMENT ON COLUMN campaign_status_events.changed_by IS 'User who changed the status (NULL for automatic transitions)';
+
+COMMIT;
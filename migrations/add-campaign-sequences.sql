@@ -0,0 +1,65 @@
+-- Migration: Add Multi-Step Campaign Sequences
+-- Description: Ordered follow-up steps for campaigns of type 'sequence'.
+--              Each step is scheduled by EmailJobService after the previous step is sent
+--              and stops for a lead once they reply, bounce or unsubscribe.
+-- Date: 2026
+-- Version: 1.0
+
+BEGIN;
+
+-- Sequence steps - one row per touch in a sequence campaign
+CREATE TABLE IF NOT EXISTS campaign_sequence_steps (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    campaign_id UUID NOT NULL REFERENCES campaigns(id) ON DELETE CASCADE,
+
+    -- Ordering and timing (delay is measured from the previous step's send time)
+    step_number INTEGER NOT NULL CHECK (step_number >= 1),
+    delay_days INTEGER DEFAULT 0 CHECK (delay_days >= 0),
+    delay_hours INTEGER DEFAULT 0 CHECK (delay_hours >= 0 AND delay_hours < 24),
+
+    -- Step content
+    subject VARCHAR(500) NOT NULL,
+    body_html TEXT,
+    body_text TEXT,
+
+    -- Step settings
+    is_active BOOLEAN DEFAULT true,
+
+    created_by UUID REFERENCES users(id),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    -- One row per step number per campaign
+    UNIQUE(campaign_id, step_number)
+);
+
+-- Link every job back to the campaign lead and the step it belongs to
+ALTER TABLE email_jobs ADD COLUMN IF NOT EXISTS campaign_lead_id UUID REFERENCES campaign_leads(id) ON DELETE CASCADE;
+ALTER TABLE email_jobs ADD COLUMN IF NOT EXISTS sequence_step INTEGER DEFAULT 1;
+
+-- Track sequence progress per campaign lead
+ALTER TABLE campaign_leads ADD COLUMN IF NOT EXISTS current_step INTEGER DEFAULT 0;
+ALTER TABLE campaign_leads ADD COLUMN IF NOT EXISTS sequence_completed_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE campaign_leads ADD COLUMN IF NOT EXISTS sequence_stopped_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE campaign_leads ADD COLUMN IF NOT EXISTS sequence_stop_reason VARCHAR(50);
+
+-- Performance indexes
+CREATE INDEX IF NOT EXISTS idx_campaign_sequence_steps_campaign ON campaign_sequence_steps(campaign_id, step_number);
+CREATE INDEX IF NOT EXISTS idx_email_jobs_campaign_lead ON email_jobs(campaign_lead_id, status);
+
+-- Update timestamp trigger
+CREATE OR REPLACE TRIGGER update_campaign_sequence_steps_updated_at
+    BEFORE UPDATE ON campaign_sequence_steps
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Comments for documentation
+COMMENT ON TABLE campaign_sequence_steps IS 'Ordered follow-up steps for sequence campaigns';
+COMMENT ON COLUMN campaign_sequence_steps.delay_days IS 'Days to wait after the previous step was sent';
+COMMENT ON COLUMN campaign_sequence_steps.delay_hours IS 'Additional hours to wait after the previous step was sent';
+COMMENT ON COLUMN email_jobs.campaign_lead_id IS 'Campaign lead this job was created for';
+COMMENT ON COLUMN email_jobs.sequence_step IS 'Sequence step number this job sends (1 for single campaigns)';
+COMMENT ON COLUMN campaign_leads.current_step IS 'Last sequence step sent to this lead';
+COMMENT ON COLUMN campaign_leads.sequence_stop_reason IS 'Why the sequence stopped early: replied, bounced, unsubscribed, suppressed';
+
+COMMIT;
@@ -0,0 +1,45 @@
+-- Migration: Add Email Bounce Processing
+-- Description: Stores delivery status notifications (DSNs) read by BounceProcessor from
+--              the sending mailboxes. Hard bounces are also added to suppression_lists.
+-- Date: 2026
+-- Version: 1.0
+
+BEGIN;
+
+-- Parsed bounce notifications
+CREATE TABLE IF NOT EXISTS email_bounces (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE,
+    email_account_id UUID NOT NULL REFERENCES email_accounts(id) ON DELETE CASCADE,
+
+    -- Matched original send (NULL when the DSN could not be matched)
+    campaign_id UUID REFERENCES campaigns(id) ON DELETE SET NULL,
+    campaign_lead_id UUID REFERENCES campaign_leads(id) ON DELETE SET NULL,
+    email_send_id UUID REFERENCES email_sends(id) ON DELETE SET NULL,
+    email_job_id UUID REFERENCES email_jobs(id) ON DELETE SET NULL,
+
+    -- DSN details
+    provider_message_id VARCHAR(255) NOT NULL, -- Gmail message ID of the DSN
+    recipient_email VARCHAR(255),
+    bounce_type VARCHAR(20) NOT NULL CHECK (bounce_type IN ('hard', 'soft', 'unknown')),
+    status_code VARCHAR(20), -- e.g. 5.1.1
+    diagnostic_code TEXT,
+    received_at TIMESTAMP WITH TIME ZONE,
+
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    -- Each DSN is processed once
+    UNIQUE(email_account_id, provider_message_id)
+);
+
+-- Performance indexes
+CREATE INDEX IF NOT EXISTS idx_email_bounces_campaign ON email_bounces(campaign_id);
+CREATE INDEX IF NOT EXISTS idx_email_bounces_recipient ON email_bounces(recipient_email);
+CREATE INDEX IF NOT EXISTS idx_email_sends_thread ON email_sends(email_account_id, thread_id);
+
+-- Comments for documentation
+COMMENT ON TABLE email_bounces IS 'Bounce notifications parsed from mailer-daemon DSN messages';
+COMMENT ON COLUMN email_bounces.bounce_type IS 'hard (5.x.x permanent failure), soft (4.x.x transient failure) or unknown';
+COMMENT ON COLUMN email_bounces.status_code IS 'RFC 3463 enhanced status code from the DSN';
+
+COMMIT;
@@ -0,0 +1,47 @@
+-- Migration: Add Email Reply Detection
+-- Description: Stores inbound replies found by ReplyDetectionService when it polls
+--              the Gmail threads of sent campaign emails.
+-- Date: 2026
+-- Version: 1.0
+
+BEGIN;
+
+-- Inbound replies to campaign emails
+CREATE TABLE IF NOT EXISTS email_replies (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+    campaign_id UUID REFERENCES campaigns(id) ON DELETE CASCADE,
+    campaign_lead_id UUID REFERENCES campaign_leads(id) ON DELETE SET NULL,
+    lead_id UUID REFERENCES leads(id) ON DELETE SET NULL,
+    email_send_id UUID REFERENCES email_sends(id) ON DELETE SET NULL,
+    email_account_id UUID REFERENCES email_accounts(id) ON DELETE SET NULL,
+
+    -- Reply message details
+    provider_message_id VARCHAR(255) NOT NULL, -- Gmail message ID of the reply
+    thread_id VARCHAR(255),
+    from_email VARCHAR(255) NOT NULL,
+    subject TEXT,
+    snippet TEXT,
+    received_at TIMESTAMP WITH TIME ZONE NOT NULL,
+
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    -- A reply is only recorded once
+    UNIQUE(email_account_id, provider_message_id)
+);
+
+-- Track when each sent email's thread was last checked so polling can rotate through them
+ALTER TABLE email_sends ADD COLUMN IF NOT EXISTS last_reply_check_at TIMESTAMP WITH TIME ZONE;
+
+-- Performance indexes
+CREATE INDEX IF NOT EXISTS idx_email_replies_campaign ON email_replies(campaign_id, received_at DESC);
+CREATE INDEX IF NOT EXISTS idx_email_replies_campaign_lead ON email_replies(campaign_lead_id);
+CREATE INDEX IF NOT EXISTS idx_email_sends_reply_check ON email_sends(email_account_id, last_reply_check_at)
+    WHERE replied_at IS NULL AND thread_id IS NOT NULL;
+
+-- Comments for documentation
+COMMENT ON TABLE email_replies IS 'Inbound replies to campaign emails detected by thread polling';
+COMMENT ON COLUMN email_replies.provider_message_id IS 'Provider message ID of the reply (Gmail message ID)';
+COMMENT ON COLUMN email_sends.last_reply_check_at IS 'When the thread of this send was last polled for replies';
+
+COMMIT;
@@ -0,0 +1,32 @@
+-- Migration: Add Email Threading
+-- Description: Follow-up steps reply in the thread of the lead's earlier emails. Gmail's RFC 822
+--              Message-ID of every send is kept, and each follow-up job carries the thread,
+--              In-Reply-To and References it is sent with. A step can also use a "Re:" subject.
+-- Date: 2026
+-- Version: 1.0
+
+BEGIN;
+
+-- Per-step threading settings
+ALTER TABLE campaign_sequence_steps ADD COLUMN IF NOT EXISTS thread_with_previous BOOLEAN DEFAULT true;
+ALTER TABLE campaign_sequence_steps ADD COLUMN IF NOT EXISTS reply_subject BOOLEAN DEFAULT false;
+
+-- RFC 822 Message-ID of each sent email (message_id is Gmail's own API ID)
+ALTER TABLE email_sends ADD COLUMN IF NOT EXISTS rfc_message_id TEXT;
+ALTER TABLE email_jobs ADD COLUMN IF NOT EXISTS rfc_message_id TEXT;
+
+-- Thread a follow-up job replies in (thread_id is set before sending for follow-ups)
+ALTER TABLE email_jobs ADD COLUMN IF NOT EXISTS in_reply_to TEXT;
+ALTER TABLE email_jobs ADD COLUMN IF NOT EXISTS references_header TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_email_sends_rfc_message_id ON email_sends(rfc_message_id) WHERE rfc_message_id IS NOT NULL;
+
+-- Comments for documentation
+COMMENT ON COLUMN campaign_sequence_steps.thread_with_previous IS 'Send this step as a reply in the thread of the lead''s previous email';
+COMMENT ON COLUMN campaign_sequence_steps.reply_subject IS 'Use "Re: <subject of the thread>" instead of the step''s own subject';
+COMMENT ON COLUMN email_sends.rfc_message_id IS 'RFC 822 Message-ID header of the sent email';
+COMMENT ON COLUMN email_jobs.rfc_message_id IS 'RFC 822 Message-ID header of the sent email';
+COMMENT ON COLUMN email_jobs.in_reply_to IS 'In-Reply-To header: Message-ID of the email this follow-up replies to';
+COMMENT ON COLUMN email_jobs.references_header IS 'References header: Message-IDs of the earlier emails in the thread';
+
+COMMIT;
@@ -0,0 +1,40 @@
+-- Migration: Add Per-Mailbox Sending Limits and Warm-up
+-- Description: Daily and hourly caps for each connected mailbox, plus an optional warm-up ramp
+--              (start volume, daily increment, ceiling) so new mailboxes start small and grow.
+--              The email job processor defers jobs once a mailbox has used its allowance.
+-- Date: 2026
+-- Version: 1.0
+
+BEGIN;
+
+-- Hard caps per mailbox (rolling hour / rolling 24 hours). NULL means no cap, so mailboxes
+-- that already exist keep sending as before; new mailboxes get their caps from the app.
+ALTER TABLE email_accounts ADD COLUMN IF NOT EXISTS daily_send_limit INTEGER;
+ALTER TABLE email_accounts ADD COLUMN IF NOT EXISTS hourly_send_limit INTEGER;
+
+-- Warm-up ramp: allowance on day N is start + N * increment, up to the ceiling
+ALTER TABLE email_accounts ADD COLUMN IF NOT EXISTS warmup_enabled BOOLEAN DEFAULT false;
+ALTER TABLE email_accounts ADD COLUMN IF NOT EXISTS warmup_started_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE email_accounts ADD COLUMN IF NOT EXISTS warmup_start_volume INTEGER DEFAULT 5;
+ALTER TABLE email_accounts ADD COLUMN IF NOT EXISTS warmup_daily_increment INTEGER DEFAULT 2;
+ALTER TABLE email_accounts ADD COLUMN IF NOT EXISTS warmup_max_volume INTEGER DEFAULT 50;
+
+ALTER TABLE email_accounts DROP CONSTRAINT IF EXISTS email_accounts_send_limits_check;
+ALTER TABLE email_accounts ADD CONSTRAINT email_accounts_send_limits_check CHECK (
+    daily_send_limit > 0
+    AND hourly_send_limit > 0
+    AND warmup_start_volume > 0
+    AND warmup_daily_increment >= 0
+    AND warmup_max_volume >= warmup_start_volume
+);
+
+-- Comments for documentation
+COMMENT ON COLUMN email_accounts.daily_send_limit IS 'Max emails this mailbox sends in any 24 hours (NULL = no cap)';
+COMMENT ON COLUMN email_accounts.hourly_send_limit IS 'Max emails this mailbox sends in any hour (NULL = no cap)';
+COMMENT ON COLUMN email_accounts.warmup_enabled IS 'When true, the daily allowance follows the warm-up ramp (never above daily_send_limit)';
+COMMENT ON COLUMN email_accounts.warmup_started_at IS 'Day 0 of the warm-up ramp';
+COMMENT ON COLUMN email_accounts.warmup_start_volume IS 'Emails allowed on the first warm-up day';
+COMMENT ON COLUMN email_accounts.warmup_daily_increment IS 'Extra emails allowed each warm-up day';
+COMMENT ON COLUMN email_accounts.warmup_max_volume IS 'Warm-up ceiling; warm-up is complete once the ramp reaches it';
+
+COMMIT;
@@ -0,0 +1,39 @@
+-- Migration: Add Mailbox Token Refresh
+-- Description: OAuth tokens are refreshed ahead of token_expires_at by a background job. When a
+--              refresh fails for good the mailbox is marked 'expired' or 'revoked' with the reason,
+--              and its queued email jobs are held ('held') until the mailbox is reconnected,
+--              instead of each one failing through its retries.
+-- Date: 2026
+-- Version: 1.0
+
+BEGIN;
+
+-- Why a mailbox stopped being active, shown so the user knows to reconnect it
+ALTER TABLE email_accounts ADD COLUMN IF NOT EXISTS status_reason TEXT;
+ALTER TABLE email_accounts ADD COLUMN IF NOT EXISTS status_changed_at TIMESTAMPTZ;
+
+-- Allow 'held' as an email job status
+ALTER TABLE email_jobs DROP CONSTRAINT IF EXISTS email_jobs_status_check;
+ALTER TABLE email_jobs ADD CONSTRAINT email_jobs_status_check
+    CHECK (status IN ('pending', 'processing', 'sent', 'failed', 'cancelled', 'paused', 'held'));
+
+-- When the job was held for its mailbox
+ALTER TABLE email_jobs ADD COLUMN IF NOT EXISTS held_at TIMESTAMPTZ;
+
+-- The refresh job looks for active mailboxes whose tokens expire soon
+CREATE INDEX IF NOT EXISTS idx_email_accounts_token_expiry
+ON email_accounts(token_expires_at)
+WHERE status = 'active';
+
+-- Reconnecting a mailbox releases its held jobs
+CREATE INDEX IF NOT EXISTS idx_email_jobs_account_held
+ON email_jobs(email_account_id)
+WHERE status = 'held';
+
+-- Comments for documentation
+COMMENT ON COLUMN email_accounts.status_reason IS 'Why the mailbox is expired, revoked or in error (e.g. the provider''s token error); NULL when active';
+COMMENT ON COLUMN email_accounts.status_changed_at IS 'When status last changed to expired, revoked or error';
+COMMENT ON COLUMN email_jobs.status IS 'Job status: pending, processing, sent, failed, cancelled, paused (held while the campaign is paused), held (waiting for its mailbox to be reconnected)';
+COMMENT ON COLUMN email_jobs.held_at IS 'When the job was held because its mailbox stopped working; cleared on release';
+
+COMMIT;
@@ -0,0 +1,64 @@
+-- Migration: Add Sending Calendars
+-- Description: Per-organization calendars of allowed weekdays and blackout dates (typed in or
+--              imported from iCal). Scheduled sends, the job processor and business-day
+--              sequence delays all skip days the campaign's calendar does not allow.
+-- Date: 2026
+-- Version: 1.0
+
+BEGIN;
+
+-- Sending calendars - which days an organization's campaigns may send on
+CREATE TABLE IF NOT EXISTS sending_calendars (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+
+    name VARCHAR(255) NOT NULL,
+    description TEXT,
+
+    -- ISO weekdays: 1 = Monday ... 7 = Sunday
+    allowed_weekdays SMALLINT[] NOT NULL DEFAULT '{1,2,3,4,5}',
+
+    -- Used by campaigns that don't pick a calendar
+    is_default BOOLEAN DEFAULT false,
+
+    created_by UUID REFERENCES users(id),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    UNIQUE(organization_id, name),
+    CHECK (allowed_weekdays <@ ARRAY[1,2,3,4,5,6,7]::SMALLINT[] AND cardinality(allowed_weekdays) > 0)
+);
+
+-- Blackout dates - days a calendar never sends on (holidays, office closures)
+CREATE TABLE IF NOT EXISTS sending_calendar_blackout_dates (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    calendar_id UUID NOT NULL REFERENCES sending_calendars(id) ON DELETE CASCADE,
+
+    blackout_date DATE NOT NULL,
+    description VARCHAR(255),
+    source VARCHAR(20) DEFAULT 'manual' CHECK (source IN ('manual', 'ical')),
+
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    UNIQUE(calendar_id, blackout_date)
+);
+
+-- Campaigns pick a calendar (falls back to the organization's default calendar)
+ALTER TABLE campaigns ADD COLUMN IF NOT EXISTS sending_calendar_id UUID REFERENCES sending_calendars(id) ON DELETE SET NULL;
+
+-- Sequence delays can count allowed sending days instead of calendar days
+ALTER TABLE campaign_sequence_steps ADD COLUMN IF NOT EXISTS delay_business_days BOOLEAN DEFAULT false;
+
+-- Performance indexes
+CREATE INDEX IF NOT EXISTS idx_sending_calendars_org ON sending_calendars(organization_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_sending_calendars_one_default ON sending_calendars(organization_id) WHERE is_default = true;
+CREATE INDEX IF NOT EXISTS idx_sending_calendar_blackout_dates_calendar ON sending_calendar_blackout_dates(calendar_id, blackout_date);
+
+-- Comments for documentation
+COMMENT ON TABLE sending_calendars IS 'Allowed sending weekdays and blackout dates per organization';
+COMMENT ON COLUMN sending_calendars.allowed_weekdays IS 'ISO weekdays campaigns may send on: 1 = Monday ... 7 = Sunday';
+COMMENT ON TABLE sending_calendar_blackout_dates IS 'Dates a sending calendar never sends on, in the recipient''s local date';
+COMMENT ON COLUMN campaigns.sending_calendar_id IS 'Sending calendar for this campaign; NULL uses the organization default (or sends every day)';
+COMMENT ON COLUMN campaign_sequence_steps.delay_business_days IS 'When true, delay_days counts only days the campaign calendar allows';
+
+COMMIT;
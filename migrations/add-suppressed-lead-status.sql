@@ -0,0 +1,21 @@
+-- Migration: Add Suppressed Campaign Lead Status
+-- Description: Campaign leads skipped at launch or cancelled at send time because the
+--              address is on the suppression list (or marked do-not-contact) are marked 'suppressed'.
+-- Date: 2026
+-- Version: 1.0
+
+BEGIN;
+
+-- Allow 'suppressed' as a campaign lead status. The list matches add-unsubscribe-tracking.sql,
+-- so the two migrations can run in either order; keep them in sync when adding a status.
+ALTER TABLE campaign_leads DROP CONSTRAINT IF EXISTS campaign_leads_status_check;
+ALTER TABLE campaign_leads ADD CONSTRAINT campaign_leads_status_check
+    CHECK (status IN ('pending', 'sent', 'delivered', 'opened', 'clicked', 'replied', 'bounced', 'failed', 'unsubscribed', 'suppressed'));
+
+-- Speeds up the case-insensitive suppression lookups done before every send
+CREATE INDEX IF NOT EXISTS idx_suppression_lists_org_email_lower ON suppression_lists(organization_id, LOWER(email));
+
+-- Comments for documentation
+COMMENT ON COLUMN campaign_leads.status IS 'Email status for this lead: pending, sent, delivered, opened, clicked, replied, bounced, failed, unsubscribed, suppressed';
+
+COMMIT;
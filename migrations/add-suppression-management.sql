@@ -0,0 +1,32 @@
+-- Migration: Add Suppression List Management
+-- Description: Audit trail for manual changes made through /api/suppressions and support
+--              for domain-level entries stored as '@domain.com' in suppression_lists.email.
+-- Date: 2026
+-- Version: 1.0
+
+BEGIN;
+
+-- Every add, import and removal is recorded here (removed entries keep their history)
+CREATE TABLE IF NOT EXISTS suppression_audit_log (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+
+    -- Entry details (email address or '@domain')
+    email VARCHAR(255) NOT NULL,
+    action VARCHAR(20) NOT NULL CHECK (action IN ('added', 'imported', 'removed')),
+    reason VARCHAR(100),
+    notes TEXT,
+
+    performed_by UUID REFERENCES users(id),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Performance indexes
+CREATE INDEX IF NOT EXISTS idx_suppression_audit_log_org ON suppression_audit_log(organization_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_suppression_audit_log_email ON suppression_audit_log(organization_id, email);
+
+-- Comments for documentation
+COMMENT ON TABLE suppression_audit_log IS 'History of manual suppression list changes';
+COMMENT ON COLUMN suppression_lists.email IS 'Suppressed email address, or @domain.com to suppress a whole domain';
+
+COMMIT;
@@ -0,0 +1,39 @@
+-- Migration: Add Organization Template Library
+-- Description: Turns email_templates into a template library shared by everyone in an
+--              organization. Library templates can be copied into a campaign, which counts
+--              as a use, and the campaign template remembers where it came from.
+-- Date: 2026
+-- Version: 1.0
+
+BEGIN;
+
+-- Library templates belong to an organization; user_id stays as the author
+ALTER TABLE email_templates ADD COLUMN IF NOT EXISTS organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE;
+ALTER TABLE email_templates ADD COLUMN IF NOT EXISTS last_used_at TIMESTAMP WITH TIME ZONE;
+
+-- Existing templates move to their author's organization
+UPDATE email_templates et
+SET organization_id = (
+    SELECT om.organization_id
+    FROM organization_members om
+    WHERE om.user_id = et.user_id AND om.status = 'active'
+    ORDER BY om.joined_at ASC NULLS LAST
+    LIMIT 1
+)
+WHERE et.organization_id IS NULL;
+
+-- Library template a campaign template was copied from
+ALTER TABLE campaign_templates ADD COLUMN IF NOT EXISTS source_template_id UUID REFERENCES email_templates(id) ON DELETE SET NULL;
+
+-- Performance indexes
+CREATE INDEX IF NOT EXISTS idx_email_templates_organization ON email_templates(organization_id, category) WHERE is_active = true;
+CREATE INDEX IF NOT EXISTS idx_email_templates_tags ON email_templates USING GIN(tags);
+CREATE INDEX IF NOT EXISTS idx_campaign_templates_source ON campaign_templates(source_template_id) WHERE source_template_id IS NOT NULL;
+
+-- Comments for documentation
+COMMENT ON COLUMN email_templates.organization_id IS 'Organization whose template library this template belongs to';
+COMMENT ON COLUMN email_templates.usage_count IS 'Number of times the template was copied into a campaign';
+COMMENT ON COLUMN email_templates.last_used_at IS 'When the template was last copied into a campaign';
+COMMENT ON COLUMN campaign_templates.source_template_id IS 'Library template this campaign template was copied from';
+
+COMMIT;
@@ -0,0 +1,81 @@
+-- Migration: Add Campaign Template Versions
+-- Description: Every save of a campaign template is kept as a numbered, immutable version with
+--              its author. Jobs and campaign leads point at the version they were rendered from,
+--              so we know which wording each lead received and can compare reply rates.
+-- Date: 2026
+-- Version: 1.0
+
+BEGIN;
+
+-- Version details on campaign_templates (each row is one version)
+ALTER TABLE campaign_templates ADD COLUMN IF NOT EXISTS version_number INTEGER;
+ALTER TABLE campaign_templates ADD COLUMN IF NOT EXISTS created_by UUID REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE campaign_templates ADD COLUMN IF NOT EXISTS restored_from_id UUID REFERENCES campaign_templates(id) ON DELETE SET NULL;
+
+-- Number existing rows in the order they were saved
+UPDATE campaign_templates ct
+SET version_number = numbered.version_number
+FROM (
+    SELECT id, ROW_NUMBER() OVER (PARTITION BY campaign_id ORDER BY created_at ASC, id ASC) as version_number
+    FROM campaign_templates
+) numbered
+WHERE ct.id = numbered.id AND ct.version_number IS NULL;
+
+ALTER TABLE campaign_templates ALTER COLUMN version_number SET NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_campaign_templates_version ON campaign_templates(campaign_id, version_number);
+
+-- The version each job and lead was rendered from
+ALTER TABLE email_jobs ADD COLUMN IF NOT EXISTS template_version_id UUID REFERENCES campaign_templates(id) ON DELETE SET NULL;
+ALTER TABLE campaign_leads ADD COLUMN IF NOT EXISTS template_version_id UUID REFERENCES campaign_templates(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_email_jobs_template_version ON email_jobs(template_version_id) WHERE template_version_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_campaign_leads_template_version ON campaign_leads(template_version_id) WHERE template_version_id IS NOT NULL;
+
+-- Number rows inserted without a version (the application assigns it under a campaign lock)
+CREATE OR REPLACE FUNCTION set_campaign_template_version()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.version_number IS NULL THEN
+        SELECT COALESCE(MAX(version_number), 0) + 1 INTO NEW.version_number
+        FROM campaign_templates
+        WHERE campaign_id = NEW.campaign_id;
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS campaign_templates_version_number ON campaign_templates;
+CREATE TRIGGER campaign_templates_version_number
+    BEFORE INSERT ON campaign_templates
+    FOR EACH ROW
+    EXECUTE FUNCTION set_campaign_template_version();
+
+-- Versions are immutable: only is_active may change after a version is saved
+CREATE OR REPLACE FUNCTION prevent_campaign_template_edits()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.subject IS DISTINCT FROM OLD.subject
+        OR NEW.body_html IS DISTINCT FROM OLD.body_html
+        OR NEW.body_text IS DISTINCT FROM OLD.body_text
+        OR NEW.name IS DISTINCT FROM OLD.name
+        OR NEW.version_number IS DISTINCT FROM OLD.version_number THEN
+        RAISE EXCEPTION 'Campaign template versions are immutable; save a new version instead';
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS campaign_templates_immutable ON campaign_templates;
+CREATE TRIGGER campaign_templates_immutable
+    BEFORE UPDATE ON campaign_templates
+    FOR EACH ROW
+    EXECUTE FUNCTION prevent_campaign_template_edits();
+
+-- Comments for documentation
+COMMENT ON COLUMN campaign_templates.version_number IS 'Version of the campaign template, starting at 1; the active row is the current version';
+COMMENT ON COLUMN campaign_templates.created_by IS 'User who saved this version';
+COMMENT ON COLUMN campaign_templates.restored_from_id IS 'Earlier version this version was rolled back to';
+COMMENT ON COLUMN email_jobs.template_version_id IS 'Campaign template version the job was rendered from (NULL for sequence steps)';
+COMMENT ON COLUMN campaign_leads.template_version_id IS 'Campaign template version the lead received';
+
+COMMIT;
@@ -0,0 +1,21 @@
+-- Migration: Add Unsubscribe Tracking
+-- Description: Lets campaign leads record an opt-out made through the signed unsubscribe
+--              link or the RFC 8058 one-click List-Unsubscribe header.
+-- Date: 2026
+-- Version: 1.0
+
+BEGIN;
+
+-- Allow 'unsubscribed' as a campaign lead status. The list matches add-suppressed-lead-status.sql
+-- (which adds 'suppressed'), so the two migrations can run in either order; keep them in sync.
+ALTER TABLE campaign_leads DROP CONSTRAINT IF EXISTS campaign_leads_status_check;
+ALTER TABLE campaign_leads ADD CONSTRAINT campaign_leads_status_check
+    CHECK (status IN ('pending', 'sent', 'delivered', 'opened', 'clicked', 'replied', 'bounced', 'failed', 'unsubscribed', 'suppressed'));
+
+ALTER TABLE campaign_leads ADD COLUMN IF NOT EXISTS unsubscribed_at TIMESTAMP WITH TIME ZONE;
+
+-- Comments for documentation
+COMMENT ON COLUMN campaign_leads.status IS 'Email status for this lead: pending, sent, delivered, opened, clicked, replied, bounced, failed, unsubscribed, suppressed';
+COMMENT ON COLUMN campaign_leads.unsubscribed_at IS 'When the lead unsubscribed from this campaign''s emails';
+
+COMMIT;
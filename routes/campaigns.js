@@ -2,12 +2,21 @@ const express = require('express');
 const router = express.Router();
 const campaignsController = require('../controllers/campaigns.controller');
 const campaignTemplatesController = require('../controllers/campaignTemplates.controller');
+const campaignSequencesController = require('../controllers/campaignSequences.controller');
+const campaignMailboxesController = require('../controllers/campaignMailboxes.controller');
+const campaignVariantsController = require('../controllers/campaignVariants.controller');
+const campaignAttachmentsController = require('../controllers/campaignAttachments.controller');
+const unsubscribeController = require('../controllers/unsubscribe.controller');
 const { authenticate } = require('../middleware/auth.middleware');
 
 // Public email tracking routes (no auth required)
 router.get('/track/open/:trackingId', campaignsController.trackEmailOpen);
 router.get('/track/click/:trackingId/:linkId', campaignsController.trackEmailClick);
 
+// Public unsubscribe routes (signed token, RFC 8058 one-click POST is form encoded)
+router.get('/unsubscribe/:token', unsubscribeController.showUnsubscribePage);
+router.post('/unsubscribe/:token', express.urlencoded({ extended: false }), unsubscribeController.processUnsubscribe);
+
 // Apply authentication middleware to all other campaign routes
 router.use(authenticate);
 
@@ -20,8 +29,11 @@ router.delete('/:id', campaignsController.deleteCampaign);
 
 // Campaign status management
 router.put('/:id/status', campaignsController.updateCampaignStatus);
+router.get('/:id/status-history', campaignsController.getCampaignStatusHistory);
 
 // Campaign launch
+router.post('/:id/preflight', campaignsController.preflightCampaign);
+router.post('/:id/test-send', campaignsController.testSendCampaign);
 router.post('/:id/launch', campaignsController.launchCampaign);
 
 // Campaign lead management
@@ -43,5 +55,33 @@ router.post('/:campaignId/template', campaignTemplatesController.saveCampaignTem
 router.delete('/:campaignId/template', campaignTemplatesController.deleteCampaignTemplate);
 router.post('/:campaignId/template/preview', campaignTemplatesController.previewTemplate);
 router.get('/:campaignId/template/variables', campaignTemplatesController.getPersonalizationVariables);
+router.get('/:campaignId/template/versions', campaignTemplatesController.getTemplateVersions);
+router.get('/:campaignId/template/versions/diff', campaignTemplatesController.diffTemplateVersions);
+router.get('/:campaignId/template/versions/:version', campaignTemplatesController.getTemplateVersion);
+router.post('/:campaignId/template/versions/:version/rollback', campaignTemplatesController.rollbackTemplate);
+
+// Campaign attachments and inline images
+router.get('/:campaignId/attachments', campaignAttachmentsController.getAttachments);
+router.post('/:campaignId/attachments', campaignAttachmentsController.addAttachment);
+router.delete('/:campaignId/attachments/:attachmentId', campaignAttachmentsController.deleteAttachment);
+
+// Campaign sequence steps (type 'sequence')
+router.get('/:campaignId/sequence', campaignSequencesController.getSequenceSteps);
+router.put('/:campaignId/sequence', campaignSequencesController.saveSequenceSteps);
+router.delete('/:campaignId/sequence/:stepNumber', campaignSequencesController.deleteSequenceStep);
+
+// Campaign mailboxes (inbox rotation)
+router.get('/:campaignId/mailboxes', campaignMailboxesController.getCampaignMailboxes);
+router.put('/:campaignId/mailboxes', campaignMailboxesController.saveCampaignMailboxes);
+
+// Campaign A/B variants and winner mode
+router.get('/:campaignId/variants', campaignVariantsController.getVariants);
+router.post('/:campaignId/variants', campaignVariantsController.createVariant);
+router.put('/:campaignId/variants/:variantId', campaignVariantsController.updateVariant);
+router.delete('/:campaignId/variants/:variantId', campaignVariantsController.deleteVariant);
+router.get('/:campaignId/ab-test', campaignVariantsController.getAbTest);
+router.put('/:campaignId/ab-test', campaignVariantsController.saveAbTest);
+router.delete('/:campaignId/ab-test', campaignVariantsController.deleteAbTest);
+router.post('/:campaignId/ab-test/pick-winner', campaignVariantsController.pickAbTestWinner);
 
 module.exports = router;
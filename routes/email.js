@@ -16,6 +16,10 @@ router.post('/send', emailController.sendEmail);
 // Get user's email accounts for sending
 router.get('/accounts', emailController.getEmailAccounts);
 
+// Per-mailbox sending caps and warm-up
+router.get('/accounts/limits', emailController.getMailboxLimits);
+router.put('/accounts/:accountId/limits', emailController.updateMailboxLimits);
+
 // Test email account connection
 router.post('/test-connection', emailController.testConnection);
 
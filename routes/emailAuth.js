@@ -22,6 +22,27 @@ router.get('/google/connect', authenticate, (req, res) => emailAuthController.in
  */
 router.get('/google/callback', (req, res) => emailAuthController.handleGoogleCallback(req, res));
 
+/**
+ * @route   GET /auth/microsoft/connect
+ * @desc    Initiate Microsoft OAuth flow for an Outlook / Microsoft 365 mailbox
+ * @access  Private
+ */
+router.get('/microsoft/connect', authenticate, (req, res) => emailAuthController.initiateMicrosoftAuth(req, res));
+
+/**
+ * @route   GET /auth/microsoft/callback
+ * @desc    Handle Microsoft OAuth callback
+ * @access  Public (but validates the signed state parameter)
+ */
+router.get('/microsoft/callback', (req, res) => emailAuthController.handleMicrosoftCallback(req, res));
+
+/**
+ * @route   POST /auth/imap-smtp/connect
+ * @desc    Connect a mailbox with SMTP/IMAP credentials (verified before saving)
+ * @access  Private
+ */
+router.post('/imap-smtp/connect', authenticate, (req, res) => emailAuthController.connectSmtpImap(req, res));
+
 /**
  * @route   GET /auth/email-accounts
  * @desc    Get user's connected email accounts
@@ -38,31 +59,10 @@ router.delete('/email-accounts/:accountId', authenticate, (req, res) => emailAut
 
 /**
  * @route   POST /auth/google/refresh
- * @desc    Refresh expired Google OAuth tokens
+ * @desc    Refresh a mailbox's OAuth tokens now (Gmail or Outlook); body: { accountId }
  * @access  Private
  */
-router.post('/google/refresh', authenticate, async (req, res) => {
-    try {
-        const { accountId } = req.body;
-        const userId = req.user.userId;
-        
-        // TODO: Implement token refresh logic
-        // This will be handled by the Gmail service
-        
-        res.json({
-            success: true,
-            message: 'Token refresh endpoint - to be implemented'
-        });
-        
-    } catch (error) {
-        console.error('❌ Error refreshing tokens:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Failed to refresh tokens',
-            error: error.message
-        });
-    }
-});
+router.post('/google/refresh', authenticate, (req, res) => emailAuthController.refreshEmailAccountTokens(req, res));
 
 /**
  * Health check endpoint for email auth
@@ -75,6 +75,9 @@ router.get('/health', (req, res) => {
         endpoints: {
             'GET /auth/google/connect': 'Initiate Google OAuth',
             'GET /auth/google/callback': 'Handle OAuth callback',
+            'GET /auth/microsoft/connect': 'Initiate Microsoft OAuth',
+            'GET /auth/microsoft/callback': 'Handle Microsoft OAuth callback',
+            'POST /auth/imap-smtp/connect': 'Connect SMTP/IMAP mailbox',
             'GET /auth/email-accounts': 'List connected accounts',
             'DELETE /auth/email-accounts/:id': 'Disconnect account',
             'POST /auth/google/refresh': 'Refresh tokens'
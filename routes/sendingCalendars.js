@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const sendingCalendarsController = require('../controllers/sendingCalendars.controller');
+const { authenticate } = require('../middleware/auth.middleware');
+
+// Apply authentication middleware to all routes
+router.use(authenticate);
+
+// Calendar management
+router.get('/', sendingCalendarsController.getCalendars);
+router.post('/', sendingCalendarsController.createCalendar);
+router.get('/:id', sendingCalendarsController.getCalendar);
+router.put('/:id', sendingCalendarsController.updateCalendar);
+router.delete('/:id', sendingCalendarsController.deleteCalendar);
+
+// Blackout dates (raw .ics uploads bypass the JSON body size limit)
+router.post('/:id/blackout-dates', sendingCalendarsController.addBlackoutDates);
+router.delete('/:id/blackout-dates/:date', sendingCalendarsController.removeBlackoutDate);
+router.post('/:id/import-ical', express.text({ type: ['text/calendar', 'text/plain'], limit: '5mb' }), sendingCalendarsController.importIcal);
+
+module.exports = router;
@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const suppressionsController = require('../controllers/suppressions.controller');
+const { authenticate } = require('../middleware/auth.middleware');
+
+// Apply authentication middleware to all routes
+router.use(authenticate);
+
+// Import/export (raw text/csv uploads bypass the JSON body size limit)
+router.post('/import', express.text({ type: ['text/csv', 'text/plain'], limit: '10mb' }), suppressionsController.importSuppressions);
+router.get('/export', suppressionsController.exportSuppressions);
+
+// Change history
+router.get('/audit-log', suppressionsController.getAuditLog);
+
+// Suppression list management
+router.get('/', suppressionsController.getSuppressions);
+router.post('/', suppressionsController.addSuppressions);
+router.delete('/:id', suppressionsController.removeSuppression);
+
+module.exports = router;
@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const templateLibraryController = require('../controllers/templateLibrary.controller');
+const { authenticate } = require('../middleware/auth.middleware');
+
+// Apply authentication middleware to all routes
+router.use(authenticate);
+
+// Library browsing
+router.get('/', templateLibraryController.getTemplates);
+router.get('/facets', templateLibraryController.getFacets);
+router.get('/:id', templateLibraryController.getTemplate);
+
+// Library management
+router.post('/', templateLibraryController.createTemplate);
+router.put('/:id', templateLibraryController.updateTemplate);
+router.delete('/:id', templateLibraryController.deleteTemplate);
+
+// Use a template in a campaign
+router.post('/:id/copy-to-campaign', templateLibraryController.copyToCampaign);
+
+module.exports = router;
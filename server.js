@@ -25,6 +25,11 @@ app.use(cors({
   origin: process.env.FRONTEND_URL || 'http://localhost:3000',
   credentials: true // Allow cookies
 }));
+// Only the routes that accept base64 attachments get a large body limit
+// (MimeBuilder caps them at 18MB per email); these run before the default parser
+const attachmentJsonParser = express.json({ limit: process.env.JSON_BODY_LIMIT || '30mb' });
+app.post('/api/emails/send', attachmentJsonParser);
+app.post('/api/campaigns/:campaignId/attachments', attachmentJsonParser);
 app.use(express.json());
 app.use(cookieParser());
 
@@ -68,9 +73,16 @@ const campaignsRoutes = require('./routes/campaigns');
 const contactListsRoutes = require('./routes/contactLists');
 const findymailRoutes = require('./routes/findymail');
 const analyticsRoutes = require('./routes/analytics');
+const suppressionsRoutes = require('./routes/suppressions');
+const sendingCalendarsRoutes = require('./routes/sendingCalendars');
+const templateLibraryRoutes = require('./routes/templateLibrary');
 
 // Import email job processor
 const emailJobProcessor = require('./services/emailJobProcessor');
+const replyDetectionService = require('./services/replyDetectionService');
+const bounceProcessor = require('./services/bounceProcessor');
+const campaignLifecycleService = require('./services/campaignLifecycleService');
+const tokenRefreshService = require('./services/tokenRefreshService');
 
 // API routes
 app.use('/api/auth', authRoutes);
@@ -83,6 +95,9 @@ app.use('/api/campaigns', campaignsRoutes);
 app.use('/api/findymail', findymailRoutes);
 app.use('/api/contact-lists', contactListsRoutes);
 app.use('/api/analytics', analyticsRoutes);
+app.use('/api/suppressions', suppressionsRoutes);
+app.use('/api/sending-calendars', sendingCalendarsRoutes);
+app.use('/api/templates', templateLibraryRoutes);
 
 
 
@@ -108,6 +123,38 @@ app.listen(PORT, async () => {
     console.error('❌ Failed to start email job processor:', error);
   }
   
+  // Start reply detection sync
+  try {
+    await replyDetectionService.start();
+    console.log('✅ Reply detection started');
+  } catch (error) {
+    console.error('❌ Failed to start reply detection:', error);
+  }
+  
+  // Start bounce processing
+  try {
+    await bounceProcessor.start();
+    console.log('✅ Bounce processor started');
+  } catch (error) {
+    console.error('❌ Failed to start bounce processor:', error);
+  }
+  
+  // Start campaign lifecycle check (scheduled -> active -> completed)
+  try {
+    await campaignLifecycleService.start();
+    console.log('✅ Campaign lifecycle check started');
+  } catch (error) {
+    console.error('❌ Failed to start campaign lifecycle check:', error);
+  }
+  
+  // Start proactive OAuth token refresh
+  try {
+    await tokenRefreshService.start();
+    console.log('✅ Token refresh started');
+  } catch (error) {
+    console.error('❌ Failed to start token refresh:', error);
+  }
+  
   // Test database connection on startup
   console.log('🔄 Testing database connection...');
   pool.connect()
@@ -133,6 +180,10 @@ const gracefulShutdown = async (signal) => {
   console.log(`\n📧 Received ${signal}, stopping email processor...`);
   try {
     await emailJobProcessor.stop();
+    await replyDetectionService.stop();
+    await bounceProcessor.stop();
+    await campaignLifecycleService.stop();
+    await tokenRefreshService.stop();
     console.log('✅ Email processor stopped gracefully');
   } catch (error) {
     console.error('❌ Error stopping email processor:', error);
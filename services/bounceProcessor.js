@@ -0,0 +1,412 @@
+/**
+ * BounceProcessor - Background service that reads bounce notifications
+ *
+ * This service handles:
+ * - Reading mailer-daemon/postmaster DSN messages from the sending mailboxes (Gmail, Outlook and SMTP/IMAP)
+ * - Parsing DSN reports (Final-Recipient, Status, Diagnostic-Code)
+ * - Matching each bounce to the original email_sends/email_jobs row
+ * - Marking the campaign lead 'bounced' and suppressing hard bounces
+ */
+
+const pool = require('../config/database');
+const emailJobService = require('./emailJobService');
+const mailProviders = require('./mailProviders');
+
+class BounceProcessor {
+    constructor() {
+        this.isRunning = false;
+        this.isProcessing = false;
+        this.processingInterval = parseInt(process.env.BOUNCE_SYNC_INTERVAL_MS) || 10 * 60 * 1000; // Every 10 minutes
+        this.processingTimer = null;
+        this.maxMessagesPerAccount = 50;
+        this.bounceLookbackDays = 7;
+    }
+
+    // ================================================================
+    // 1. MAIN PROCESSING METHODS
+    // ================================================================
+
+    /**
+     * Start the background bounce processor
+     */
+    async start() {
+        if (this.isRunning) {
+            console.log('⚠️  BounceProcessor is already running');
+            return;
+        }
+
+        console.log('🚀 Starting BounceProcessor...');
+        this.isRunning = true;
+
+        this.processingTimer = setInterval(async () => {
+            try {
+                await this.processBounces();
+            } catch (error) {
+                console.error('❌ Error in bounce processing loop:', error);
+            }
+        }, this.processingInterval);
+
+        console.log(`✅ BounceProcessor started (checking every ${this.processingInterval}ms)`);
+    }
+
+    /**
+     * Stop the background bounce processor
+     */
+    async stop() {
+        console.log('🛑 Stopping BounceProcessor...');
+        this.isRunning = false;
+
+        if (this.processingTimer) {
+            clearInterval(this.processingTimer);
+            this.processingTimer = null;
+        }
+
+        console.log('✅ BounceProcessor stopped');
+    }
+
+    /**
+     * Check every connected mailbox for new bounce notifications
+     * @returns {Object} { accountsChecked, bouncesRecorded }
+     */
+    async processBounces() {
+        if (this.isProcessing) {
+            return { accountsChecked: 0, bouncesRecorded: 0 };
+        }
+
+        this.isProcessing = true;
+
+        try {
+            const accountsResult = await pool.query(`
+                SELECT id, email, user_id, provider
+                FROM email_accounts
+                WHERE provider = ANY($1) AND status = 'active'
+            `, [mailProviders.namesWith('readMessages')]);
+
+            let bouncesRecorded = 0;
+
+            for (const account of accountsResult.rows) {
+                try {
+                    bouncesRecorded += await this.processAccountBounces(account);
+                } catch (error) {
+                    console.error(`❌ Failed to process bounces for ${account.email}:`, error.message);
+                }
+            }
+
+            if (bouncesRecorded > 0) {
+                console.log(`📭 Bounce processing: ${bouncesRecorded} new bounces recorded`);
+            }
+
+            return {
+                accountsChecked: accountsResult.rows.length,
+                bouncesRecorded
+            };
+
+        } finally {
+            this.isProcessing = false;
+        }
+    }
+
+    /**
+     * Read and record new bounce notifications for one mailbox
+     * @param {Object} account - email_accounts row (id, email, user_id, provider)
+     * @returns {number} Number of new bounces recorded
+     */
+    async processAccountBounces(account) {
+        const messages = await mailProviders.forAccount(account).listMessages(account.id, {
+            maxResults: this.maxMessagesPerAccount,
+            since: new Date(Date.now() - this.bounceLookbackDays * 24 * 60 * 60 * 1000),
+            bounces: true
+        });
+
+        if (messages.length === 0) {
+            return 0;
+        }
+
+        // Skip DSNs that were already processed
+        const processedResult = await pool.query(`
+            SELECT provider_message_id FROM email_bounces
+            WHERE email_account_id = $1 AND provider_message_id = ANY($2)
+        `, [account.id, messages.map(message => message.id)]);
+        const processed = new Set(processedResult.rows.map(row => row.provider_message_id));
+
+        let recorded = 0;
+
+        for (const message of messages) {
+            if (processed.has(message.id)) continue;
+
+            const report = this.parseDeliveryStatus(message);
+            if (!report) continue;
+
+            if (await this.recordBounce(account, message, report)) {
+                recorded++;
+            }
+        }
+
+        return recorded;
+    }
+
+    /**
+     * Parse a DSN message into a bounce report
+     * @param {Object} message - Parsed message from gmailService.parseEmailMessage
+     * @returns {Object|null} { recipient, statusCode, action, diagnosticCode, bounceType } or null if not a failure
+     */
+    parseDeliveryStatus(message) {
+        const report = message.deliveryStatus || '';
+        const text = `${report}\n${message.textBody || ''}`;
+
+        const field = (name) => {
+            const match = report.match(new RegExp(`^${name}:\\s*(.+(?:\\r?\\n[ \\t]+.+)*)`, 'im'));
+            return match ? match[1].replace(/\r?\n[ \t]+/g, ' ').trim() : '';
+        };
+
+        const action = field('Action').toLowerCase();
+
+        // Successful delivery/relay notifications are not bounces
+        if (['delivered', 'relayed', 'expanded'].includes(action)) {
+            return null;
+        }
+
+        // Recipient: DSN fields first, then Gmail's X-Failed-Recipients header
+        const recipientField = field('Final-Recipient') || field('Original-Recipient');
+        let recipient = recipientField.replace(/^rfc822;\s*/i, '').replace(/[<>]/g, '').trim();
+        if (!recipient && message.failedRecipients) {
+            recipient = message.failedRecipients.split(',')[0].trim();
+        }
+
+        // Enhanced status code (RFC 3463), from the report or the human readable body
+        let statusCode = (field('Status').match(/[245]\.\d{1,3}\.\d{1,3}/) || [])[0];
+        if (!statusCode) {
+            statusCode = (text.match(/\b[45]\.\d{1,3}\.\d{1,3}\b/) || [])[0] || null;
+        }
+
+        const diagnosticCode = field('Diagnostic-Code').replace(/^smtp;\s*/i, '') || null;
+
+        let bounceType = 'unknown';
+        if (action === 'delayed' || (statusCode && statusCode.startsWith('4'))) {
+            bounceType = 'soft';
+        } else if (statusCode && statusCode.startsWith('5')) {
+            bounceType = 'hard';
+        }
+
+        return {
+            recipient: recipient ? recipient.toLowerCase() : null,
+            statusCode,
+            action: action || null,
+            diagnosticCode,
+            bounceType
+        };
+    }
+
+    /**
+     * Record a bounce and update send, lead and suppression state
+     * @param {Object} account - Mailbox the DSN arrived in
+     * @param {Object} message - Parsed DSN message
+     * @param {Object} report - Result of parseDeliveryStatus
+     * @returns {boolean} True if the bounce was newly recorded
+     */
+    async recordBounce(account, message, report) {
+        const client = await pool.connect();
+        let send = null;
+
+        try {
+            await client.query('BEGIN');
+
+            send = await this._findOriginalSend(client, account.id, message, report.recipient);
+            const organizationId = send?.organization_id || await this._getAccountOrganization(client, account.user_id);
+            const recipient = report.recipient || send?.recipient_email?.toLowerCase() || null;
+            const receivedAt = message.internalDate || message.date;
+            const errorMessage = [report.statusCode, report.diagnosticCode].filter(Boolean).join(' ') || 'Bounced';
+
+            const bounceResult = await client.query(`
+                INSERT INTO email_bounces (
+                    organization_id, email_account_id, campaign_id, campaign_lead_id,
+                    email_send_id, email_job_id, provider_message_id, recipient_email,
+                    bounce_type, status_code, diagnostic_code, received_at
+                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+                ON CONFLICT (email_account_id, provider_message_id) DO NOTHING
+                RETURNING id
+            `, [
+                organizationId,
+                account.id,
+                send?.campaign_id || null,
+                send?.campaign_lead_id || null,
+                send?.id || null,
+                send?.job_id || null,
+                message.id,
+                recipient,
+                report.bounceType,
+                report.statusCode,
+                report.diagnosticCode,
+                receivedAt
+            ]);
+
+            if (bounceResult.rows.length === 0) {
+                await client.query('ROLLBACK');
+                return false;
+            }
+
+            if (send) {
+                await client.query(`
+                    UPDATE email_sends
+                    SET
+                        status = CASE WHEN $2 THEN 'bounced' ELSE status END,
+                        bounced_at = CASE WHEN $2 THEN $3 ELSE bounced_at END,
+                        error_message = $4,
+                        updated_at = NOW()
+                    WHERE id = $1
+                `, [send.id, report.bounceType === 'hard', receivedAt, errorMessage]);
+            }
+
+            // Soft bounces are only recorded - the address may recover
+            if (report.bounceType === 'hard') {
+                if (send?.campaign_lead_id) {
+                    const campaignLeadResult = await client.query(`
+                        UPDATE campaign_leads
+                        SET
+                            status = 'bounced',
+                            bounced_at = $2,
+                            error_message = $3,
+                            updated_at = NOW()
+                        WHERE id = $1 AND status <> 'bounced'
+                        RETURNING id
+                    `, [send.campaign_lead_id, receivedAt, errorMessage]);
+
+                    if (campaignLeadResult.rows.length > 0) {
+                        await client.query(`
+                            UPDATE campaigns
+                            SET emails_bounced = emails_bounced + 1
+                            WHERE id = $1
+                        `, [send.campaign_id]);
+                    }
+                }
+
+                if (organizationId && recipient) {
+                    await this._suppressHardBounce(client, organizationId, recipient, report, send);
+                }
+            }
+
+            await client.query('COMMIT');
+
+        } catch (error) {
+            await client.query('ROLLBACK');
+            console.error(`❌ Failed to record bounce ${message.id}:`, error);
+            throw error;
+        } finally {
+            client.release();
+        }
+
+        console.log(`📭 ${report.bounceType} bounce: ${report.recipient || 'unknown recipient'} (${report.statusCode || 'no status'})`);
+
+        if (report.bounceType === 'hard' && send?.campaign_lead_id) {
+            await emailJobService.stopSequenceForLead(send.campaign_lead_id, 'bounced');
+        }
+
+        return true;
+    }
+
+    // ================================================================
+    // 2. PRIVATE HELPER METHODS
+    // ================================================================
+
+    /**
+     * Match a DSN to the send it bounced - same thread first, then latest send to the recipient
+     * @private
+     */
+    async _findOriginalSend(client, accountId, message, recipient) {
+        const selectSend = `
+            SELECT
+                es.id,
+                es.campaign_id,
+                es.job_id,
+                es.recipient_email,
+                c.organization_id,
+                COALESCE(ej.campaign_lead_id, (
+                    SELECT cl.id FROM campaign_leads cl
+                    JOIN leads l ON cl.lead_id = l.id
+                    WHERE cl.campaign_id = es.campaign_id AND LOWER(l.email) = LOWER(es.recipient_email)
+                    LIMIT 1
+                )) as campaign_lead_id
+            FROM email_sends es
+            LEFT JOIN campaigns c ON es.campaign_id = c.id
+            LEFT JOIN email_jobs ej ON es.job_id = ej.id
+        `;
+
+        if (message.threadId) {
+            const threadResult = await client.query(`
+                ${selectSend}
+                WHERE es.email_account_id = $1 AND es.thread_id = $2
+                AND ($3::TEXT IS NULL OR LOWER(es.recipient_email) = $3)
+                ORDER BY es.sent_at DESC
+                LIMIT 1
+            `, [accountId, message.threadId, recipient]);
+
+            if (threadResult.rows.length > 0) return threadResult.rows[0];
+        }
+
+        if (!recipient) return null;
+
+        const recipientResult = await client.query(`
+            ${selectSend}
+            WHERE es.email_account_id = $1 AND LOWER(es.recipient_email) = $2
+            AND es.sent_at <= COALESCE($3, NOW())
+            ORDER BY es.sent_at DESC
+            LIMIT 1
+        `, [accountId, recipient, message.internalDate || null]);
+
+        return recipientResult.rows[0] || null;
+    }
+
+    /**
+     * Organization of the mailbox owner, for bounces that match no campaign send
+     * @private
+     */
+    async _getAccountOrganization(client, userId) {
+        const result = await client.query(`
+            SELECT om.organization_id
+            FROM organization_members om
+            WHERE om.user_id = $1 AND om.status = 'active'
+            LIMIT 1
+        `, [userId]);
+
+        return result.rows[0]?.organization_id || null;
+    }
+
+    /**
+     * Add a hard bounce to the suppression list and mark the lead bounced
+     * @private
+     */
+    async _suppressHardBounce(client, organizationId, email, report, send) {
+        await client.query(`
+            INSERT INTO suppression_lists (
+                organization_id, email, reason, source, bounce_type, notes
+            ) VALUES ($1, $2, 'bounced', $3, 'hard', $4)
+            ON CONFLICT (organization_id, email) DO NOTHING
+        `, [
+            organizationId,
+            email,
+            send?.campaign_id ? `campaign:${send.campaign_id}` : 'bounce_processor',
+            [report.statusCode, report.diagnosticCode].filter(Boolean).join(' ') || null
+        ]);
+
+        const leadsResult = await client.query(`
+            UPDATE leads
+            SET
+                status = 'bounced',
+                updated_at = NOW()
+            WHERE organization_id = $1 AND LOWER(email) = $2
+            RETURNING id
+        `, [organizationId, email]);
+
+        if (leadsResult.rows.length > 0) {
+            await client.query(`
+                UPDATE contact_list_members
+                SET
+                    status = 'bounced',
+                    updated_at = NOW()
+                WHERE lead_id = ANY($1) AND status = 'active'
+            `, [leadsResult.rows.map(row => row.id)]);
+        }
+    }
+}
+
+module.exports = new BounceProcessor();
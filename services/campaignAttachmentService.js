@@ -0,0 +1,152 @@
+/**
+ * CampaignAttachmentService - Files sent with a campaign's emails
+ *
+ * This service handles:
+ * - Storing attachments and inline images for a campaign or one sequence step
+ * - Listing them without their content
+ * - Loading the files for a send, in the shape MimeBuilder takes
+ */
+
+const pool = require('../config/database');
+const mimeBuilder = require('./mimeBuilder');
+
+class CampaignAttachmentService {
+
+    // ================================================================
+    // 1. ATTACHMENTS
+    // ================================================================
+
+    /**
+     * A campaign's attachments without their content
+     * @param {string} campaignId - Campaign UUID
+     * @returns {Array} [{ id, step_number, filename, content_type, content_id, size_bytes, created_at }]
+     */
+    async listAttachments(campaignId) {
+        const result = await pool.query(`
+            SELECT id, step_number, filename, content_type, content_id, size_bytes, created_by, created_at
+            FROM campaign_attachments
+            WHERE campaign_id = $1
+            ORDER BY step_number ASC NULLS FIRST, created_at ASC
+        `, [campaignId]);
+
+        return result.rows;
+    }
+
+    /**
+     * Attach a file; every email of the step (or campaign) must stay within the attachment limits
+     * @param {string} campaignId - Campaign UUID
+     * @param {Object} attachment - { filename, contentType, content (base64), contentId, stepNumber }
+     * @param {string} userId - User UUID
+     * @returns {Object} Saved attachment without content
+     */
+    async addAttachment(campaignId, attachment, userId) {
+        const content = Buffer.from(attachment.content, 'base64');
+        const stepNumber = attachment.stepNumber || null;
+
+        const limitError = this.checkLimits(await this.listAttachments(campaignId), stepNumber, content.length);
+        if (limitError) {
+            throw new Error(limitError);
+        }
+
+        const result = await pool.query(`
+            INSERT INTO campaign_attachments (
+                campaign_id, step_number, filename, content_type, content_id, size_bytes, content, created_by
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+            RETURNING id, step_number, filename, content_type, content_id, size_bytes, created_by, created_at
+        `, [
+            campaignId,
+            stepNumber,
+            attachment.filename.trim(),
+            attachment.contentType || 'application/octet-stream',
+            attachment.contentId || null,
+            content.length,
+            content,
+            userId
+        ]);
+
+        return result.rows[0];
+    }
+
+    /**
+     * Whether one more file keeps every email within the attachment limits
+     * Campaign-wide files go out with every step, so they count against each step
+     * @param {Array} existing - Current attachments ({ step_number, size_bytes })
+     * @param {number|null} stepNumber - Step of the new file (null for every email)
+     * @param {number} size - Size of the new file in bytes
+     * @returns {string|null} Error message, or null if the file fits
+     */
+    checkLimits(existing, stepNumber, size) {
+        const steps = new Map();
+        let sharedFiles = 0;
+        let sharedBytes = 0;
+
+        for (const attachment of existing) {
+            if (attachment.step_number === null) {
+                sharedFiles++;
+                sharedBytes += attachment.size_bytes;
+            } else {
+                const step = steps.get(attachment.step_number) || { files: 0, bytes: 0 };
+                step.files++;
+                step.bytes += attachment.size_bytes;
+                steps.set(attachment.step_number, step);
+            }
+        }
+
+        // The fullest email the new file would be sent with
+        const stepUsage = stepNumber === null
+            ? [...steps.values()].reduce((max, step) => ({
+                files: Math.max(max.files, step.files),
+                bytes: Math.max(max.bytes, step.bytes)
+            }), { files: 0, bytes: 0 })
+            : steps.get(stepNumber) || { files: 0, bytes: 0 };
+
+        if (sharedFiles + stepUsage.files + 1 > mimeBuilder.maxAttachments) {
+            return `An email can't have more than ${mimeBuilder.maxAttachments} attachments`;
+        }
+
+        if (sharedBytes + stepUsage.bytes + size > mimeBuilder.maxAttachmentBytes) {
+            return `Attachments of an email can't exceed ${mimeBuilder.maxAttachmentBytes / (1024 * 1024)}MB`;
+        }
+
+        return null;
+    }
+
+    /**
+     * Remove an attachment
+     * @param {string} campaignId - Campaign UUID
+     * @param {string} attachmentId - Attachment UUID
+     * @returns {boolean} True if it was removed
+     */
+    async deleteAttachment(campaignId, attachmentId) {
+        const result = await pool.query(`
+            DELETE FROM campaign_attachments
+            WHERE id = $1 AND campaign_id = $2
+        `, [attachmentId, campaignId]);
+
+        return result.rowCount > 0;
+    }
+
+    /**
+     * Files to send with one email of a campaign
+     * @param {string} campaignId - Campaign UUID
+     * @param {number} stepNumber - Sequence step (1 for the first email)
+     * @returns {Array} [{ filename, contentType, content (Buffer), contentId }]
+     */
+    async getAttachmentsForSend(campaignId, stepNumber = 1) {
+        const result = await pool.query(`
+            SELECT filename, content_type, content_id, content
+            FROM campaign_attachments
+            WHERE campaign_id = $1 AND (step_number IS NULL OR step_number = $2)
+            ORDER BY created_at ASC
+        `, [campaignId, stepNumber]);
+
+        return result.rows.map(row => ({
+            filename: row.filename,
+            contentType: row.content_type,
+            content: row.content,
+            contentId: row.content_id
+        }));
+    }
+}
+
+module.exports = new CampaignAttachmentService();
@@ -0,0 +1,372 @@
+/**
+ * CampaignLaunchService - Turns a campaign's pending leads into email jobs
+ *
+ * This service handles:
+ * - Suppression, mailbox assignment, spintax and personalization of each lead
+ * - Creating immediate or scheduled jobs for the personalized emails
+ * - Sending the A/B test winner to the leads held back during the test
+ *
+ * Access checks, pre-flight and status changes stay with the caller (the launch
+ * endpoint or the lifecycle check), which passes in the content for each lead.
+ */
+
+const pool = require('../config/database');
+const emailJobService = require('./emailJobService');
+const suppressionService = require('./suppressionService');
+const inboxRotationService = require('./inboxRotationService');
+const templateEngine = require('./templateEngine');
+const spintaxService = require('./spintaxService');
+const campaignVariantService = require('./campaignVariantService');
+
+class CampaignLaunchService {
+
+    // ================================================================
+    // 1. LAUNCHING
+    // ================================================================
+
+    /**
+     * Pending leads of a campaign with their lead details, excluding leads held back for an A/B winner
+     * @param {string} campaignId - Campaign UUID
+     * @param {Array<string>} campaignLeadIds - Only these campaign leads (optional)
+     * @returns {Array} Campaign leads joined with leads
+     */
+    async getPendingLeads(campaignId, campaignLeadIds = null) {
+        const result = await pool.query(`
+            SELECT cl.*, l.email, l.first_name, l.last_name, l.company_name, l.job_title,
+                   l.phone, l.website, l.custom_fields, l.original_row_data, l.timezone
+            FROM campaign_leads cl
+            JOIN leads l ON cl.lead_id = l.id
+            WHERE cl.campaign_id = $1
+              AND cl.status = 'pending'
+              AND COALESCE(cl.ab_holdout, false) = false
+              AND ($2::UUID[] IS NULL OR cl.id = ANY($2::UUID[]))
+        `, [campaignId, campaignLeadIds]);
+
+        return result.rows;
+    }
+
+    /**
+     * Personalize and queue the first email for a set of leads
+     * @param {Object} campaign - Campaign row
+     * @param {Array} leads - From getPendingLeads
+     * @param {Object} options - Launch options
+     * @param {Function} options.getContent - (lead) => { content: { subject, bodyHtml, bodyText }, templateVersionId, variantId }
+     * @param {string} options.sendType - 'immediate' or 'scheduled'
+     * @param {string} options.scheduledFor - Start date for scheduled sends
+     * @param {number} options.rateLimit - Emails per hour
+     * @param {string} options.createdBy - User UUID
+     * @returns {Object} { error } if nothing could be queued, otherwise
+     *                   { jobResult, recipients, suppressedCount, skippedLeads, unscheduledLeads, spintaxCount, mailboxCount }
+     */
+    async launchLeads(campaign, leads, options) {
+        const { getContent, sendType = 'immediate', scheduledFor, rateLimit = 100, createdBy } = options;
+
+        // Drop leads that were suppressed since they were added to the campaign
+        const suppressedLeads = await suppressionService.getSuppressedLeads(
+            campaign.organization_id,
+            leads.map(lead => lead.lead_id)
+        );
+
+        for (const lead of leads) {
+            if (suppressedLeads.has(lead.lead_id)) {
+                await pool.query(`
+                    UPDATE campaign_leads
+                    SET
+                        status = 'suppressed',
+                        error_message = $2,
+                        updated_at = NOW()
+                    WHERE id = $1
+                `, [lead.id, `Suppressed: ${suppressedLeads.get(lead.lead_id)}`]);
+            }
+        }
+
+        const sendableLeads = leads.filter(lead => !suppressedLeads.has(lead.lead_id));
+
+        if (suppressedLeads.size > 0) {
+            console.log(`🚫 Skipping ${suppressedLeads.size} suppressed leads for campaign ${campaign.id}`);
+        }
+
+        if (sendableLeads.length === 0) {
+            return { error: 'All pending leads for this campaign are suppressed', skippedLeads: [] };
+        }
+
+        // Spread leads over the campaign's mailboxes, or send everything from the from address
+        const mailboxAssignments = await inboxRotationService.assignLeads(
+            campaign.id,
+            sendableLeads,
+            campaign.inbox_rotation
+        );
+
+        if (mailboxAssignments.size === 0) {
+            const emailAccountResult = await pool.query(`
+                SELECT id FROM email_accounts
+                WHERE email = $1 AND status = 'active'
+                LIMIT 1
+            `, [campaign.from_email]);
+
+            if (emailAccountResult.rows.length === 0) {
+                return { error: 'No active email account found for the from address', skippedLeads: [] };
+            }
+        }
+
+        // Prepare recipients for EmailJobService
+        const recipients = [];
+        const skippedLeads = [];
+        const spintaxVariants = [];
+        let baseContent = null;
+
+        // Process each pending lead and prepare personalized emails
+        for (const lead of sendableLeads) {
+            try {
+                const { content, templateVersionId = null, variantId = null } = getContent(lead);
+                baseContent = baseContent || content;
+
+                // Spintax is picked per lead (seeded, so a retry gives the same text), then variables are filled
+                const spun = spintaxService.spinEmail(content, `${lead.id}:1`);
+
+                // Render the template; leads missing a variable without a default are skipped
+                const rendered = templateEngine.renderEmailStrict(
+                    spun,
+                    templateEngine.buildLeadContext(lead, campaign, lead.id)
+                );
+
+                // A/B variants carry an open pixel and click redirects so the winner can be picked by either
+                const bodyHtml = variantId ? emailJobService.addEmailTracking(rendered.bodyHtml, lead.id) : rendered.bodyHtml;
+
+                // Add to recipients list with personalized content
+                recipients.push({
+                    leadId: lead.id,
+                    email: lead.email,
+                    personalizedSubject: rendered.subject,
+                    personalizedBodyHtml: bodyHtml,
+                    personalizedBodyText: rendered.bodyText,
+                    firstName: lead.first_name,
+                    lastName: lead.last_name,
+                    company: lead.company_name,
+                    timezone: lead.timezone,
+                    emailAccountId: mailboxAssignments.get(lead.id) || null,
+                    templateVersionId,
+                    variantId
+                });
+
+                if (spun.variants) {
+                    spintaxVariants.push({ campaignLeadId: lead.id, variants: spun.variants });
+                }
+
+            } catch (error) {
+                console.error(`Failed to personalize email for ${lead.email}:`, error.message);
+                // Skip this lead but continue with others; it stays pending for a later launch
+                skippedLeads.push({ email: lead.email, error: error.message });
+                continue;
+            }
+        }
+
+        if (recipients.length === 0) {
+            return { error: 'No valid recipients found after processing leads', skippedLeads };
+        }
+
+        // Create email jobs using EmailJobService
+        const jobParams = {
+            campaignId: campaign.id,
+            organizationId: campaign.organization_id,
+            recipients,
+            rateLimit,
+            createdBy,
+            // Use the first lead's content as base (will be overridden by personalized content)
+            subject: baseContent.subject,
+            bodyHtml: baseContent.bodyHtml,
+            bodyText: baseContent.bodyText,
+            // Mass email configuration
+            isMassEmail: campaign.is_mass_email,
+            massEmailConcurrency: campaign.mass_email_concurrency
+        };
+
+        let jobResult;
+        if (sendType === 'scheduled' && scheduledFor) {
+            // Send window comes from the campaign schedule, in each lead's own timezone
+            const scheduleResult = await pool.query(`
+                SELECT send_time_start, send_time_end, send_timezone, daily_limit, end_date
+                FROM campaign_schedules
+                WHERE campaign_id = $1
+            `, [campaign.id]);
+            const schedule = scheduleResult.rows[0] || {};
+
+            // Create scheduled jobs
+            jobResult = await emailJobService.createScheduledJobs({
+                ...jobParams,
+                startDate: new Date(scheduledFor),
+                endDate: schedule.end_date || null,
+                startTime: (schedule.send_time_start || '09:00').slice(0, 5),
+                endTime: (schedule.send_time_end || '17:00').slice(0, 5),
+                timezone: schedule.send_timezone || campaign.timezone || 'UTC',
+                dailyLimit: schedule.daily_limit || campaign.daily_send_limit || 50,
+                hourlyRate: rateLimit
+            });
+        } else {
+            // Create immediate jobs (default)
+            jobResult = await emailJobService.createImmediateJobs(jobParams);
+        }
+
+        // Leads that only fit after the schedule's end date get no job and stay pending
+        const unscheduledLeads = jobResult.unscheduled || [];
+        if (jobResult.jobsCreated === 0 && unscheduledLeads.length > 0) {
+            return { error: 'None of the leads fit in the send window before the campaign end date', skippedLeads, unscheduledLeads };
+        }
+
+        // Keep the spintax options each queued lead got for reporting
+        const unscheduledIds = new Set(unscheduledLeads.map(lead => lead.leadId));
+        await spintaxService.saveVariants(1, spintaxVariants.filter(entry => !unscheduledIds.has(entry.campaignLeadId)));
+
+        return {
+            jobResult,
+            recipients,
+            suppressedCount: suppressedLeads.size,
+            skippedLeads,
+            unscheduledLeads,
+            spintaxCount: spintaxVariants.length,
+            mailboxCount: new Set(mailboxAssignments.values()).size || 1
+        };
+    }
+
+    // ================================================================
+    // 2. A/B TEST WINNER
+    // ================================================================
+
+    /**
+     * Pick the winner of a running A/B test and send it to the held-back leads
+     * Losing variants are deactivated, so later launches only use the winner
+     * @param {string} campaignId - Campaign UUID
+     * @param {Object} options - { variantId (pick this variant instead of the best one), userId }
+     * @returns {Object|null} { test, winner, launch }, or null if no test is running
+     */
+    async sendWinner(campaignId, options = {}) {
+        const { variantId = null, userId = null } = options;
+        const client = await pool.connect();
+        let test;
+        let winner;
+        let heldLeadIds;
+
+        try {
+            await client.query('BEGIN');
+
+            // Locked so the lifecycle check and a user can't both send the winner
+            const testResult = await client.query(`
+                SELECT * FROM campaign_ab_tests
+                WHERE campaign_id = $1 AND status = 'testing'
+                FOR UPDATE
+            `, [campaignId]);
+
+            if (testResult.rows.length === 0) {
+                await client.query('ROLLBACK');
+                return null;
+            }
+
+            const stats = await campaignVariantService.getVariantStats(campaignId, 1);
+            const winnerStats = variantId
+                ? stats.find(variant => variant.id === variantId && variant.is_active)
+                : campaignVariantService.chooseWinner(stats, testResult.rows[0].winner_metric);
+
+            if (!winnerStats) {
+                throw new Error('Winning variant not found');
+            }
+
+            const updatedTest = await client.query(`
+                UPDATE campaign_ab_tests
+                SET status = 'decided', decided_at = NOW(), winner_variant_id = $2, results = $3
+                WHERE id = $1
+                RETURNING *
+            `, [testResult.rows[0].id, winnerStats.id, JSON.stringify({ picked: variantId ? 'manual' : 'auto', variants: stats })]);
+            test = updatedTest.rows[0];
+
+            const winnerResult = await client.query(`
+                UPDATE campaign_variants
+                SET is_winner = (id = $2), is_active = (id = $2)
+                WHERE campaign_id = $1 AND step_number = 1
+                RETURNING *
+            `, [campaignId, winnerStats.id]);
+            winner = winnerResult.rows.find(variant => variant.id === winnerStats.id);
+
+            const heldResult = await client.query(`
+                UPDATE campaign_leads
+                SET ab_holdout = false, updated_at = NOW()
+                WHERE campaign_id = $1 AND ab_holdout = true
+                RETURNING id
+            `, [campaignId]);
+            heldLeadIds = heldResult.rows.map(row => row.id);
+
+            await client.query('COMMIT');
+
+        } catch (error) {
+            await client.query('ROLLBACK');
+            console.error('Error picking A/B test winner:', error);
+            throw new Error(`Failed to pick A/B test winner: ${error.message}`);
+        } finally {
+            client.release();
+        }
+
+        console.log(`🏆 Campaign ${campaignId}: variant ${winner.label} won the A/B test (${test.winner_metric} rate)`);
+
+        // Held-back leads of a campaign that isn't sending stay pending for its next launch
+        const campaignResult = await pool.query(`
+            SELECT * FROM campaigns WHERE id = $1
+        `, [campaignId]);
+        const campaign = campaignResult.rows[0];
+
+        if (heldLeadIds.length === 0 || campaign.status !== 'active') {
+            return { test, winner, launch: null };
+        }
+
+        // Scheduled campaigns send the winner inside their stored send window, which also keeps it in place
+        const scheduleResult = await pool.query(`
+            SELECT schedule_type FROM campaign_schedules WHERE campaign_id = $1
+        `, [campaignId]);
+        const isScheduled = scheduleResult.rows.length > 0 && scheduleResult.rows[0].schedule_type === 'scheduled';
+
+        const leads = await this.getPendingLeads(campaignId, heldLeadIds);
+        const launch = await this.launchLeads(campaign, leads, {
+            getContent: () => ({
+                content: { subject: winner.subject, bodyHtml: winner.body_html, bodyText: winner.body_text },
+                variantId: winner.id
+            }),
+            sendType: isScheduled ? 'scheduled' : 'immediate',
+            scheduledFor: isScheduled ? new Date() : null,
+            rateLimit: test.rate_limit || 100,
+            createdBy: userId || test.launched_by
+        });
+
+        if (launch.error) {
+            console.error(`⚠️ A/B winner for campaign ${campaignId} not sent: ${launch.error}`);
+        }
+
+        return { test, winner, launch };
+    }
+
+    /**
+     * Send the winner of every A/B test whose decision time has passed
+     * Tests of paused campaigns wait until the campaign is resumed
+     * @returns {number} Tests decided
+     */
+    async launchDueWinners() {
+        const dueResult = await pool.query(`
+            SELECT t.campaign_id
+            FROM campaign_ab_tests t
+            JOIN campaigns c ON t.campaign_id = c.id
+            WHERE t.status = 'testing' AND t.decide_at <= NOW() AND c.status = 'active'
+        `);
+
+        let decided = 0;
+        for (const test of dueResult.rows) {
+            try {
+                if (await this.sendWinner(test.campaign_id)) {
+                    decided++;
+                }
+            } catch (error) {
+                console.error(`Error sending A/B winner for campaign ${test.campaign_id}:`, error);
+            }
+        }
+
+        return decided;
+    }
+}
+
+module.exports = new CampaignLaunchService();
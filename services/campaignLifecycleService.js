@@ -0,0 +1,268 @@
+/**
+ * CampaignLifecycleService - Campaign status state machine and background lifecycle check
+ *
+ * This service handles:
+ * - The allowed status transitions (draft -> scheduled -> active -> paused -> completed -> archived)
+ * - Changing a campaign's status and recording the change in campaign_status_events
+ * - Activating scheduled campaigns when their start time comes
+ * - Completing active campaigns once every job and sequence has finished
+ * - Sending A/B test winners when their decision time comes
+ */
+
+const pool = require('../config/database');
+const campaignLaunchService = require('./campaignLaunchService');
+
+class CampaignLifecycleService {
+    constructor() {
+        this.isRunning = false;
+        this.isProcessing = false;
+        this.processingInterval = parseInt(process.env.CAMPAIGN_LIFECYCLE_INTERVAL_MS) || 60 * 1000; // Every minute
+        this.processingTimer = null;
+
+        this.statuses = ['draft', 'scheduled', 'active', 'paused', 'completed', 'archived'];
+        this.transitions = {
+            draft: ['scheduled', 'active', 'archived'],
+            scheduled: ['active', 'paused', 'draft', 'archived'],
+            active: ['paused', 'completed', 'archived'],
+            paused: ['active', 'scheduled', 'completed', 'archived'],
+            completed: ['archived'],
+            archived: [] // Cannot transition from archived
+        };
+
+        // Leads can be launched into these; paused campaigns must be resumed first
+        this.launchableStatuses = ['draft', 'scheduled', 'active'];
+    }
+
+    // ================================================================
+    // 1. STATE MACHINE
+    // ================================================================
+
+    /**
+     * Whether a campaign may move from one status to another
+     * @param {string} fromStatus - Current status
+     * @param {string} toStatus - Requested status
+     * @returns {boolean} True if the transition is allowed
+     */
+    canTransition(fromStatus, toStatus) {
+        return Boolean(this.transitions[fromStatus]?.includes(toStatus));
+    }
+
+    /**
+     * Statuses a campaign may move to next
+     * @param {string} status - Current status
+     * @returns {Array<string>} Allowed next statuses
+     */
+    getAllowedTransitions(status) {
+        return this.transitions[status] || [];
+    }
+
+    /**
+     * Whether leads can be launched into a campaign with this status
+     * @param {string} status - Campaign status
+     * @returns {boolean} True if the campaign can be launched
+     */
+    canLaunch(status) {
+        return this.launchableStatuses.includes(status);
+    }
+
+    /**
+     * Change a campaign's status and record the change
+     * Run inside the caller's transaction so the status and its event are saved together
+     * @param {Object} client - Database client
+     * @param {string} campaignId - Campaign UUID
+     * @param {string} toStatus - New status
+     * @param {Object} options - { fromStatus, userId, reason, metadata }
+     * @returns {Object|null} Updated campaign, or null if its status changed in the meantime
+     */
+    async transition(client, campaignId, toStatus, options) {
+        const { fromStatus, userId = null, reason = 'user', metadata = {} } = options;
+
+        if (!this.canTransition(fromStatus, toStatus)) {
+            throw new Error(`Cannot change status from ${fromStatus} to ${toStatus}`);
+        }
+
+        // Only moves from the status the caller saw, so concurrent changes can't skip a state
+        const result = await client.query(`
+            UPDATE campaigns
+            SET
+                status = $2::VARCHAR,
+                completed_at = CASE WHEN $2::VARCHAR = 'completed' THEN NOW() ELSE completed_at END,
+                updated_by = COALESCE($3, updated_by),
+                updated_at = NOW()
+            WHERE id = $1 AND status = $4
+            RETURNING *
+        `, [campaignId, toStatus, userId, fromStatus]);
+
+        if (result.rows.length === 0) {
+            return null;
+        }
+
+        await client.query(`
+            INSERT INTO campaign_status_events (campaign_id, from_status, to_status, reason, changed_by, metadata)
+            VALUES ($1, $2, $3, $4, $5, $6)
+        `, [campaignId, fromStatus, toStatus, reason, userId, JSON.stringify(metadata)]);
+
+        console.log(`🔀 Campaign ${campaignId}: ${fromStatus} → ${toStatus} (${reason})`);
+
+        return result.rows[0];
+    }
+
+    /**
+     * Status change history of a campaign, newest first
+     * @param {string} campaignId - Campaign UUID
+     * @returns {Array} Events with the name of the user who made each change (NULL for automatic ones)
+     */
+    async getHistory(campaignId) {
+        const result = await pool.query(`
+            SELECT
+                cse.*,
+                u.first_name as changed_by_first_name,
+                u.last_name as changed_by_last_name
+            FROM campaign_status_events cse
+            LEFT JOIN users u ON cse.changed_by = u.id
+            WHERE cse.campaign_id = $1
+            ORDER BY cse.created_at DESC
+        `, [campaignId]);
+
+        return result.rows;
+    }
+
+    // ================================================================
+    // 2. BACKGROUND LIFECYCLE CHECK
+    // ================================================================
+
+    /**
+     * Start the background lifecycle check
+     */
+    async start() {
+        if (this.isRunning) {
+            console.log('⚠️  CampaignLifecycleService is already running');
+            return;
+        }
+
+        console.log('🚀 Starting CampaignLifecycleService...');
+        this.isRunning = true;
+
+        this.processingTimer = setInterval(async () => {
+            try {
+                await this.checkCampaigns();
+            } catch (error) {
+                console.error('❌ Error in campaign lifecycle loop:', error);
+            }
+        }, this.processingInterval);
+
+        console.log(`✅ CampaignLifecycleService started (checking every ${this.processingInterval}ms)`);
+    }
+
+    /**
+     * Stop the background lifecycle check
+     */
+    async stop() {
+        console.log('🛑 Stopping CampaignLifecycleService...');
+        this.isRunning = false;
+
+        if (this.processingTimer) {
+            clearInterval(this.processingTimer);
+            this.processingTimer = null;
+        }
+
+        console.log('✅ CampaignLifecycleService stopped');
+    }
+
+    /**
+     * Activate due scheduled campaigns, send due A/B winners and complete finished campaigns
+     * @returns {Object} { activated, winnersSent, completed }
+     */
+    async checkCampaigns() {
+        if (this.isProcessing) {
+            return { activated: 0, winnersSent: 0, completed: 0 };
+        }
+
+        this.isProcessing = true;
+
+        try {
+            const dueResult = await pool.query(`
+                SELECT id FROM campaigns
+                WHERE status = 'scheduled' AND scheduled_at <= NOW()
+            `);
+
+            let activated = 0;
+            for (const campaign of dueResult.rows) {
+                if (await this._autoTransition(campaign.id, 'scheduled', 'active', 'schedule_started')) {
+                    activated++;
+                }
+            }
+
+            // Before the completion check, so a campaign waiting on its winner gets the winner's jobs
+            const winnersSent = await campaignLaunchService.launchDueWinners();
+
+            const finishedResult = await pool.query(`
+                SELECT c.id, c.emails_sent
+                FROM campaigns c
+                WHERE c.status = 'active'
+                  AND EXISTS (SELECT 1 FROM email_jobs ej WHERE ej.campaign_id = c.id)
+                  AND NOT EXISTS (
+                      SELECT 1 FROM email_jobs ej
+                      WHERE ej.campaign_id = c.id AND ej.status IN ('pending', 'processing', 'paused', 'held')
+                  )
+                  AND NOT EXISTS (
+                      SELECT 1 FROM campaign_leads cl
+                      WHERE cl.campaign_id = c.id
+                        AND c.type = 'sequence'
+                        AND cl.sent_at IS NOT NULL
+                        AND cl.sequence_completed_at IS NULL
+                        AND cl.sequence_stopped_at IS NULL
+                  )
+                  AND NOT EXISTS (
+                      SELECT 1 FROM campaign_ab_tests t
+                      WHERE t.campaign_id = c.id AND t.status = 'testing'
+                  )
+            `);
+
+            let completed = 0;
+            for (const campaign of finishedResult.rows) {
+                if (await this._autoTransition(campaign.id, 'active', 'completed', 'all_jobs_finished', { emailsSent: campaign.emails_sent })) {
+                    completed++;
+                }
+            }
+
+            if (activated > 0 || winnersSent > 0 || completed > 0) {
+                console.log(`🔀 Campaign lifecycle: ${activated} activated, ${winnersSent} A/B winners sent, ${completed} completed`);
+            }
+
+            return { activated, winnersSent, completed };
+
+        } finally {
+            this.isProcessing = false;
+        }
+    }
+
+    // ================================================================
+    // 3. PRIVATE HELPER METHODS
+    // ================================================================
+
+    /**
+     * Apply an automatic transition in its own transaction
+     * @private
+     */
+    async _autoTransition(campaignId, fromStatus, toStatus, reason, metadata = {}) {
+        const client = await pool.connect();
+
+        try {
+            await client.query('BEGIN');
+            const campaign = await this.transition(client, campaignId, toStatus, { fromStatus, reason, metadata });
+            await client.query('COMMIT');
+
+            return campaign;
+
+        } catch (error) {
+            await client.query('ROLLBACK');
+            console.error(`Error moving campaign ${campaignId} to ${toStatus}:`, error);
+            return null;
+        } finally {
+            client.release();
+        }
+    }
+}
+
+module.exports = new CampaignLifecycleService();
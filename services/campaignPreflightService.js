@@ -0,0 +1,489 @@
+/**
+ * CampaignPreflightService - Checks a campaign before it is launched
+ *
+ * This service handles:
+ * - Finding template variables that some leads can't fill
+ * - Flagging missing unsubscribe links and empty plain-text parts
+ * - Counting suppressed/do-not-contact leads and leads active in other campaigns
+ * - Checking the sending accounts' token status and daily capacity
+ * - Estimating how long sending the first step will take
+ *
+ * Every check reports 'pass', 'warning' or 'error'. Errors block a launch unless overridden.
+ */
+
+const pool = require('../config/database');
+const templateEngine = require('./templateEngine');
+const suppressionService = require('./suppressionService');
+const inboxRotationService = require('./inboxRotationService');
+const mailboxLimitService = require('./mailboxLimitService');
+const sendingCalendarService = require('./sendingCalendarService');
+const timezoneService = require('./timezoneService');
+
+const UNSUBSCRIBE_VARIABLES = ['unsubscribeUrl', 'unsubscribe_url'];
+const SAMPLE_SIZE = 5;
+
+class CampaignPreflightService {
+
+    // ================================================================
+    // 1. PREFLIGHT REPORT
+    // ================================================================
+
+    /**
+     * Run every pre-flight check for a campaign's pending leads
+     * @param {string} campaignId - Campaign UUID
+     * @returns {Object} { ready, summary: { errors, warnings }, checks: [{ id, status, message, details }], estimate }
+     */
+    async runPreflight(campaignId) {
+        const client = await pool.connect();
+
+        try {
+            const campaignResult = await client.query(`
+                SELECT c.*, ct.subject, ct.body_html, ct.body_text
+                FROM campaigns c
+                LEFT JOIN campaign_templates ct ON c.id = ct.campaign_id AND ct.is_active = true
+                WHERE c.id = $1
+            `, [campaignId]);
+
+            if (campaignResult.rows.length === 0) {
+                throw new Error('Campaign not found');
+            }
+
+            const campaign = campaignResult.rows[0];
+            const contents = await this._getContents(client, campaign);
+
+            const leadsResult = await client.query(`
+                SELECT cl.*, l.email, l.first_name, l.last_name, l.company_name, l.job_title,
+                       l.phone, l.website, l.custom_fields, l.original_row_data, l.timezone
+                FROM campaign_leads cl
+                JOIN leads l ON cl.lead_id = l.id
+                WHERE cl.campaign_id = $1 AND cl.status = 'pending'
+            `, [campaignId]);
+            const leads = leadsResult.rows;
+
+            const suppressedLeads = await suppressionService.getSuppressedLeads(
+                campaign.organization_id,
+                leads.map(lead => lead.lead_id)
+            );
+            const sendableLeads = leads.filter(lead => !suppressedLeads.has(lead.lead_id));
+
+            const senders = await this._getSenders(client, campaign);
+
+            const checks = [
+                ...this.checkContent(contents),
+                this.checkTemplateVariables(contents, sendableLeads, campaign),
+                this.checkLeads(leads, suppressedLeads),
+                await this._checkOtherCampaigns(client, campaignId, sendableLeads),
+                this.checkSenders(senders)
+            ];
+
+            const calendar = await sendingCalendarService.getCalendarForCampaign(campaignId);
+            const estimate = this.estimateDuration({
+                emails: sendableLeads.length,
+                remainingToday: senders.reduce((sum, sender) => sum + (sender.usable ? sender.remainingToday : 0), 0),
+                dailyCapacity: senders.reduce((sum, sender) => sum + (sender.usable ? sender.dailyLimit : 0), 0),
+                calendar,
+                startDate: timezoneService.getLocalDate(new Date(), timezoneService.resolveTimezone(campaign.timezone))
+            });
+
+            const errors = checks.filter(check => check.status === 'error').length;
+            const warnings = checks.filter(check => check.status === 'warning').length;
+
+            return {
+                ready: errors === 0,
+                summary: { errors, warnings },
+                checks,
+                estimate: {
+                    ...estimate,
+                    sequenceSteps: new Set(contents.map(content => parseInt(content.step))).size
+                }
+            };
+
+        } catch (error) {
+            console.error('Error running campaign preflight:', error);
+            throw new Error(`Failed to run campaign preflight: ${error.message}`);
+        } finally {
+            client.release();
+        }
+    }
+
+    // ================================================================
+    // 2. CHECKS
+    // ================================================================
+
+    /**
+     * Template presence, unsubscribe links and plain-text parts
+     * @param {Array} contents - [{ step, subject, body_html, body_text }]
+     * @returns {Array} Checks
+     */
+    checkContent(contents) {
+        const incomplete = contents.filter(content => !content.subject || (!content.body_html && !content.body_text));
+
+        if (contents.length === 0 || incomplete.length > 0) {
+            return [this._result('template', 'error',
+                contents.length === 0
+                    ? 'Campaign template is missing'
+                    : `${incomplete.length} email(s) are missing a subject or body`,
+                { steps: incomplete.map(content => content.step) }
+            )];
+        }
+
+        const syntaxErrors = contents.flatMap(content => templateEngine.validate({
+            subject: content.subject,
+            bodyHtml: content.body_html,
+            bodyText: content.body_text
+        }).map(error => `Step ${content.step} ${error}`));
+
+        if (syntaxErrors.length > 0) {
+            return [this._result('template', 'error', `Templates have ${syntaxErrors.length} error(s)`, { errors: syntaxErrors })];
+        }
+
+        const withoutUnsubscribe = contents.filter(content => {
+            const variables = [content.body_html, content.body_text].flatMap(body => templateEngine.getVariables(body));
+            return !UNSUBSCRIBE_VARIABLES.some(name => variables.includes(name));
+        });
+
+        const withoutText = contents.filter(content => !content.body_text || !content.body_text.trim());
+
+        return [
+            this._result('template', 'pass', 'Every email has a subject and body', { steps: contents.map(content => content.step) }),
+            withoutUnsubscribe.length > 0
+                ? this._result('unsubscribe_link', 'warning',
+                    `${withoutUnsubscribe.length} email(s) have no {{unsubscribeUrl}} link`,
+                    { steps: withoutUnsubscribe.map(content => content.step) })
+                : this._result('unsubscribe_link', 'pass', 'Every email has an unsubscribe link'),
+            withoutText.length > 0
+                ? this._result('text_part', 'warning',
+                    `${withoutText.length} email(s) have an empty plain-text part`,
+                    { steps: withoutText.map(content => content.step) })
+                : this._result('text_part', 'pass', 'Every email has a plain-text part')
+        ];
+    }
+
+    /**
+     * Template variables that leads can't fill
+     * A variable no lead can fill is an error; leads missing one are skipped at launch, so some is a warning
+     * @param {Array} contents - [{ step, subject, body_html, body_text }] (already validated by checkContent)
+     * @param {Array} leads - Pending campaign leads joined with lead fields
+     * @param {Object} campaign - Campaign row (for from_name)
+     * @returns {Object} Check
+     */
+    checkTemplateVariables(contents, leads, campaign = {}) {
+        if (contents.some(content => templateEngine.validate({ subject: content.subject, bodyHtml: content.body_html, bodyText: content.body_text }).length > 0)) {
+            return this._result('template_variables', 'error', 'Fix the template errors to check variables', { missing: [] });
+        }
+
+        if (leads.length === 0) {
+            return this._result('template_variables', 'pass', 'No sendable leads to check', { missing: [] });
+        }
+
+        const missing = new Map();
+
+        for (const lead of leads) {
+            const context = templateEngine.buildLeadContext(lead, campaign, lead.id);
+            const leadMissing = new Set(contents.flatMap(content => templateEngine.renderEmail({
+                subject: content.subject,
+                bodyHtml: content.body_html,
+                bodyText: content.body_text
+            }, context).missing));
+
+            for (const name of leadMissing) {
+                if (!missing.has(name)) missing.set(name, []);
+                missing.get(name).push(lead.email);
+            }
+        }
+
+        const variables = [...missing.entries()].map(([name, emails]) => ({ name, emails }));
+        const unfillable = variables.filter(variable => variable.emails.length === leads.length);
+        const partial = variables.filter(variable => variable.emails.length < leads.length);
+        const skippedLeads = new Set(variables.flatMap(variable => variable.emails)).size;
+        const details = {
+            skippedLeads,
+            missing: [...unfillable, ...partial].map(variable => ({
+                variable: variable.name,
+                leadCount: variable.emails.length,
+                sampleLeads: variable.emails.slice(0, SAMPLE_SIZE)
+            }))
+        };
+
+        if (unfillable.length > 0) {
+            return this._result('template_variables', 'error',
+                `No lead has a value for ${unfillable.map(variable => `{{${variable.name}}}`).join(', ')}`, details);
+        }
+
+        if (partial.length > 0) {
+            return this._result('template_variables', 'warning',
+                `${skippedLeads} leads have no value for ${partial.map(variable => `{{${variable.name}}}`).join(', ')} and will be skipped`, details);
+        }
+
+        return this._result('template_variables', 'pass', 'Every lead fills every template variable', details);
+    }
+
+    /**
+     * Pending leads that are suppressed or marked do-not-contact
+     * @param {Array} leads - Pending campaign leads
+     * @param {Map<string, string>} suppressedLeads - Lead ID to suppression reason
+     * @returns {Object} Check
+     */
+    checkLeads(leads, suppressedLeads) {
+        if (leads.length === 0) {
+            return this._result('leads', 'error', 'No pending leads found for this campaign', { pending: 0 });
+        }
+
+        const reasons = {};
+        for (const reason of suppressedLeads.values()) {
+            reasons[reason] = (reasons[reason] || 0) + 1;
+        }
+
+        const details = {
+            pending: leads.length,
+            sendable: leads.length - suppressedLeads.size,
+            suppressed: suppressedLeads.size,
+            reasons
+        };
+
+        if (suppressedLeads.size === leads.length) {
+            return this._result('leads', 'error', 'All pending leads are suppressed or do-not-contact', details);
+        }
+
+        if (suppressedLeads.size > 0) {
+            return this._result('leads', 'warning',
+                `${suppressedLeads.size} of ${leads.length} pending leads are suppressed or do-not-contact and will be skipped`, details);
+        }
+
+        return this._result('leads', 'pass', `${leads.length} pending leads can be emailed`, details);
+    }
+
+    /**
+     * Sending accounts' token status and remaining capacity
+     * @param {Array} senders - From _getSenders
+     * @returns {Object} Check
+     */
+    checkSenders(senders) {
+        const details = {
+            senders: senders.map(sender => ({
+                emailAccountId: sender.id,
+                email: sender.email,
+                status: sender.status,
+                tokenExpiresAt: sender.tokenExpiresAt,
+                dailyLimit: sender.dailyLimit,
+                remainingToday: sender.remainingToday,
+                usable: sender.usable
+            }))
+        };
+
+        const usable = senders.filter(sender => sender.usable);
+        const unusable = senders.filter(sender => !sender.usable);
+
+        if (usable.length === 0) {
+            return this._result('senders', 'error',
+                senders.length === 0
+                    ? 'No email account found for the from address'
+                    : `No active sending account (${unusable.map(sender => `${sender.email}: ${sender.status}`).join(', ')})`,
+                details);
+        }
+
+        if (unusable.length > 0) {
+            return this._result('senders', 'warning',
+                `${unusable.length} sending account(s) need reconnecting: ${unusable.map(sender => sender.email).join(', ')}`, details);
+        }
+
+        if (usable.every(sender => sender.remainingToday === 0)) {
+            return this._result('senders', 'warning', 'Sending accounts have no capacity left today; sending starts tomorrow', details);
+        }
+
+        return this._result('senders', 'pass', `${usable.length} sending account(s) ready`, details);
+    }
+
+    // ================================================================
+    // 3. ESTIMATES
+    // ================================================================
+
+    /**
+     * Rough number of sending days needed for a batch of emails
+     * Today gets what's left of the senders' allowance, later days their full daily capacity
+     * @param {Object} params - { emails, remainingToday, dailyCapacity, calendar, startDate: 'YYYY-MM-DD' }
+     * @returns {Object} { emails, dailyCapacity, remainingToday, sendingDays, estimatedCompletionDate }
+     */
+    estimateDuration({ emails, remainingToday, dailyCapacity, calendar = null, startDate }) {
+        const estimate = {
+            emails,
+            dailyCapacity,
+            remainingToday,
+            sendingDays: 0,
+            estimatedCompletionDate: null
+        };
+
+        if (emails === 0) return estimate;
+        if (dailyCapacity <= 0) return { ...estimate, sendingDays: null };
+
+        // Today only counts if the calendar allows sending on it
+        let date = startDate;
+        let capacity = sendingCalendarService.isSendableDate(calendar, date) ? Math.min(remainingToday, dailyCapacity) : 0;
+        let remaining = emails;
+        let sendingDays = 0;
+
+        if (capacity === 0) {
+            date = sendingCalendarService.addSendingDays(calendar, date, 1);
+            capacity = dailyCapacity;
+        }
+
+        while (true) {
+            sendingDays++;
+            remaining -= capacity;
+            if (remaining <= 0) break;
+
+            date = sendingCalendarService.addSendingDays(calendar, date, 1);
+            capacity = dailyCapacity;
+        }
+
+        return { ...estimate, sendingDays, estimatedCompletionDate: date };
+    }
+
+    // ================================================================
+    // 4. PRIVATE HELPER METHODS
+    // ================================================================
+
+    /**
+     * Emails the campaign sends: its active sequence steps, or its template, with A/B variants in place of their step
+     * @private
+     */
+    async _getContents(client, campaign) {
+        let contents = [];
+
+        if (campaign.type === 'sequence') {
+            const stepsResult = await client.query(`
+                SELECT step_number as step, subject, body_html, body_text
+                FROM campaign_sequence_steps
+                WHERE campaign_id = $1 AND is_active = true
+                ORDER BY step_number ASC
+            `, [campaign.id]);
+
+            contents = stepsResult.rows;
+        }
+
+        if (contents.length === 0 && (campaign.subject || campaign.body_html || campaign.body_text)) {
+            contents = [{
+                step: 1,
+                subject: campaign.subject,
+                body_html: campaign.body_html,
+                body_text: campaign.body_text
+            }];
+        }
+
+        // A/B variants replace their step's content and are checked one by one (step "1A", "1B", ...)
+        const variantsResult = await client.query(`
+            SELECT step_number, label, subject, body_html, body_text
+            FROM campaign_variants
+            WHERE campaign_id = $1 AND is_active = true
+            ORDER BY step_number ASC, label ASC
+        `, [campaign.id]);
+
+        if (variantsResult.rows.length === 0) return contents;
+
+        const variantSteps = new Set(variantsResult.rows.map(variant => variant.step_number));
+        const variantContents = variantsResult.rows.map(variant => ({
+            step: `${variant.step_number}${variant.label}`,
+            subject: variant.subject,
+            body_html: variant.body_html,
+            body_text: variant.body_text
+        }));
+
+        return [...contents.filter(content => !variantSteps.has(content.step)), ...variantContents]
+            .sort((a, b) => parseInt(a.step) - parseInt(b.step));
+    }
+
+    /**
+     * Accounts the campaign would send from with their allowance today
+     * @private
+     */
+    async _getSenders(client, campaign) {
+        const mailboxes = await inboxRotationService.getCampaignMailboxes(campaign.id, { includeInactive: true });
+        const attached = mailboxes.filter(mailbox => mailbox.is_active);
+
+        if (attached.length > 0) {
+            return attached.map(mailbox => ({
+                id: mailbox.email_account_id,
+                email: mailbox.email,
+                status: mailbox.account_status,
+                tokenExpiresAt: null,
+                dailyLimit: Math.min(mailbox.daily_limit, mailbox.mailbox_daily_limit),
+                remainingToday: mailbox.remaining_capacity,
+                usable: mailbox.account_status === 'active'
+            }));
+        }
+
+        const accountResult = await client.query(`
+            SELECT * FROM email_accounts
+            WHERE email = $1
+            ORDER BY (status = 'active') DESC, updated_at DESC
+            LIMIT 1
+        `, [campaign.from_email]);
+
+        if (accountResult.rows.length === 0) return [];
+
+        const account = accountResult.rows[0];
+        const allowance = await mailboxLimitService.checkMailbox(account);
+
+        return [{
+            id: account.id,
+            email: account.email,
+            status: account.status,
+            tokenExpiresAt: account.token_expires_at,
+            dailyLimit: allowance.dailyLimit,
+            remainingToday: allowance.remainingToday,
+            usable: account.status === 'active'
+        }];
+    }
+
+    /**
+     * Leads still being emailed by another active or paused campaign
+     * @private
+     */
+    async _checkOtherCampaigns(client, campaignId, leads) {
+        if (leads.length === 0) {
+            return this._result('other_campaigns', 'pass', 'No leads to compare', { leadCount: 0, campaigns: [] });
+        }
+
+        const result = await client.query(`
+            SELECT DISTINCT cl.lead_id, c.id as campaign_id, c.name as campaign_name
+            FROM campaign_leads cl
+            JOIN campaigns c ON cl.campaign_id = c.id
+            WHERE cl.lead_id = ANY($1::UUID[])
+              AND cl.campaign_id <> $2
+              AND c.status IN ('scheduled', 'active', 'paused')
+              AND cl.status IN ('pending', 'sent', 'delivered', 'opened', 'clicked')
+              AND cl.sequence_completed_at IS NULL
+              AND cl.sequence_stopped_at IS NULL
+        `, [leads.map(lead => lead.lead_id), campaignId]);
+
+        const campaigns = new Map();
+        for (const row of result.rows) {
+            const campaign = campaigns.get(row.campaign_id) || { id: row.campaign_id, name: row.campaign_name, leadCount: 0 };
+            campaign.leadCount++;
+            campaigns.set(row.campaign_id, campaign);
+        }
+
+        const leadCount = new Set(result.rows.map(row => row.lead_id)).size;
+        const details = {
+            leadCount,
+            campaigns: [...campaigns.values()].sort((a, b) => b.leadCount - a.leadCount)
+        };
+
+        if (leadCount > 0) {
+            return this._result('other_campaigns', 'warning',
+                `${leadCount} leads are already active in ${campaigns.size} other campaign(s)`, details);
+        }
+
+        return this._result('other_campaigns', 'pass', 'No leads are active in other campaigns', details);
+    }
+
+    /**
+     * Shape of a single check
+     * @private
+     */
+    _result(id, status, message, details = {}) {
+        return { id, status, message, details };
+    }
+}
+
+module.exports = new CampaignPreflightService();
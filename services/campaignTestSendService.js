@@ -0,0 +1,239 @@
+/**
+ * CampaignTestSendService - Sends a campaign email to the team before launch
+ *
+ * This service handles:
+ * - Rendering a campaign's template (or a sequence step) for a real lead or for sample data
+ * - Sending it from the campaign's real sender account to internal addresses
+ * - Marking tracking as test, so opens and clicks never reach campaign analytics
+ *
+ * Test sends don't create email jobs, so they don't count against mailbox caps.
+ */
+
+const crypto = require('crypto');
+const pool = require('../config/database');
+const mailProviders = require('./mailProviders');
+const templateEngine = require('./templateEngine');
+const spintaxService = require('./spintaxService');
+const emailJobService = require('./emailJobService');
+const inboxRotationService = require('./inboxRotationService');
+const campaignAttachmentService = require('./campaignAttachmentService');
+
+class CampaignTestSendService {
+    constructor() {
+        this.trackingPrefix = 'test_';
+        this.maxRecipients = 5;
+    }
+
+    // ================================================================
+    // 1. TEST SENDING
+    // ================================================================
+
+    /**
+     * Render and send a test email
+     * @param {Object} campaign - Campaign row
+     * @param {Object} options - Test send options
+     * @param {Array<string>} options.recipients - Internal addresses (see getInternalAddresses)
+     * @param {string} options.leadId - Lead to render for (campaign lead or lead UUID); sample data is used without it
+     * @param {Object} options.sampleData - Sample values in camelCase when no lead is given
+     * @param {number} options.stepNumber - Sequence step to send (sequence campaigns, default 1)
+     * @param {string} options.emailAccountId - Sender account (must belong to the campaign)
+     * @returns {Object} { sender, lead, stepNumber, subject, missingVariables, spintax, results: [{ to, success, messageId, error }] }
+     */
+    async sendTest(campaign, options) {
+        const { recipients, leadId, sampleData = {}, stepNumber = 1, emailAccountId } = options;
+
+        const content = await this.getContent(campaign, stepNumber);
+        if (!content) {
+            throw new Error(campaign.type === 'sequence'
+                ? `Sequence step ${stepNumber} not found`
+                : 'Campaign has no email template');
+        }
+
+        const templateErrors = templateEngine.validate(content);
+        if (templateErrors.length > 0) {
+            throw new Error(`Template has errors: ${templateErrors.join('; ')}`);
+        }
+
+        let lead = null;
+        let context;
+        let seed = 'preview';
+
+        if (leadId) {
+            lead = await this.getCampaignLead(campaign.id, leadId);
+            if (!lead) {
+                throw new Error('Lead not found in this campaign');
+            }
+
+            // Same spintax picks the lead will get, but an unsubscribe link that doesn't unsubscribe them
+            context = templateEngine.setSampleUnsubscribeUrl(templateEngine.buildLeadContext(lead, campaign));
+            seed = `${lead.id}:${stepNumber}`;
+        } else {
+            context = templateEngine.buildSampleContext(sampleData, campaign);
+        }
+
+        const sender = await this.getSender(campaign, emailAccountId, lead);
+        if (!sender) {
+            throw new Error(emailAccountId
+                ? 'Sender account is not one of this campaign\'s active mailboxes'
+                : 'No active email account found for campaign');
+        }
+
+        const spun = spintaxService.spinEmail(content, seed);
+        const rendered = templateEngine.renderEmail(spun, context);
+        const attachments = await campaignAttachmentService.getAttachmentsForSend(campaign.id, stepNumber);
+
+        const mailProvider = mailProviders.forAccount(sender);
+
+        const results = [];
+        for (const to of recipients) {
+            try {
+                // A fresh test tracking ID per message; the tracking endpoints ignore test IDs
+                const trackingId = `${this.trackingPrefix}${crypto.randomUUID()}`;
+
+                const sent = await mailProvider.sendEmail(sender.id, {
+                    to,
+                    subject: rendered.subject,
+                    htmlBody: emailJobService.addEmailTracking(rendered.bodyHtml, trackingId),
+                    textBody: rendered.bodyText,
+                    fromName: campaign.from_name || null,
+                    attachments
+                });
+
+                results.push({ to, success: true, messageId: sent.messageId });
+            } catch (error) {
+                console.error(`Test send to ${to} failed:`, error.message);
+                results.push({ to, success: false, error: error.message });
+            }
+        }
+
+        console.log(`🧪 Test email for campaign ${campaign.id} sent from ${sender.email} to ${results.filter(r => r.success).length}/${recipients.length} address(es)`);
+
+        return {
+            sender: { id: sender.id, email: sender.email },
+            lead: lead ? { id: lead.id, email: lead.email } : null,
+            stepNumber: campaign.type === 'sequence' ? stepNumber : null,
+            subject: rendered.subject,
+            missingVariables: rendered.missing,
+            spintax: spun.variants,
+            results
+        };
+    }
+
+    /**
+     * Whether a tracking ID belongs to a test email
+     * @param {string} trackingId - ID from a tracking URL
+     * @returns {boolean} True for test tracking IDs
+     */
+    isTestTrackingId(trackingId) {
+        return typeof trackingId === 'string' && trackingId.startsWith(this.trackingPrefix);
+    }
+
+    // ================================================================
+    // 2. LOOKUPS
+    // ================================================================
+
+    /**
+     * Addresses test emails may go to: the organization's members and its connected mailboxes
+     * @param {string} organizationId - Organization UUID
+     * @returns {Set<string>} Lowercased email addresses
+     */
+    async getInternalAddresses(organizationId) {
+        const result = await pool.query(`
+            SELECT LOWER(u.email) as email
+            FROM organization_members om
+            JOIN users u ON om.user_id = u.id
+            WHERE om.organization_id = $1 AND om.status = 'active'
+            UNION
+            SELECT LOWER(ea.email) as email
+            FROM email_accounts ea
+            JOIN organization_members om ON om.user_id = ea.user_id AND om.status = 'active'
+            WHERE om.organization_id = $1
+        `, [organizationId]);
+
+        return new Set(result.rows.map(row => row.email));
+    }
+
+    /**
+     * Content a test send renders: the active template, or a sequence step
+     * @param {Object} campaign - Campaign row
+     * @param {number} stepNumber - Sequence step
+     * @returns {Object|null} { subject, bodyHtml, bodyText }
+     */
+    async getContent(campaign, stepNumber) {
+        const result = campaign.type === 'sequence'
+            ? await pool.query(`
+                SELECT subject, body_html, body_text
+                FROM campaign_sequence_steps
+                WHERE campaign_id = $1 AND step_number = $2 AND is_active = true
+            `, [campaign.id, stepNumber])
+            : await pool.query(`
+                SELECT subject, body_html, body_text
+                FROM campaign_templates
+                WHERE campaign_id = $1 AND is_active = true
+                ORDER BY created_at DESC
+                LIMIT 1
+            `, [campaign.id]);
+
+        if (result.rows.length === 0) return null;
+
+        const row = result.rows[0];
+        return { subject: row.subject, bodyHtml: row.body_html, bodyText: row.body_text };
+    }
+
+    /**
+     * A lead in the campaign, by campaign lead ID or lead ID
+     * @param {string} campaignId - Campaign UUID
+     * @param {string} leadId - campaign_leads.id or leads.id
+     * @returns {Object|null} Campaign lead joined with its lead fields
+     */
+    async getCampaignLead(campaignId, leadId) {
+        const result = await pool.query(`
+            SELECT cl.*, l.email, l.first_name, l.last_name, l.company_name, l.job_title,
+                   l.phone, l.website, l.custom_fields, l.original_row_data, l.timezone
+            FROM campaign_leads cl
+            JOIN leads l ON cl.lead_id = l.id
+            WHERE cl.campaign_id = $1 AND (cl.id = $2 OR cl.lead_id = $2)
+            LIMIT 1
+        `, [campaignId, leadId]);
+
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Account the test is sent from
+     * An explicit account must be one of the campaign's mailboxes or its from_email account;
+     * otherwise the lead's assigned mailbox, the campaign's first mailbox or its from_email account
+     * @param {Object} campaign - Campaign row
+     * @param {string} emailAccountId - Requested sender account (optional)
+     * @param {Object} lead - Campaign lead (optional)
+     * @returns {Object|null} email_accounts row
+     */
+    async getSender(campaign, emailAccountId, lead) {
+        const mailboxes = await inboxRotationService.getCampaignMailboxes(campaign.id);
+        const accountId = emailAccountId
+            || (lead && mailboxes.some(mailbox => mailbox.email_account_id === lead.email_account_id) ? lead.email_account_id : null)
+            || (mailboxes.length > 0 ? mailboxes[0].email_account_id : null);
+
+        if (accountId) {
+            const isCampaignMailbox = mailboxes.some(mailbox => mailbox.email_account_id === accountId);
+
+            const result = await pool.query(`
+                SELECT * FROM email_accounts
+                WHERE id = $1 AND status = 'active' AND ($2::BOOLEAN OR email = $3)
+            `, [accountId, isCampaignMailbox, campaign.from_email]);
+
+            return result.rows[0] || null;
+        }
+
+        // Single-sender campaigns send from the campaign's from_email account
+        const result = await pool.query(`
+            SELECT * FROM email_accounts
+            WHERE email = $1 AND status = 'active'
+            LIMIT 1
+        `, [campaign.from_email]);
+
+        return result.rows[0] || null;
+    }
+}
+
+module.exports = new CampaignTestSendService();
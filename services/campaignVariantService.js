@@ -0,0 +1,452 @@
+/**
+ * CampaignVariantService - A/B content variants and test settings
+ *
+ * This service handles:
+ * - Content variants per campaign step with a weighted traffic split
+ * - Picking a lead's variant (seeded, so a lead always gets the same one)
+ * - Splitting leads into a test slice and a hold-out that waits for the winner
+ * - Per-variant send, open, click and reply rates, and choosing the winner
+ * - Winner mode settings (campaign_ab_tests)
+ *
+ * When a step has active variants they replace the step's template. Sending the
+ * winner to the hold-out is a launch, so it lives in CampaignLaunchService.
+ */
+
+const crypto = require('crypto');
+const pool = require('../config/database');
+
+class CampaignVariantService {
+    constructor() {
+        this.winnerMetrics = {
+            open: 'openRate',
+            click: 'clickRate',
+            reply: 'replyRate'
+        };
+    }
+
+    // ================================================================
+    // 1. VARIANTS
+    // ================================================================
+
+    /**
+     * Variants of a campaign step, ordered by label
+     * @param {string} campaignId - Campaign UUID
+     * @param {number} stepNumber - Step (1 for the first email), or null for every step
+     * @param {Object} options - { includeInactive }
+     * @returns {Array} campaign_variants rows
+     */
+    async getVariants(campaignId, stepNumber = 1, options = {}) {
+        const { includeInactive = false } = options;
+        const params = [campaignId];
+        const conditions = ['campaign_id = $1'];
+
+        if (stepNumber !== null) {
+            params.push(stepNumber);
+            conditions.push(`step_number = $${params.length}`);
+        }
+
+        if (!includeInactive) {
+            conditions.push('is_active = true');
+        }
+
+        const result = await pool.query(`
+            SELECT * FROM campaign_variants
+            WHERE ${conditions.join(' AND ')}
+            ORDER BY step_number ASC, label ASC
+        `, params);
+
+        return result.rows;
+    }
+
+    /**
+     * Add a variant to a campaign step; the label defaults to the next free letter
+     * @param {string} campaignId - Campaign UUID
+     * @param {Object} data - { stepNumber, label, name, subject, bodyHtml, bodyText, weight }
+     * @param {string} userId - User UUID
+     * @returns {Object} Created variant
+     */
+    async createVariant(campaignId, data, userId) {
+        const stepNumber = data.stepNumber || 1;
+
+        try {
+            let label = data.label;
+            if (!label) {
+                const labelsResult = await pool.query(`
+                    SELECT label FROM campaign_variants
+                    WHERE campaign_id = $1 AND step_number = $2
+                `, [campaignId, stepNumber]);
+                label = this.nextLabel(labelsResult.rows.map(row => row.label));
+            }
+
+            const result = await pool.query(`
+                INSERT INTO campaign_variants (
+                    campaign_id, step_number, label, name, subject, body_html, body_text, weight, created_by
+                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+                RETURNING *
+            `, [
+                campaignId,
+                stepNumber,
+                label,
+                data.name || `Variant ${label}`,
+                data.subject,
+                data.bodyHtml || null,
+                data.bodyText || null,
+                data.weight || 50,
+                userId
+            ]);
+
+            return result.rows[0];
+
+        } catch (error) {
+            console.error('Error creating campaign variant:', error);
+            throw new Error(`Failed to create campaign variant: ${error.message}`);
+        }
+    }
+
+    /**
+     * Update a variant; omitted fields are left unchanged
+     * @param {string} campaignId - Campaign UUID
+     * @param {string} variantId - Variant UUID
+     * @param {Object} data - { name, subject, bodyHtml, bodyText, weight, isActive }
+     * @returns {Object|null} Updated variant, or null if not found
+     */
+    async updateVariant(campaignId, variantId, data) {
+        const result = await pool.query(`
+            UPDATE campaign_variants
+            SET
+                name = COALESCE($3, name),
+                subject = COALESCE($4, subject),
+                body_html = CASE WHEN $5::BOOLEAN THEN $6 ELSE body_html END,
+                body_text = CASE WHEN $7::BOOLEAN THEN $8 ELSE body_text END,
+                weight = COALESCE($9, weight),
+                is_active = COALESCE($10, is_active)
+            WHERE id = $1 AND campaign_id = $2
+            RETURNING *
+        `, [
+            variantId,
+            campaignId,
+            data.name ?? null,
+            data.subject ?? null,
+            data.bodyHtml !== undefined,
+            data.bodyHtml || null,
+            data.bodyText !== undefined,
+            data.bodyText || null,
+            data.weight ?? null,
+            typeof data.isActive === 'boolean' ? data.isActive : null
+        ]);
+
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Whether any email rendered from a variant has gone out
+     * @param {string} variantId - Variant UUID
+     * @returns {boolean}
+     */
+    async hasSends(variantId) {
+        const result = await pool.query(`
+            SELECT EXISTS (SELECT 1 FROM email_jobs WHERE variant_id = $1 AND status = 'sent') as sent
+        `, [variantId]);
+
+        return result.rows[0].sent;
+    }
+
+    /**
+     * Remove a variant; variants that were already sent are deactivated to keep their results
+     * @param {string} campaignId - Campaign UUID
+     * @param {string} variantId - Variant UUID
+     * @returns {string|null} 'deleted', 'deactivated', or null if not found
+     */
+    async deleteVariant(campaignId, variantId) {
+        const usedResult = await pool.query(`
+            SELECT EXISTS (SELECT 1 FROM email_jobs WHERE variant_id = $1) as used
+        `, [variantId]);
+
+        const result = usedResult.rows[0].used
+            ? await pool.query(`
+                UPDATE campaign_variants SET is_active = false
+                WHERE id = $1 AND campaign_id = $2
+            `, [variantId, campaignId])
+            : await pool.query(`
+                DELETE FROM campaign_variants
+                WHERE id = $1 AND campaign_id = $2
+            `, [variantId, campaignId]);
+
+        if (result.rowCount === 0) return null;
+        return usedResult.rows[0].used ? 'deactivated' : 'deleted';
+    }
+
+    /**
+     * Next unused letter label (A, B, ... Z, then V27, V28, ...)
+     * @param {Array<string>} labels - Labels already used in the step
+     * @returns {string} Label
+     */
+    nextLabel(labels) {
+        const used = new Set(labels);
+
+        for (let i = 0; i < 26; i++) {
+            const label = String.fromCharCode(65 + i);
+            if (!used.has(label)) return label;
+        }
+
+        let n = 27;
+        while (used.has(`V${n}`)) n++;
+        return `V${n}`;
+    }
+
+    // ================================================================
+    // 2. SPLITTING
+    // ================================================================
+
+    /**
+     * Pick a lead's variant by weight
+     * @param {Array} variants - Active variants with weight
+     * @param {string} seed - Stable seed (campaign lead ID and step); the same seed always gets the same variant
+     * @returns {Object|null} Variant, or null if there are none
+     */
+    pickVariant(variants, seed) {
+        if (variants.length === 0) return null;
+
+        const totalWeight = variants.reduce((sum, variant) => sum + variant.weight, 0);
+        let point = this._hash(seed) % totalWeight;
+
+        for (const variant of variants) {
+            point -= variant.weight;
+            if (point < 0) return variant;
+        }
+
+        return variants[variants.length - 1];
+    }
+
+    /**
+     * Split leads into a test slice and a hold-out that waits for the winner
+     * The slice is chosen by hashing the campaign lead ID, so it doesn't depend on lead order
+     * @param {Array} leads - Campaign leads (with id)
+     * @param {number} testPercent - Percent of leads in the test slice
+     * @returns {Object} { testLeads, holdoutLeads }
+     */
+    splitTestSlice(leads, testPercent) {
+        const testCount = Math.min(leads.length, Math.max(1, Math.ceil(leads.length * testPercent / 100)));
+        const ordered = [...leads].sort((a, b) => this._hash(`slice:${a.id}`) - this._hash(`slice:${b.id}`));
+        const testIds = new Set(ordered.slice(0, testCount).map(lead => lead.id));
+
+        return {
+            testLeads: leads.filter(lead => testIds.has(lead.id)),
+            holdoutLeads: leads.filter(lead => !testIds.has(lead.id))
+        };
+    }
+
+    // ================================================================
+    // 3. RESULTS
+    // ================================================================
+
+    /**
+     * Send, open, click and reply counts and rates per variant
+     * Counted per sent email: opens and clicks are recorded on the job, and a reply
+     * counts for the last email the lead got before it
+     * @param {string} campaignId - Campaign UUID
+     * @param {number} stepNumber - Step, or null for every step
+     * @returns {Array} [{ id, label, name, step_number, weight, is_active, is_winner, sent, opened, clicked, replied, openRate, clickRate, replyRate }]
+     */
+    async getVariantStats(campaignId, stepNumber = null) {
+        const result = await pool.query(`
+            SELECT
+                v.id,
+                v.label,
+                v.name,
+                v.step_number,
+                v.weight,
+                v.is_active,
+                v.is_winner,
+                COUNT(ej.id) as sent,
+                COUNT(ej.id) FILTER (WHERE ej.opened_at IS NOT NULL) as opened,
+                COUNT(ej.id) FILTER (WHERE ej.clicked_at IS NOT NULL) as clicked,
+                COUNT(ej.id) FILTER (WHERE reply.found) as replied
+            FROM campaign_variants v
+            LEFT JOIN email_jobs ej ON ej.variant_id = v.id AND ej.status = 'sent'
+            LEFT JOIN LATERAL (
+                -- A reply belongs to the last email the lead got before it arrived
+                SELECT EXISTS (
+                    SELECT 1 FROM email_replies er
+                    WHERE er.campaign_lead_id = ej.campaign_lead_id
+                    AND er.received_at >= ej.sent_at
+                    AND NOT EXISTS (
+                        SELECT 1 FROM email_jobs later
+                        WHERE later.campaign_lead_id = ej.campaign_lead_id
+                        AND later.status = 'sent'
+                        AND later.sent_at > ej.sent_at
+                        AND later.sent_at <= er.received_at
+                    )
+                ) as found
+            ) reply ON true
+            WHERE v.campaign_id = $1 AND ($2::INTEGER IS NULL OR v.step_number = $2)
+            GROUP BY v.id
+            ORDER BY v.step_number ASC, v.label ASC
+        `, [campaignId, stepNumber]);
+
+        return result.rows.map(row => this._withRates(row));
+    }
+
+    /**
+     * Best active variant by a metric; ties go to the variant sent to more leads, then by label
+     * @param {Array} stats - From getVariantStats
+     * @param {string} metric - 'open', 'click' or 'reply'
+     * @returns {Object|null} Winning stats row
+     */
+    chooseWinner(stats, metric) {
+        const rateKey = this.winnerMetrics[metric];
+        const candidates = stats.filter(variant => variant.is_active);
+
+        if (!rateKey || candidates.length === 0) return null;
+
+        return [...candidates].sort((a, b) =>
+            (b[rateKey] - a[rateKey]) || (b.sent - a.sent) || a.label.localeCompare(b.label)
+        )[0];
+    }
+
+    // ================================================================
+    // 4. WINNER MODE SETTINGS
+    // ================================================================
+
+    /**
+     * A campaign's A/B test settings
+     * @param {string} campaignId - Campaign UUID
+     * @returns {Object|null} campaign_ab_tests row
+     */
+    async getTest(campaignId) {
+        const result = await pool.query(`
+            SELECT * FROM campaign_ab_tests WHERE campaign_id = $1
+        `, [campaignId]);
+
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Turn on winner mode, or change its settings before the test starts
+     * @param {string} campaignId - Campaign UUID
+     * @param {Object} settings - { winnerMetric, testPercent, decideAfterHours }
+     * @returns {Object|null} Saved settings, or null if the test already started
+     */
+    async saveTest(campaignId, settings) {
+        const result = await pool.query(`
+            INSERT INTO campaign_ab_tests (campaign_id, winner_metric, test_percent, decide_after_hours)
+            VALUES ($1, $2, $3, $4)
+            ON CONFLICT (campaign_id) DO UPDATE SET
+                winner_metric = EXCLUDED.winner_metric,
+                test_percent = EXCLUDED.test_percent,
+                decide_after_hours = EXCLUDED.decide_after_hours
+            WHERE campaign_ab_tests.status = 'draft'
+            RETURNING *
+        `, [campaignId, settings.winnerMetric, settings.testPercent, settings.decideAfterHours]);
+
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Turn off winner mode; a running test is cancelled and its held-back leads
+     * go back to pending for the next launch
+     * @param {string} campaignId - Campaign UUID
+     * @returns {Object} { removed, releasedLeads }
+     */
+    async deleteTest(campaignId) {
+        const client = await pool.connect();
+
+        try {
+            await client.query('BEGIN');
+
+            const released = await client.query(`
+                UPDATE campaign_leads
+                SET ab_holdout = false, updated_at = NOW()
+                WHERE campaign_id = $1 AND ab_holdout = true
+            `, [campaignId]);
+
+            const removed = await client.query(`
+                DELETE FROM campaign_ab_tests WHERE campaign_id = $1
+            `, [campaignId]);
+
+            await client.query('COMMIT');
+
+            return { removed: removed.rowCount > 0, releasedLeads: released.rowCount };
+
+        } catch (error) {
+            await client.query('ROLLBACK');
+            console.error('Error removing A/B test:', error);
+            throw new Error(`Failed to remove A/B test: ${error.message}`);
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Hold leads back for the winner
+     * Leads that already have a job (the test slice, still 'pending' until sent) are left alone
+     * @param {Array<string>} campaignLeadIds - Campaign lead UUIDs
+     * @returns {number} Leads held back
+     */
+    async holdLeads(campaignLeadIds) {
+        if (campaignLeadIds.length === 0) return 0;
+
+        const result = await pool.query(`
+            UPDATE campaign_leads cl
+            SET ab_holdout = true, updated_at = NOW()
+            WHERE cl.id = ANY($1::UUID[])
+              AND NOT EXISTS (SELECT 1 FROM email_jobs ej WHERE ej.campaign_lead_id = cl.id)
+        `, [campaignLeadIds]);
+
+        return result.rowCount;
+    }
+
+    /**
+     * Mark the test as running once its slice is queued
+     * @param {string} testId - Test UUID
+     * @param {Object} options - { decideAt, rateLimit, launchedBy }
+     * @returns {Object} Updated test
+     */
+    async startTest(testId, options) {
+        const result = await pool.query(`
+            UPDATE campaign_ab_tests
+            SET status = 'testing', decide_at = $2, rate_limit = $3, launched_by = $4
+            WHERE id = $1
+            RETURNING *
+        `, [testId, options.decideAt, options.rateLimit, options.launchedBy]);
+
+        return result.rows[0];
+    }
+
+    // ================================================================
+    // 5. PRIVATE HELPER METHODS
+    // ================================================================
+
+    /**
+     * Add percentage rates to a stats row
+     * @private
+     */
+    _withRates(row) {
+        const sent = parseInt(row.sent);
+        const rate = count => (sent > 0 ? Math.round((count / sent) * 10000) / 100 : 0);
+        const opened = parseInt(row.opened);
+        const clicked = parseInt(row.clicked);
+        const replied = parseInt(row.replied);
+
+        return {
+            ...row,
+            sent,
+            opened,
+            clicked,
+            replied,
+            openRate: rate(opened),
+            clickRate: rate(clicked),
+            replyRate: rate(replied)
+        };
+    }
+
+    /**
+     * Stable 32-bit hash of a seed
+     * @private
+     */
+    _hash(seed) {
+        return crypto.createHash('sha256').update(String(seed)).digest().readUInt32BE(0);
+    }
+}
+
+module.exports = new CampaignVariantService();
@@ -6,6 +6,7 @@
  * - Rate limiting and quota management per organization
  * - Actual email sending via Gmail API
  * - Job status updates and retry logic
+ * - Holding the jobs of mailboxes that need reconnecting
  * - Campaign progress tracking and lead status management
  * - Error handling and logging
  * 
@@ -14,7 +15,14 @@
 
 const pool = require('../config/database');
 const emailJobService = require('./emailJobService');
-const gmailService = require('./gmailService');
+const mailProviders = require('./mailProviders');
+const unsubscribeService = require('./unsubscribeService');
+const suppressionService = require('./suppressionService');
+const sendingCalendarService = require('./sendingCalendarService');
+const timezoneService = require('./timezoneService');
+const inboxRotationService = require('./inboxRotationService');
+const mailboxLimitService = require('./mailboxLimitService');
+const campaignAttachmentService = require('./campaignAttachmentService');
 
 class EmailJobProcessor {
     constructor() {
@@ -28,6 +36,9 @@ class EmailJobProcessor {
         this.organizationLastSent = new Map(); // Track last send time per org
         this.organizationSentCount = new Map(); // Track hourly send count per org
         this.globalLastReset = Date.now();
+
+        // Jobs for the same mailbox run one at a time so each cap check sees the previous send
+        this.mailboxQueues = new Map();
         
         console.log(`📧 EmailJobProcessor initialized with node ID: ${this.processingNode}`);
     }
@@ -104,11 +115,14 @@ class EmailJobProcessor {
 
             // Group jobs by organization for rate limiting
             const jobsByOrg = this.groupJobsByOrganization(jobs);
+
+            // Attachments are loaded once per campaign step and shared by every job in the batch
+            const attachmentCache = new Map();
             
             // Process jobs by organization with rate limiting
             const processingPromises = [];
             for (const [orgId, orgJobs] of jobsByOrg.entries()) {
-                processingPromises.push(this.processOrganizationJobs(orgId, orgJobs));
+                processingPromises.push(this.processOrganizationJobs(orgId, orgJobs, attachmentCache));
             }
 
             // Wait for all organizations to complete processing
@@ -128,7 +142,7 @@ class EmailJobProcessor {
     /**
      * Process jobs for a specific organization with rate limiting
      */
-    async processOrganizationJobs(organizationId, jobs) {
+    async processOrganizationJobs(organizationId, jobs, attachmentCache = new Map()) {
         console.log(`🏢 Processing ${jobs.length} jobs for organization ${organizationId}`);
         
         try {
@@ -138,12 +152,12 @@ class EmailJobProcessor {
 
             if (massEmailJobs.length > 0) {
                 console.log(`🚀 Found ${massEmailJobs.length} mass email jobs - processing with high concurrency`);
-                await this.processMassEmailJobs(organizationId, massEmailJobs);
+                await this.processMassEmailJobs(organizationId, massEmailJobs, attachmentCache);
             }
 
             if (regularJobs.length > 0) {
                 console.log(`📈 Found ${regularJobs.length} regular jobs - processing with standard rate limiting`);
-                await this.processRegularJobs(organizationId, regularJobs);
+                await this.processRegularJobs(organizationId, regularJobs, attachmentCache);
             }
             
         } catch (error) {
@@ -154,10 +168,10 @@ class EmailJobProcessor {
     /**
      * Process mass email jobs with high concurrency (no rate limiting)
      */
-    async processMassEmailJobs(organizationId, jobs) {
+    async processMassEmailJobs(organizationId, jobs, attachmentCache = new Map()) {
         try {
             // Process all mass email jobs in parallel with no rate limiting
-            const processPromises = jobs.map(job => this.processIndividualJob(job));
+            const processPromises = jobs.map(job => this.processIndividualJob(job, attachmentCache));
             
             console.log(`🚀 Processing ${jobs.length} mass email jobs in parallel...`);
             await Promise.allSettled(processPromises);
@@ -171,7 +185,7 @@ class EmailJobProcessor {
     /**
      * Process regular jobs with standard rate limiting
      */
-    async processRegularJobs(organizationId, jobs) {
+    async processRegularJobs(organizationId, jobs, attachmentCache = new Map()) {
         try {
             // Check rate limits for this organization
             const rateLimitInfo = await this.checkOrganizationRateLimit(organizationId);
@@ -199,11 +213,11 @@ class EmailJobProcessor {
                     }
 
                     // Process individual job
-                    const result = await this.processIndividualJob(job);
+                    const result = await this.processIndividualJob(job, attachmentCache);
                     if (result.success) {
                         successCount++;
                         this.updateOrganizationRateTracking(organizationId);
-                    } else {
+                    } else if (!result.skipped) {
                         failureCount++;
                     }
 
@@ -227,30 +241,125 @@ class EmailJobProcessor {
 
     /**
      * Process an individual email job
+     * attachmentCache is shared across a batch so each campaign step's attachments are read once
      */
-    async processIndividualJob(job) {
+    async processIndividualJob(job, attachmentCache = new Map()) {
         const client = await pool.connect();
+        let emailAccount = null;
+        let releaseMailbox = null;
         
         try {
             console.log(`📧 Processing job ${job.id} to ${job.recipient_email}`);
 
+            // Suppression check right before sending - catches opt-outs after the job was queued
+            const suppressionReason = await suppressionService.getSuppressionReason(job.organization_id, job.recipient_email);
+            if (suppressionReason) {
+                console.log(`🚫 Cancelling job ${job.id} to ${job.recipient_email}: suppressed (${suppressionReason})`);
+                await emailJobService.cancelJob(job.id, `Suppressed: ${suppressionReason}`);
+
+                if (job.campaign_lead_id) {
+                    await client.query(`
+                        UPDATE campaign_leads 
+                        SET 
+                            status = 'suppressed',
+                            error_message = $2
+                        WHERE id = $1 AND status = 'pending'
+                    `, [job.campaign_lead_id, `Suppressed: ${suppressionReason}`]);
+                    await emailJobService.stopSequenceForLead(job.campaign_lead_id, 'suppressed');
+                }
+
+                return {
+                    success: false,
+                    skipped: true,
+                    reason: suppressionReason
+                };
+            }
+
+            // Follow-up steps are skipped once the lead has replied, bounced or unsubscribed
+            if (job.campaign_lead_id && (job.sequence_step || 1) > 1) {
+                const stopReason = await emailJobService.getSequenceStopReason(job.campaign_lead_id);
+                if (stopReason) {
+                    console.log(`🛑 Skipping sequence step ${job.sequence_step} for job ${job.id}: ${stopReason}`);
+                    await emailJobService.cancelJob(job.id, `Sequence stopped: ${stopReason}`);
+                    await emailJobService.stopSequenceForLead(job.campaign_lead_id, stopReason);
+
+                    return {
+                        success: false,
+                        skipped: true,
+                        reason: stopReason
+                    };
+                }
+            }
+
+            // Weekends, blackout dates and times outside the send window (in the recipient's
+            // timezone) wait for the start of the window on the next sending day
+            const calendar = await sendingCalendarService.getCalendarForCampaign(job.campaign_id);
+            const sendWindow = await sendingCalendarService.getSendWindowForCampaign(job.campaign_id);
+            const timezone = job.timezone || 'UTC';
+            const now = new Date();
+            // A job planned inside the window may still go out if it is picked up a little late the same day
+            const plannedFor = job.scheduled_for ? new Date(job.scheduled_for) : now;
+            const plannedInWindow = timezoneService.getLocalDate(plannedFor, timezone) === timezoneService.getLocalDate(now, timezone)
+                && sendingCalendarService.getNextSendTime(calendar, plannedFor, timezone, sendWindow).getTime() === plannedFor.getTime();
+            const nextSendTime = plannedInWindow ? now : sendingCalendarService.getNextSendTime(calendar, now, timezone, sendWindow);
+            if (nextSendTime > now) {
+                const reason = sendingCalendarService.isSendableDate(calendar, timezoneService.getLocalDate(now, timezone))
+                    ? 'Outside the campaign send window'
+                    : `Not a sending day in calendar ${calendar.name}`;
+                console.log(`📅 Deferring job ${job.id} to ${nextSendTime.toISOString()}: ${reason}`);
+                await emailJobService.rescheduleJob(job.id, nextSendTime, reason);
+
+                return {
+                    success: false,
+                    skipped: true,
+                    reason: 'calendar'
+                };
+            }
+
             // Get email account for sending
-            const emailAccount = await this.getEmailAccountForJob(job);
+            emailAccount = await this.getEmailAccountForJob(job);
             if (!emailAccount) {
                 throw new Error('No active email account found for campaign');
             }
 
+            // Held until this job is finished, so parallel jobs can't all pass the cap check at once
+            releaseMailbox = await this.acquireMailbox(emailAccount.id);
+
+            // Per-mailbox caps and warm-up: wait for the mailbox's next free slot
+            const allowance = await mailboxLimitService.checkMailbox(emailAccount);
+            if (!allowance.canSend) {
+                console.log(`⏳ Deferring job ${job.id}: ${emailAccount.email} ${allowance.reason}`);
+                await emailJobService.rescheduleJob(job.id, allowance.nextAvailableAt, `Mailbox ${emailAccount.email}: ${allowance.reason}`);
+
+                return {
+                    success: false,
+                    skipped: true,
+                    reason: 'mailbox_limit'
+                };
+            }
+
             // Prepare email data
             const emailData = {
                 to: job.recipient_email,
                 subject: job.subject,
                 htmlBody: job.body_html,
-                textBody: job.body_text
+                textBody: job.body_text,
+                fromName: job.from_name || null,
+                attachments: await this.getAttachmentsForJob(job, attachmentCache),
+                // Follow-ups reply in the lead's existing thread (set when the step was scheduled)
+                threadId: job.thread_id || null,
+                inReplyTo: job.in_reply_to || null,
+                references: job.references_header || null
             };
 
-            // Send email using Gmail service
+            // RFC 8058 one-click unsubscribe for campaign recipients
+            if (job.campaign_lead_id) {
+                emailData.headers = unsubscribeService.getListUnsubscribeHeaders(job.campaign_lead_id);
+            }
+
+            // Send through the mailbox's provider (Gmail API, Microsoft Graph or SMTP)
             console.log(`📤 Sending email from ${emailAccount.email} to ${job.recipient_email}`);
-            const sendResult = await gmailService.sendEmail(emailAccount.id, emailData);
+            const sendResult = await mailProviders.forAccount(emailAccount).sendEmail(emailAccount.id, emailData);
 
             // Mark job as sent
             await client.query(`
@@ -260,12 +369,25 @@ class EmailJobProcessor {
                     sent_at = NOW(),
                     message_id = $1,
                     thread_id = $2,
+                    email_account_id = $4,
+                    rfc_message_id = $5,
                     updated_at = NOW()
                 WHERE id = $3
-            `, [sendResult.messageId, sendResult.threadId, job.id]);
+            `, [sendResult.messageId, sendResult.threadId, job.id, emailAccount.id, sendResult.rfcMessageId]);
 
             // Update lead status in campaign_leads
-            if (job.lead_id) {
+            if (job.campaign_lead_id) {
+                // Follow-ups keep any engagement status (opened, clicked) from earlier steps
+                await client.query(`
+                    UPDATE campaign_leads 
+                    SET 
+                        status = CASE WHEN status = 'pending' THEN 'sent' ELSE status END,
+                        sent_at = COALESCE(sent_at, NOW()),
+                        current_step = $2,
+                        email_account_id = COALESCE(email_account_id, $3)
+                    WHERE id = $1
+                `, [job.campaign_lead_id, job.sequence_step || 1, emailAccount.id]);
+            } else if (job.lead_id) {
                 await client.query(`
                     UPDATE campaign_leads 
                     SET 
@@ -283,8 +405,8 @@ class EmailJobProcessor {
                 INSERT INTO email_sends (
                     id, user_id, email_account_id, recipient_email,
                     subject, message_id, thread_id, status, sent_at,
-                    campaign_id, job_id
-                ) VALUES (gen_random_uuid(), $1, $2, $3, $4, $5, $6, $7, NOW(), $8, $9)
+                    campaign_id, job_id, sequence_step, rfc_message_id
+                ) VALUES (gen_random_uuid(), $1, $2, $3, $4, $5, $6, $7, NOW(), $8, $9, $10, $11)
             `, [
                 job.created_by,
                 emailAccount.id,
@@ -294,7 +416,9 @@ class EmailJobProcessor {
                 sendResult.threadId,
                 'sent',
                 job.campaign_id,
-                job.id
+                job.id,
+                job.sequence_step || 1,
+                sendResult.rfcMessageId
             ]);
 
             // Update campaign statistics
@@ -302,6 +426,11 @@ class EmailJobProcessor {
 
             console.log(`✅ Job ${job.id} sent successfully (Message ID: ${sendResult.messageId})`);
 
+            // Queue the next follow-up for sequence campaigns
+            if (job.campaign_type === 'sequence') {
+                await this.scheduleNextStep(job);
+            }
+
             return {
                 success: true,
                 messageId: sendResult.messageId,
@@ -310,12 +439,24 @@ class EmailJobProcessor {
 
         } catch (error) {
             console.error(`❌ Failed to send job ${job.id}:`, error);
+
+            // A mailbox that needs reconnecting holds its jobs instead of failing them one by one
+            const deadMailbox = await this.getUnusableMailboxForJob(job, emailAccount);
+            if (deadMailbox && await this.holdJobsForMailbox(job, deadMailbox)) {
+                return {
+                    success: false,
+                    skipped: true,
+                    reason: 'mailbox_unusable'
+                };
+            }
+
             await this.handleJobFailure(job, error.message);
             return {
                 success: false,
                 error: error.message
             };
         } finally {
+            if (releaseMailbox) releaseMailbox();
             client.release();
         }
     }
@@ -452,6 +593,29 @@ class EmailJobProcessor {
     // 4. ERROR HANDLING AND RETRY LOGIC
     // ================================================================
 
+    /**
+     * Queue the follow-up after a sent sequence email
+     * The email already went out, so a failure here never triggers a retry; the lead's
+     * sequence is stopped instead so the campaign can still complete
+     * @param {Object} job - Sent email job row
+     */
+    async scheduleNextStep(job) {
+        try {
+            const nextStep = await emailJobService.scheduleNextSequenceStep(job);
+            if (nextStep) {
+                console.log(`📅 Step ${nextStep.stepNumber} scheduled for ${job.recipient_email} at ${nextStep.scheduledFor.toISOString()}`);
+            }
+        } catch (error) {
+            console.error(`❌ Failed to schedule next sequence step for job ${job.id}:`, error);
+
+            try {
+                await emailJobService.stopSequenceForLead(job.campaign_lead_id, 'schedule_failed');
+            } catch (stopError) {
+                console.error(`Error stopping sequence for job ${job.id}:`, stopError);
+            }
+        }
+    }
+
     /**
      * Handle job failure with retry logic
      */
@@ -495,7 +659,15 @@ class EmailJobProcessor {
                 `, [errorMessage, job.id]);
 
                 // Update lead status to failed
-                if (job.lead_id) {
+                if (job.campaign_lead_id) {
+                    await client.query(`
+                        UPDATE campaign_leads 
+                        SET 
+                            status = 'failed',
+                            error_message = $1
+                        WHERE id = $2
+                    `, [errorMessage, job.campaign_lead_id]);
+                } else if (job.lead_id) {
                     await client.query(`
                         UPDATE campaign_leads 
                         SET 
@@ -507,6 +679,11 @@ class EmailJobProcessor {
 
                 // Update campaign statistics
                 await this.updateCampaignStatistics(job.campaign_id, 'failed');
+
+                // The lead's sequence can't go on, so it no longer keeps the campaign from completing
+                if (job.campaign_type === 'sequence' && job.campaign_lead_id) {
+                    await emailJobService.stopSequenceForLead(job.campaign_lead_id, 'send_failed');
+                }
             }
 
         } catch (error) {
@@ -516,6 +693,58 @@ class EmailJobProcessor {
         }
     }
 
+    /**
+     * Mailbox a failed job was (or would have been) sent from, if it is no longer active
+     * @param {Object} job - Email job row
+     * @param {Object|null} emailAccount - Mailbox picked for the job, if it got that far
+     * @returns {Object|null} { id, email, status, status_reason }
+     */
+    async getUnusableMailboxForJob(job, emailAccount) {
+        try {
+            const result = await pool.query(`
+                SELECT ea.id, ea.email, ea.status, ea.status_reason
+                FROM email_jobs ej
+                JOIN campaigns c ON ej.campaign_id = c.id
+                LEFT JOIN campaign_leads cl ON ej.campaign_lead_id = cl.id
+                JOIN email_accounts ea ON (
+                    ea.id = COALESCE($2::UUID, ej.email_account_id, cl.email_account_id)
+                    OR (COALESCE($2::UUID, ej.email_account_id, cl.email_account_id) IS NULL AND ea.email = c.from_email)
+                )
+                WHERE ej.id = $1 AND ea.status <> 'active'
+                LIMIT 1
+            `, [job.id, emailAccount ? emailAccount.id : null]);
+
+            return result.rows[0] || null;
+
+        } catch (error) {
+            console.error(`Error checking mailbox for job ${job.id}:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Hold a job and the rest of its mailbox's queue until the mailbox is reconnected
+     * @param {Object} job - Email job row (currently 'processing')
+     * @param {Object} mailbox - From getUnusableMailboxForJob
+     * @returns {boolean} False if holding failed and the job should be failed as usual
+     */
+    async holdJobsForMailbox(job, mailbox) {
+        const reason = mailbox.status_reason
+            ? `Mailbox ${mailbox.status}: ${mailbox.status_reason}`
+            : `Mailbox ${mailbox.email} is ${mailbox.status}`;
+
+        try {
+            await emailJobService.holdMailboxJobs(mailbox.id, reason, job.id);
+
+            console.log(`✋ Job ${job.id} held: ${reason}`);
+            return true;
+
+        } catch (error) {
+            console.error(`Error holding jobs for mailbox ${mailbox.id}:`, error);
+            return false;
+        }
+    }
+
     /**
      * Release jobs back to pending status (when rate limited)
      */
@@ -567,24 +796,50 @@ class EmailJobProcessor {
 
     /**
      * Get email account for job
+     * Rotated campaigns use the lead's assigned mailbox; others use the campaign's from_email account
      */
     async getEmailAccountForJob(job) {
-        const client = await pool.connect();
-        
-        try {
-            // Get the campaign's from_email and find matching active account
-            const result = await client.query(`
-                SELECT ea.* 
-                FROM campaigns c
-                JOIN email_accounts ea ON ea.email = c.from_email
-                WHERE c.id = $1 AND ea.status = 'active'
-                LIMIT 1
-            `, [job.campaign_id]);
+        return inboxRotationService.getMailboxForJob(job);
+    }
 
-            return result.rows[0] || null;
-        } finally {
-            client.release();
+    /**
+     * Wait for this process's other jobs on a mailbox to finish
+     * @param {string} accountId - Email account UUID
+     * @returns {Promise<Function>} Call to let the next job for the mailbox run
+     */
+    async acquireMailbox(accountId) {
+        const previous = this.mailboxQueues.get(accountId) || Promise.resolve();
+        let release;
+        const current = new Promise(resolve => { release = resolve; });
+        const tail = previous.then(() => current);
+        this.mailboxQueues.set(accountId, tail);
+
+        await previous;
+
+        return () => {
+            release();
+            if (this.mailboxQueues.get(accountId) === tail) {
+                this.mailboxQueues.delete(accountId);
+            }
+        };
+    }
+
+    /**
+     * Get a job's attachments, reusing the batch cache
+     * The pending promise is cached so parallel jobs for the same step share one query
+     */
+    getAttachmentsForJob(job, attachmentCache) {
+        const step = job.sequence_step || 1;
+        const key = `${job.campaign_id}:${step}`;
+
+        if (!attachmentCache.has(key)) {
+            const loading = campaignAttachmentService.getAttachmentsForSend(job.campaign_id, step);
+            // A failed load is not cached, so the next job retries it
+            loading.catch(() => attachmentCache.delete(key));
+            attachmentCache.set(key, loading);
         }
+
+        return attachmentCache.get(key);
     }
 
     /**
@@ -11,6 +11,12 @@
 
 const pool = require('../config/database');
 const { v4: uuidv4 } = require('uuid');
+const templateEngine = require('./templateEngine');
+const spintaxService = require('./spintaxService');
+const timezoneService = require('./timezoneService');
+const sendingCalendarService = require('./sendingCalendarService');
+const campaignVariantService = require('./campaignVariantService');
+const suppressionService = require('./suppressionService');
 
 class EmailJobService {
     constructor() {
@@ -43,8 +49,8 @@ class EmailJobService {
         // Track all links in the email
         let linkId = 1;
         trackedHtml = trackedHtml.replace(/<a\s+([^>]*href\s*=\s*["']([^"']+)["'][^>]*)>/gi, (match, attributes, originalUrl) => {
-            // Skip if it's already a tracking URL or a mailto link
-            if (originalUrl.includes('/track/click/') || originalUrl.startsWith('mailto:')) {
+            // Skip if it's already a tracking URL, an unsubscribe link or a mailto link
+            if (originalUrl.includes('/track/click/') || originalUrl.includes('/unsubscribe/') || originalUrl.startsWith('mailto:')) {
                 return match;
             }
 
@@ -158,11 +164,11 @@ class EmailJobService {
      * @param {Date} params.endDate - When to stop sending (optional)
      * @param {string} params.startTime - Daily start time (HH:MM format)
      * @param {string} params.endTime - Daily end time (HH:MM format)
-     * @param {string} params.timezone - Timezone for scheduling
+     * @param {string} params.timezone - Fallback timezone for recipients without their own
      * @param {number} params.dailyLimit - Max emails per day
      * @param {number} params.hourlyRate - Emails per hour
      * @param {string} params.createdBy - User UUID
-     * @returns {Object} Result with job IDs and schedule info
+     * @returns {Object} Result with job IDs, schedule info and the recipients that did not fit before the end date
      */
     async createScheduledJobs(params) {
         const client = await pool.connect();
@@ -190,8 +196,11 @@ class EmailJobService {
             // Validate scheduling parameters
             this._validateScheduleParams(params);
 
-            // Calculate scheduled send times for all recipients
-            const jobsWithScheduling = await this._calculateScheduledSendTimes({
+            // Weekends and blackout dates from the campaign's sending calendar are skipped
+            const calendar = await sendingCalendarService.getCalendarForCampaign(campaignId);
+
+            // Calculate scheduled send times; recipients past the end date get no job
+            const { jobs: jobsWithScheduling, unscheduled } = await this._calculateScheduledSendTimes({
                 recipients,
                 startDate,
                 endDate,
@@ -199,7 +208,8 @@ class EmailJobService {
                 endTime,
                 timezone,
                 dailyLimit,
-                hourlyRate
+                hourlyRate,
+                calendar
             });
 
             // Create jobs in batches
@@ -238,10 +248,15 @@ class EmailJobService {
 
             const scheduleInfo = this._getScheduleInfo(jobsWithScheduling);
 
+            if (unscheduled.length > 0) {
+                console.log(`⚠️ ${unscheduled.length} recipients for campaign ${campaignId} don't fit in the send window before the end date`);
+            }
+
             return {
                 success: true,
                 jobsCreated: jobIds.length,
                 jobIds: jobIds,
+                unscheduled: unscheduled.map(recipient => ({ leadId: recipient.leadId, email: recipient.email })),
                 schedule: {
                     startDate,
                     endDate,
@@ -291,13 +306,15 @@ class EmailJobService {
                     processing_node = $1,
                     updated_at = NOW()
                 WHERE id IN (
-                    SELECT id FROM email_jobs
-                    WHERE status = 'pending'
-                    AND scheduled_for <= NOW()
-                    ${organizationId ? 'AND organization_id = $3' : ''}
-                    ORDER BY priority DESC, scheduled_for ASC
+                    SELECT ej.id FROM email_jobs ej
+                    JOIN campaigns c ON ej.campaign_id = c.id
+                    WHERE ej.status = 'pending'
+                    AND ej.scheduled_for <= NOW()
+                    AND c.status = 'active'
+                    ${organizationId ? 'AND ej.organization_id = $3' : ''}
+                    ORDER BY ej.priority DESC, ej.scheduled_for ASC
                     LIMIT $2
-                    FOR UPDATE SKIP LOCKED
+                    FOR UPDATE OF ej SKIP LOCKED
                 )
                 RETURNING id;
             `;
@@ -320,6 +337,7 @@ class EmailJobService {
                     c.name as campaign_name,
                     c.from_email,
                     c.from_name,
+                    c.type as campaign_type,
                     c.is_mass_email,
                     c.mass_email_concurrency,
                     o.name as organization_name
@@ -363,7 +381,7 @@ class EmailJobService {
             const { errorMessage, metadata = {} } = details;
             
             // Validate status
-            const validStatuses = ['pending', 'processing', 'sent', 'failed', 'cancelled'];
+            const validStatuses = ['pending', 'processing', 'sent', 'failed', 'cancelled', 'paused', 'held'];
             if (!validStatuses.includes(status)) {
                 throw new Error(`Invalid status: ${status}`);
             }
@@ -410,6 +428,80 @@ class EmailJobService {
         }
     }
 
+    /**
+     * Cancel a single job and log why it will not be sent
+     * @param {string} jobId - Job UUID
+     * @param {string} reason - Why the job was cancelled
+     * @returns {boolean} True if the job was cancelled
+     */
+    async cancelJob(jobId, reason) {
+        const client = await pool.connect();
+
+        try {
+            const result = await client.query(`
+                UPDATE email_jobs 
+                SET 
+                    status = 'cancelled',
+                    last_error_message = $2,
+                    updated_at = NOW()
+                WHERE id = $1 AND status IN ('pending', 'processing')
+                RETURNING id
+            `, [jobId, reason]);
+
+            if (result.rows.length === 0) {
+                return false;
+            }
+
+            await this._logJobEvent(client, jobId, 'INFO', 'Job cancelled', { reason });
+
+            return true;
+
+        } catch (error) {
+            console.error('Error cancelling job:', error);
+            throw new Error(`Failed to cancel job: ${error.message}`);
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Put a job back in the queue for a later send time
+     * @param {string} jobId - Job UUID
+     * @param {Date} scheduledFor - New send time
+     * @param {string} reason - Why the job was moved
+     * @returns {boolean} True if the job was rescheduled
+     */
+    async rescheduleJob(jobId, scheduledFor, reason) {
+        const client = await pool.connect();
+
+        try {
+            const result = await client.query(`
+                UPDATE email_jobs 
+                SET 
+                    status = 'pending',
+                    scheduled_for = $2,
+                    processing_node = NULL,
+                    updated_at = NOW()
+                WHERE id = $1 AND status IN ('pending', 'processing')
+                RETURNING id
+            `, [jobId, scheduledFor]);
+
+            if (result.rows.length === 0) {
+                return false;
+            }
+
+            await this._logJobEvent(client, jobId, 'INFO', 'Job rescheduled', { reason, scheduledFor });
+
+            return true;
+
+        } catch (error) {
+            console.error('Error rescheduling job:', error);
+            throw new Error(`Failed to reschedule job: ${error.message}`);
+        } finally {
+            client.release();
+        }
+    }
+
     // ================================================================
     // 3. RATE LIMITING METHODS
     // ================================================================
@@ -530,9 +622,501 @@ class EmailJobService {
     }
 
     // ================================================================
-    // 4. MONITORING AND STATISTICS METHODS
+    // 4. SEQUENCE METHODS
+    // ================================================================
+
+    /**
+     * Schedule the next sequence step for a lead after a step was sent
+     * @param {Object} job - The job that was just sent (from getJobsToProcess)
+     * @returns {Object|null} The scheduled step info, or null if the sequence ended
+     */
+    async scheduleNextSequenceStep(job) {
+        if (!job.campaign_lead_id) {
+            return null;
+        }
+
+        const client = await pool.connect();
+
+        try {
+            const currentStep = job.sequence_step || 1;
+
+            // Find the next active step after the one just sent
+            const stepResult = await client.query(`
+                SELECT * FROM campaign_sequence_steps
+                WHERE campaign_id = $1 AND step_number > $2 AND is_active = true
+                ORDER BY step_number ASC
+                LIMIT 1
+            `, [job.campaign_id, currentStep]);
+
+            if (stepResult.rows.length === 0) {
+                await client.query(`
+                    UPDATE campaign_leads
+                    SET sequence_completed_at = NOW()
+                    WHERE id = $1 AND sequence_completed_at IS NULL
+                `, [job.campaign_lead_id]);
+                return null;
+            }
+
+            const step = stepResult.rows[0];
+
+            // Don't queue follow-ups for leads who replied, bounced or unsubscribed
+            const stopReason = await this._getSequenceStopReason(client, job.campaign_lead_id);
+            if (stopReason) {
+                await this._stopSequence(client, job.campaign_lead_id, stopReason);
+                return null;
+            }
+
+            // Get lead and campaign details for personalization
+            const leadResult = await client.query(`
+                SELECT l.*, c.from_name, c.status as campaign_status, cl.email_account_id
+                FROM campaign_leads cl
+                JOIN leads l ON cl.lead_id = l.id
+                JOIN campaigns c ON cl.campaign_id = c.id
+                WHERE cl.id = $1
+            `, [job.campaign_lead_id]);
+
+            if (leadResult.rows.length === 0) {
+                return null;
+            }
+
+            const lead = leadResult.rows[0];
+
+            // Completed or archived campaigns send no further steps
+            if (!['active', 'paused'].includes(lead.campaign_status)) {
+                return null;
+            }
+
+            // A/B variants of the step replace its content; the pick is seeded like spintax
+            const seed = `${job.campaign_lead_id}:${step.step_number}`;
+            const variants = await campaignVariantService.getVariants(job.campaign_id, step.step_number);
+            const variant = campaignVariantService.pickVariant(variants, seed);
+            const content = variant || step;
+
+            // Seeded per lead and step, so the same lead always gets the same spintax options of this step
+            const spun = spintaxService.spinEmail(
+                { subject: content.subject, bodyHtml: content.body_html, bodyText: content.body_text },
+                seed
+            );
+            const rendered = templateEngine.renderEmail(spun, templateEngine.buildLeadContext(lead, lead, job.campaign_lead_id));
+
+            // A follow-up with blanks where lead data should be is never sent
+            if (rendered.missing.length > 0) {
+                const message = `Missing value for ${rendered.missing.map(name => `{{${name}}}`).join(', ')}`;
+                await this._logJobEvent(client, job.id, 'ERROR', `Sequence step ${step.step_number} not scheduled: ${message}`, {
+                    missing: rendered.missing
+                });
+                await this._stopSequence(client, job.campaign_lead_id, 'template_error');
+                return null;
+            }
+
+            // Follow-ups reply in the thread of the lead's previous email from the same mailbox
+            const emailAccountId = job.email_account_id || lead.email_account_id;
+            const thread = step.thread_with_previous !== false
+                ? this.buildThreadContext(await this._getPreviousSends(client, job.campaign_lead_id, emailAccountId))
+                : null;
+            const subject = thread && step.reply_subject ? this.toReplySubject(thread.subject) : rendered.subject;
+
+            const timezone = timezoneService.resolveTimezone(lead.timezone, job.timezone);
+            const calendar = await sendingCalendarService.getCalendarForCampaign(job.campaign_id);
+            const sendWindow = await sendingCalendarService.getSendWindowForCampaign(job.campaign_id);
+            const scheduledFor = this._calculateStepSendTime(step, calendar, timezone, new Date(), sendWindow);
+
+            const [jobId] = await this._createJobBatch(client, {
+                campaignId: job.campaign_id,
+                organizationId: job.organization_id,
+                jobs: [{
+                    leadId: job.campaign_lead_id,
+                    email: lead.email,
+                    firstName: lead.first_name,
+                    lastName: lead.last_name,
+                    companyName: lead.company_name,
+                    personalizedSubject: subject,
+                    // Variants are tracked for their open and click rates, like the first step
+                    personalizedBodyHtml: variant ? this.addEmailTracking(rendered.bodyHtml, job.campaign_lead_id) : rendered.bodyHtml,
+                    personalizedBodyText: rendered.bodyText,
+                    scheduledFor,
+                    timezone,
+                    sequenceStep: step.step_number,
+                    // Follow-ups always go out from the mailbox that sent the first step
+                    emailAccountId,
+                    variantId: variant ? variant.id : null,
+                    priority: 4
+                }],
+                subject: content.subject,
+                bodyText: content.body_text,
+                bodyHtml: content.body_html,
+                createdBy: job.created_by,
+                scheduleType: 'sequence'
+            });
+
+            if (spun.variants) {
+                await spintaxService.saveVariants(step.step_number, [{ campaignLeadId: job.campaign_lead_id, variants: spun.variants }]);
+            }
+
+            if (thread) {
+                await client.query(`
+                    UPDATE email_jobs
+                    SET thread_id = $2, in_reply_to = $3, references_header = $4
+                    WHERE id = $1
+                `, [jobId, thread.threadId, thread.inReplyTo, thread.references]);
+            }
+
+            // Follow-ups queued while the campaign is paused wait for it to resume
+            if (lead.campaign_status === 'paused') {
+                await client.query(`
+                    UPDATE email_jobs 
+                    SET status = 'paused', paused_at = NOW()
+                    WHERE id = $1
+                `, [jobId]);
+            }
+
+            await this._logJobEvent(client, jobId, 'INFO', `Scheduled sequence step ${step.step_number}`, {
+                previousJobId: job.id,
+                scheduledFor: scheduledFor.toISOString(),
+                threadId: thread ? thread.threadId : null
+            });
+
+            return {
+                jobId,
+                stepNumber: step.step_number,
+                scheduledFor
+            };
+
+        } catch (error) {
+            console.error('Error scheduling next sequence step:', error);
+            throw new Error(`Failed to schedule next sequence step: ${error.message}`);
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Check whether a lead's sequence should stop
+     * @param {string} campaignLeadId - Campaign lead UUID
+     * @returns {string|null} Stop reason (replied, bounced, unsubscribed, suppressed) or null
+     */
+    async getSequenceStopReason(campaignLeadId) {
+        const client = await pool.connect();
+
+        try {
+            return await this._getSequenceStopReason(client, campaignLeadId);
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Stop a lead's sequence and cancel any follow-ups still queued
+     * @param {string} campaignLeadId - Campaign lead UUID
+     * @param {string} reason - Why the sequence stopped
+     * @returns {number} Number of cancelled jobs
+     */
+    async stopSequenceForLead(campaignLeadId, reason) {
+        const client = await pool.connect();
+
+        try {
+            return await this._stopSequence(client, campaignLeadId, reason);
+        } catch (error) {
+            console.error('Error stopping sequence:', error);
+            throw new Error(`Failed to stop sequence: ${error.message}`);
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Thread a follow-up should reply in, from the lead's earlier sends
+     * Only the most recent thread counts, so a step that started a new thread starts a new chain
+     * @param {Array} sends - Earlier sends from the same mailbox, oldest first ({ subject, thread_id, rfc_message_id })
+     * @returns {Object|null} { threadId, subject, inReplyTo, references }, or null if there is nothing to reply to
+     */
+    buildThreadContext(sends) {
+        if (sends.length === 0) return null;
+
+        const threadId = sends[sends.length - 1].thread_id;
+        const threadSends = sends.filter(send => send.thread_id === threadId);
+        const messageIds = threadSends.map(send => send.rfc_message_id).filter(Boolean);
+
+        return {
+            threadId,
+            subject: threadSends[0].subject,
+            inReplyTo: messageIds.length > 0 ? messageIds[messageIds.length - 1] : null,
+            references: messageIds.length > 0 ? messageIds.join(' ') : null
+        };
+    }
+
+    /**
+     * "Re:" subject of a thread, without stacking prefixes
+     * @param {string} subject - Subject of the first email in the thread
+     * @returns {string} e.g. "Re: Quick question"
+     */
+    toReplySubject(subject) {
+        return `Re: ${(subject || '').replace(/^((re|aw|sv|fwd?):\s*)+/i, '')}`;
+    }
+
+    // ================================================================
+    // 5. CAMPAIGN CONTROL METHODS
+    // ================================================================
+
+    /**
+     * Hold every pending job of a campaign
+     * @param {string} campaignId - Campaign UUID
+     * @returns {number} Number of jobs paused
+     */
+    async pauseCampaignJobs(campaignId) {
+        const client = await pool.connect();
+
+        try {
+            const result = await client.query(`
+                UPDATE email_jobs 
+                SET 
+                    status = 'paused',
+                    paused_at = NOW(),
+                    updated_at = NOW()
+                WHERE campaign_id = $1 AND status = 'pending'
+                RETURNING id
+            `, [campaignId]);
+
+            await this._logJobEvents(client, result.rows.map(row => row.id), 'INFO', 'Paused with campaign');
+
+            console.log(`⏸️  Paused ${result.rowCount} jobs for campaign ${campaignId}`);
+
+            return result.rowCount;
+
+        } catch (error) {
+            console.error('Error pausing campaign jobs:', error);
+            throw new Error(`Failed to pause campaign jobs: ${error.message}`);
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Put a campaign's paused jobs back in the queue
+     * Every paused job is pushed back by the length of the pause, so the gaps
+     * between sends and sequence steps stay the same as before the pause
+     * @param {string} campaignId - Campaign UUID
+     * @returns {Object} { resumed, rescheduled }
+     */
+    async resumeCampaignJobs(campaignId) {
+        const client = await pool.connect();
+
+        try {
+            const result = await client.query(`
+                UPDATE email_jobs
+                SET 
+                    status = 'pending',
+                    scheduled_for = CASE
+                        WHEN paused_at IS NOT NULL
+                        THEN GREATEST(scheduled_for + (NOW() - paused_at), NOW())
+                        ELSE scheduled_for
+                    END,
+                    paused_at = NULL,
+                    updated_at = NOW()
+                WHERE campaign_id = $1 AND status = 'paused'
+                RETURNING id
+            `, [campaignId]);
+
+            await this._logJobEvents(client, result.rows.map(row => row.id), 'INFO', 'Resumed with campaign');
+
+            console.log(`▶️  Resumed ${result.rowCount} jobs for campaign ${campaignId}`);
+
+            return {
+                resumed: result.rowCount,
+                rescheduled: result.rowCount
+            };
+
+        } catch (error) {
+            console.error('Error resuming campaign jobs:', error);
+            throw new Error(`Failed to resume campaign jobs: ${error.message}`);
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Cancel every job of a campaign that has not been sent yet
+     * @param {string} campaignId - Campaign UUID
+     * @param {string} reason - Why the jobs were cancelled
+     * @returns {number} Number of jobs cancelled
+     */
+    async cancelCampaignJobs(campaignId, reason) {
+        const client = await pool.connect();
+
+        try {
+            const result = await client.query(`
+                UPDATE email_jobs 
+                SET 
+                    status = 'cancelled',
+                    last_error_message = $2,
+                    updated_at = NOW()
+                WHERE campaign_id = $1 AND status IN ('pending', 'paused', 'held')
+                RETURNING id
+            `, [campaignId, reason]);
+
+            await this._logJobEvents(client, result.rows.map(row => row.id), 'INFO', 'Cancelled with campaign', { reason });
+
+            console.log(`🛑 Cancelled ${result.rowCount} jobs for campaign ${campaignId} (${reason})`);
+
+            return result.rowCount;
+
+        } catch (error) {
+            console.error('Error cancelling campaign jobs:', error);
+            throw new Error(`Failed to cancel campaign jobs: ${error.message}`);
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Hold the queued jobs of a mailbox that can no longer send
+     * Covers jobs assigned to the mailbox, jobs of leads assigned to it and unassigned jobs of
+     * single-sender campaigns whose from_email it is; held jobs are pinned to the mailbox.
+     * A job that failed mid-send on the mailbox is held in the same transaction
+     * @param {string} emailAccountId - email_accounts UUID
+     * @param {string} reason - Why the mailbox stopped working
+     * @param {string|null} processingJobId - Job currently 'processing' on this mailbox, if any
+     * @returns {number} Number of jobs held
+     */
+    async holdMailboxJobs(emailAccountId, reason, processingJobId = null) {
+        const client = await pool.connect();
+
+        try {
+            await client.query('BEGIN');
+
+            if (processingJobId) {
+                await client.query(`
+                    UPDATE email_jobs
+                    SET 
+                        status = 'pending',
+                        processing_node = NULL,
+                        email_account_id = $2,
+                        updated_at = NOW()
+                    WHERE id = $1 AND status = 'processing'
+                `, [processingJobId, emailAccountId]);
+            }
+
+            const result = await client.query(`
+                WITH mailbox_jobs AS (
+                    SELECT ej.id
+                    FROM email_jobs ej
+                    JOIN campaigns c ON ej.campaign_id = c.id
+                    LEFT JOIN campaign_leads cl ON ej.campaign_lead_id = cl.id
+                    WHERE ej.status = 'pending'
+                      AND (
+                          COALESCE(ej.email_account_id, cl.email_account_id) = $1
+                          OR (
+                              ej.email_account_id IS NULL
+                              AND cl.email_account_id IS NULL
+                              AND c.from_email = (SELECT email FROM email_accounts WHERE id = $1)
+                              AND NOT EXISTS (
+                                  SELECT 1 FROM campaign_email_accounts cea
+                                  WHERE cea.campaign_id = c.id AND cea.is_active = true
+                              )
+                          )
+                      )
+                )
+                UPDATE email_jobs ej
+                SET 
+                    status = 'held',
+                    held_at = NOW(),
+                    email_account_id = $1,
+                    last_error_message = $2,
+                    updated_at = NOW()
+                FROM mailbox_jobs
+                WHERE ej.id = mailbox_jobs.id
+                RETURNING ej.id
+            `, [emailAccountId, reason]);
+
+            await this._logJobEvents(client, result.rows.map(row => row.id), 'WARN', 'Held: mailbox stopped working', { reason });
+
+            await client.query('COMMIT');
+
+            if (result.rowCount > 0) {
+                console.log(`✋ Held ${result.rowCount} jobs for mailbox ${emailAccountId} (${reason})`);
+            }
+
+            return result.rowCount;
+
+        } catch (error) {
+            await client.query('ROLLBACK');
+            console.error('Error holding mailbox jobs:', error);
+            throw new Error(`Failed to hold mailbox jobs: ${error.message}`);
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Put a reconnected mailbox's held jobs back in the queue
+     * Jobs of paused campaigns go back to 'paused' so resuming the campaign sends them
+     * @param {string} emailAccountId - email_accounts UUID
+     * @returns {number} Number of jobs released
+     */
+    async releaseMailboxJobs(emailAccountId) {
+        const client = await pool.connect();
+
+        try {
+            const result = await client.query(`
+                UPDATE email_jobs ej
+                SET 
+                    status = CASE WHEN c.status = 'paused' THEN 'paused' ELSE 'pending' END,
+                    paused_at = CASE WHEN c.status = 'paused' THEN NOW() ELSE ej.paused_at END,
+                    held_at = NULL,
+                    updated_at = NOW()
+                FROM campaigns c
+                WHERE ej.campaign_id = c.id
+                  AND ej.email_account_id = $1
+                  AND ej.status = 'held'
+                RETURNING ej.id
+            `, [emailAccountId]);
+
+            await this._logJobEvents(client, result.rows.map(row => row.id), 'INFO', 'Released: mailbox reconnected');
+
+            if (result.rowCount > 0) {
+                console.log(`▶️  Released ${result.rowCount} held jobs for mailbox ${emailAccountId}`);
+            }
+
+            return result.rowCount;
+
+        } catch (error) {
+            console.error('Error releasing mailbox jobs:', error);
+            throw new Error(`Failed to release mailbox jobs: ${error.message}`);
+        } finally {
+            client.release();
+        }
+    }
+
+    // ================================================================
+    // 6. MONITORING AND STATISTICS METHODS
     // ================================================================
 
+    /**
+     * Record an open or click against the latest email sent to a lead
+     * Tracking links identify the lead, so the most recent send is the one being read;
+     * a click also counts as an open since many clients block the tracking pixel
+     * @param {string} campaignLeadId - Campaign lead UUID (the tracking ID)
+     * @param {string} event - 'open' or 'click'
+     * @returns {string|null} ID of the job the event was recorded on
+     */
+    async recordJobEngagement(campaignLeadId, event) {
+        const result = await pool.query(`
+            UPDATE email_jobs
+            SET
+                opened_at = COALESCE(opened_at, NOW()),
+                clicked_at = CASE WHEN $2 = 'click' THEN COALESCE(clicked_at, NOW()) ELSE clicked_at END
+            WHERE id = (
+                SELECT id FROM email_jobs
+                WHERE campaign_lead_id = $1 AND status = 'sent'
+                ORDER BY sent_at DESC
+                LIMIT 1
+            )
+            RETURNING id
+        `, [campaignLeadId, event]);
+
+        return result.rows[0]?.id || null;
+    }
+
     /**
      * Get job statistics for a campaign
      * @param {string} campaignId - Campaign UUID
@@ -550,6 +1134,8 @@ class EmailJobService {
                     COUNT(CASE WHEN status = 'sent' THEN 1 END) as sent_jobs,
                     COUNT(CASE WHEN status = 'failed' THEN 1 END) as failed_jobs,
                     COUNT(CASE WHEN status = 'cancelled' THEN 1 END) as cancelled_jobs,
+                    COUNT(CASE WHEN status = 'paused' THEN 1 END) as paused_jobs,
+                    COUNT(CASE WHEN status = 'held' THEN 1 END) as held_jobs,
                     MIN(scheduled_for) as first_scheduled,
                     MAX(scheduled_for) as last_scheduled,
                     MIN(sent_at) as first_sent,
@@ -570,7 +1156,7 @@ class EmailJobService {
             return {
                 ...stats,
                 completion_percentage: completionPercentage,
-                is_complete: stats.pending_jobs === 0 && stats.processing_jobs === 0,
+                is_complete: stats.pending_jobs === 0 && stats.processing_jobs === 0 && stats.paused_jobs === 0,
                 success_rate: stats.total_jobs > 0 
                     ? Math.round(((stats.sent_jobs / (stats.sent_jobs + stats.failed_jobs)) || 0) * 100)
                     : 0
@@ -624,7 +1210,7 @@ class EmailJobService {
     }
 
     // ================================================================
-    // 5. PRIVATE HELPER METHODS
+    // 7. PRIVATE HELPER METHODS
     // ================================================================
 
     /**
@@ -702,6 +1288,11 @@ class EmailJobService {
 
     /**
      * Calculate scheduled send times based on schedule configuration
+     * Each recipient is sent to inside the daily window in their own timezone
+     * (recipient.timezone, falling back to the schedule timezone). The daily
+     * limit is applied per campaign day across all timezones, and days the
+     * sending calendar does not allow are skipped.
+     * @returns {Object} { jobs, unscheduled } - unscheduled recipients would only fit after the end date
      * @private
      */
     async _calculateScheduledSendTimes(params) {
@@ -713,52 +1304,112 @@ class EmailJobService {
             endTime,
             timezone,
             dailyLimit,
-            hourlyRate
+            calendar = null,
+            now = new Date()
         } = params;
 
-        // Convert time strings to minutes since midnight
-        const [startHour, startMin] = startTime.split(':').map(Number);
-        const [endHour, endMin] = endTime.split(':').map(Number);
-        const startMinutes = startHour * 60 + startMin;
-        const endMinutes = endHour * 60 + endMin;
-        const dailyWindowMinutes = endMinutes - startMinutes;
-
-        if (dailyWindowMinutes <= 0) {
+        // Same window follow-up steps and the processor use (minutes since local midnight)
+        const sendWindow = sendingCalendarService.parseSendWindow(startTime, endTime);
+        if (!sendWindow) {
             throw new Error('End time must be after start time');
         }
+        const { startMinutes, endMinutes } = sendWindow;
+
+        const defaultTimezone = timezone || 'UTC';
+        const lastDate = timezoneService.toDateString(endDate);
+        const notBefore = new Date(Math.max(now.getTime(), startDate ? new Date(startDate).getTime() : 0));
+
+        // Sending dates per timezone, starting with the first one whose window has not already closed
+        const sendDates = new Map();
+        const getSendDate = (tz, dayIndex) => {
+            if (!sendDates.has(tz)) {
+                let localDate = timezoneService.getLocalDate(notBefore, tz);
+                if (timezoneService.toUtc(localDate, endMinutes, tz) <= notBefore) {
+                    localDate = timezoneService.addDays(localDate, 1);
+                }
+                sendDates.set(tz, [sendingCalendarService.nextSendableDate(calendar, localDate)]);
+            }
 
-        const emailsPerDay = Math.min(dailyLimit, recipients.length);
-        const intervalMinutes = dailyWindowMinutes / emailsPerDay;
+            const dates = sendDates.get(tz);
+            while (dates.length <= dayIndex) {
+                dates.push(sendingCalendarService.addSendingDays(calendar, dates[dates.length - 1], 1));
+            }
+            return dates[dayIndex];
+        };
 
         const jobs = [];
-        let currentDate = new Date(startDate);
-        let recipientIndex = 0;
+        const unscheduled = [];
+        const perDay = Math.max(1, Math.min(dailyLimit, recipients.length));
+
+        for (let dayIndex = 0; dayIndex * perDay < recipients.length; dayIndex++) {
+            const dayRecipients = recipients.slice(dayIndex * perDay, (dayIndex + 1) * perDay);
+
+            // Group the day's recipients by the timezone they will receive in
+            const byTimezone = new Map();
+            for (const recipient of dayRecipients) {
+                const tz = timezoneService.resolveTimezone(recipient.timezone, defaultTimezone);
+                if (!byTimezone.has(tz)) byTimezone.set(tz, []);
+                byTimezone.get(tz).push(recipient);
+            }
 
-        while (recipientIndex < recipients.length && (!endDate || currentDate <= new Date(endDate))) {
-            const emailsToday = Math.min(emailsPerDay, recipients.length - recipientIndex);
-            
-            for (let i = 0; i < emailsToday; i++) {
-                const recipient = recipients[recipientIndex];
-                const minutesFromStart = i * intervalMinutes;
-                const scheduledTime = new Date(currentDate);
-                
-                scheduledTime.setHours(startHour);
-                scheduledTime.setMinutes(startMin + minutesFromStart);
-
-                jobs.push({
-                    ...recipient,
-                    scheduledFor: scheduledTime,
-                    priority: 3 // Lower priority for scheduled emails
+            let scheduledToday = 0;
+
+            for (const [tz, group] of byTimezone) {
+                const localDate = getSendDate(tz, dayIndex);
+                if (lastDate && localDate > lastDate) {
+                    unscheduled.push(...group);
+                    continue;
+                }
+
+                // Only the part of today's window that is still ahead of us
+                const windowStart = timezoneService.toUtc(localDate, startMinutes, tz);
+                const windowEnd = timezoneService.toUtc(localDate, endMinutes, tz);
+                const effectiveStart = new Date(Math.max(windowStart.getTime(), notBefore.getTime()));
+                const intervalMs = (windowEnd - effectiveStart) / group.length;
+
+                group.forEach((recipient, index) => {
+                    jobs.push({
+                        ...recipient,
+                        scheduledFor: new Date(effectiveStart.getTime() + Math.floor(index * intervalMs)),
+                        timezone: tz,
+                        priority: 3 // Lower priority for scheduled emails
+                    });
                 });
 
-                recipientIndex++;
+                scheduledToday += group.length;
             }
 
-            // Move to next day
-            currentDate.setDate(currentDate.getDate() + 1);
+            // Every timezone is past the end date, so no later day fits either
+            if (scheduledToday === 0) {
+                unscheduled.push(...recipients.slice((dayIndex + 1) * perDay));
+                break;
+            }
         }
 
-        return jobs;
+        return { jobs, unscheduled };
+    }
+
+    /**
+     * Send time for the next sequence step, measured from now
+     * Business-day delays count only days the sending calendar allows. Scheduled
+     * campaigns place follow-ups inside their send window like the first email
+     * @private
+     */
+    _calculateStepSendTime(step, calendar, timezone, now = new Date(), sendWindow = null) {
+        const delayDays = step.delay_days || 0;
+        const afterHours = new Date(now.getTime() + (step.delay_hours || 0) * 60 * 60 * 1000);
+
+        if (!step.delay_business_days || delayDays === 0) {
+            const scheduledFor = new Date(afterHours.getTime() + delayDays * 24 * 60 * 60 * 1000);
+            return sendingCalendarService.getNextSendTime(calendar, scheduledFor, timezone, sendWindow);
+        }
+
+        // Keep the local time of day and count forward over sendable days only
+        const localDate = timezoneService.getLocalDate(afterHours, timezone);
+        const minutesOfDay = Math.round((afterHours - timezoneService.toUtc(localDate, 0, timezone)) / 60000);
+        const sendDate = sendingCalendarService.addSendingDays(calendar, localDate, delayDays);
+
+        return sendingCalendarService.getNextSendTime(calendar, timezoneService.toUtc(sendDate, minutesOfDay, timezone), timezone, sendWindow);
     }
 
     /**
@@ -797,7 +1448,7 @@ class EmailJobService {
                 ...job.customFields || {}
             };
 
-            placeholders.push(`($${paramIndex}, $${paramIndex + 1}, $${paramIndex + 2}, $${paramIndex + 3}, $${paramIndex + 4}, $${paramIndex + 5}, $${paramIndex + 6}, $${paramIndex + 7}, $${paramIndex + 8}, $${paramIndex + 9}, $${paramIndex + 10}, $${paramIndex + 11}, $${paramIndex + 12}, $${paramIndex + 13})`);
+            placeholders.push(`($${paramIndex}, $${paramIndex + 1}, $${paramIndex + 2}, $${paramIndex + 3}, $${paramIndex + 4}, $${paramIndex + 5}, $${paramIndex + 6}, $${paramIndex + 7}, $${paramIndex + 8}, $${paramIndex + 9}, $${paramIndex + 10}, $${paramIndex + 11}, $${paramIndex + 12}, $${paramIndex + 13}, $${paramIndex + 14}, $${paramIndex + 15}, $${paramIndex + 16}, $${paramIndex + 17}, $${paramIndex + 18})`);
             
             values.push(
                 campaignId,
@@ -813,10 +1464,15 @@ class EmailJobService {
                 `org_${organizationId}`,
                 createdBy,
                 new Date(), // created_at should be NOW
-                'UTC'
+                job.timezone || 'UTC',
+                job.leadId || null, // campaign_leads.id
+                job.sequenceStep || 1,
+                job.emailAccountId || null,
+                job.templateVersionId || null, // campaign_templates.id the content was rendered from
+                job.variantId || null // campaign_variants.id the content was rendered from
             );
             
-            paramIndex += 14;
+            paramIndex += 19;
         }
 
         const insertQuery = `
@@ -824,12 +1480,34 @@ class EmailJobService {
                 campaign_id, organization_id, recipient_email, recipient_name,
                 subject, body_text, body_html, personalization_data,
                 scheduled_for, priority, rate_limit_key, created_by,
-                created_at, timezone
+                created_at, timezone, campaign_lead_id, sequence_step, email_account_id,
+                template_version_id, variant_id
             ) VALUES ${placeholders.join(', ')}
             RETURNING id;
         `;
 
         const result = await client.query(insertQuery, values);
+
+        // Record on each lead which template version and variant its first email used
+        const versionedJobs = jobs.filter(job =>
+            job.leadId && (job.sequenceStep || 1) === 1 && (job.templateVersionId || job.variantId)
+        );
+        if (versionedJobs.length > 0) {
+            await client.query(`
+                UPDATE campaign_leads cl
+                SET
+                    template_version_id = v.template_version_id,
+                    variant_id = v.variant_id,
+                    updated_at = NOW()
+                FROM UNNEST($1::UUID[], $2::UUID[], $3::UUID[]) as v(campaign_lead_id, template_version_id, variant_id)
+                WHERE cl.id = v.campaign_lead_id
+            `, [
+                versionedJobs.map(job => job.leadId),
+                versionedJobs.map(job => job.templateVersionId || null),
+                versionedJobs.map(job => job.variantId || null)
+            ]);
+        }
+
         return result.rows.map(row => row.id);
     }
 
@@ -904,6 +1582,23 @@ class EmailJobService {
         }
     }
 
+    /**
+     * Log the same event for many jobs at once
+     * @private
+     */
+    async _logJobEvents(client, jobIds, level, message, details = {}) {
+        if (jobIds.length === 0) return;
+
+        try {
+            await client.query(`
+                INSERT INTO email_job_logs (email_job_id, log_level, message, details)
+                SELECT job_id, $2, $3, $4 FROM UNNEST($1::UUID[]) as job_id;
+            `, [jobIds, level, message, JSON.stringify(details)]);
+        } catch (error) {
+            console.error('Failed to log job events:', error);
+        }
+    }
+
     /**
      * Handle failed job retry logic
      * @private
@@ -949,6 +1644,95 @@ class EmailJobService {
         }
     }
 
+    /**
+     * A lead's sent emails from a mailbox, oldest first
+     * @private
+     */
+    async _getPreviousSends(client, campaignLeadId, emailAccountId) {
+        const result = await client.query(`
+            SELECT es.subject, es.thread_id, es.rfc_message_id
+            FROM email_sends es
+            JOIN email_jobs ej ON es.job_id = ej.id
+            WHERE ej.campaign_lead_id = $1
+              AND es.email_account_id = $2
+              AND es.thread_id IS NOT NULL
+            ORDER BY es.sent_at ASC
+        `, [campaignLeadId, emailAccountId]);
+
+        return result.rows;
+    }
+
+    /**
+     * Determine whether a lead's sequence should stop
+     * @private
+     */
+    async _getSequenceStopReason(client, campaignLeadId) {
+        const result = await client.query(`
+            SELECT 
+                cl.status,
+                cl.sequence_stopped_at,
+                cl.sequence_stop_reason,
+                l.status as lead_status,
+                l.do_not_contact,
+                l.opted_in,
+                EXISTS (
+                    SELECT 1 FROM suppression_lists sl
+                    WHERE sl.organization_id = l.organization_id
+                    AND ${suppressionService.matchSql}
+                ) as is_suppressed
+            FROM campaign_leads cl
+            JOIN leads l ON cl.lead_id = l.id
+            WHERE cl.id = $1
+        `, [campaignLeadId]);
+
+        if (result.rows.length === 0) return 'removed';
+
+        const row = result.rows[0];
+
+        if (row.sequence_stopped_at) return row.sequence_stop_reason || 'stopped';
+        if (row.status === 'replied' || row.lead_status === 'replied') return 'replied';
+        if (row.status === 'bounced' || row.lead_status === 'bounced') return 'bounced';
+        if (row.status === 'unsubscribed' || row.lead_status === 'unsubscribed') return 'unsubscribed';
+        if (row.do_not_contact || row.opted_in === false || row.is_suppressed) return 'suppressed';
+
+        return null;
+    }
+
+    /**
+     * Mark a lead's sequence as stopped and cancel its queued follow-ups
+     * Includes follow-ups waiting on a paused campaign or a held mailbox
+     * @private
+     */
+    async _stopSequence(client, campaignLeadId, reason) {
+        await client.query(`
+            UPDATE campaign_leads
+            SET 
+                sequence_stopped_at = NOW(),
+                sequence_stop_reason = $2
+            WHERE id = $1 AND sequence_stopped_at IS NULL
+        `, [campaignLeadId, reason]);
+
+        const cancelled = await client.query(`
+            UPDATE email_jobs
+            SET 
+                status = 'cancelled',
+                last_error_message = $2,
+                updated_at = NOW()
+            WHERE campaign_lead_id = $1 AND status IN ('pending', 'paused', 'held')
+            RETURNING id
+        `, [campaignLeadId, `Sequence stopped: ${reason}`]);
+
+        for (const row of cancelled.rows) {
+            await this._logJobEvent(client, row.id, 'INFO', 'Cancelled - sequence stopped', { reason });
+        }
+
+        if (cancelled.rowCount > 0) {
+            console.log(`🛑 Sequence stopped for campaign lead ${campaignLeadId} (${reason}), cancelled ${cancelled.rowCount} follow-ups`);
+        }
+
+        return cancelled.rowCount;
+    }
+
     /**
      * Calculate estimated completion time
      * @private
@@ -966,12 +1750,14 @@ class EmailJobService {
     _getScheduleInfo(jobs) {
         if (jobs.length === 0) return {};
 
-        const firstSend = jobs[0].scheduledFor;
-        const lastSend = jobs[jobs.length - 1].scheduledFor;
+        // Recipients in different timezones are not scheduled in order
+        const firstSend = jobs.reduce((min, job) => job.scheduledFor < min ? job.scheduledFor : min, jobs[0].scheduledFor);
+        const lastSend = jobs.reduce((max, job) => job.scheduledFor > max ? job.scheduledFor : max, jobs[0].scheduledFor);
         
         return {
             firstEmailTime: firstSend,
             lastEmailTime: lastSend,
+            timezones: [...new Set(jobs.map(job => job.timezone).filter(Boolean))],
             totalDuration: Math.ceil((lastSend - firstSend) / (1000 * 60 * 60 * 24)) // days
         };
     }
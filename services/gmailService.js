@@ -1,6 +1,8 @@
 const { google } = require('googleapis');
 const pool = require('../config/database');
 const EncryptionService = require('./encryptionService');
+const mimeBuilder = require('./mimeBuilder');
+const mailboxStatusService = require('./mailboxStatusService');
 
 /**
  * Service for Gmail API operations
@@ -9,6 +11,8 @@ const EncryptionService = require('./encryptionService');
 class GmailService {
     constructor() {
         this.encryptionService = new EncryptionService();
+        // Larger messages must use the media upload endpoint
+        this.maxRawRequestBytes = 5 * 1024 * 1024;
     }
 
     /**
@@ -60,6 +64,33 @@ class GmailService {
         }
     }
 
+    /**
+     * Refresh an account's tokens now, whether or not they have expired
+     * @returns {Object} { expiresAt }
+     */
+    async refreshAccount(accountId) {
+        const result = await pool.query(
+            'SELECT encrypted_tokens FROM email_accounts WHERE id = $1',
+            [accountId]
+        );
+        
+        if (result.rows.length === 0) {
+            throw new Error('Email account not found');
+        }
+        
+        const oauth2Client = new google.auth.OAuth2(
+            process.env.GOOGLE_CLIENT_ID,
+            process.env.GOOGLE_CLIENT_SECRET,
+            process.env.GOOGLE_REDIRECT_URI
+        );
+        oauth2Client.setCredentials(this.encryptionService.decryptTokens(result.rows[0].encrypted_tokens));
+        
+        await this.refreshTokens(accountId, oauth2Client);
+        
+        const expiryDate = oauth2Client.credentials.expiry_date;
+        return { expiresAt: expiryDate ? new Date(expiryDate) : null };
+    }
+
     /**
      * Refresh expired tokens
      */
@@ -80,6 +111,7 @@ class GmailService {
                     SET encrypted_tokens = $1, 
                         token_expires_at = $2,
                         status = 'active',
+                        status_reason = NULL,
                         updated_at = NOW()
                     WHERE id = $3
                 `, [
@@ -97,18 +129,13 @@ class GmailService {
         } catch (error) {
             console.error('❌ Failed to refresh tokens:', error);
             
-            // Mark account as expired
-            const client = await pool.connect();
-            try {
-                await client.query(
-                    'UPDATE email_accounts SET status = $1 WHERE id = $2',
-                    ['expired', accountId]
-                );
-            } finally {
-                client.release();
+            // A dead refresh token takes the mailbox out of service; temporary errors don't
+            const failure = await mailboxStatusService.handleRefreshFailure(accountId, error);
+            if (!failure) {
+                throw new Error(`Failed to refresh tokens: ${error.message}`);
             }
             
-            throw new Error('Failed to refresh tokens - account marked as expired');
+            throw new Error(`Failed to refresh tokens - account marked as ${failure.status}`);
         }
     }
 
@@ -123,24 +150,38 @@ class GmailService {
             const gmail = google.gmail({ version: 'v1', auth: oauth2Client });
             
             // Construct email message
-            const message = this.constructEmailMessage({
+            const { raw, messageId: rfcMessageId } = mimeBuilder.build({
                 from: fromEmail,
+                fromName: emailData.fromName,
                 to: emailData.to,
                 cc: emailData.cc,
                 bcc: emailData.bcc,
+                replyTo: emailData.replyTo,
                 subject: emailData.subject,
                 textBody: emailData.textBody,
                 htmlBody: emailData.htmlBody,
-                attachments: emailData.attachments
+                attachments: emailData.attachments,
+                headers: emailData.headers,
+                inReplyTo: emailData.inReplyTo,
+                references: emailData.references
             });
             
-            // Send email
-            const response = await gmail.users.messages.send({
-                userId: 'me',
-                requestBody: {
-                    raw: message
-                }
-            });
+            // Send email (a threadId files a follow-up into the sender's existing conversation).
+            // Messages over the JSON request limit go through the media upload endpoint instead.
+            const threadParams = emailData.threadId ? { threadId: emailData.threadId } : {};
+            const response = Buffer.byteLength(raw) > this.maxRawRequestBytes
+                ? await gmail.users.messages.send({
+                    userId: 'me',
+                    requestBody: threadParams,
+                    media: { mimeType: 'message/rfc822', body: raw }
+                })
+                : await gmail.users.messages.send({
+                    userId: 'me',
+                    requestBody: {
+                        raw: mimeBuilder.toBase64Url(raw),
+                        ...threadParams
+                    }
+                });
             
             console.log(`📧 Email sent successfully from ${fromEmail} to ${emailData.to}`);
             console.log(`📋 Message ID: ${response.data.id}`);
@@ -149,6 +190,8 @@ class GmailService {
                 success: true,
                 messageId: response.data.id,
                 threadId: response.data.threadId,
+                // Gmail normally keeps our Message-ID; read it back in case it assigned its own
+                rfcMessageId: (await this.getRfcMessageId(gmail, response.data.id)) || rfcMessageId,
                 from: fromEmail,
                 to: emailData.to,
                 subject: emailData.subject
@@ -161,47 +204,31 @@ class GmailService {
     }
 
     /**
-     * Construct RFC 2822 email message
+     * Get the RFC 822 Message-ID header of a sent message (null if it can't be read)
      */
-    constructEmailMessage(emailData) {
-        const boundary = `boundary_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-        
-        let message = '';
-        
-        // Headers
-        message += `From: ${emailData.from}\r\n`;
-        message += `To: ${emailData.to}\r\n`;
-        
-        if (emailData.cc) {
-            message += `Cc: ${emailData.cc}\r\n`;
-        }
-        
-        if (emailData.bcc) {
-            message += `Bcc: ${emailData.bcc}\r\n`;
-        }
-        
-        message += `Subject: ${emailData.subject}\r\n`;
-        message += `MIME-Version: 1.0\r\n`;
-        message += `Content-Type: multipart/alternative; boundary="${boundary}"\r\n\r\n`;
-        
-        // Text body
-        if (emailData.textBody) {
-            message += `--${boundary}\r\n`;
-            message += `Content-Type: text/plain; charset=UTF-8\r\n\r\n`;
-            message += `${emailData.textBody}\r\n\r\n`;
-        }
-        
-        // HTML body
-        if (emailData.htmlBody) {
-            message += `--${boundary}\r\n`;
-            message += `Content-Type: text/html; charset=UTF-8\r\n\r\n`;
-            message += `${emailData.htmlBody}\r\n\r\n`;
+    async getRfcMessageId(gmail, messageId) {
+        try {
+            const response = await gmail.users.messages.get({
+                userId: 'me',
+                id: messageId,
+                format: 'metadata',
+                metadataHeaders: ['Message-ID']
+            });
+            
+            const header = (response.data.payload?.headers || []).find(h => h.name.toLowerCase() === 'message-id');
+            return header ? header.value : null;
+            
+        } catch (error) {
+            console.error(`⚠️ Could not read Message-ID of ${messageId}:`, error.message);
+            return null;
         }
-        
-        message += `--${boundary}--\r\n`;
-        
-        // Convert to base64url
-        return Buffer.from(message).toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    /**
+     * Construct RFC 2822 email message as base64url (see MimeBuilder for the fields)
+     */
+    constructEmailMessage(emailData) {
+        return mimeBuilder.toBase64Url(mimeBuilder.build(emailData).raw);
     }
 
     /**
@@ -248,6 +275,33 @@ class GmailService {
         }
     }
 
+    /**
+     * Get all messages in a Gmail thread
+     */
+    async getThread(accountId, threadId) {
+        try {
+            const { oauth2Client } = await this.createAuthenticatedClient(accountId);
+            
+            // Create Gmail API client
+            const gmail = google.gmail({ version: 'v1', auth: oauth2Client });
+            
+            const threadResponse = await gmail.users.threads.get({
+                userId: 'me',
+                id: threadId,
+                format: 'full'
+            });
+            
+            return {
+                id: threadResponse.data.id,
+                messages: (threadResponse.data.messages || []).map(message => this.parseEmailMessage(message))
+            };
+            
+        } catch (error) {
+            console.error('❌ Failed to get thread:', error);
+            throw new Error(`Failed to get thread: ${error.message}`);
+        }
+    }
+
     /**
      * Parse Gmail message to standard format
      */
@@ -262,9 +316,16 @@ class GmailService {
         // Extract body
         let textBody = '';
         let htmlBody = '';
+        let deliveryStatus = '';
         
         const extractBody = (part) => {
-            if (part.mimeType === 'text/plain' && part.body.data) {
+            if (part.mimeType === 'message/delivery-status' && part.body.data) {
+                // DSN report fields (Final-Recipient, Status, Diagnostic-Code)
+                deliveryStatus = Buffer.from(part.body.data, 'base64').toString('utf8');
+            } else if (part.mimeType === 'message/rfc822' || part.mimeType === 'text/rfc822-headers') {
+                // Returned copy of the original message - keep it out of the body
+                return;
+            } else if (part.mimeType === 'text/plain' && part.body.data) {
                 textBody = Buffer.from(part.body.data, 'base64').toString('utf8');
             } else if (part.mimeType === 'text/html' && part.body.data) {
                 htmlBody = Buffer.from(part.body.data, 'base64').toString('utf8');
@@ -286,9 +347,14 @@ class GmailService {
             to: getHeader('To'),
             cc: getHeader('Cc'),
             subject: getHeader('Subject'),
+            messageIdHeader: getHeader('Message-ID'),
+            inReplyTo: getHeader('In-Reply-To'),
             date: new Date(getHeader('Date')),
+            internalDate: message.internalDate ? new Date(parseInt(message.internalDate)) : null,
             textBody: textBody,
             htmlBody: htmlBody,
+            deliveryStatus: deliveryStatus,
+            failedRecipients: getHeader('X-Failed-Recipients'),
             snippet: message.snippet,
             labelIds: message.labelIds || []
         };
@@ -0,0 +1,309 @@
+/**
+ * InboxRotationService - Spreads a campaign's sends across several mailboxes
+ *
+ * This service handles:
+ * - Listing the mailboxes attached to a campaign with today's usage
+ * - Assigning leads to mailboxes (round-robin or by remaining daily capacity)
+ * - Keeping every lead on the mailbox that sent its first email
+ * - Resolving the sending account for a job
+ *
+ * Campaigns without attached mailboxes keep sending from their from_email account.
+ */
+
+const pool = require('../config/database');
+const mailboxLimitService = require('./mailboxLimitService');
+
+class InboxRotationService {
+    constructor() {
+        this.validStrategies = ['round_robin', 'capacity'];
+    }
+
+    // ================================================================
+    // 1. MAILBOX LOOKUPS
+    // ================================================================
+
+    /**
+     * Mailboxes attached to a campaign with today's usage
+     * sent_today covers the last 24 hours across all campaigns
+     * @param {string} campaignId - Campaign UUID
+     * @param {Object} options - { includeInactive }
+     * @returns {Array} [{ email_account_id, email, daily_limit, sent_today, remaining_capacity, assigned_leads, ... }]
+     */
+    async getCampaignMailboxes(campaignId, options = {}) {
+        const { includeInactive = false } = options;
+
+        const result = await pool.query(`
+            SELECT
+                cea.id,
+                cea.email_account_id,
+                cea.daily_limit,
+                cea.is_active,
+                ea.email,
+                ea.display_name,
+                ea.provider,
+                ea.status as account_status,
+                ea.daily_send_limit,
+                ea.hourly_send_limit,
+                ea.warmup_enabled,
+                ea.warmup_started_at,
+                ea.warmup_start_volume,
+                ea.warmup_daily_increment,
+                ea.warmup_max_volume,
+                (
+                    SELECT COUNT(*) FROM campaign_leads cl
+                    WHERE cl.campaign_id = cea.campaign_id
+                    AND cl.email_account_id = ea.id
+                ) as assigned_leads
+            FROM campaign_email_accounts cea
+            JOIN email_accounts ea ON cea.email_account_id = ea.id
+            WHERE cea.campaign_id = $1
+            ${includeInactive ? '' : `AND cea.is_active = true AND ea.status = 'active'`}
+            ORDER BY cea.created_at ASC
+        `, [campaignId]);
+
+        const usage = await mailboxLimitService.getUsage(result.rows.map(row => row.email_account_id));
+
+        return result.rows.map(row => {
+            // The campaign's share can't exceed what the mailbox itself may send (caps and warm-up)
+            const allowance = mailboxLimitService.getAllowance({ ...row, id: row.email_account_id }, usage.get(row.email_account_id));
+            const dailyLimit = Math.min(row.daily_limit, allowance.dailyLimit);
+
+            return {
+                ...row,
+                sent_today: allowance.sentToday,
+                mailbox_daily_limit: allowance.dailyLimit,
+                assigned_leads: parseInt(row.assigned_leads),
+                remaining_capacity: Math.max(dailyLimit - allowance.sentToday, 0)
+            };
+        });
+    }
+
+    /**
+     * Email account a job should be sent from
+     * Uses the job's or lead's assigned mailbox, assigns one if there is none yet,
+     * and falls back to the campaign's from_email account
+     * @param {Object} job - Email job row
+     * @returns {Object|null} email_accounts row
+     */
+    async getMailboxForJob(job) {
+        let lead = null;
+
+        if (job.campaign_lead_id) {
+            const leadResult = await pool.query(`
+                SELECT cl.id, cl.email_account_id, cl.sent_at, c.inbox_rotation
+                FROM campaign_leads cl
+                JOIN campaigns c ON cl.campaign_id = c.id
+                WHERE cl.id = $1
+            `, [job.campaign_lead_id]);
+            lead = leadResult.rows[0] || null;
+        }
+
+        const assignedId = job.email_account_id || lead?.email_account_id;
+
+        if (assignedId) {
+            const accountResult = await pool.query(`
+                SELECT * FROM email_accounts WHERE id = $1
+            `, [assignedId]);
+            const account = accountResult.rows[0];
+
+            if (account && account.status === 'active') {
+                return account;
+            }
+
+            // Once a lead has heard from a mailbox, every follow-up must come from it
+            if (lead?.sent_at) {
+                throw new Error(`Assigned mailbox ${account ? account.email : assignedId} is not active`);
+            }
+        }
+
+        // Nothing sent to this lead yet, so it can go to any of the campaign's mailboxes
+        const mailboxes = await this.getCampaignMailboxes(job.campaign_id);
+        if (mailboxes.length > 0) {
+            const [accountId] = this.pickMailboxes(mailboxes, 1, lead?.inbox_rotation);
+            await this._saveAssignment(job, accountId);
+
+            const accountResult = await pool.query(`
+                SELECT * FROM email_accounts WHERE id = $1
+            `, [accountId]);
+            return accountResult.rows[0] || null;
+        }
+
+        // Single-sender campaigns send from the campaign's from_email account
+        const result = await pool.query(`
+            SELECT ea.*
+            FROM campaigns c
+            JOIN email_accounts ea ON ea.email = c.from_email
+            WHERE c.id = $1 AND ea.status = 'active'
+            LIMIT 1
+        `, [job.campaign_id]);
+
+        return result.rows[0] || null;
+    }
+
+    // ================================================================
+    // 2. LEAD ASSIGNMENT
+    // ================================================================
+
+    /**
+     * Choose mailboxes for a number of new leads
+     * round_robin: the mailbox with the fewest assigned leads goes next
+     * capacity: the mailbox with the most remaining daily capacity goes next
+     * @param {Array} mailboxes - From getCampaignMailboxes
+     * @param {number} count - Number of leads to assign
+     * @param {string} strategy - 'round_robin' | 'capacity'
+     * @returns {Array<string>} Email account UUID per lead, in order
+     */
+    pickMailboxes(mailboxes, count, strategy = 'round_robin') {
+        if (mailboxes.length === 0) return [];
+
+        const state = mailboxes.map(mailbox => ({
+            id: mailbox.email_account_id,
+            assigned: mailbox.assigned_leads || 0,
+            remaining: mailbox.remaining_capacity || 0
+        }));
+        const picks = [];
+
+        for (let i = 0; i < count; i++) {
+            let best = state[0];
+
+            for (const mailbox of state) {
+                const isBetter = strategy === 'capacity'
+                    ? mailbox.remaining > best.remaining
+                    : mailbox.assigned < best.assigned;
+                if (isBetter) best = mailbox;
+            }
+
+            best.assigned++;
+            best.remaining--;
+            picks.push(best.id);
+        }
+
+        return picks;
+    }
+
+    /**
+     * Assign mailboxes to campaign leads that don't have a usable one yet
+     * @param {string} campaignId - Campaign UUID
+     * @param {Array} campaignLeads - campaign_leads rows ({ id, email_account_id })
+     * @param {string} strategy - 'round_robin' | 'capacity'
+     * @returns {Map<string, string>} Campaign lead ID to email account ID (empty if the campaign has no mailboxes)
+     */
+    async assignLeads(campaignId, campaignLeads, strategy = 'round_robin') {
+        const assignments = new Map();
+
+        const mailboxes = await this.getCampaignMailboxes(campaignId);
+        if (mailboxes.length === 0) return assignments;
+
+        const activeIds = new Set(mailboxes.map(mailbox => mailbox.email_account_id));
+        const unassigned = [];
+
+        for (const lead of campaignLeads) {
+            if (lead.email_account_id && activeIds.has(lead.email_account_id)) {
+                assignments.set(lead.id, lead.email_account_id);
+            } else {
+                unassigned.push(lead);
+            }
+        }
+
+        const picks = this.pickMailboxes(mailboxes, unassigned.length, strategy);
+        unassigned.forEach((lead, index) => assignments.set(lead.id, picks[index]));
+
+        if (unassigned.length > 0) {
+            await pool.query(`
+                UPDATE campaign_leads cl
+                SET email_account_id = assignment.email_account_id, updated_at = NOW()
+                FROM UNNEST($1::UUID[], $2::UUID[]) as assignment(campaign_lead_id, email_account_id)
+                WHERE cl.id = assignment.campaign_lead_id
+            `, [unassigned.map(lead => lead.id), picks]);
+        }
+
+        return assignments;
+    }
+
+    // ================================================================
+    // 3. CAMPAIGN CONFIGURATION
+    // ================================================================
+
+    /**
+     * Replace the mailboxes attached to a campaign
+     * Removing a mailbox stops new leads going to it; leads it already emailed stay on it
+     * @param {string} campaignId - Campaign UUID
+     * @param {Array<Object>} mailboxes - [{ emailAccountId, dailyLimit, isActive }]
+     * @param {string} strategy - 'round_robin' | 'capacity'
+     * @param {string} userId - User UUID
+     * @returns {Array} Saved mailboxes
+     */
+    async setCampaignMailboxes(campaignId, mailboxes, strategy, userId) {
+        const client = await pool.connect();
+
+        try {
+            await client.query('BEGIN');
+
+            await client.query(`
+                DELETE FROM campaign_email_accounts
+                WHERE campaign_id = $1 AND NOT (email_account_id = ANY($2::UUID[]))
+            `, [campaignId, mailboxes.map(mailbox => mailbox.emailAccountId)]);
+
+            for (const mailbox of mailboxes) {
+                await client.query(`
+                    INSERT INTO campaign_email_accounts (
+                        campaign_id, email_account_id, daily_limit, is_active, created_by
+                    ) VALUES ($1, $2, $3, $4, $5)
+                    ON CONFLICT (campaign_id, email_account_id) DO UPDATE
+                    SET daily_limit = EXCLUDED.daily_limit, is_active = EXCLUDED.is_active, updated_at = NOW()
+                `, [
+                    campaignId,
+                    mailbox.emailAccountId,
+                    mailbox.dailyLimit || 50,
+                    mailbox.isActive !== false,
+                    userId
+                ]);
+            }
+
+            if (strategy) {
+                await client.query(`
+                    UPDATE campaigns
+                    SET inbox_rotation = $2, updated_at = NOW()
+                    WHERE id = $1
+                `, [campaignId, strategy]);
+            }
+
+            await client.query('COMMIT');
+
+            return this.getCampaignMailboxes(campaignId, { includeInactive: true });
+
+        } catch (error) {
+            await client.query('ROLLBACK');
+            console.error('Error saving campaign mailboxes:', error);
+            throw new Error(`Failed to save campaign mailboxes: ${error.message}`);
+        } finally {
+            client.release();
+        }
+    }
+
+    // ================================================================
+    // 4. PRIVATE HELPER METHODS
+    // ================================================================
+
+    /**
+     * Record a mailbox assignment on the job and its campaign lead
+     * @private
+     */
+    async _saveAssignment(job, emailAccountId) {
+        await pool.query(`
+            UPDATE email_jobs SET email_account_id = $2, updated_at = NOW()
+            WHERE id = $1
+        `, [job.id, emailAccountId]);
+
+        if (job.campaign_lead_id) {
+            await pool.query(`
+                UPDATE campaign_leads SET email_account_id = $2, updated_at = NOW()
+                WHERE id = $1
+            `, [job.campaign_lead_id, emailAccountId]);
+        }
+
+        job.email_account_id = emailAccountId;
+    }
+}
+
+module.exports = new InboxRotationService();
@@ -0,0 +1,176 @@
+/**
+ * CaptureProvider - Records mail instead of sending it
+ *
+ * MAIL_PROVIDER_OVERRIDE=capture routes every account here, so staging and tests can run
+ * campaigns without real mail going out.
+ * Messages are built with the same MIME builder as the SMTP provider and kept in memory
+ * (newest MAIL_CAPTURE_LIMIT); MAIL_CAPTURE_DIR also writes each one as an .eml file.
+ * deliver() puts a raw message in an inbox, e.g. a reply or bounce in a test.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const pool = require('../../config/database');
+const MailProvider = require('./mailProvider');
+const mimeBuilder = require('../mimeBuilder');
+const smtpImapService = require('../smtpImapService');
+
+class CaptureProvider extends MailProvider {
+    constructor() {
+        super('capture', {
+            threading: 'headers',
+            readMessages: true,
+            refreshableCredentials: false,
+            deliversMail: false,
+            maxMessageBytes: null,
+            quotaUnits: {}
+        });
+
+        this.captureDir = process.env.MAIL_CAPTURE_DIR || null;
+        this.limit = parseInt(process.env.MAIL_CAPTURE_LIMIT) || 500;
+        this.messages = [];
+        this.accounts = new Map(); // accountId -> sender email
+    }
+
+    async sendEmail(accountId, emailData) {
+        try {
+            const from = await this._getAccountEmail(accountId);
+
+            const { raw, messageId } = mimeBuilder.build({
+                from,
+                fromName: emailData.fromName,
+                to: emailData.to,
+                cc: emailData.cc,
+                bcc: emailData.bcc,
+                replyTo: emailData.replyTo,
+                subject: emailData.subject,
+                textBody: emailData.textBody,
+                htmlBody: emailData.htmlBody,
+                attachments: emailData.attachments,
+                headers: emailData.headers,
+                inReplyTo: emailData.inReplyTo,
+                references: emailData.references
+            });
+
+            const threadId = emailData.threadId || messageId;
+            await this._store(accountId, raw, { isSent: true, threadId });
+
+            console.log(`📥 Captured email from ${from} to ${emailData.to} (not sent)`);
+
+            return {
+                success: true,
+                messageId,
+                threadId,
+                rfcMessageId: messageId,
+                from,
+                to: emailData.to,
+                subject: emailData.subject
+            };
+
+        } catch (error) {
+            console.error('❌ Failed to capture email:', error);
+            throw new Error(`Failed to send email: ${error.message}`);
+        }
+    }
+
+    async listMessages(accountId, options = {}) {
+        const { maxResults = 10, since = null, bounces = false } = options;
+
+        return this.getMessages(accountId)
+            .filter(message => !message.labelIds.includes('SENT'))
+            .filter(message => !since || message.internalDate >= new Date(since).getTime())
+            .filter(message => !bounces || /mailer-daemon|postmaster/i.test(message.from))
+            .reverse()
+            .slice(0, maxResults);
+    }
+
+    async getThread(accountId, threadId) {
+        return {
+            id: threadId,
+            messages: this.getMessages(accountId).filter(message => message.threadId === threadId)
+        };
+    }
+
+    async testConnection(accountId) {
+        return {
+            success: true,
+            email: await this._getAccountEmail(accountId),
+            captured: this.getMessages(accountId).length
+        };
+    }
+
+    // ================================================================
+    // CAPTURED MAIL
+    // ================================================================
+
+    /**
+     * Put a raw message in an account's inbox
+     * @param {string} accountId - email_accounts UUID
+     * @param {string} raw - RFC 822 message
+     * @returns {Object} Parsed message
+     */
+    async deliver(accountId, raw) {
+        return this._store(accountId, raw, { isSent: false });
+    }
+
+    /**
+     * Captured messages, oldest first
+     * @param {string} accountId - Only this account's messages (optional)
+     * @returns {Array} Parsed messages with accountId and raw
+     */
+    getMessages(accountId = null) {
+        return this.messages.filter(message => !accountId || message.accountId === accountId);
+    }
+
+    /**
+     * Forget captured messages
+     */
+    clear() {
+        this.messages = [];
+    }
+
+    /**
+     * @private
+     */
+    async _store(accountId, raw, { isSent, threadId = null }) {
+        const internalDate = Date.now();
+        const parsed = await smtpImapService.parseMessage(raw, { isSent, internalDate });
+        const message = {
+            ...parsed,
+            // Sends keep the key of the conversation they continue, like SMTP sends
+            threadId: threadId || parsed.threadId,
+            accountId,
+            raw
+        };
+
+        this.messages.push(message);
+        if (this.messages.length > this.limit) {
+            this.messages.splice(0, this.messages.length - this.limit);
+        }
+
+        if (this.captureDir) {
+            const fileName = `${internalDate}-${(parsed.messageIdHeader || 'message').replace(/[^a-zA-Z0-9.@-]/g, '')}.eml`;
+            await fs.mkdir(this.captureDir, { recursive: true });
+            await fs.writeFile(path.join(this.captureDir, fileName), raw);
+        }
+
+        return message;
+    }
+
+    /**
+     * @private
+     */
+    async _getAccountEmail(accountId) {
+        if (!this.accounts.has(accountId)) {
+            const result = await pool.query('SELECT email FROM email_accounts WHERE id = $1', [accountId]);
+            if (result.rows.length === 0) {
+                throw new Error('Email account not found');
+            }
+            this.accounts.set(accountId, result.rows[0].email);
+        }
+
+        return this.accounts.get(accountId);
+    }
+}
+
+module.exports = new CaptureProvider();
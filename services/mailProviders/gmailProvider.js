@@ -0,0 +1,71 @@
+/**
+ * GmailProvider - Gmail API mailboxes ('gmail' accounts)
+ */
+
+const MailProvider = require('./mailProvider');
+const gmailService = require('../gmailService');
+
+class GmailProvider extends MailProvider {
+    constructor() {
+        super('gmail', {
+            threading: 'native',
+            readMessages: true,
+            refreshableCredentials: true,
+            // Media upload limit
+            maxMessageBytes: 35 * 1024 * 1024,
+            // Gmail API quota units; listing also costs getMessage per message returned
+            quotaUnits: {
+                sendEmail: 105,
+                listMessages: 5,
+                getMessage: 5,
+                getThread: 10,
+                testConnection: 1
+            }
+        });
+    }
+
+    async sendEmail(accountId, emailData) {
+        return gmailService.sendEmail(accountId, emailData);
+    }
+
+    async listMessages(accountId, options = {}) {
+        return gmailService.getEmails(accountId, this.toSearchOptions(options));
+    }
+
+    async getThread(accountId, threadId) {
+        return gmailService.getThread(accountId, threadId);
+    }
+
+    async refreshCredentials(accountId) {
+        const { expiresAt } = await gmailService.refreshAccount(accountId);
+        return { refreshed: true, expiresAt };
+    }
+
+    async testConnection(accountId) {
+        return gmailService.testConnection(accountId);
+    }
+
+    /**
+     * listMessages options as a Gmail search query
+     * @param {Object} options - { maxResults, since, bounces }
+     * @returns {Object} { maxResults, query }
+     */
+    toSearchOptions(options = {}) {
+        const terms = [];
+
+        if (options.bounces) {
+            terms.push('from:(mailer-daemon OR postmaster)');
+        }
+
+        if (options.since) {
+            terms.push(`after:${Math.floor(new Date(options.since).getTime() / 1000)}`);
+        }
+
+        return {
+            maxResults: options.maxResults || 10,
+            query: terms.join(' ')
+        };
+    }
+}
+
+module.exports = new GmailProvider();
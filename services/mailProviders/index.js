@@ -0,0 +1,87 @@
+/**
+ * Mail provider registry - picks the adapter for an email_accounts.provider value
+ *
+ * MAIL_PROVIDER_OVERRIDE=capture routes every account through the capture adapter,
+ * so staging can run real campaigns without sending mail.
+ */
+
+const MailProvider = require('./mailProvider');
+const gmailProvider = require('./gmailProvider');
+const outlookProvider = require('./outlookProvider');
+const smtpImapProvider = require('./smtpImapProvider');
+const captureProvider = require('./captureProvider');
+
+const providers = new Map();
+
+/**
+ * Add an adapter under its name
+ * @param {MailProvider} provider - Adapter instance
+ */
+function register(provider) {
+    if (!(provider instanceof MailProvider)) {
+        throw new Error('Mail providers must extend MailProvider');
+    }
+    providers.set(provider.name, provider);
+}
+
+/**
+ * Adapter for a provider name, honouring MAIL_PROVIDER_OVERRIDE
+ * @param {string} name - email_accounts.provider value
+ * @returns {MailProvider} Adapter
+ */
+function get(name) {
+    const override = process.env.MAIL_PROVIDER_OVERRIDE;
+    const provider = providers.get(override || name);
+
+    if (!provider) {
+        throw new Error(`Unsupported mail provider: ${override || name}`);
+    }
+
+    return provider;
+}
+
+/**
+ * Adapter for an email_accounts row
+ * @param {Object} account - Row with a provider column
+ * @returns {MailProvider} Adapter
+ */
+function forAccount(account) {
+    return get(account.provider);
+}
+
+/**
+ * Provider names whose adapter has a capability, for email_accounts queries
+ * @param {string} capability - e.g. 'readMessages'
+ * @returns {Array<string>} Provider names
+ */
+function namesWith(capability) {
+    return [...providers.values()]
+        .filter(provider => Boolean(get(provider.name).capabilities[capability]))
+        .map(provider => provider.name);
+}
+
+/**
+ * Registered provider names
+ * @returns {Array<string>} Names
+ */
+function list() {
+    return [...providers.keys()];
+}
+
+[gmailProvider, outlookProvider, smtpImapProvider, captureProvider].forEach(register);
+
+if (process.env.MAIL_PROVIDER_OVERRIDE) {
+    if (!providers.has(process.env.MAIL_PROVIDER_OVERRIDE)) {
+        throw new Error(`MAIL_PROVIDER_OVERRIDE names an unknown mail provider: ${process.env.MAIL_PROVIDER_OVERRIDE}`);
+    }
+    console.warn(`⚠️ MAIL_PROVIDER_OVERRIDE=${process.env.MAIL_PROVIDER_OVERRIDE} - all mailboxes use this provider`);
+}
+
+module.exports = {
+    MailProvider,
+    register,
+    get,
+    forAccount,
+    namesWith,
+    list
+};
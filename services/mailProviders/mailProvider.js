@@ -0,0 +1,93 @@
+/**
+ * MailProvider - Interface every mailbox provider adapter implements
+ *
+ * Adapters are chosen per email_accounts.provider (see ./index.js). Every method takes
+ * the email_accounts ID; parsed messages use the gmailService.parseEmailMessage shape
+ * ({ id, threadId, from, to, subject, textBody, deliveryStatus, internalDate, labelIds, ... }).
+ *
+ * Capabilities describe what callers can rely on:
+ * - threading: 'native' (provider thread IDs), 'conversation' (provider groups by headers)
+ *   or 'headers' (we key threads by the first Message-ID)
+ * - readMessages: inbox and threads can be read for reply and bounce detection
+ * - refreshableCredentials: credentials expire and refreshCredentials renews them
+ * - deliversMail: false for adapters that only record mail
+ * - maxMessageBytes: largest raw message the provider accepts
+ * - quotaUnits: provider quota units (or API requests) one call of each operation costs
+ */
+
+class MailProvider {
+    /**
+     * @param {string} name - email_accounts.provider value
+     * @param {Object} capabilities - See the capability list above
+     */
+    constructor(name, capabilities) {
+        this.name = name;
+        this.capabilities = {
+            threading: 'headers',
+            readMessages: false,
+            refreshableCredentials: false,
+            deliversMail: true,
+            maxMessageBytes: null,
+            quotaUnits: {},
+            ...capabilities
+        };
+    }
+
+    /**
+     * Send one email
+     * @param {string} accountId - email_accounts UUID
+     * @param {Object} emailData - { to, cc, bcc, subject, textBody, htmlBody, fromName, replyTo,
+     *                             attachments, headers, threadId, inReplyTo, references }
+     * @returns {Object} { success, messageId, threadId, rfcMessageId, from, to, subject }
+     */
+    async sendEmail(accountId, emailData) {
+        throw this._notSupported('sending email');
+    }
+
+    /**
+     * Recent inbox messages, newest first
+     * @param {string} accountId - email_accounts UUID
+     * @param {Object} options - { maxResults, since (Date), bounces (only delivery failure notices) }
+     * @returns {Array} Parsed messages
+     */
+    async listMessages(accountId, options = {}) {
+        throw this._notSupported('reading messages');
+    }
+
+    /**
+     * All messages of a thread, oldest first
+     * @param {string} accountId - email_accounts UUID
+     * @param {string} threadId - Thread ID returned by sendEmail
+     * @returns {Object} { id, messages }
+     */
+    async getThread(accountId, threadId) {
+        throw this._notSupported('reading threads');
+    }
+
+    /**
+     * Renew the account's credentials now
+     * @param {string} accountId - email_accounts UUID
+     * @returns {Object} { refreshed, expiresAt }
+     */
+    async refreshCredentials(accountId) {
+        return { refreshed: false, expiresAt: null };
+    }
+
+    /**
+     * Check the account can still sign in
+     * @param {string} accountId - email_accounts UUID
+     * @returns {Object} { success, email, ... }
+     */
+    async testConnection(accountId) {
+        throw this._notSupported('testing the connection');
+    }
+
+    /**
+     * @private
+     */
+    _notSupported(operation) {
+        return new Error(`The ${this.name} mail provider does not support ${operation}`);
+    }
+}
+
+module.exports = MailProvider;
@@ -0,0 +1,74 @@
+/**
+ * OutlookProvider - Microsoft 365 / Outlook mailboxes through Microsoft Graph ('outlook' accounts)
+ */
+
+const MailProvider = require('./mailProvider');
+const outlookService = require('../outlookService');
+
+class OutlookProvider extends MailProvider {
+    constructor() {
+        super('outlook', {
+            threading: 'conversation',
+            readMessages: true,
+            refreshableCredentials: true,
+            // The 4MB request limit applies to the base64 MIME body
+            maxMessageBytes: Math.floor(outlookService.maxRequestBytes * 3 / 4),
+            // Graph has no unit quota; these are requests, which Graph throttles per mailbox
+            quotaUnits: {
+                sendEmail: 2,
+                listMessages: 1,
+                getMessage: 1,
+                getThread: 1,
+                testConnection: 1
+            }
+        });
+    }
+
+    async sendEmail(accountId, emailData) {
+        return outlookService.sendEmail(accountId, emailData);
+    }
+
+    async listMessages(accountId, options = {}) {
+        return outlookService.getEmails(accountId, this.toSearchOptions(options));
+    }
+
+    async getThread(accountId, threadId) {
+        return outlookService.getThread(accountId, threadId);
+    }
+
+    async refreshCredentials(accountId) {
+        const { expiresAt } = await outlookService.refreshAccount(accountId);
+        return { refreshed: true, expiresAt };
+    }
+
+    async testConnection(accountId) {
+        return outlookService.testConnection(accountId);
+    }
+
+    /**
+     * listMessages options as a Graph KQL search
+     * @param {Object} options - { maxResults, since, bounces }
+     * @returns {Object} { maxResults, search, includeDeliveryStatus }
+     */
+    toSearchOptions(options = {}) {
+        const terms = [];
+
+        if (options.bounces) {
+            // Exchange NDRs come from postmaster or have an "Undeliverable:" subject
+            terms.push('(from:postmaster OR from:mailer-daemon OR subject:Undeliverable)');
+        }
+
+        if (options.since) {
+            terms.push(`received>=${new Date(options.since).toISOString().slice(0, 10)}`);
+        }
+
+        return {
+            maxResults: options.maxResults || 10,
+            search: terms.length > 0 ? terms.join(' AND ') : null,
+            // DSN details are only in the MIME source
+            includeDeliveryStatus: Boolean(options.bounces)
+        };
+    }
+}
+
+module.exports = new OutlookProvider();
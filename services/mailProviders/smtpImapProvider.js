@@ -0,0 +1,60 @@
+/**
+ * SmtpImapProvider - Mailboxes connected with SMTP/IMAP credentials ('imap_smtp' accounts)
+ */
+
+const MailProvider = require('./mailProvider');
+const smtpImapService = require('../smtpImapService');
+
+class SmtpImapProvider extends MailProvider {
+    constructor() {
+        super('imap_smtp', {
+            threading: 'headers',
+            readMessages: true,
+            // Passwords don't expire; a changed password needs reconnecting
+            refreshableCredentials: false,
+            // Size limits are set by each mail server
+            maxMessageBytes: null,
+            quotaUnits: {}
+        });
+    }
+
+    async sendEmail(accountId, emailData) {
+        return smtpImapService.sendEmail(accountId, emailData);
+    }
+
+    async listMessages(accountId, options = {}) {
+        return smtpImapService.getEmails(accountId, this.toSearchOptions(options));
+    }
+
+    async getThread(accountId, threadId) {
+        return smtpImapService.getThread(accountId, threadId);
+    }
+
+    async testConnection(accountId) {
+        return smtpImapService.testConnection(accountId);
+    }
+
+    /**
+     * listMessages options as an IMAP search
+     * @param {Object} options - { maxResults, since, bounces }
+     * @returns {Object} { maxResults, search }
+     */
+    toSearchOptions(options = {}) {
+        const search = {};
+
+        if (options.bounces) {
+            search.or = [{ from: 'mailer-daemon' }, { from: 'postmaster' }];
+        }
+
+        if (options.since) {
+            search.since = new Date(options.since);
+        }
+
+        return {
+            maxResults: options.maxResults || 10,
+            search: Object.keys(search).length > 0 ? search : { all: true }
+        };
+    }
+}
+
+module.exports = new SmtpImapProvider();
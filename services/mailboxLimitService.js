@@ -0,0 +1,254 @@
+/**
+ * MailboxLimitService - Daily/hourly caps and warm-up ramps per mailbox
+ *
+ * This service handles:
+ * - Working out a mailbox's allowance from its caps and warm-up ramp
+ * - Counting what each mailbox sent in the last hour and 24 hours
+ * - Telling the job processor when a mailbox can send again
+ * - Updating a mailbox's caps and warm-up settings
+ *
+ * Usage is measured from email_sends over rolling windows, like the organization limits.
+ * A NULL daily/hourly cap means the mailbox has no cap (mailboxes connected before caps
+ * existed); new mailboxes are stored with the defaults below.
+ */
+
+const pool = require('../config/database');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+class MailboxLimitService {
+    constructor() {
+        // Caps given to newly connected mailboxes
+        this.defaults = {
+            dailySendLimit: 50,
+            hourlySendLimit: 20,
+            warmupStartVolume: 5,
+            warmupDailyIncrement: 2,
+            warmupMaxVolume: 50
+        };
+    }
+
+    // ================================================================
+    // 1. ALLOWANCE CALCULATION
+    // ================================================================
+
+    /**
+     * Where a mailbox is on its warm-up ramp
+     * @param {Object} account - email_accounts row
+     * @param {Date} now - Current time
+     * @returns {Object|null} { day, volume, ceiling, percentComplete, isComplete, completesAt } or null if warm-up is off
+     */
+    getWarmupStatus(account, now = new Date()) {
+        if (!account.warmup_enabled) return null;
+
+        const start = account.warmup_start_volume ?? this.defaults.warmupStartVolume;
+        const increment = account.warmup_daily_increment ?? this.defaults.warmupDailyIncrement;
+        const ceiling = Math.max(account.warmup_max_volume ?? this.defaults.warmupMaxVolume, start);
+        const startedAt = account.warmup_started_at ? new Date(account.warmup_started_at) : now;
+
+        const day = Math.max(Math.floor((now - startedAt) / DAY_MS), 0);
+        const volume = Math.min(start + day * increment, ceiling);
+        const daysToCeiling = increment > 0 ? Math.ceil((ceiling - start) / increment) : null;
+
+        return {
+            day,
+            volume,
+            ceiling,
+            percentComplete: ceiling === start ? 100 : Math.round(((volume - start) / (ceiling - start)) * 100),
+            isComplete: volume >= ceiling,
+            completesAt: daysToCeiling === null ? null : new Date(startedAt.getTime() + daysToCeiling * DAY_MS)
+        };
+    }
+
+    /**
+     * Combine caps, warm-up and usage into what a mailbox may send right now
+     * @param {Object} account - email_accounts row
+     * @param {Object} usage - { sentLastHour, sentLastDay, oldestInHour, oldestInDay }
+     * @param {Date} now - Current time
+     * @returns {Object} { canSend, reason, nextAvailableAt, dailyLimit, hourlyLimit, remainingToday, remainingThisHour, warmup }
+     *          Limits and remaining counts are Infinity when uncapped (null once serialized to JSON)
+     */
+    getAllowance(account, usage, now = new Date()) {
+        const warmup = this.getWarmupStatus(account, now);
+        const dailyCap = account.daily_send_limit ?? Infinity;
+        const dailyLimit = warmup ? Math.min(warmup.volume, dailyCap) : dailyCap;
+        const hourlyLimit = Math.min(account.hourly_send_limit ?? Infinity, dailyLimit);
+
+        const remainingToday = Math.max(dailyLimit - usage.sentLastDay, 0);
+        const remainingThisHour = Math.max(hourlyLimit - usage.sentLastHour, 0);
+
+        let reason = null;
+        let nextAvailableAt = null;
+
+        // A slot frees up once the oldest send in the full window drops out of it
+        if (remainingToday === 0) {
+            reason = `Daily limit reached (${usage.sentLastDay}/${dailyLimit}${warmup && !warmup.isComplete ? ', warming up' : ''})`;
+            nextAvailableAt = usage.oldestInDay ? new Date(new Date(usage.oldestInDay).getTime() + DAY_MS) : new Date(now.getTime() + HOUR_MS);
+        } else if (remainingThisHour === 0) {
+            reason = `Hourly limit reached (${usage.sentLastHour}/${hourlyLimit})`;
+            nextAvailableAt = usage.oldestInHour ? new Date(new Date(usage.oldestInHour).getTime() + HOUR_MS) : new Date(now.getTime() + HOUR_MS);
+        }
+
+        return {
+            canSend: reason === null,
+            reason,
+            nextAvailableAt,
+            dailyLimit,
+            hourlyLimit,
+            sentToday: usage.sentLastDay,
+            sentThisHour: usage.sentLastHour,
+            remainingToday,
+            remainingThisHour,
+            warmup
+        };
+    }
+
+    // ================================================================
+    // 2. USAGE AND CHECKS
+    // ================================================================
+
+    /**
+     * What mailboxes sent in the last hour and 24 hours
+     * @param {Array<string>} accountIds - Email account UUIDs
+     * @returns {Map<string, Object>} Account ID to { sentLastHour, sentLastDay, oldestInHour, oldestInDay }
+     */
+    async getUsage(accountIds) {
+        const usage = new Map(accountIds.map(id => [id, {
+            sentLastHour: 0,
+            sentLastDay: 0,
+            oldestInHour: null,
+            oldestInDay: null
+        }]));
+
+        if (accountIds.length === 0) return usage;
+
+        const result = await pool.query(`
+            SELECT
+                email_account_id,
+                COUNT(*) FILTER (WHERE sent_at >= NOW() - INTERVAL '1 hour') as sent_last_hour,
+                COUNT(*) as sent_last_day,
+                MIN(sent_at) FILTER (WHERE sent_at >= NOW() - INTERVAL '1 hour') as oldest_in_hour,
+                MIN(sent_at) as oldest_in_day
+            FROM email_sends
+            WHERE email_account_id = ANY($1::UUID[])
+              AND sent_at >= NOW() - INTERVAL '24 hours'
+            GROUP BY email_account_id
+        `, [accountIds]);
+
+        for (const row of result.rows) {
+            usage.set(row.email_account_id, {
+                sentLastHour: parseInt(row.sent_last_hour),
+                sentLastDay: parseInt(row.sent_last_day),
+                oldestInHour: row.oldest_in_hour,
+                oldestInDay: row.oldest_in_day
+            });
+        }
+
+        return usage;
+    }
+
+    /**
+     * Check whether a mailbox may send one more email now
+     * @param {Object} account - email_accounts row
+     * @returns {Object} Allowance (see getAllowance)
+     */
+    async checkMailbox(account) {
+        const usage = await this.getUsage([account.id]);
+        return this.getAllowance(account, usage.get(account.id));
+    }
+
+    /**
+     * Current allowance for every mailbox connected by members of an organization
+     * @param {string} organizationId - Organization UUID
+     * @returns {Array} Mailboxes with their limits, usage and warm-up progress
+     */
+    async getOrganizationAllowances(organizationId) {
+        const result = await pool.query(`
+            SELECT ea.*
+            FROM email_accounts ea
+            JOIN organization_members om ON om.user_id = ea.user_id AND om.status = 'active'
+            WHERE om.organization_id = $1
+            ORDER BY ea.created_at ASC
+        `, [organizationId]);
+
+        const usage = await this.getUsage(result.rows.map(account => account.id));
+
+        return result.rows.map(account => this._formatMailbox(account, this.getAllowance(account, usage.get(account.id))));
+    }
+
+    // ================================================================
+    // 3. SETTINGS
+    // ================================================================
+
+    /**
+     * Update a mailbox's caps and warm-up settings
+     * Turning warm-up on starts the ramp today unless a start date is given
+     * @param {string} accountId - Email account UUID
+     * @param {Object} settings - { dailySendLimit, hourlySendLimit, warmupEnabled, warmupStartedAt, warmupStartVolume, warmupDailyIncrement, warmupMaxVolume }
+     * @returns {Object|null} Mailbox with its allowance, or null if not found
+     */
+    async updateLimits(accountId, settings) {
+        const result = await pool.query(`
+            UPDATE email_accounts
+            SET
+                daily_send_limit = COALESCE($2, daily_send_limit),
+                hourly_send_limit = COALESCE($3, hourly_send_limit),
+                warmup_enabled = COALESCE($4, warmup_enabled),
+                warmup_started_at = CASE
+                    WHEN $5::TIMESTAMPTZ IS NOT NULL THEN $5::TIMESTAMPTZ
+                    WHEN $4 = true AND (warmup_enabled IS NOT TRUE OR warmup_started_at IS NULL) THEN NOW()
+                    ELSE warmup_started_at
+                END,
+                warmup_start_volume = COALESCE($6, warmup_start_volume),
+                warmup_daily_increment = COALESCE($7, warmup_daily_increment),
+                warmup_max_volume = COALESCE($8, warmup_max_volume),
+                updated_at = NOW()
+            WHERE id = $1
+            RETURNING *
+        `, [
+            accountId,
+            settings.dailySendLimit ?? null,
+            settings.hourlySendLimit ?? null,
+            typeof settings.warmupEnabled === 'boolean' ? settings.warmupEnabled : null,
+            settings.warmupStartedAt ?? null,
+            settings.warmupStartVolume ?? null,
+            settings.warmupDailyIncrement ?? null,
+            settings.warmupMaxVolume ?? null
+        ]);
+
+        if (result.rows.length === 0) return null;
+
+        const account = result.rows[0];
+        return this._formatMailbox(account, await this.checkMailbox(account));
+    }
+
+    // ================================================================
+    // 4. PRIVATE HELPER METHODS
+    // ================================================================
+
+    /**
+     * Public view of a mailbox and its allowance (no token data)
+     * @private
+     */
+    _formatMailbox(account, allowance) {
+        return {
+            id: account.id,
+            email: account.email,
+            provider: account.provider,
+            status: account.status,
+            settings: {
+                dailySendLimit: account.daily_send_limit,
+                hourlySendLimit: account.hourly_send_limit,
+                warmupEnabled: account.warmup_enabled,
+                warmupStartedAt: account.warmup_started_at,
+                warmupStartVolume: account.warmup_start_volume,
+                warmupDailyIncrement: account.warmup_daily_increment,
+                warmupMaxVolume: account.warmup_max_volume
+            },
+            allowance
+        };
+    }
+}
+
+module.exports = new MailboxLimitService();
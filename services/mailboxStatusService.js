@@ -0,0 +1,122 @@
+/**
+ * MailboxStatusService - Marks mailboxes that can no longer send, and back again
+ *
+ * This service handles:
+ * - Telling a dead refresh token (reconnect needed) from a temporary provider error
+ * - Marking a mailbox 'expired' or 'revoked' with the reason and holding its queued jobs
+ * - Reactivating a mailbox after a successful refresh or reconnect and releasing its jobs
+ */
+
+const pool = require('../config/database');
+const emailJobService = require('./emailJobService');
+
+class MailboxStatusService {
+    constructor() {
+        // Token errors after which only reconnecting the mailbox helps
+        this.deadGrantErrors = ['invalid_grant', 'unauthorized_client'];
+        // Microsoft: password change or admin action (50173), consent withdrawn (65001)
+        this.revokedPattern = /revoked|AADSTS50173|AADSTS65001/i;
+        this.maxReasonLength = 500;
+    }
+
+    // ================================================================
+    // 1. REFRESH ERRORS
+    // ================================================================
+
+    /**
+     * What a failed token refresh means for the mailbox
+     * @param {Error} error - Error from the provider's token endpoint
+     * @returns {Object|null} { status: 'expired'|'revoked', reason } or null if the error is temporary
+     */
+    classifyRefreshError(error) {
+        const data = error.response?.data || {};
+        const code = data.error || error.code;
+        const description = data.error_description || error.message || '';
+
+        if (/no refresh token/i.test(description)) {
+            return { status: 'expired', reason: this._reason('No refresh token stored - reconnect the mailbox') };
+        }
+
+        if (!this.deadGrantErrors.includes(code) && !/invalid_grant/.test(description)) {
+            return null;
+        }
+
+        return {
+            status: this.revokedPattern.test(description) ? 'revoked' : 'expired',
+            reason: this._reason(description || code)
+        };
+    }
+
+    /**
+     * Mark the mailbox if a refresh failure is permanent
+     * @param {string} accountId - email_accounts UUID
+     * @param {Error} error - Error from the provider's token endpoint
+     * @returns {Object|null} { status, reason, heldJobs } or null if the error is temporary
+     */
+    async handleRefreshFailure(accountId, error) {
+        const failure = this.classifyRefreshError(error);
+        if (!failure) {
+            return null;
+        }
+
+        const heldJobs = await this.markUnusable(accountId, failure.status, failure.reason);
+
+        return { ...failure, heldJobs };
+    }
+
+    // ================================================================
+    // 2. STATUS CHANGES
+    // ================================================================
+
+    /**
+     * Take a mailbox out of service and hold its queued jobs
+     * @param {string} accountId - email_accounts UUID
+     * @param {string} status - 'expired' | 'revoked' | 'error'
+     * @param {string} reason - Shown to the user
+     * @returns {number} Number of jobs held
+     */
+    async markUnusable(accountId, status, reason) {
+        await pool.query(`
+            UPDATE email_accounts
+            SET status = $2,
+                status_reason = $3,
+                status_changed_at = NOW(),
+                updated_at = NOW()
+            WHERE id = $1
+        `, [accountId, status, reason]);
+
+        console.log(`⚠️ Mailbox ${accountId} marked ${status}: ${reason}`);
+
+        return emailJobService.holdMailboxJobs(accountId, `Mailbox ${status}: ${reason}`);
+    }
+
+    /**
+     * Put a working mailbox back in service and release its held jobs
+     * @param {string} accountId - email_accounts UUID
+     * @returns {number} Number of jobs released
+     */
+    async markActive(accountId) {
+        await pool.query(`
+            UPDATE email_accounts
+            SET status = 'active',
+                status_reason = NULL,
+                updated_at = NOW()
+            WHERE id = $1
+        `, [accountId]);
+
+        return emailJobService.releaseMailboxJobs(accountId);
+    }
+
+    // ================================================================
+    // 3. PRIVATE HELPER METHODS
+    // ================================================================
+
+    /**
+     * @private
+     */
+    _reason(text) {
+        return String(text).replace(/\s+/g, ' ').trim().slice(0, this.maxReasonLength);
+    }
+}
+
+module.exports = new MailboxStatusService();
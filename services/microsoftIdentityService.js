@@ -0,0 +1,214 @@
+/**
+ * MicrosoftIdentityService - Microsoft identity platform (Entra ID) OAuth
+ *
+ * This service handles:
+ * - Authorization URLs and code exchange for connecting Outlook mailboxes
+ * - Refreshing access tokens (Microsoft rotates refresh tokens)
+ * - Verifying ID tokens from the frontend for "Sign in with Microsoft"
+ *
+ * Tokens are returned in the same shape as Google's (access_token, refresh_token,
+ * expiry_date in ms) so they store and expire like Gmail tokens.
+ * MICROSOFT_LOGIN_URL points the service at a mock endpoint in tests.
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+class MicrosoftIdentityService {
+    constructor() {
+        this.loginUrl = (process.env.MICROSOFT_LOGIN_URL || 'https://login.microsoftonline.com').replace(/\/$/, '');
+        this.tenant = process.env.MICROSOFT_TENANT_ID || 'common';
+        this.clientId = process.env.MICROSOFT_CLIENT_ID;
+        this.clientSecret = process.env.MICROSOFT_CLIENT_SECRET;
+        this.redirectUri = process.env.MICROSOFT_REDIRECT_URI || 'http://localhost:5000/api/email-auth/microsoft/callback';
+
+        // Mail.ReadWrite is needed to create the draft that gets sent
+        this.mailScopes = [
+            'openid',
+            'email',
+            'profile',
+            'offline_access',
+            'https://graph.microsoft.com/User.Read',
+            'https://graph.microsoft.com/Mail.Send',
+            'https://graph.microsoft.com/Mail.ReadWrite'
+        ];
+
+        this.signingKeys = null;
+        this.signingKeysFetchedAt = 0;
+        this.signingKeysTtl = 24 * 60 * 60 * 1000; // Microsoft rotates keys every few weeks
+        this.unknownKeyRefetchMs = 5 * 60 * 1000; // Unknown key IDs can't force a fetch per request
+    }
+
+    // ================================================================
+    // 1. AUTHORIZATION CODE FLOW
+    // ================================================================
+
+    /**
+     * URL of the Microsoft consent screen for connecting a mailbox
+     * @param {string} state - Opaque state echoed back to the callback
+     * @returns {string} Authorization URL
+     */
+    getAuthUrl(state) {
+        const params = new URLSearchParams({
+            client_id: this.clientId || '',
+            response_type: 'code',
+            redirect_uri: this.redirectUri,
+            response_mode: 'query',
+            scope: this.mailScopes.join(' '),
+            state,
+            prompt: 'select_account'
+        });
+
+        return `${this.loginUrl}/${this.tenant}/oauth2/v2.0/authorize?${params.toString()}`;
+    }
+
+    /**
+     * Exchange an authorization code for tokens
+     * @param {string} code - Code from the callback
+     * @returns {Object} { access_token, refresh_token, expiry_date, token_type, scope, id_token }
+     */
+    async exchangeCode(code) {
+        return this._requestTokens({
+            grant_type: 'authorization_code',
+            code,
+            redirect_uri: this.redirectUri,
+            scope: this.mailScopes.join(' ')
+        });
+    }
+
+    /**
+     * Get a new access token; the refresh token is kept if Microsoft doesn't rotate it
+     * @param {string} refreshToken - Current refresh token
+     * @returns {Object} Tokens in the exchangeCode shape
+     */
+    async refreshAccessToken(refreshToken) {
+        if (!refreshToken) {
+            throw new Error('No refresh token stored for this account');
+        }
+
+        const tokens = await this._requestTokens({
+            grant_type: 'refresh_token',
+            refresh_token: refreshToken,
+            scope: this.mailScopes.join(' ')
+        });
+
+        return {
+            ...tokens,
+            refresh_token: tokens.refresh_token || refreshToken
+        };
+    }
+
+    // ================================================================
+    // 2. ID TOKENS
+    // ================================================================
+
+    /**
+     * Verify an ID token issued to this app and return its claims
+     * @param {string} idToken - ID token from MSAL in the frontend
+     * @returns {Object} Claims (oid, tid, email, preferred_username, name, ...)
+     */
+    async verifyIdToken(idToken) {
+        // Without an audience jsonwebtoken would accept tokens issued to any app
+        if (!this.clientId) {
+            throw new Error('MICROSOFT_CLIENT_ID must be set to verify Microsoft sign-ins');
+        }
+
+        const decoded = jwt.decode(idToken, { complete: true });
+        if (!decoded || !decoded.header || !decoded.payload) {
+            throw new Error('Invalid token: not a JWT');
+        }
+
+        const key = await this._getSigningKey(decoded.header.kid);
+
+        let claims;
+        try {
+            claims = jwt.verify(idToken, key, {
+                algorithms: ['RS256'],
+                audience: this.clientId
+            });
+        } catch (error) {
+            throw new Error(`Invalid token: ${error.message}`);
+        }
+
+        // Multi-tenant apps accept any tenant, but the issuer must match the token's own tenant
+        if (claims.iss !== `${this.loginUrl}/${claims.tid}/v2.0`) {
+            throw new Error('Invalid token: unexpected issuer');
+        }
+
+        if (this.tenant !== 'common' && this.tenant !== 'organizations' && this.tenant !== 'consumers'
+            && claims.tid !== this.tenant) {
+            throw new Error('Invalid token: wrong tenant');
+        }
+
+        return claims;
+    }
+
+    // ================================================================
+    // 3. PRIVATE HELPER METHODS
+    // ================================================================
+
+    /**
+     * POST to the token endpoint and normalize the response
+     * @private
+     */
+    async _requestTokens(params) {
+        if (!this.clientId || !this.clientSecret) {
+            throw new Error('MICROSOFT_CLIENT_ID and MICROSOFT_CLIENT_SECRET must be set');
+        }
+
+        try {
+            const response = await axios.post(
+                `${this.loginUrl}/${this.tenant}/oauth2/v2.0/token`,
+                new URLSearchParams({
+                    client_id: this.clientId,
+                    client_secret: this.clientSecret,
+                    ...params
+                }).toString(),
+                { headers: { 'Content-Type': 'application/x-www-form-urlencoded' } }
+            );
+
+            const data = response.data;
+
+            return {
+                access_token: data.access_token,
+                refresh_token: data.refresh_token,
+                expiry_date: Date.now() + (data.expires_in || 3600) * 1000,
+                token_type: data.token_type,
+                scope: data.scope,
+                id_token: data.id_token
+            };
+
+        } catch (error) {
+            const data = error.response?.data;
+            const reason = data?.error_description || data?.error || error.message;
+            const tokenError = new Error(`Microsoft token request failed: ${reason}`);
+            tokenError.code = data?.error || null;
+            throw tokenError;
+        }
+    }
+
+    /**
+     * Public key for a key ID, refetching the key set for keys we haven't seen
+     * @private
+     */
+    async _getSigningKey(kid) {
+        const age = Date.now() - this.signingKeysFetchedAt;
+        const isUnknown = this.signingKeys && !this.signingKeys.has(kid) && age > this.unknownKeyRefetchMs;
+
+        if (!this.signingKeys || age > this.signingKeysTtl || isUnknown) {
+            const response = await axios.get(`${this.loginUrl}/${this.tenant}/discovery/v2.0/keys`);
+            this.signingKeys = new Map((response.data.keys || []).map(jwk => [jwk.kid, jwk]));
+            this.signingKeysFetchedAt = Date.now();
+        }
+
+        const jwk = this.signingKeys.get(kid);
+        if (!jwk) {
+            throw new Error('Invalid token: unknown signing key');
+        }
+
+        return crypto.createPublicKey({ key: { kty: jwk.kty, n: jwk.n, e: jwk.e }, format: 'jwk' });
+    }
+}
+
+module.exports = new MicrosoftIdentityService();
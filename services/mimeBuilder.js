@@ -0,0 +1,402 @@
+/**
+ * MimeBuilder - Composes RFC 5322 / MIME messages for every mail provider
+ *
+ * This service handles:
+ * - multipart/alternative text and HTML bodies, quoted-printable encoded
+ * - multipart/mixed attachments and multipart/related inline (CID) images
+ * - RFC 2047 encoded-word headers and RFC 2231 attachment file names
+ * - Our own Message-ID, threading headers and custom headers (CR/LF stripped)
+ *
+ * Providers get the finished message as text (or base64url for the Gmail API)
+ * and only decide how to deliver it.
+ */
+
+const crypto = require('crypto');
+
+class MimeBuilder {
+    constructor() {
+        this.maxAttachments = 10;
+        // Providers cap whole messages around 25MB; base64 adds a third on top of the raw bytes
+        this.maxAttachmentBytes = 18 * 1024 * 1024;
+        this.lineLength = 76;
+    }
+
+    // ================================================================
+    // 1. MESSAGE COMPOSITION
+    // ================================================================
+
+    /**
+     * Build a complete message
+     * @param {Object} message - Message fields
+     * @param {string} message.from - Sender address
+     * @param {string} message.fromName - Sender display name (optional)
+     * @param {string|Array} message.to - Recipients ("a@x.com, Name <b@y.com>" or an array)
+     * @param {string|Array} message.cc - Cc recipients (optional)
+     * @param {string|Array} message.bcc - Bcc recipients (optional)
+     * @param {string} message.replyTo - Reply-To address (optional)
+     * @param {string} message.subject - Subject
+     * @param {string} message.textBody - Plain text body
+     * @param {string} message.htmlBody - HTML body
+     * @param {Array} message.attachments - [{ filename, contentType, content (Buffer or base64), contentId? }]
+     * @param {Object} message.headers - Extra headers, e.g. List-Unsubscribe
+     * @param {string} message.messageId - Message-ID (generated from the sender's domain if omitted)
+     * @param {string} message.inReplyTo - Message-ID this message replies to
+     * @param {string} message.references - Message-IDs of the thread
+     * @param {Object} options - { includeBcc } (false for SMTP, where Bcc goes in the envelope only)
+     * @returns {Object} { raw, messageId }
+     */
+    build(message, options = {}) {
+        const { includeBcc = true } = options;
+        const messageId = message.messageId || this.generateMessageId(message.from);
+        const headers = [];
+
+        headers.push(['From', this.formatAddress(message.fromName ? { name: message.fromName, email: message.from } : message.from)]);
+        headers.push(['To', this.formatAddressList(message.to)]);
+        if (message.cc) headers.push(['Cc', this.formatAddressList(message.cc)]);
+        if (message.bcc && includeBcc) headers.push(['Bcc', this.formatAddressList(message.bcc)]);
+        if (message.replyTo) headers.push(['Reply-To', this.formatAddressList(message.replyTo)]);
+        headers.push(['Subject', this.encodeHeader(this._clean(message.subject || ''))]);
+        headers.push(['Date', new Date().toUTCString().replace('GMT', '+0000')]);
+        headers.push(['Message-ID', messageId]);
+
+        // Threading headers for replies
+        if (message.inReplyTo) {
+            headers.push(['In-Reply-To', this._clean(message.inReplyTo)]);
+            headers.push(['References', this._clean(message.references || message.inReplyTo)]);
+        }
+
+        // Extra headers (e.g. List-Unsubscribe); the ones we set above can't be overridden
+        const reserved = new Set(headers.map(([name]) => name.toLowerCase()).concat(['mime-version', 'content-type', 'content-transfer-encoding']));
+        for (const [name, value] of Object.entries(message.headers || {})) {
+            if (!/^[!-9;-~]+$/.test(name) || reserved.has(name.toLowerCase())) continue;
+            headers.push([name, this.encodeHeader(this._clean(String(value)))]);
+        }
+
+        headers.push(['MIME-Version', '1.0']);
+
+        const attachments = (message.attachments || []).map(attachment => this._normalizeAttachment(attachment));
+        const body = this._buildBody(message, attachments);
+
+        const raw = headers.map(([name, value]) => `${name}: ${value}`).join('\r\n') + '\r\n' + body;
+
+        return { raw, messageId };
+    }
+
+    /**
+     * Message-ID on the sender's domain
+     * @param {string} fromEmail - Sender address
+     * @returns {string} e.g. "<5f0c...@example.com>"
+     */
+    generateMessageId(fromEmail) {
+        const domain = process.env.MESSAGE_ID_DOMAIN || String(fromEmail || '').split('@')[1] || 'localhost';
+        return `<${crypto.randomUUID()}@${domain.replace(/[^A-Za-z0-9.-]/g, '')}>`;
+    }
+
+    /**
+     * Base64url form of a message (Gmail API "raw")
+     * @param {string} raw - Message text
+     * @returns {string} Base64url without padding
+     */
+    toBase64Url(raw) {
+        return Buffer.from(raw).toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    /**
+     * Check attachments sent by a client (content as base64)
+     * @param {Array} attachments - [{ filename, contentType, content, contentId? }]
+     * @returns {Array<string>} Error messages (empty if every attachment is valid)
+     */
+    validateAttachments(attachments) {
+        if (attachments === undefined || attachments === null) return [];
+        if (!Array.isArray(attachments)) return ['attachments must be an array'];
+
+        const errors = [];
+        let totalBytes = 0;
+
+        if (attachments.length > this.maxAttachments) {
+            errors.push(`No more than ${this.maxAttachments} attachments are allowed`);
+        }
+
+        attachments.forEach((attachment, index) => {
+            const label = `Attachment ${index + 1}`;
+
+            if (!attachment || typeof attachment.filename !== 'string' || !attachment.filename.trim() ||
+                attachment.filename.length > 255 || /[\r\n/\\]/.test(attachment.filename)) {
+                errors.push(`${label}: filename is required and cannot contain slashes or line breaks`);
+                return;
+            }
+
+            if (typeof attachment.content !== 'string' || !attachment.content ||
+                !/^[A-Za-z0-9+/\s]+={0,2}\s*$/.test(attachment.content)) {
+                errors.push(`${label}: content must be base64`);
+                return;
+            }
+
+            if (attachment.contentType !== undefined && !/^[\w.+-]+\/[\w.+-]+$/.test(attachment.contentType)) {
+                errors.push(`${label}: invalid contentType`);
+            }
+
+            if (attachment.contentId !== undefined && !/^[^<>\s]{1,200}$/.test(attachment.contentId)) {
+                errors.push(`${label}: invalid contentId`);
+            }
+
+            totalBytes += Buffer.byteLength(attachment.content, 'base64');
+        });
+
+        if (totalBytes > this.maxAttachmentBytes) {
+            errors.push(`Attachments cannot exceed ${this.maxAttachmentBytes / (1024 * 1024)}MB in total`);
+        }
+
+        return errors;
+    }
+
+    // ================================================================
+    // 2. HEADER ENCODING
+    // ================================================================
+
+    /**
+     * RFC 2047 encoded-words for header text that isn't plain ASCII
+     * Words are kept under 76 characters and never split a UTF-8 character
+     * @param {string} value - Header text
+     * @returns {string} The text itself if ASCII, otherwise folded =?UTF-8?B?...?= words
+     */
+    encodeHeader(value) {
+        if (/^[\x20-\x7e]*$/.test(value)) return value;
+
+        // "=?UTF-8?B?" + "?=" leaves 63 base64 characters, i.e. 45 bytes, per word
+        const words = [];
+        let chunk = '';
+        for (const char of value) {
+            if (Buffer.byteLength(chunk + char) > 45) {
+                words.push(chunk);
+                chunk = '';
+            }
+            chunk += char;
+        }
+        if (chunk) words.push(chunk);
+
+        return words.map(word => `=?UTF-8?B?${Buffer.from(word).toString('base64')}?=`).join('\r\n ');
+    }
+
+    /**
+     * One address with an optional display name
+     * @param {string|Object} address - "Name <a@x.com>", "a@x.com" or { name, email }
+     * @returns {string} e.g. "\"Doe, Jane\" <a@x.com>" or "=?UTF-8?B?...?= <a@x.com>"
+     */
+    formatAddress(address) {
+        let name = '';
+        let email = '';
+
+        if (address && typeof address === 'object') {
+            name = address.name || '';
+            email = address.email || '';
+        } else {
+            const match = String(address || '').match(/^\s*"?([^"<]*?)"?\s*<([^>]+)>\s*$/);
+            if (match) {
+                name = match[1];
+                email = match[2];
+            } else {
+                email = String(address || '');
+            }
+        }
+
+        email = this._clean(email).trim();
+        name = this._clean(name).trim();
+
+        if (!name) return email;
+
+        if (!/^[\x20-\x7e]*$/.test(name)) {
+            return `${this.encodeHeader(name)} <${email}>`;
+        }
+
+        // Names with specials (commas, dots, ...) must be quoted
+        return /^[A-Za-z0-9!#$%&'*+\-/=?^_`{|}~ ]+$/.test(name)
+            ? `${name} <${email}>`
+            : `"${name.replace(/(["\\])/g, '\\$1')}" <${email}>`;
+    }
+
+    /**
+     * Comma-separated address list
+     * @param {string|Array} addresses - Array, or a string with commas between addresses
+     * @returns {string} Formatted list
+     */
+    formatAddressList(addresses) {
+        const list = Array.isArray(addresses)
+            ? addresses
+            : String(addresses || '').split(/,(?=(?:[^"]*"[^"]*")*[^"]*$)/).filter(address => address.trim());
+
+        return list.map(address => this.formatAddress(address)).join(', ');
+    }
+
+    // ================================================================
+    // 3. BODY ENCODING
+    // ================================================================
+
+    /**
+     * Quoted-printable text with CRLF line breaks and soft breaks at 76 characters
+     * @param {string} text - Body text
+     * @returns {string} Encoded text
+     */
+    encodeQuotedPrintable(text) {
+        return String(text).replace(/\r?\n/g, '\n').split('\n').map(line => {
+            const bytes = Buffer.from(line, 'utf8');
+            const tokens = [];
+
+            bytes.forEach((byte, index) => {
+                const isLast = index === bytes.length - 1;
+                const printable = byte >= 33 && byte <= 126 && byte !== 61;
+                const whitespace = (byte === 32 || byte === 9) && !isLast;
+
+                tokens.push(printable || whitespace
+                    ? String.fromCharCode(byte)
+                    : `=${byte.toString(16).toUpperCase().padStart(2, '0')}`);
+            });
+
+            // Soft line breaks leave room for the trailing "="
+            const lines = [];
+            let current = '';
+            for (const token of tokens) {
+                if (current.length + token.length > this.lineLength - 1) {
+                    lines.push(`${current}=`);
+                    current = '';
+                }
+                current += token;
+            }
+            lines.push(current);
+
+            return lines.join('\r\n');
+        }).join('\r\n');
+    }
+
+    /**
+     * Base64 wrapped at 76 characters
+     * @param {Buffer} content - Bytes
+     * @returns {string} Encoded content
+     */
+    encodeBase64(content) {
+        return (content.toString('base64').match(/.{1,76}/g) || []).join('\r\n');
+    }
+
+    // ================================================================
+    // 4. PRIVATE HELPER METHODS
+    // ================================================================
+
+    /**
+     * Content-Type header and body of the top-level part
+     * mixed [ related [ alternative [text, html], inline images ], attachments ]; levels without parts are left out
+     * @private
+     */
+    _buildBody(message, attachments) {
+        const inline = attachments.filter(attachment => attachment.contentId);
+        const attached = attachments.filter(attachment => !attachment.contentId);
+
+        const textPart = message.textBody ? this._textPart('text/plain', message.textBody) : null;
+        let htmlPart = message.htmlBody ? this._textPart('text/html', message.htmlBody) : null;
+
+        // Inline images belong with the HTML that references them
+        if (htmlPart && inline.length > 0) {
+            htmlPart = this._multipart('related', [htmlPart, ...inline.map(attachment => this._attachmentPart(attachment, true))]);
+        }
+
+        let body = textPart && htmlPart
+            ? this._multipart('alternative', [textPart, htmlPart])
+            : (htmlPart || textPart || this._textPart('text/plain', ''));
+
+        const fileParts = [...attached, ...(htmlPart ? [] : inline)].map(attachment => this._attachmentPart(attachment, false));
+        if (fileParts.length > 0) {
+            body = this._multipart('mixed', [body, ...fileParts]);
+        }
+
+        return body;
+    }
+
+    /**
+     * A quoted-printable UTF-8 text part
+     * @private
+     */
+    _textPart(type, content) {
+        return [
+            `Content-Type: ${type}; charset=UTF-8`,
+            'Content-Transfer-Encoding: quoted-printable',
+            '',
+            this.encodeQuotedPrintable(content)
+        ].join('\r\n');
+    }
+
+    /**
+     * A base64 attachment part
+     * @private
+     */
+    _attachmentPart(attachment, inline) {
+        const filename = this._fileNameParams(attachment.filename);
+        const lines = [
+            `Content-Type: ${attachment.contentType}; ${filename.name}`,
+            'Content-Transfer-Encoding: base64',
+            `Content-Disposition: ${inline ? 'inline' : 'attachment'}; ${filename.filename}`
+        ];
+
+        if (attachment.contentId) {
+            lines.push(`Content-ID: <${attachment.contentId}>`);
+        }
+
+        return [...lines, '', this.encodeBase64(attachment.content)].join('\r\n');
+    }
+
+    /**
+     * A multipart part wrapping other parts
+     * @private
+     */
+    _multipart(subtype, parts) {
+        const boundary = `----=_Part_${crypto.randomBytes(12).toString('hex')}`;
+
+        return [
+            `Content-Type: multipart/${subtype}; boundary="${boundary}"`,
+            '',
+            ...parts.map(part => `--${boundary}\r\n${part}`),
+            `--${boundary}--`
+        ].join('\r\n');
+    }
+
+    /**
+     * name= and filename= parameters; non-ASCII names use RFC 2231 (plus an encoded-word for old clients)
+     * @private
+     */
+    _fileNameParams(filename) {
+        const clean = this._clean(filename).replace(/[\\/]/g, '_');
+
+        if (/^[\x20-\x7e]*$/.test(clean)) {
+            const quoted = `"${clean.replace(/(["\\])/g, '\\$1')}"`;
+            return { name: `name=${quoted}`, filename: `filename=${quoted}` };
+        }
+
+        return {
+            name: `name="${this.encodeHeader(clean).replace(/\r\n /g, ' ')}"`,
+            filename: `filename*=UTF-8''${encodeURIComponent(clean).replace(/['()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`)}`
+        };
+    }
+
+    /**
+     * Attachment with its content as a Buffer
+     * @private
+     */
+    _normalizeAttachment(attachment) {
+        return {
+            filename: attachment.filename || 'attachment',
+            contentType: attachment.contentType || 'application/octet-stream',
+            content: Buffer.isBuffer(attachment.content)
+                ? attachment.content
+                : Buffer.from(String(attachment.content || ''), 'base64'),
+            contentId: attachment.contentId || null
+        };
+    }
+
+    /**
+     * Strip line breaks so values can't inject headers
+     * @private
+     */
+    _clean(value) {
+        return String(value).replace(/[\r\n]+/g, ' ');
+    }
+}
+
+module.exports = new MimeBuilder();
@@ -0,0 +1,417 @@
+/**
+ * OutlookService - Microsoft 365 / Outlook mailboxes through Microsoft Graph ('outlook' accounts)
+ *
+ * This service handles:
+ * - Access tokens for connected mailboxes, refreshed like gmailService.refreshTokens
+ * - Sending: the MIME message becomes a draft, then the draft is sent, so threading
+ *   headers, List-Unsubscribe and inline images go out exactly as MimeBuilder wrote them
+ * - Reading the inbox and conversations for reply and bounce detection
+ *
+ * Graph conversation IDs are used as thread IDs.
+ * MICROSOFT_GRAPH_URL points the service at a mock endpoint in tests.
+ */
+
+const axios = require('axios');
+const pool = require('../config/database');
+const EncryptionService = require('./encryptionService');
+const microsoftIdentityService = require('./microsoftIdentityService');
+const smtpImapService = require('./smtpImapService');
+const mimeBuilder = require('./mimeBuilder');
+const mailboxStatusService = require('./mailboxStatusService');
+
+class OutlookService {
+    constructor() {
+        this.encryptionService = new EncryptionService();
+        this.graphUrl = (process.env.MICROSOFT_GRAPH_URL || 'https://graph.microsoft.com/v1.0').replace(/\/$/, '');
+        // Graph rejects requests over 4MB; the base64 MIME body counts
+        this.maxRequestBytes = 4 * 1024 * 1024;
+        // Refresh a little early so a token doesn't expire mid-request
+        this.refreshSkewMs = 60 * 1000;
+        this.messageFields = [
+            'id', 'conversationId', 'internetMessageId', 'subject', 'bodyPreview', 'body',
+            'from', 'toRecipients', 'ccRecipients', 'sentDateTime', 'receivedDateTime', 'isDraft'
+        ].join(',');
+    }
+
+    // ================================================================
+    // 1. TOKENS
+    // ================================================================
+
+    /**
+     * Access token for an account, refreshed if it is about to expire
+     * @param {string} accountId - email_accounts UUID
+     * @returns {Object} { id, email, accessToken }
+     */
+    async createAuthenticatedClient(accountId) {
+        const result = await pool.query(
+            'SELECT encrypted_tokens, email, status, provider FROM email_accounts WHERE id = $1',
+            [accountId]
+        );
+
+        if (result.rows.length === 0) {
+            throw new Error('Email account not found');
+        }
+
+        const account = result.rows[0];
+
+        if (account.provider !== 'outlook') {
+            throw new Error(`Email account is not an Outlook mailbox (${account.provider})`);
+        }
+
+        if (account.status !== 'active') {
+            throw new Error(`Email account is ${account.status}`);
+        }
+
+        let tokens = this.encryptionService.decryptTokens(account.encrypted_tokens);
+
+        if (!tokens.expiry_date || tokens.expiry_date <= Date.now() + this.refreshSkewMs) {
+            console.log(`🔄 Refreshing expired tokens for ${account.email}`);
+            tokens = await this.refreshTokens(accountId, tokens);
+        }
+
+        return { id: accountId, email: account.email, accessToken: tokens.access_token };
+    }
+
+    /**
+     * Refresh an account's tokens now, whether or not they have expired
+     * @param {string} accountId - email_accounts UUID
+     * @returns {Object} { expiresAt }
+     */
+    async refreshAccount(accountId) {
+        const result = await pool.query(
+            'SELECT encrypted_tokens FROM email_accounts WHERE id = $1',
+            [accountId]
+        );
+
+        if (result.rows.length === 0) {
+            throw new Error('Email account not found');
+        }
+
+        const tokens = await this.refreshTokens(accountId, this.encryptionService.decryptTokens(result.rows[0].encrypted_tokens));
+
+        return { expiresAt: new Date(tokens.expiry_date) };
+    }
+
+    /**
+     * Refresh expired tokens; a dead refresh token marks the account expired or revoked
+     * @param {string} accountId - email_accounts UUID
+     * @param {Object} tokens - Current decrypted tokens
+     * @returns {Object} New tokens
+     */
+    async refreshTokens(accountId, tokens) {
+        try {
+            const credentials = await microsoftIdentityService.refreshAccessToken(tokens.refresh_token);
+            delete credentials.id_token;
+
+            await pool.query(`
+                UPDATE email_accounts
+                SET encrypted_tokens = $1,
+                    token_expires_at = $2,
+                    status = 'active',
+                    status_reason = NULL,
+                    updated_at = NOW()
+                WHERE id = $3
+            `, [
+                this.encryptionService.encryptTokens(credentials),
+                new Date(credentials.expiry_date),
+                accountId
+            ]);
+
+            console.log(`✅ Refreshed tokens for account ${accountId}`);
+
+            return credentials;
+
+        } catch (error) {
+            console.error('❌ Failed to refresh tokens:', error);
+
+            // A dead refresh token takes the mailbox out of service; temporary errors don't
+            const failure = await mailboxStatusService.handleRefreshFailure(accountId, error);
+            if (!failure) {
+                throw new Error(`Failed to refresh tokens: ${error.message}`);
+            }
+
+            throw new Error(`Failed to refresh tokens - account marked as ${failure.status}`);
+        }
+    }
+
+    // ================================================================
+    // 2. SENDING
+    // ================================================================
+
+    /**
+     * Send email through Microsoft Graph
+     * @param {string} accountId - email_accounts UUID
+     * @param {Object} emailData - Same fields as gmailService.sendEmail
+     * @returns {Object} { success, messageId, threadId, rfcMessageId, from, to, subject }
+     */
+    async sendEmail(accountId, emailData) {
+        try {
+            const mailbox = await this.createAuthenticatedClient(accountId);
+            const result = await this.sendMessage(mailbox, emailData);
+
+            console.log(`📧 Email sent successfully from ${mailbox.email} to ${emailData.to}`);
+            console.log(`📋 Message ID: ${result.messageId}`);
+
+            return result;
+
+        } catch (error) {
+            console.error('❌ Failed to send email:', error);
+            throw new Error(`Failed to send email: ${this._graphErrorMessage(error)}`);
+        }
+    }
+
+    /**
+     * Create the message as a draft from MIME, then send the draft
+     * @param {Object} mailbox - { email, accessToken }
+     * @param {Object} emailData - Same fields as gmailService.sendEmail
+     * @returns {Object} { success, messageId, threadId, rfcMessageId, from, to, subject }
+     */
+    async sendMessage(mailbox, emailData) {
+        const { raw, messageId: rfcMessageId } = mimeBuilder.build({
+            from: mailbox.email,
+            fromName: emailData.fromName,
+            to: emailData.to,
+            cc: emailData.cc,
+            bcc: emailData.bcc,
+            replyTo: emailData.replyTo,
+            subject: emailData.subject,
+            textBody: emailData.textBody,
+            htmlBody: emailData.htmlBody,
+            attachments: emailData.attachments,
+            headers: emailData.headers,
+            inReplyTo: emailData.inReplyTo,
+            references: emailData.references
+        });
+
+        const body = Buffer.from(raw).toString('base64');
+        if (Buffer.byteLength(body) > this.maxRequestBytes) {
+            throw new Error('Message is larger than the 4MB Microsoft Graph allows, attachments included');
+        }
+
+        // Graph reads a base64 MIME body sent as text/plain
+        const draft = await this._graph(mailbox, 'post', '/me/messages', body, { 'Content-Type': 'text/plain' });
+        await this._graph(mailbox, 'post', `/me/messages/${encodeURIComponent(draft.id)}/send`);
+
+        return {
+            success: true,
+            messageId: draft.id,
+            // Exchange threads follow-ups by In-Reply-To, so the conversation ID stays the same
+            threadId: draft.conversationId || emailData.threadId || null,
+            rfcMessageId: draft.internetMessageId || rfcMessageId,
+            from: mailbox.email,
+            to: emailData.to,
+            subject: emailData.subject
+        };
+    }
+
+    // ================================================================
+    // 3. READING
+    // ================================================================
+
+    /**
+     * Get recent emails from the inbox
+     * @param {string} accountId - email_accounts UUID
+     * @param {Object} options - { maxResults, search (KQL), includeDeliveryStatus }
+     * @returns {Array} Messages in the gmailService.parseEmailMessage shape
+     */
+    async getEmails(accountId, options = {}) {
+        try {
+            const mailbox = await this.createAuthenticatedClient(accountId);
+            const messages = await this.fetchMessages(mailbox, options);
+
+            console.log(`📧 Retrieved ${messages.length} emails for ${mailbox.email}`);
+
+            return messages;
+
+        } catch (error) {
+            console.error('❌ Failed to get emails:', error);
+            throw new Error(`Failed to get emails: ${this._graphErrorMessage(error)}`);
+        }
+    }
+
+    /**
+     * Get all messages of a Graph conversation
+     * @param {string} accountId - email_accounts UUID
+     * @param {string} threadId - Graph conversation ID
+     * @returns {Object} { id, messages } oldest first
+     */
+    async getThread(accountId, threadId) {
+        try {
+            const mailbox = await this.createAuthenticatedClient(accountId);
+            return await this.fetchThread(mailbox, threadId);
+
+        } catch (error) {
+            console.error('❌ Failed to get thread:', error);
+            throw new Error(`Failed to get thread: ${this._graphErrorMessage(error)}`);
+        }
+    }
+
+    /**
+     * Newest inbox messages, optionally matching a KQL search
+     * Bounce processing sets includeDeliveryStatus to read the DSN part from the MIME source
+     * @param {Object} mailbox - { email, accessToken }
+     * @param {Object} options - { maxResults, search, includeDeliveryStatus }
+     * @returns {Array} Parsed messages, newest first
+     */
+    async fetchMessages(mailbox, options = {}) {
+        const { maxResults = 10, search = null, includeDeliveryStatus = false } = options;
+
+        // $search can't be combined with $orderby; its results already come newest first
+        const params = new URLSearchParams({ $top: String(maxResults), $select: this.messageFields });
+        if (search) {
+            params.set('$search', `"${search.replace(/"/g, '\\"')}"`);
+        } else {
+            params.set('$orderby', 'receivedDateTime desc');
+        }
+
+        const response = await this._graph(mailbox, 'get', `/me/mailFolders/inbox/messages?${params.toString()}`);
+        const messages = (response.value || []).map(message => this.parseGraphMessage(message, mailbox.email));
+
+        if (!includeDeliveryStatus) {
+            return messages;
+        }
+
+        return Promise.all(messages.map(async message => {
+            const source = await this._graph(mailbox, 'get', `/me/messages/${encodeURIComponent(message.id)}/$value`, null, {}, 'text');
+            const parsed = await smtpImapService.parseMessage(source, { folder: 'inbox' });
+
+            return {
+                ...message,
+                textBody: parsed.textBody,
+                deliveryStatus: parsed.deliveryStatus,
+                failedRecipients: parsed.failedRecipients
+            };
+        }));
+    }
+
+    /**
+     * All messages of a conversation, in every folder
+     * @param {Object} mailbox - { email, accessToken }
+     * @param {string} threadId - Graph conversation ID
+     * @returns {Object} { id, messages } oldest first
+     */
+    async fetchThread(mailbox, threadId) {
+        // Filtering on conversationId can't be combined with $orderby, so sort here
+        const params = new URLSearchParams({
+            $filter: `conversationId eq '${threadId.replace(/'/g, "''")}'`,
+            $select: this.messageFields,
+            $top: '50'
+        });
+
+        const response = await this._graph(mailbox, 'get', `/me/messages?${params.toString()}`);
+
+        return {
+            id: threadId,
+            messages: (response.value || [])
+                .filter(message => !message.isDraft)
+                .map(message => this.parseGraphMessage(message, mailbox.email))
+                .sort((a, b) => (a.internalDate || a.date) - (b.internalDate || b.date))
+        };
+    }
+
+    /**
+     * Parse a Graph message to the gmailService.parseEmailMessage shape
+     * @param {Object} message - Graph message resource
+     * @param {string} accountEmail - Mailbox address, to label our own messages SENT
+     * @returns {Object} Parsed message
+     */
+    parseGraphMessage(message, accountEmail) {
+        const formatRecipient = recipient => {
+            const { name, address } = recipient.emailAddress || {};
+            return name && name !== address ? `${name} <${address}>` : (address || '');
+        };
+
+        const fromAddress = (message.from?.emailAddress?.address || '').toLowerCase();
+        const isSent = fromAddress === String(accountEmail || '').toLowerCase();
+        const body = message.body || {};
+
+        return {
+            id: message.id,
+            threadId: message.conversationId,
+            from: message.from ? formatRecipient(message.from) : '',
+            to: (message.toRecipients || []).map(formatRecipient).join(', '),
+            cc: (message.ccRecipients || []).map(formatRecipient).join(', '),
+            subject: message.subject || '',
+            messageIdHeader: message.internetMessageId || '',
+            inReplyTo: '',
+            date: message.sentDateTime ? new Date(message.sentDateTime) : null,
+            internalDate: message.receivedDateTime ? new Date(message.receivedDateTime) : null,
+            textBody: body.contentType === 'text' ? body.content : '',
+            htmlBody: body.contentType === 'html' ? body.content : '',
+            deliveryStatus: '',
+            failedRecipients: '',
+            snippet: message.bodyPreview || '',
+            labelIds: isSent ? ['SENT'] : ['INBOX']
+        };
+    }
+
+    /**
+     * Test email account connection
+     */
+    async testConnection(accountId) {
+        try {
+            const mailbox = await this.createAuthenticatedClient(accountId);
+            const profile = await this.getProfile(mailbox.accessToken);
+
+            console.log(`✅ Connection test successful for ${mailbox.email}`);
+
+            return {
+                success: true,
+                email: mailbox.email,
+                displayName: profile.displayName
+            };
+
+        } catch (error) {
+            console.error('❌ Connection test failed:', error);
+            throw new Error(`Connection test failed: ${this._graphErrorMessage(error)}`);
+        }
+    }
+
+    /**
+     * Signed-in user's profile (address and display name)
+     * @param {string} accessToken - Graph access token
+     * @returns {Object} { email, displayName }
+     */
+    async getProfile(accessToken) {
+        const profile = await this._graph({ accessToken }, 'get', '/me?$select=mail,userPrincipalName,displayName');
+
+        return {
+            // Personal accounts have no mail property
+            email: (profile.mail || profile.userPrincipalName || '').toLowerCase(),
+            displayName: profile.displayName || null
+        };
+    }
+
+    // ================================================================
+    // 4. PRIVATE HELPER METHODS
+    // ================================================================
+
+    /**
+     * Call Microsoft Graph and return the response body
+     * @private
+     */
+    async _graph(mailbox, method, path, data = null, headers = {}, responseType = 'json') {
+        const response = await axios({
+            method,
+            url: `${this.graphUrl}${path}`,
+            data,
+            responseType,
+            headers: {
+                Authorization: `Bearer ${mailbox.accessToken}`,
+                ...headers
+            }
+        });
+
+        return response.data;
+    }
+
+    /**
+     * Graph error message from a failed request
+     * @private
+     */
+    _graphErrorMessage(error) {
+        return error.response?.data?.error?.message || error.message;
+    }
+}
+
+module.exports = new OutlookService();
@@ -0,0 +1,337 @@
+/**
+ * ReplyDetectionService - Background sync that finds replies to campaign emails
+ *
+ * This service handles:
+ * - Polling the Gmail, Outlook or IMAP threads of recently sent campaign emails
+ * - Recording inbound replies against the right campaign lead
+ * - Flipping campaign lead, lead and send statuses to 'replied'
+ * - Stopping any remaining sequence steps for leads who replied
+ */
+
+const pool = require('../config/database');
+const emailJobService = require('./emailJobService');
+const mailProviders = require('./mailProviders');
+
+class ReplyDetectionService {
+    constructor() {
+        this.isRunning = false;
+        this.isSyncing = false;
+        this.syncInterval = parseInt(process.env.REPLY_SYNC_INTERVAL_MS) || 5 * 60 * 1000; // Every 5 minutes
+        this.syncTimer = null;
+        this.batchSize = 200; // Sent emails checked per sync
+        this.lookbackDays = 30; // Stop watching threads after this many days
+    }
+
+    // ================================================================
+    // 1. MAIN SYNC METHODS
+    // ================================================================
+
+    /**
+     * Start the background reply sync
+     */
+    async start() {
+        if (this.isRunning) {
+            console.log('⚠️  ReplyDetectionService is already running');
+            return;
+        }
+
+        console.log('🚀 Starting ReplyDetectionService...');
+        this.isRunning = true;
+
+        this.syncTimer = setInterval(async () => {
+            try {
+                await this.syncReplies();
+            } catch (error) {
+                console.error('❌ Error in reply sync loop:', error);
+            }
+        }, this.syncInterval);
+
+        console.log(`✅ ReplyDetectionService started (checking every ${this.syncInterval}ms)`);
+    }
+
+    /**
+     * Stop the background reply sync
+     */
+    async stop() {
+        console.log('🛑 Stopping ReplyDetectionService...');
+        this.isRunning = false;
+
+        if (this.syncTimer) {
+            clearInterval(this.syncTimer);
+            this.syncTimer = null;
+        }
+
+        console.log('✅ ReplyDetectionService stopped');
+    }
+
+    /**
+     * Check the threads of sent campaign emails for new replies
+     * @returns {Object} { threadsChecked, repliesFound }
+     */
+    async syncReplies() {
+        if (this.isSyncing) {
+            return { threadsChecked: 0, repliesFound: 0 };
+        }
+
+        this.isSyncing = true;
+        const client = await pool.connect();
+
+        try {
+            // Least recently checked sends first so every thread gets a turn
+            const sendsResult = await client.query(`
+                SELECT
+                    es.id,
+                    es.email_account_id,
+                    es.thread_id,
+                    es.recipient_email,
+                    es.sent_at,
+                    es.campaign_id,
+                    ea.email as account_email,
+                    ea.provider as account_provider,
+                    c.organization_id,
+                    ej.campaign_lead_id
+                FROM email_sends es
+                JOIN email_accounts ea ON es.email_account_id = ea.id
+                JOIN campaigns c ON es.campaign_id = c.id
+                LEFT JOIN email_jobs ej ON es.job_id = ej.id
+                WHERE es.thread_id IS NOT NULL
+                AND es.replied_at IS NULL
+                AND es.sent_at > NOW() - make_interval(days => $2)
+                AND ea.provider = ANY($3)
+                AND ea.status = 'active'
+                ORDER BY es.last_reply_check_at ASC NULLS FIRST
+                LIMIT $1
+            `, [this.batchSize, this.lookbackDays, mailProviders.namesWith('readMessages')]);
+
+            if (sendsResult.rows.length === 0) {
+                return { threadsChecked: 0, repliesFound: 0 };
+            }
+
+            // Group sends by mailbox thread so each thread is fetched once
+            const threads = new Map();
+            for (const send of sendsResult.rows) {
+                const key = `${send.email_account_id}:${send.thread_id}`;
+                if (!threads.has(key)) {
+                    threads.set(key, []);
+                }
+                threads.get(key).push(send);
+            }
+
+            let repliesFound = 0;
+
+            for (const sends of threads.values()) {
+                try {
+                    repliesFound += await this.checkThread(sends);
+                } catch (error) {
+                    console.error(`❌ Failed to check thread ${sends[0].thread_id}:`, error.message);
+                }
+            }
+
+            await client.query(`
+                UPDATE email_sends
+                SET last_reply_check_at = NOW()
+                WHERE id = ANY($1)
+            `, [sendsResult.rows.map(send => send.id)]);
+
+            if (repliesFound > 0) {
+                console.log(`💬 Reply sync: ${repliesFound} new replies across ${threads.size} threads`);
+            }
+
+            return {
+                threadsChecked: threads.size,
+                repliesFound
+            };
+
+        } finally {
+            client.release();
+            this.isSyncing = false;
+        }
+    }
+
+    /**
+     * Look for replies in one thread
+     * @param {Array} sends - Sent campaign emails that share this thread
+     * @returns {number} Number of new replies recorded
+     */
+    async checkThread(sends) {
+        const { email_account_id: accountId, thread_id: threadId, account_email: accountEmail } = sends[0];
+        const thread = await mailProviders.get(sends[0].account_provider).getThread(accountId, threadId);
+
+        let recorded = 0;
+
+        for (const send of sends) {
+            const sentAt = new Date(send.sent_at);
+            const recipient = send.recipient_email.toLowerCase();
+
+            // First inbound message from the recipient after our send
+            const reply = thread.messages.find(message => {
+                const fromEmail = this._extractEmailAddress(message.from);
+                const receivedAt = message.internalDate || message.date;
+
+                return fromEmail
+                    && fromEmail !== accountEmail.toLowerCase()
+                    && !message.labelIds.includes('SENT')
+                    && !this._isAutomatedSender(fromEmail)
+                    && (fromEmail === recipient || sends.length === 1)
+                    && receivedAt > sentAt;
+            });
+
+            if (reply && await this.recordReply(send, reply)) {
+                recorded++;
+            }
+        }
+
+        return recorded;
+    }
+
+    /**
+     * Record a reply and update campaign, lead and send statuses
+     * @param {Object} send - Sent campaign email the reply belongs to
+     * @param {Object} message - Parsed reply message from the mailbox's mail service
+     * @returns {boolean} True if this reply had not been recorded before
+     */
+    async recordReply(send, message) {
+        const client = await pool.connect();
+        let campaignLead = null;
+
+        try {
+            await client.query('BEGIN');
+
+            campaignLead = await this._findCampaignLead(client, send);
+            const receivedAt = message.internalDate || message.date;
+
+            const replyResult = await client.query(`
+                INSERT INTO email_replies (
+                    organization_id, campaign_id, campaign_lead_id, lead_id,
+                    email_send_id, email_account_id, provider_message_id, thread_id,
+                    from_email, subject, snippet, received_at
+                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+                ON CONFLICT (email_account_id, provider_message_id) DO NOTHING
+                RETURNING id
+            `, [
+                send.organization_id,
+                send.campaign_id,
+                campaignLead?.id || null,
+                campaignLead?.lead_id || null,
+                send.id,
+                send.email_account_id,
+                message.id,
+                message.threadId,
+                this._extractEmailAddress(message.from),
+                message.subject,
+                message.snippet,
+                receivedAt
+            ]);
+
+            if (replyResult.rows.length === 0) {
+                await client.query('ROLLBACK');
+                return false;
+            }
+
+            // Mark every send in this thread to the recipient as replied
+            await client.query(`
+                UPDATE email_sends
+                SET
+                    status = 'replied',
+                    replied_at = $3,
+                    updated_at = NOW()
+                WHERE email_account_id = $1 AND thread_id = $2 AND replied_at IS NULL
+            `, [send.email_account_id, send.thread_id, receivedAt]);
+
+            if (campaignLead) {
+                // Only the first reply per lead counts towards the campaign
+                const campaignLeadResult = await client.query(`
+                    UPDATE campaign_leads
+                    SET
+                        status = 'replied',
+                        replied_at = $2,
+                        updated_at = NOW()
+                    WHERE id = $1 AND replied_at IS NULL
+                    RETURNING id
+                `, [campaignLead.id, receivedAt]);
+
+                if (campaignLeadResult.rows.length > 0) {
+                    await client.query(`
+                        UPDATE campaigns
+                        SET emails_replied = emails_replied + 1
+                        WHERE id = $1
+                    `, [send.campaign_id]);
+                }
+
+                await client.query(`
+                    UPDATE leads
+                    SET
+                        last_replied_at = GREATEST(COALESCE(last_replied_at, $2), $2),
+                        status = CASE WHEN status IN ('new', 'active', 'contacted') THEN 'replied' ELSE status END,
+                        updated_at = NOW()
+                    WHERE id = $1
+                `, [campaignLead.lead_id, receivedAt]);
+            }
+
+            await client.query('COMMIT');
+
+        } catch (error) {
+            await client.query('ROLLBACK');
+            console.error(`❌ Failed to record reply for send ${send.id}:`, error);
+            throw error;
+        } finally {
+            client.release();
+        }
+
+        console.log(`💬 Reply detected: Campaign ${send.campaign_id}, ${send.recipient_email}`);
+
+        if (campaignLead) {
+            await emailJobService.stopSequenceForLead(campaignLead.id, 'replied');
+        }
+
+        return true;
+    }
+
+    // ================================================================
+    // 2. PRIVATE HELPER METHODS
+    // ================================================================
+
+    /**
+     * Resolve the campaign lead a send belongs to
+     * @private
+     */
+    async _findCampaignLead(client, send) {
+        if (send.campaign_lead_id) {
+            const result = await client.query(`
+                SELECT id, lead_id FROM campaign_leads WHERE id = $1
+            `, [send.campaign_lead_id]);
+            if (result.rows.length > 0) return result.rows[0];
+        }
+
+        // Sends created before jobs were linked to campaign leads
+        const result = await client.query(`
+            SELECT cl.id, cl.lead_id
+            FROM campaign_leads cl
+            JOIN leads l ON cl.lead_id = l.id
+            WHERE cl.campaign_id = $1 AND LOWER(l.email) = LOWER($2)
+            LIMIT 1
+        `, [send.campaign_id, send.recipient_email]);
+
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Pull the bare address out of a From header ("Name <a@b.com>" -> "a@b.com")
+     * @private
+     */
+    _extractEmailAddress(header) {
+        if (!header) return '';
+        const match = header.match(/<([^>]+)>/);
+        return (match ? match[1] : header).trim().toLowerCase();
+    }
+
+    /**
+     * Delivery notifications are handled as bounces, not replies
+     * @private
+     */
+    _isAutomatedSender(email) {
+        return /^(mailer-daemon|postmaster)@/i.test(email);
+    }
+}
+
+module.exports = new ReplyDetectionService();
@@ -0,0 +1,776 @@
+/**
+ * SendingCalendarService - Allowed sending days per organization
+ *
+ * This service handles:
+ * - Deciding whether a local date is a sending day (weekday + blackout dates)
+ * - Moving send times to the next allowed day (and into the campaign's send window) and counting business days
+ * - Looking up the calendar and send window that apply to a campaign
+ * - Calendar and blackout date management, including iCal imports with recurring events
+ *
+ * Dates are compared as the recipient's local 'YYYY-MM-DD' date.
+ */
+
+const pool = require('../config/database');
+const timezoneService = require('./timezoneService');
+
+class SendingCalendarService {
+    constructor() {
+        this.cache = new Map();
+        this.windowCache = new Map();
+        this.cacheTtlMs = 60 * 1000;
+        this.maxSearchDays = 366 * 2;
+
+        // RRULE BYDAY codes as ISO weekdays
+        this.icalWeekdays = { MO: 1, TU: 2, WE: 3, TH: 4, FR: 5, SA: 6, SU: 7 };
+    }
+
+    // ================================================================
+    // 1. CALENDAR RULES
+    // ================================================================
+
+    /**
+     * Check whether a calendar allows sending on a local date
+     * @param {Object|null} calendar - { allowedWeekdays, blackoutDates } (null allows every day)
+     * @param {string} localDate - 'YYYY-MM-DD'
+     * @returns {boolean} True if emails may be sent that day
+     */
+    isSendableDate(calendar, localDate) {
+        if (!calendar) return true;
+
+        return calendar.allowedWeekdays.includes(this._isoWeekday(localDate)) && !calendar.blackoutDates.has(localDate);
+    }
+
+    /**
+     * First sendable date on or after a local date
+     * @param {Object|null} calendar - Sending calendar
+     * @param {string} localDate - 'YYYY-MM-DD'
+     * @returns {string} 'YYYY-MM-DD'
+     */
+    nextSendableDate(calendar, localDate) {
+        let date = localDate;
+
+        for (let i = 0; i < this.maxSearchDays; i++) {
+            if (this.isSendableDate(calendar, date)) return date;
+            date = timezoneService.addDays(date, 1);
+        }
+
+        throw new Error('Sending calendar has no sendable days in the next two years');
+    }
+
+    /**
+     * Move forward a number of sendable days (business days for a Mon-Fri calendar)
+     * @param {Object|null} calendar - Sending calendar
+     * @param {string} localDate - 'YYYY-MM-DD' to count from
+     * @param {number} days - Sendable days to add
+     * @returns {string} 'YYYY-MM-DD'
+     */
+    addSendingDays(calendar, localDate, days) {
+        let date = localDate;
+
+        for (let i = 0; i < days; i++) {
+            date = this.nextSendableDate(calendar, timezoneService.addDays(date, 1));
+        }
+
+        return date;
+    }
+
+    /**
+     * Move a send time off a disallowed day, and into the daily send window if there is one
+     * Without a window the local time of day is kept; with one, a time before the window
+     * moves to its start and a time after it moves to the start of the next sendable date
+     * @param {Object|null} calendar - Sending calendar
+     * @param {Date} sendAt - Planned send time
+     * @param {string} timezone - Recipient timezone
+     * @param {Object|null} sendWindow - { startMinutes, endMinutes } in local minutes since midnight
+     * @returns {Date} sendAt itself if allowed, otherwise the next allowed time
+     */
+    getNextSendTime(calendar, sendAt, timezone = 'UTC', sendWindow = null) {
+        const localDate = timezoneService.getLocalDate(sendAt, timezone);
+        const minutesOfDay = Math.round((sendAt.getTime() - timezoneService.toUtc(localDate, 0, timezone).getTime()) / 60000);
+        const isSendable = this.isSendableDate(calendar, localDate);
+
+        if (!sendWindow) {
+            if (isSendable) return sendAt;
+            return timezoneService.toUtc(this.nextSendableDate(calendar, localDate), minutesOfDay, timezone);
+        }
+
+        if (isSendable && minutesOfDay < sendWindow.startMinutes) {
+            return timezoneService.toUtc(localDate, sendWindow.startMinutes, timezone);
+        }
+        if (isSendable && minutesOfDay < sendWindow.endMinutes) return sendAt;
+
+        const nextDate = this.nextSendableDate(calendar, timezoneService.addDays(localDate, 1));
+        return timezoneService.toUtc(nextDate, sendWindow.startMinutes, timezone);
+    }
+
+    // ================================================================
+    // 2. CALENDAR LOOKUPS
+    // ================================================================
+
+    /**
+     * Calendar that applies to a campaign (its own, else the organization default)
+     * Results are cached briefly since the processor checks every job
+     * @param {string} campaignId - Campaign UUID
+     * @returns {Object|null} { id, name, allowedWeekdays, blackoutDates: Set } or null to send every day
+     */
+    async getCalendarForCampaign(campaignId) {
+        const cached = this.cache.get(campaignId);
+        if (cached && cached.expiresAt > Date.now()) {
+            return cached.calendar;
+        }
+
+        const result = await pool.query(`
+            SELECT sc.id, sc.name, sc.allowed_weekdays
+            FROM campaigns c
+            JOIN sending_calendars sc ON sc.id = COALESCE(
+                c.sending_calendar_id,
+                (
+                    SELECT id FROM sending_calendars
+                    WHERE organization_id = c.organization_id AND is_default = true
+                    LIMIT 1
+                )
+            )
+            WHERE c.id = $1
+        `, [campaignId]);
+
+        let calendar = null;
+
+        if (result.rows.length > 0) {
+            const row = result.rows[0];
+            const datesResult = await pool.query(`
+                SELECT to_char(blackout_date, 'YYYY-MM-DD') as blackout_date
+                FROM sending_calendar_blackout_dates
+                WHERE calendar_id = $1 AND blackout_date >= CURRENT_DATE - 1
+            `, [row.id]);
+
+            calendar = {
+                id: row.id,
+                name: row.name,
+                allowedWeekdays: row.allowed_weekdays.map(Number),
+                blackoutDates: new Set(datesResult.rows.map(date => date.blackout_date))
+            };
+        }
+
+        this.cache.set(campaignId, { calendar, expiresAt: Date.now() + this.cacheTtlMs });
+
+        return calendar;
+    }
+
+    /**
+     * Daily send window of a scheduled campaign (campaign_schedules send_time_start/end)
+     * Cached like calendars since the processor checks every job
+     * @param {string} campaignId - Campaign UUID
+     * @returns {Object|null} { startMinutes, endMinutes } or null if the campaign sends at any time
+     */
+    async getSendWindowForCampaign(campaignId) {
+        const cached = this.windowCache.get(campaignId);
+        if (cached && cached.expiresAt > Date.now()) {
+            return cached.sendWindow;
+        }
+
+        const result = await pool.query(`
+            SELECT send_time_start::TEXT as send_time_start, send_time_end::TEXT as send_time_end
+            FROM campaign_schedules
+            WHERE campaign_id = $1 AND send_time_start IS NOT NULL AND send_time_end IS NOT NULL
+        `, [campaignId]);
+
+        const sendWindow = result.rows.length > 0
+            ? this.parseSendWindow(result.rows[0].send_time_start, result.rows[0].send_time_end)
+            : null;
+
+        this.windowCache.set(campaignId, { sendWindow, expiresAt: Date.now() + this.cacheTtlMs });
+
+        return sendWindow;
+    }
+
+    /**
+     * Turn 'HH:MM[:SS]' start and end times into a send window
+     * @param {string} startTime - Window start
+     * @param {string} endTime - Window end
+     * @returns {Object|null} { startMinutes, endMinutes }, or null if either time is missing or the window is empty
+     */
+    parseSendWindow(startTime, endTime) {
+        if (!startTime || !endTime) return null;
+
+        const toMinutes = time => {
+            const [hours, minutes] = time.split(':').map(Number);
+            return hours * 60 + minutes;
+        };
+        const startMinutes = toMinutes(startTime);
+        const endMinutes = toMinutes(endTime);
+
+        return endMinutes > startMinutes ? { startMinutes, endMinutes } : null;
+    }
+
+    /**
+     * Forget cached calendars after a calendar or campaign assignment changes
+     */
+    clearCache() {
+        this.cache.clear();
+        this.windowCache.clear();
+    }
+
+    // ================================================================
+    // 3. CALENDAR MANAGEMENT
+    // ================================================================
+
+    /**
+     * List an organization's calendars
+     * @param {string} organizationId - Organization UUID
+     * @returns {Array} Calendars with blackout date and campaign counts
+     */
+    async listCalendars(organizationId) {
+        const result = await pool.query(`
+            SELECT
+                sc.*,
+                (SELECT COUNT(*) FROM sending_calendar_blackout_dates bd WHERE bd.calendar_id = sc.id) as blackout_date_count,
+                (SELECT COUNT(*) FROM campaigns c WHERE c.sending_calendar_id = sc.id) as campaign_count
+            FROM sending_calendars sc
+            WHERE sc.organization_id = $1
+            ORDER BY sc.is_default DESC, sc.name ASC
+        `, [organizationId]);
+
+        return result.rows;
+    }
+
+    /**
+     * Get one calendar with its blackout dates
+     * @param {string} organizationId - Organization UUID
+     * @param {string} calendarId - Calendar UUID
+     * @returns {Object|null} Calendar, or null if not found in this organization
+     */
+    async getCalendar(organizationId, calendarId) {
+        const result = await pool.query(`
+            SELECT * FROM sending_calendars
+            WHERE id = $1 AND organization_id = $2
+        `, [calendarId, organizationId]);
+
+        if (result.rows.length === 0) return null;
+
+        const datesResult = await pool.query(`
+            SELECT id, to_char(blackout_date, 'YYYY-MM-DD') as date, description, source
+            FROM sending_calendar_blackout_dates
+            WHERE calendar_id = $1
+            ORDER BY blackout_date ASC
+        `, [calendarId]);
+
+        return {
+            ...result.rows[0],
+            blackout_dates: datesResult.rows
+        };
+    }
+
+    /**
+     * Create a calendar
+     * @param {string} organizationId - Organization UUID
+     * @param {Object} data - { name, description, allowedWeekdays, isDefault, blackoutDates }
+     * @param {string} userId - User UUID
+     * @returns {Object} Created calendar with blackout dates
+     */
+    async createCalendar(organizationId, data, userId) {
+        const client = await pool.connect();
+
+        try {
+            await client.query('BEGIN');
+
+            if (data.isDefault) {
+                await this._clearDefault(client, organizationId);
+            }
+
+            const result = await client.query(`
+                INSERT INTO sending_calendars (
+                    organization_id, name, description, allowed_weekdays, is_default, created_by
+                ) VALUES ($1, $2, $3, $4, $5, $6)
+                RETURNING id
+            `, [
+                organizationId,
+                data.name,
+                data.description || null,
+                data.allowedWeekdays || [1, 2, 3, 4, 5],
+                data.isDefault === true,
+                userId
+            ]);
+
+            const calendarId = result.rows[0].id;
+
+            if (data.blackoutDates && data.blackoutDates.length > 0) {
+                await this._insertBlackoutDates(client, calendarId, data.blackoutDates, 'manual');
+            }
+
+            await client.query('COMMIT');
+            this.clearCache();
+
+            return this.getCalendar(organizationId, calendarId);
+
+        } catch (error) {
+            await client.query('ROLLBACK');
+            console.error('Error creating sending calendar:', error);
+            throw new Error(`Failed to create sending calendar: ${error.message}`);
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Update a calendar's name, weekdays or default flag
+     * @param {string} organizationId - Organization UUID
+     * @param {string} calendarId - Calendar UUID
+     * @param {Object} data - { name, description, allowedWeekdays, isDefault }
+     * @returns {Object|null} Updated calendar, or null if not found
+     */
+    async updateCalendar(organizationId, calendarId, data) {
+        const client = await pool.connect();
+
+        try {
+            await client.query('BEGIN');
+
+            if (data.isDefault === true) {
+                await this._clearDefault(client, organizationId);
+            }
+
+            const result = await client.query(`
+                UPDATE sending_calendars
+                SET
+                    name = COALESCE($3, name),
+                    description = COALESCE($4, description),
+                    allowed_weekdays = COALESCE($5, allowed_weekdays),
+                    is_default = COALESCE($6, is_default),
+                    updated_at = NOW()
+                WHERE id = $1 AND organization_id = $2
+                RETURNING id
+            `, [
+                calendarId,
+                organizationId,
+                data.name ?? null,
+                data.description ?? null,
+                data.allowedWeekdays ?? null,
+                typeof data.isDefault === 'boolean' ? data.isDefault : null
+            ]);
+
+            await client.query('COMMIT');
+            this.clearCache();
+
+            if (result.rows.length === 0) return null;
+
+            return this.getCalendar(organizationId, calendarId);
+
+        } catch (error) {
+            await client.query('ROLLBACK');
+            console.error('Error updating sending calendar:', error);
+            throw new Error(`Failed to update sending calendar: ${error.message}`);
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Delete a calendar (campaigns using it fall back to the organization default)
+     * @param {string} organizationId - Organization UUID
+     * @param {string} calendarId - Calendar UUID
+     * @returns {boolean} True if deleted
+     */
+    async deleteCalendar(organizationId, calendarId) {
+        const result = await pool.query(`
+            DELETE FROM sending_calendars
+            WHERE id = $1 AND organization_id = $2
+            RETURNING id
+        `, [calendarId, organizationId]);
+
+        this.clearCache();
+
+        return result.rows.length > 0;
+    }
+
+    /**
+     * Add blackout dates to a calendar, skipping dates it already has
+     * @param {string} calendarId - Calendar UUID (ownership checked by the caller)
+     * @param {Array<Object>} dates - [{ date: 'YYYY-MM-DD', description }]
+     * @param {string} source - 'manual' | 'ical'
+     * @returns {Object} { added, existing, invalid }
+     */
+    async addBlackoutDates(calendarId, dates, source = 'manual') {
+        const client = await pool.connect();
+
+        try {
+            const invalid = dates.filter(entry => !this.isValidDate(entry.date)).map(entry => entry.date);
+            const valid = dates.filter(entry => this.isValidDate(entry.date));
+
+            const added = await this._insertBlackoutDates(client, calendarId, valid, source);
+            this.clearCache();
+
+            return {
+                added,
+                existing: new Set(valid.map(entry => entry.date)).size - added,
+                invalid
+            };
+
+        } catch (error) {
+            console.error('Error adding blackout dates:', error);
+            throw new Error(`Failed to add blackout dates: ${error.message}`);
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Remove a blackout date from a calendar
+     * @param {string} calendarId - Calendar UUID (ownership checked by the caller)
+     * @param {string} date - 'YYYY-MM-DD'
+     * @returns {boolean} True if removed
+     */
+    async removeBlackoutDate(calendarId, date) {
+        const result = await pool.query(`
+            DELETE FROM sending_calendar_blackout_dates
+            WHERE calendar_id = $1 AND blackout_date = $2
+            RETURNING id
+        `, [calendarId, date]);
+
+        this.clearCache();
+
+        return result.rows.length > 0;
+    }
+
+    // ================================================================
+    // 4. ICAL IMPORT
+    // ================================================================
+
+    /**
+     * Check a 'YYYY-MM-DD' string is a real calendar date
+     * @param {string} value - Date string
+     * @returns {boolean} True if valid
+     */
+    isValidDate(value) {
+        if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+
+        return timezoneService.addDays(value, 0) === value;
+    }
+
+    /**
+     * Extract blackout dates from iCal (.ics) text
+     * All-day events cover DTSTART up to (not including) DTEND;
+     * timed events block the date they start on. Recurring events (RRULE, RDATE,
+     * EXDATE and moved occurrences) are expanded up to options.until, two years ahead by default
+     * @param {string} text - Raw iCal content
+     * @param {Object} options - { until: 'YYYY-MM-DD' }
+     * @returns {Array<Object>} [{ date: 'YYYY-MM-DD', description }]
+     * @throws {Error} If an event repeats in a way that can't be expanded
+     */
+    parseIcal(text, options = {}) {
+        const until = options.until || timezoneService.addDays(timezoneService.getLocalDate(new Date(), 'UTC'), this.maxSearchDays);
+
+        // Unfold continuation lines (RFC 5545 3.1)
+        const lines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+        const events = [];
+        let event = null;
+
+        for (const line of lines) {
+            if (line === 'BEGIN:VEVENT') {
+                event = { rdates: [], exdates: [] };
+                continue;
+            }
+
+            if (line === 'END:VEVENT') {
+                if (event && event.start) events.push(event);
+                event = null;
+                continue;
+            }
+
+            if (!event) continue;
+
+            const separator = line.indexOf(':');
+            if (separator === -1) continue;
+
+            const [name, ...params] = line.slice(0, separator).toUpperCase().split(';');
+            const value = line.slice(separator + 1).trim();
+
+            if (name === 'DTSTART') {
+                event.start = this._parseIcalDate(value);
+            } else if (name === 'DTEND') {
+                event.end = this._parseIcalDate(value, true);
+            } else if (name === 'SUMMARY') {
+                event.summary = value.replace(/\\n/gi, ' ').replace(/\\([,;\\])/g, '$1').slice(0, 255);
+            } else if (name === 'UID') {
+                event.uid = value;
+            } else if (name === 'RRULE') {
+                event.rrule = value;
+            } else if (name === 'RDATE' || name === 'EXDATE') {
+                if (params.includes('VALUE=PERIOD')) {
+                    throw new Error(`${name} periods are not supported`);
+                }
+                const dates = value.split(',').map(date => this._parseIcalDate(date)).filter(Boolean);
+                (name === 'RDATE' ? event.rdates : event.exdates).push(...dates);
+            } else if (name === 'RECURRENCE-ID') {
+                event.recurrenceId = this._parseIcalDate(value);
+            }
+        }
+
+        // Occurrences that were moved are listed as their own events with a RECURRENCE-ID
+        const moved = new Map();
+        for (const entry of events.filter(candidate => candidate.uid && candidate.recurrenceId)) {
+            if (!moved.has(entry.uid)) moved.set(entry.uid, new Set());
+            moved.get(entry.uid).add(entry.recurrenceId);
+        }
+
+        const dates = new Map();
+
+        for (const entry of events) {
+            const length = entry.end && entry.end > entry.start ? this._daysBetween(entry.start, entry.end) : 1;
+            const skip = new Set([...entry.exdates, ...(entry.recurrenceId ? [] : moved.get(entry.uid) || [])]);
+
+            let starts = [entry.start];
+            if (!entry.recurrenceId && entry.rrule) {
+                starts = this._expandRrule(entry.start, this._parseRrule(entry.rrule, entry.summary), until);
+            }
+            if (!entry.recurrenceId) {
+                starts = [...new Set([...starts, ...entry.rdates.filter(date => date <= until)])].sort();
+            }
+
+            for (const start of starts.filter(date => !skip.has(date))) {
+                let date = start;
+
+                for (let i = 0; i < Math.min(length, 366); i++) {
+                    if (!dates.has(date)) {
+                        dates.set(date, { date, description: entry.summary || null });
+                    }
+                    date = timezoneService.addDays(date, 1);
+                }
+            }
+        }
+
+        return Array.from(dates.values()).filter(entry => this.isValidDate(entry.date));
+    }
+
+    // ================================================================
+    // 5. PRIVATE HELPER METHODS
+    // ================================================================
+
+    /**
+     * Convert an iCal DATE or DATE-TIME value to 'YYYY-MM-DD'
+     * A timed DTEND still blocks its own date, so it becomes the following day
+     * @private
+     */
+    _parseIcalDate(value, isEnd = false) {
+        const match = value.match(/^(\d{4})(\d{2})(\d{2})(T\d{4,6}Z?)?/);
+        if (!match) return null;
+
+        const date = `${match[1]}-${match[2]}-${match[3]}`;
+        return isEnd && match[4] && !/^T0{4,6}Z?$/.test(match[4]) ? timezoneService.addDays(date, 1) : date;
+    }
+
+    /**
+     * Read an RRULE value, rejecting parts that can't be expanded to dates
+     * @private
+     */
+    _parseRrule(value, summary) {
+        const parts = new Map(value.toUpperCase().split(';').filter(Boolean).map(part => part.split('=')));
+        const label = summary ? `"${summary}"` : 'an event';
+        const supported = ['FREQ', 'INTERVAL', 'COUNT', 'UNTIL', 'BYMONTH', 'BYMONTHDAY', 'BYDAY', 'WKST'];
+
+        for (const key of parts.keys()) {
+            if (!supported.includes(key)) {
+                throw new Error(`Repeat rule ${key} in ${label} is not supported`);
+            }
+        }
+
+        const freq = parts.get('FREQ');
+        if (!['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'].includes(freq)) {
+            throw new Error(`Repeat frequency ${freq || '(none)'} in ${label} is not supported`);
+        }
+
+        const list = key => (parts.get(key) || '').split(',').filter(Boolean);
+        const byDay = list('BYDAY').map(day => {
+            const match = day.match(/^([+-]?\d{1,2})?(MO|TU|WE|TH|FR|SA|SU)$/);
+            if (!match) throw new Error(`Repeat day ${day} in ${label} is not valid`);
+            return { ordinal: match[1] ? parseInt(match[1]) : null, weekday: this.icalWeekdays[match[2]] };
+        });
+
+        const hasOrdinal = byDay.some(day => day.ordinal !== null);
+        if (hasOrdinal && (!['MONTHLY', 'YEARLY'].includes(freq) || parts.has('BYMONTHDAY'))) {
+            throw new Error(`Numbered repeat days in ${label} are only supported for monthly and yearly events`);
+        }
+        if (freq === 'YEARLY' && byDay.length > 0 && !parts.has('BYMONTH')) {
+            throw new Error(`Yearly repeat days in ${label} need BYMONTH`);
+        }
+
+        return {
+            freq,
+            interval: Math.max(parseInt(parts.get('INTERVAL')) || 1, 1),
+            count: parseInt(parts.get('COUNT')) || null,
+            until: parts.has('UNTIL') ? this._parseIcalDate(parts.get('UNTIL')) : null,
+            byMonth: list('BYMONTH').map(Number),
+            byMonthDay: list('BYMONTHDAY').map(Number),
+            byDay
+        };
+    }
+
+    /**
+     * Start dates of a recurring event, from DTSTART up to the rule's end or the given date
+     * @private
+     */
+    _expandRrule(start, rule, until) {
+        const last = rule.until && rule.until < until ? rule.until : until;
+        const [startYear, startMonth, startDay] = start.split('-').map(Number);
+        const startWeekday = this._isoWeekday(start);
+        const starts = [];
+
+        for (let period = 0; ; period += rule.interval) {
+            let periodStart;
+            let candidates;
+
+            if (rule.freq === 'DAILY') {
+                periodStart = timezoneService.addDays(start, period);
+                candidates = [periodStart].filter(date => this._matchesDailyRule(date, rule));
+            } else if (rule.freq === 'WEEKLY') {
+                periodStart = timezoneService.addDays(start, period * 7 - (startWeekday - 1));
+                const weekdays = rule.byDay.length > 0 ? rule.byDay.map(day => day.weekday) : [startWeekday];
+                candidates = [0, 1, 2, 3, 4, 5, 6]
+                    .map(offset => timezoneService.addDays(periodStart, offset))
+                    .filter(date => weekdays.includes(this._isoWeekday(date)));
+            } else if (rule.freq === 'MONTHLY') {
+                const monthIndex = startMonth - 1 + period;
+                const year = startYear + Math.floor(monthIndex / 12);
+                const month = (monthIndex % 12) + 1;
+                periodStart = this._formatDate(year, month, 1);
+                candidates = this._monthDates(year, month, rule, startDay);
+            } else {
+                const year = startYear + period;
+                periodStart = this._formatDate(year, 1, 1);
+                const months = rule.byMonth.length > 0 ? rule.byMonth : [startMonth];
+                candidates = months.flatMap(month => this._monthDates(year, month, rule, startDay));
+            }
+
+            if (periodStart > last) return starts;
+
+            for (const date of candidates.sort()) {
+                if (date < start) continue;
+                if (date > last) return starts;
+                if (rule.byMonth.length > 0 && !rule.byMonth.includes(Number(date.slice(5, 7)))) continue;
+
+                starts.push(date);
+                if (rule.count && starts.length >= rule.count) return starts;
+            }
+        }
+    }
+
+    /**
+     * Dates in a month picked by BYMONTHDAY and/or BYDAY (or the DTSTART day when neither is set)
+     * @private
+     */
+    _monthDates(year, month, rule, defaultDay) {
+        const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+        let days;
+
+        if (rule.byMonthDay.length > 0) {
+            days = rule.byMonthDay.map(day => (day > 0 ? day : daysInMonth + 1 + day));
+        } else if (rule.byDay.length > 0) {
+            days = [];
+        } else {
+            days = [defaultDay];
+        }
+
+        days = days.filter(day => day >= 1 && day <= daysInMonth);
+
+        if (rule.byDay.length > 0) {
+            const weekdayOf = day => this._isoWeekday(this._formatDate(year, month, day));
+
+            if (rule.byMonthDay.length > 0) {
+                days = days.filter(day => rule.byDay.some(byDay => byDay.weekday === weekdayOf(day)));
+            } else {
+                for (const byDay of rule.byDay) {
+                    const matching = [];
+                    for (let day = 1; day <= daysInMonth; day++) {
+                        if (weekdayOf(day) === byDay.weekday) matching.push(day);
+                    }
+
+                    if (byDay.ordinal === null) {
+                        days.push(...matching);
+                    } else {
+                        const day = byDay.ordinal > 0 ? matching[byDay.ordinal - 1] : matching[matching.length + byDay.ordinal];
+                        if (day) days.push(day);
+                    }
+                }
+            }
+        }
+
+        return [...new Set(days)].map(day => this._formatDate(year, month, day));
+    }
+
+    /**
+     * Whether a date matches a daily rule's BYDAY and BYMONTHDAY filters
+     * @private
+     */
+    _matchesDailyRule(localDate, rule) {
+        const [year, month, day] = localDate.split('-').map(Number);
+        const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+        if (rule.byDay.length > 0 && !rule.byDay.some(byDay => byDay.weekday === this._isoWeekday(localDate))) return false;
+        if (rule.byMonthDay.length > 0 && !rule.byMonthDay.some(monthDay => monthDay === day || daysInMonth + 1 + monthDay === day)) return false;
+
+        return true;
+    }
+
+    /**
+     * ISO weekday (1 = Monday ... 7 = Sunday) of a 'YYYY-MM-DD' date
+     * @private
+     */
+    _isoWeekday(localDate) {
+        const [year, month, day] = localDate.split('-').map(Number);
+        return new Date(Date.UTC(year, month - 1, day)).getUTCDay() || 7;
+    }
+
+    /**
+     * Whole days from one 'YYYY-MM-DD' date to another
+     * @private
+     */
+    _daysBetween(from, to) {
+        const [fromYear, fromMonth, fromDay] = from.split('-').map(Number);
+        const [toYear, toMonth, toDay] = to.split('-').map(Number);
+
+        return Math.round((Date.UTC(toYear, toMonth - 1, toDay) - Date.UTC(fromYear, fromMonth - 1, fromDay)) / (24 * 60 * 60 * 1000));
+    }
+
+    /**
+     * Format a year, month and day as 'YYYY-MM-DD'
+     * @private
+     */
+    _formatDate(year, month, day) {
+        return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+    }
+
+    /**
+     * Only one default calendar per organization
+     * @private
+     */
+    async _clearDefault(client, organizationId) {
+        await client.query(`
+            UPDATE sending_calendars
+            SET is_default = false, updated_at = NOW()
+            WHERE organization_id = $1 AND is_default = true
+        `, [organizationId]);
+    }
+
+    /**
+     * Bulk insert blackout dates
+     * @private
+     */
+    async _insertBlackoutDates(client, calendarId, dates, source) {
+        if (dates.length === 0) return 0;
+
+        const result = await client.query(`
+            INSERT INTO sending_calendar_blackout_dates (calendar_id, blackout_date, description, source)
+            SELECT $1, entry.date, entry.description, $2
+            FROM UNNEST($3::DATE[], $4::TEXT[]) as entry(date, description)
+            ON CONFLICT (calendar_id, blackout_date) DO NOTHING
+            RETURNING id
+        `, [
+            calendarId,
+            source,
+            dates.map(entry => entry.date),
+            dates.map(entry => entry.description || null)
+        ]);
+
+        return result.rows.length;
+    }
+}
+
+module.exports = new SendingCalendarService();
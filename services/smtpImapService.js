@@ -0,0 +1,600 @@
+/**
+ * SmtpImapService - Mailboxes connected with SMTP/IMAP credentials ('imap_smtp' accounts)
+ *
+ * This service handles:
+ * - Validating and verifying SMTP/IMAP connection settings
+ * - Sending campaign mail over SMTP (and filing a copy in the Sent folder)
+ * - Reading the inbox and Sent folder over IMAP for reply and bounce detection
+ *
+ * IMAP has no thread IDs, so a conversation is keyed by the Message-ID of its first
+ * email: follow-ups keep that key and replies find it in their References header.
+ * Host, port and TLS mode live in email_accounts.provider_settings; usernames and
+ * passwords are encrypted into email_accounts.encrypted_tokens.
+ *
+ * Hosts come from users, so every connection goes to an address resolved and checked here:
+ * loopback, private and link-local addresses are refused, as is plaintext ('none'), unless
+ * SMTP_IMAP_ALLOW_LOCAL_SERVERS=true (local test servers only).
+ */
+
+const dns = require('dns');
+const net = require('net');
+const nodemailer = require('nodemailer');
+const { ImapFlow } = require('imapflow');
+const { simpleParser } = require('mailparser');
+const pool = require('../config/database');
+const EncryptionService = require('./encryptionService');
+const mimeBuilder = require('./mimeBuilder');
+
+class SmtpImapService {
+    constructor() {
+        this.encryptionService = new EncryptionService();
+        this.securityModes = ['tls', 'starttls', 'none'];
+        this.defaultPorts = {
+            smtp: { tls: 465, starttls: 587, none: 25 },
+            imap: { tls: 993, starttls: 143, none: 143 }
+        };
+        this.connectionTimeout = parseInt(process.env.SMTP_IMAP_TIMEOUT_MS) || 30000;
+        // Only for self-signed test servers
+        this.rejectUnauthorized = process.env.SMTP_IMAP_ALLOW_SELF_SIGNED !== 'true';
+        // Only for local test servers: private addresses and plaintext connections
+        this.allowLocalServers = process.env.SMTP_IMAP_ALLOW_LOCAL_SERVERS === 'true';
+
+        this.blockedAddresses = new net.BlockList();
+        for (const [network, prefix] of [
+            ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+            ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+            ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+        ]) {
+            this.blockedAddresses.addSubnet(network, prefix, 'ipv4');
+        }
+        for (const [network, prefix] of [['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+            this.blockedAddresses.addSubnet(network, prefix, 'ipv6');
+        }
+    }
+
+    // ================================================================
+    // 1. CONNECTION SETTINGS
+    // ================================================================
+
+    /**
+     * Check connection settings from the client
+     * @param {Object} input - { email, password, smtp: { host, port, security, username, password }, imap: {...} }
+     * @returns {Array} Error messages (empty if valid)
+     */
+    validateSettings(input) {
+        const errors = [];
+
+        if (!input || typeof input !== 'object') {
+            return ['Connection settings are required'];
+        }
+
+        if (!input.email || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(input.email)) {
+            errors.push('A valid email address is required');
+        }
+
+        for (const protocol of ['smtp', 'imap']) {
+            const server = input[protocol];
+            const label = protocol.toUpperCase();
+
+            if (!server || typeof server !== 'object' || !server.host || typeof server.host !== 'string') {
+                errors.push(`${label} host is required`);
+                continue;
+            }
+
+            if (server.security !== undefined && !this.securityModes.includes(server.security)) {
+                errors.push(`${label} security must be one of: ${this.securityModes.join(', ')}`);
+            } else if (server.security === 'none' && !this.allowLocalServers) {
+                errors.push(`${label} security 'none' would send the password unencrypted; use tls or starttls`);
+            }
+
+            if (server.port !== undefined && (!Number.isInteger(server.port) || server.port < 1 || server.port > 65535)) {
+                errors.push(`${label} port must be a whole number between 1 and 65535`);
+            }
+
+            if (!server.password && !input.password) {
+                errors.push(`${label} password is required`);
+            }
+        }
+
+        return errors;
+    }
+
+    /**
+     * Split validated input into stored settings and credentials to encrypt
+     * Usernames default to the email address and passwords to the shared password
+     * @param {Object} input - Validated connection settings
+     * @returns {Object} { settings, credentials }
+     */
+    buildConfig(input) {
+        const settings = { saveToSent: input.saveToSent !== false };
+        const credentials = {};
+
+        for (const protocol of ['smtp', 'imap']) {
+            const server = input[protocol];
+            const security = server.security || 'tls';
+
+            settings[protocol] = {
+                host: server.host.trim(),
+                port: server.port || this.defaultPorts[protocol][security],
+                security
+            };
+            credentials[protocol] = {
+                user: server.username || input.email,
+                pass: server.password || input.password
+            };
+        }
+
+        return { settings, credentials };
+    }
+
+    /**
+     * Log in to both servers and find the Sent folder
+     * @param {Object} mailbox - { email, settings, credentials }
+     * @returns {Object} Settings with sentFolder filled in
+     */
+    async verifyCredentials(mailbox) {
+        const transport = await this.createTransport(mailbox);
+
+        try {
+            await transport.verify();
+        } catch (error) {
+            throw new Error(`SMTP login failed: ${error.message}`);
+        } finally {
+            transport.close();
+        }
+
+        let imap;
+
+        try {
+            imap = await this.createImapClient(mailbox);
+            await imap.connect();
+        } catch (error) {
+            throw new Error(`IMAP login failed: ${error.message}`);
+        }
+
+        try {
+            const folders = await imap.list();
+            const sentFolder = folders.find(folder => folder.specialUse === '\\Sent')
+                || folders.find(folder => /^(sent|sent items|sent messages|sent mail)$/i.test(folder.name));
+
+            return {
+                ...mailbox.settings,
+                sentFolder: sentFolder ? sentFolder.path : null
+            };
+        } finally {
+            await imap.logout().catch(() => {});
+        }
+    }
+
+    // ================================================================
+    // 2. SENDING
+    // ================================================================
+
+    /**
+     * Send email through a connected SMTP mailbox
+     * @param {string} accountId - email_accounts UUID
+     * @param {Object} emailData - Same fields as gmailService.sendEmail
+     * @returns {Object} { success, messageId, threadId, rfcMessageId, from, to, subject }
+     */
+    async sendEmail(accountId, emailData) {
+        try {
+            const mailbox = await this.getMailbox(accountId);
+            const result = await this.sendMessage(mailbox, emailData);
+
+            console.log(`📧 Email sent successfully from ${mailbox.email} to ${emailData.to}`);
+            console.log(`📋 Message ID: ${result.messageId}`);
+
+            return result;
+
+        } catch (error) {
+            console.error('❌ Failed to send email:', error);
+            throw new Error(`Failed to send email: ${error.message}`);
+        }
+    }
+
+    /**
+     * Send one message and file a copy in the Sent folder
+     * @param {Object} mailbox - { email, settings, credentials }
+     * @param {Object} emailData - Same fields as gmailService.sendEmail
+     * @returns {Object} { success, messageId, threadId, rfcMessageId, from, to, subject }
+     */
+    async sendMessage(mailbox, emailData) {
+        // Bcc recipients only go in the SMTP envelope
+        const { raw, messageId } = mimeBuilder.build({
+            from: mailbox.email,
+            fromName: emailData.fromName,
+            to: emailData.to,
+            cc: emailData.cc,
+            bcc: emailData.bcc,
+            replyTo: emailData.replyTo,
+            subject: emailData.subject,
+            textBody: emailData.textBody,
+            htmlBody: emailData.htmlBody,
+            attachments: emailData.attachments,
+            headers: emailData.headers,
+            inReplyTo: emailData.inReplyTo,
+            references: emailData.references
+        }, { includeBcc: false });
+
+        const transport = await this.createTransport(mailbox);
+
+        try {
+            await transport.sendMail({
+                envelope: {
+                    from: mailbox.email,
+                    to: [emailData.to, emailData.cc, emailData.bcc].filter(Boolean)
+                },
+                raw
+            });
+        } finally {
+            transport.close();
+        }
+
+        if (mailbox.settings.saveToSent !== false && mailbox.settings.sentFolder) {
+            await this._appendToSent(mailbox, raw);
+        }
+
+        return {
+            success: true,
+            messageId,
+            // Follow-ups keep the key of the conversation they continue
+            threadId: emailData.threadId || messageId,
+            rfcMessageId: messageId,
+            from: mailbox.email,
+            to: emailData.to,
+            subject: emailData.subject
+        };
+    }
+
+    // ================================================================
+    // 3. READING
+    // ================================================================
+
+    /**
+     * Get recent emails from the inbox
+     * @param {string} accountId - email_accounts UUID
+     * @param {Object} options - { maxResults, folder, search } (search is an ImapFlow search query)
+     * @returns {Array} Messages in the gmailService.parseEmailMessage shape
+     */
+    async getEmails(accountId, options = {}) {
+        try {
+            const mailbox = await this.getMailbox(accountId);
+            const messages = await this.fetchMessages(mailbox, options);
+
+            console.log(`📧 Retrieved ${messages.length} emails for ${mailbox.email}`);
+
+            return messages;
+
+        } catch (error) {
+            console.error('❌ Failed to get emails:', error);
+            throw new Error(`Failed to get emails: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get all messages of a conversation from the inbox and Sent folder
+     * @param {string} accountId - email_accounts UUID
+     * @param {string} threadId - Message-ID of the conversation's first email
+     * @returns {Object} { id, messages } oldest first
+     */
+    async getThread(accountId, threadId) {
+        try {
+            const mailbox = await this.getMailbox(accountId);
+            return await this.fetchThread(mailbox, threadId);
+
+        } catch (error) {
+            console.error('❌ Failed to get thread:', error);
+            throw new Error(`Failed to get thread: ${error.message}`);
+        }
+    }
+
+    /**
+     * Newest messages of one folder matching a search
+     * @param {Object} mailbox - { email, settings, credentials }
+     * @param {Object} options - { maxResults, folder, search }
+     * @returns {Array} Parsed messages, newest first
+     */
+    async fetchMessages(mailbox, options = {}) {
+        const { maxResults = 10, folder = 'INBOX', search = { all: true } } = options;
+
+        return this._withImap(mailbox, async imap => {
+            const messages = await this._searchFolder(imap, folder, search, mailbox.settings.sentFolder);
+            return messages
+                .sort((a, b) => (b.internalDate || b.date) - (a.internalDate || a.date))
+                .slice(0, maxResults);
+        });
+    }
+
+    /**
+     * All messages of a conversation
+     * @param {Object} mailbox - { email, settings, credentials }
+     * @param {string} threadId - Message-ID of the conversation's first email
+     * @returns {Object} { id, messages } oldest first
+     */
+    async fetchThread(mailbox, threadId) {
+        const search = {
+            or: [
+                { header: { 'message-id': threadId } },
+                { header: { 'in-reply-to': threadId } },
+                { header: { references: threadId } }
+            ]
+        };
+        const folders = ['INBOX', mailbox.settings.sentFolder].filter(Boolean);
+
+        return this._withImap(mailbox, async imap => {
+            const messages = [];
+            for (const folder of folders) {
+                messages.push(...await this._searchFolder(imap, folder, search, mailbox.settings.sentFolder));
+            }
+
+            return {
+                id: threadId,
+                // Clients that trim References still matched on In-Reply-To
+                messages: messages
+                    .map(message => ({ ...message, threadId }))
+                    .sort((a, b) => (a.internalDate || a.date) - (b.internalDate || b.date))
+            };
+        });
+    }
+
+    /**
+     * Parse a raw message into the gmailService.parseEmailMessage shape
+     * @param {Buffer|string} source - RFC 822 message
+     * @param {Object} meta - { uid, folder, uidValidity, internalDate, isSent }
+     * @returns {Object} Parsed message
+     */
+    async parseMessage(source, meta = {}) {
+        const parsed = await simpleParser(source, { skipImageLinks: true });
+
+        const messageIdHeader = parsed.messageId || '';
+        const references = Array.isArray(parsed.references)
+            ? parsed.references
+            : (parsed.references ? [parsed.references] : []);
+
+        const deliveryStatus = this._extractDeliveryStatus(source);
+        // The parser inlines the DSN part into the text; keep it out of the body as Gmail does
+        const textBody = (parsed.text || '').replace(deliveryStatus.replace(/\r\n/g, '\n').trim(), '').trim();
+
+        return {
+            // Message-ID is the same in every folder; the UID key covers messages without a usable one
+            id: messageIdHeader && messageIdHeader.length <= 255 ? messageIdHeader : `${meta.folder}:${meta.uidValidity}:${meta.uid}`,
+            // Root of the conversation, as we key threads by their first Message-ID
+            threadId: references[0] || parsed.inReplyTo || messageIdHeader || null,
+            from: parsed.from ? parsed.from.text : '',
+            to: parsed.to ? [].concat(parsed.to).map(address => address.text).join(', ') : '',
+            cc: parsed.cc ? [].concat(parsed.cc).map(address => address.text).join(', ') : '',
+            subject: parsed.subject || '',
+            messageIdHeader,
+            inReplyTo: parsed.inReplyTo || '',
+            date: parsed.date || meta.internalDate || null,
+            internalDate: meta.internalDate || null,
+            textBody,
+            htmlBody: parsed.html || '',
+            deliveryStatus,
+            failedRecipients: parsed.headers.get('x-failed-recipients') || '',
+            snippet: textBody.replace(/\s+/g, ' ').trim().slice(0, 200),
+            labelIds: meta.isSent ? ['SENT'] : ['INBOX']
+        };
+    }
+
+    /**
+     * Test email account connection
+     */
+    async testConnection(accountId) {
+        try {
+            const mailbox = await this.getMailbox(accountId);
+            const settings = await this.verifyCredentials(mailbox);
+
+            console.log(`✅ Connection test successful for ${mailbox.email}`);
+
+            return {
+                success: true,
+                email: mailbox.email,
+                smtpHost: settings.smtp.host,
+                imapHost: settings.imap.host,
+                sentFolder: settings.sentFolder
+            };
+
+        } catch (error) {
+            console.error('❌ Connection test failed:', error);
+            throw new Error(`Connection test failed: ${error.message}`);
+        }
+    }
+
+    // ================================================================
+    // 4. CLIENTS
+    // ================================================================
+
+    /**
+     * Load an active mailbox with its decrypted credentials
+     * @param {string} accountId - email_accounts UUID
+     * @returns {Object} { id, email, settings, credentials }
+     */
+    async getMailbox(accountId) {
+        const result = await pool.query(`
+            SELECT id, email, status, provider, provider_settings, encrypted_tokens
+            FROM email_accounts
+            WHERE id = $1
+        `, [accountId]);
+
+        if (result.rows.length === 0) {
+            throw new Error('Email account not found');
+        }
+
+        const account = result.rows[0];
+
+        if (account.provider !== 'imap_smtp') {
+            throw new Error(`Email account is not an SMTP/IMAP mailbox (${account.provider})`);
+        }
+
+        if (account.status !== 'active') {
+            throw new Error(`Email account is ${account.status}`);
+        }
+
+        return {
+            id: account.id,
+            email: account.email,
+            settings: account.provider_settings || {},
+            credentials: this.encryptionService.decryptTokens(account.encrypted_tokens)
+        };
+    }
+
+    /**
+     * Public address to connect to for a user-supplied host
+     * Connections use the checked address, so DNS can't point them elsewhere afterwards
+     * @param {string} host - Host name or IP address
+     * @returns {string} IP address
+     */
+    async resolveHost(host) {
+        let addresses;
+        try {
+            addresses = await dns.promises.lookup(host, { all: true });
+        } catch (error) {
+            throw new Error(`Mail server ${host} could not be resolved`);
+        }
+
+        if (addresses.length === 0) {
+            throw new Error(`Mail server ${host} could not be resolved`);
+        }
+
+        if (!this.allowLocalServers && addresses.some(({ address, family }) => this.isBlockedAddress(address, family))) {
+            throw new Error(`Mail server ${host} is not a public address`);
+        }
+
+        return addresses[0].address;
+    }
+
+    /**
+     * Whether an address is loopback, private, link-local or otherwise not public
+     * @param {string} address - IP address
+     * @param {number} family - 4 or 6
+     * @returns {boolean} True if connections to it are refused
+     */
+    isBlockedAddress(address, family) {
+        const mapped = family === 6 && address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+        if (mapped) {
+            return this.blockedAddresses.check(mapped[1], 'ipv4');
+        }
+
+        return this.blockedAddresses.check(address, family === 6 ? 'ipv6' : 'ipv4');
+    }
+
+    /**
+     * Nodemailer transport for a mailbox's SMTP server
+     */
+    async createTransport(mailbox) {
+        const { host, port, security } = mailbox.settings.smtp;
+        const address = await this.resolveHost(host);
+
+        return nodemailer.createTransport({
+            host: address,
+            // Certificates are checked against the host name, not the address
+            servername: host,
+            port,
+            secure: security === 'tls',
+            requireTLS: security === 'starttls',
+            ignoreTLS: security === 'none',
+            auth: mailbox.credentials.smtp,
+            connectionTimeout: this.connectionTimeout,
+            greetingTimeout: this.connectionTimeout,
+            socketTimeout: this.connectionTimeout,
+            tls: { rejectUnauthorized: this.rejectUnauthorized }
+        });
+    }
+
+    /**
+     * ImapFlow client for a mailbox's IMAP server (not yet connected)
+     */
+    async createImapClient(mailbox) {
+        const { host, port, security } = mailbox.settings.imap;
+        const address = await this.resolveHost(host);
+
+        return new ImapFlow({
+            host: address,
+            servername: host,
+            port,
+            secure: security === 'tls',
+            doSTARTTLS: security === 'starttls' ? true : (security === 'none' ? false : undefined),
+            auth: mailbox.credentials.imap,
+            logger: false,
+            connectionTimeout: this.connectionTimeout,
+            greetingTimeout: this.connectionTimeout,
+            socketTimeout: this.connectionTimeout,
+            tls: { rejectUnauthorized: this.rejectUnauthorized }
+        });
+    }
+
+    // ================================================================
+    // 5. PRIVATE HELPER METHODS
+    // ================================================================
+
+    /**
+     * Run work on a logged-in IMAP connection
+     * @private
+     */
+    async _withImap(mailbox, work) {
+        const imap = await this.createImapClient(mailbox);
+        await imap.connect();
+
+        try {
+            return await work(imap);
+        } finally {
+            await imap.logout().catch(() => {});
+        }
+    }
+
+    /**
+     * Fetch and parse the messages of one folder that match a search
+     * @private
+     */
+    async _searchFolder(imap, folder, search, sentFolder) {
+        const lock = await imap.getMailboxLock(folder, { readOnly: true });
+
+        try {
+            const uids = await imap.search(search, { uid: true });
+            if (!uids || uids.length === 0) {
+                return [];
+            }
+
+            const messages = [];
+            for await (const message of imap.fetch(uids, { uid: true, internalDate: true, source: true }, { uid: true })) {
+                messages.push(await this.parseMessage(message.source, {
+                    uid: message.uid,
+                    folder,
+                    uidValidity: imap.mailbox.uidValidity,
+                    internalDate: message.internalDate ? new Date(message.internalDate) : null,
+                    isSent: folder === sentFolder
+                }));
+            }
+
+            return messages;
+
+        } finally {
+            lock.release();
+        }
+    }
+
+    /**
+     * The message/delivery-status part of a bounce (RFC 3464), or '' for other messages
+     * @private
+     */
+    _extractDeliveryStatus(source) {
+        const match = source.toString('utf8')
+            .match(/Content-Type:\s*message\/delivery-status[^]*?\r?\n\r?\n([^]*?)(?=\r?\n--|$)/i);
+        return match ? match[1].trim() : '';
+    }
+
+    /**
+     * File a sent message in the Sent folder; the email is already out, so failures only log
+     * @private
+     */
+    async _appendToSent(mailbox, raw) {
+        try {
+            await this._withImap(mailbox, imap => imap.append(mailbox.settings.sentFolder, raw, ['\\Seen']));
+        } catch (error) {
+            console.error(`⚠️ Could not save sent message to ${mailbox.settings.sentFolder} for ${mailbox.email}:`, error.message);
+        }
+    }
+}
+
+module.exports = new SmtpImapService();
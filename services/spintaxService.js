@@ -0,0 +1,213 @@
+/**
+ * SpintaxService - Resolves {Hi|Hello|Hey} spintax per recipient
+ *
+ * This service handles:
+ * - Picking one option from each {a|b|c} group, nested groups included
+ * - Seeding the picks with the campaign lead ID, so a lead always gets the same text
+ * - Recording which options a lead got in campaign_leads.custom_variables
+ *
+ * Braces without a top-level '|' (CSS rules, JSON snippets) and template tags
+ * ({{firstName}}, {% if %}) are left untouched for the template engine.
+ */
+
+const crypto = require('crypto');
+const pool = require('../config/database');
+
+class SpintaxService {
+
+    // ================================================================
+    // 1. RESOLUTION
+    // ================================================================
+
+    /**
+     * Resolve spintax in a piece of text
+     * @param {string} text - Text with {a|b} groups
+     * @param {string} seed - Stable seed; the same seed always picks the same options
+     * @returns {Object} { output, choices: Array<string> } choices are the picked options in order
+     */
+    spin(text, seed) {
+        if (!text) return { output: text, choices: [] };
+
+        const state = { seed, counter: 0, choices: [] };
+        return { output: this._spinText(text, state), choices: state.choices };
+    }
+
+    /**
+     * Resolve spintax in an email's subject, HTML and text parts
+     * @param {Object} content - { subject, bodyHtml, bodyText }
+     * @param {string} seed - Stable seed (campaign lead ID and step number)
+     * @returns {Object} { subject, bodyHtml, bodyText, variants } variants is null if there was no spintax
+     */
+    spinEmail(content, seed) {
+        const spun = {};
+        const variants = {};
+
+        for (const part of ['subject', 'bodyHtml', 'bodyText']) {
+            const { output, choices } = this.spin(content[part], `${seed}:${part}`);
+            spun[part] = output;
+            if (choices.length > 0) variants[part] = choices;
+        }
+
+        return { ...spun, variants: Object.keys(variants).length > 0 ? variants : null };
+    }
+
+    // ================================================================
+    // 2. REPORTING
+    // ================================================================
+
+    /**
+     * Store the options each lead got for a step in campaign_leads.custom_variables.spintax
+     * @param {number} stepNumber - Sequence step (1 for single-email campaigns)
+     * @param {Array<Object>} entries - [{ campaignLeadId, variants }]
+     * @returns {number} Campaign leads updated
+     */
+    async saveVariants(stepNumber, entries) {
+        if (entries.length === 0) return 0;
+
+        const result = await pool.query(`
+            UPDATE campaign_leads cl
+            SET
+                custom_variables = jsonb_set(
+                    COALESCE(cl.custom_variables, '{}'::jsonb),
+                    '{spintax}',
+                    COALESCE(cl.custom_variables->'spintax', '{}'::jsonb) || jsonb_build_object($1::TEXT, v.variants)
+                ),
+                updated_at = NOW()
+            FROM UNNEST($2::UUID[], $3::JSONB[]) as v(campaign_lead_id, variants)
+            WHERE cl.id = v.campaign_lead_id
+        `, [
+            String(stepNumber),
+            entries.map(entry => entry.campaignLeadId),
+            entries.map(entry => JSON.stringify(entry.variants))
+        ]);
+
+        return result.rowCount;
+    }
+
+    // ================================================================
+    // 3. PRIVATE HELPER METHODS
+    // ================================================================
+
+    /**
+     * Replace every spintax group in text, left to right
+     * @private
+     */
+    _spinText(text, state) {
+        let output = '';
+        let i = 0;
+
+        while (i < text.length) {
+            const tagEnd = this._templateTagEnd(text, i);
+            if (tagEnd !== -1) {
+                output += text.slice(i, tagEnd);
+                i = tagEnd;
+                continue;
+            }
+
+            if (text[i] === '{') {
+                const close = this._findClose(text, i);
+                if (close !== -1) {
+                    const options = this._splitOptions(text.slice(i + 1, close));
+
+                    if (options.length > 1) {
+                        const index = this._pick(state, options.length);
+                        const chosen = this._spinText(options[index], state);
+                        state.choices.push(chosen);
+                        output += chosen;
+                        i = close + 1;
+                        continue;
+                    }
+                }
+            }
+
+            output += text[i];
+            i++;
+        }
+
+        return output;
+    }
+
+    /**
+     * End index of a {{ }} or {% %} tag starting at i, or -1
+     * @private
+     */
+    _templateTagEnd(text, i) {
+        const opener = text.substr(i, 2);
+        if (opener !== '{{' && opener !== '{%') return -1;
+
+        const end = text.indexOf(opener === '{{' ? '}}' : '%}', i + 2);
+        return end === -1 ? -1 : end + 2;
+    }
+
+    /**
+     * Index of the brace closing the group opened at start, or -1
+     * @private
+     */
+    _findClose(text, start) {
+        let depth = 0;
+        let i = start;
+
+        while (i < text.length) {
+            const tagEnd = i > start ? this._templateTagEnd(text, i) : -1;
+            if (tagEnd !== -1) {
+                i = tagEnd;
+                continue;
+            }
+
+            if (text[i] === '{') depth++;
+            if (text[i] === '}') {
+                depth--;
+                if (depth === 0) return i;
+            }
+            i++;
+        }
+
+        return -1;
+    }
+
+    /**
+     * Split a group's inside on '|' that isn't in a nested group or template tag
+     * @private
+     */
+    _splitOptions(inner) {
+        const options = [];
+        let depth = 0;
+        let current = '';
+        let i = 0;
+
+        while (i < inner.length) {
+            const tagEnd = this._templateTagEnd(inner, i);
+            if (tagEnd !== -1) {
+                current += inner.slice(i, tagEnd);
+                i = tagEnd;
+                continue;
+            }
+
+            const char = inner[i];
+            if (char === '{') depth++;
+            if (char === '}') depth--;
+
+            if (char === '|' && depth === 0) {
+                options.push(current);
+                current = '';
+            } else {
+                current += char;
+            }
+            i++;
+        }
+
+        options.push(current);
+        return options;
+    }
+
+    /**
+     * Deterministic pick for the next group
+     * @private
+     */
+    _pick(state, count) {
+        const hash = crypto.createHash('sha256').update(`${state.seed}:${state.counter++}`).digest();
+        return hash.readUInt32BE(0) % count;
+    }
+}
+
+module.exports = new SpintaxService();
@@ -0,0 +1,335 @@
+/**
+ * SuppressionService - Decides whether a lead or address may be emailed
+ *
+ * This service handles:
+ * - Checking suppression_lists entries for an organization
+ * - Matching domain-level entries (e.g. '@competitor.com')
+ * - Honouring leads.do_not_contact and leads.opted_in
+ * - Bulk checks at job creation and single checks right before each send
+ * - Adding entries in bulk, CSV parsing and CSV export
+ */
+
+const pool = require('../config/database');
+
+// Entries match the exact address or the recipient's whole domain
+const SUPPRESSION_MATCH_SQL = `(LOWER(sl.email) = LOWER(l.email) OR LOWER(sl.email) = '@' || SPLIT_PART(LOWER(l.email), '@', 2))`;
+
+class SuppressionService {
+    constructor() {
+        this.validReasons = ['unsubscribed', 'bounced', 'complained', 'manual', 'invalid'];
+        // For other queries matching suppression_lists "sl" against leads "l"
+        this.matchSql = SUPPRESSION_MATCH_SQL;
+    }
+
+    // ================================================================
+    // 1. SUPPRESSION CHECKS
+    // ================================================================
+
+    /**
+     * Find which of the given leads must not be emailed
+     * @param {string} organizationId - Organization UUID
+     * @param {Array<string>} leadIds - Lead UUIDs (leads.id)
+     * @returns {Map<string, string>} Lead ID to suppression reason, for suppressed leads only
+     */
+    async getSuppressedLeads(organizationId, leadIds) {
+        const suppressed = new Map();
+        if (!leadIds || leadIds.length === 0) return suppressed;
+
+        const result = await pool.query(`
+            SELECT
+                l.id,
+                l.status,
+                l.do_not_contact,
+                l.opted_in,
+                sl.reason as suppression_reason
+            FROM leads l
+            LEFT JOIN LATERAL (
+                SELECT sl.reason FROM suppression_lists sl
+                WHERE sl.organization_id = l.organization_id
+                AND ${SUPPRESSION_MATCH_SQL}
+                LIMIT 1
+            ) sl ON true
+            WHERE l.organization_id = $1 AND l.id = ANY($2)
+        `, [organizationId, leadIds]);
+
+        for (const row of result.rows) {
+            const reason = this._resolveReason(row);
+            if (reason) {
+                suppressed.set(row.id, reason);
+            }
+        }
+
+        return suppressed;
+    }
+
+    /**
+     * Check a single address right before sending
+     * @param {string} organizationId - Organization UUID
+     * @param {string} email - Recipient email address
+     * @returns {string|null} Suppression reason, or null if the address may be emailed
+     */
+    async getSuppressionReason(organizationId, email) {
+        const result = await pool.query(`
+            SELECT
+                (
+                    SELECT sl.reason FROM suppression_lists sl
+                    WHERE sl.organization_id = $1
+                    AND ${SUPPRESSION_MATCH_SQL}
+                    LIMIT 1
+                ) as suppression_reason,
+                lead.status,
+                lead.do_not_contact,
+                lead.opted_in
+            FROM (SELECT $2::TEXT as email) as l
+            LEFT JOIN leads lead ON lead.organization_id = $1 AND LOWER(lead.email) = LOWER(l.email)
+        `, [organizationId, email]);
+
+        // Any matching lead row that is suppressed blocks the address
+        for (const row of result.rows) {
+            const reason = this._resolveReason(row);
+            if (reason) return reason;
+        }
+
+        return null;
+    }
+
+    // ================================================================
+    // 2. SUPPRESSION LIST MANAGEMENT
+    // ================================================================
+
+    /**
+     * Normalize an email address or '@domain' entry
+     * @param {string} value - Raw entry ('jane@acme.com' or '@acme.com')
+     * @returns {string|null} Lower-cased entry, or null if it is not a valid email or domain
+     */
+    normalizeEntry(value) {
+        if (!value || typeof value !== 'string') return null;
+
+        const entry = value.trim().toLowerCase().replace(/^mailto:/, '');
+
+        if (entry.startsWith('@')) {
+            return /^@[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(entry) ? entry : null;
+        }
+
+        return /^[^\s@]+@[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(entry) ? entry : null;
+    }
+
+    /**
+     * Add suppression entries, skipping ones that already exist
+     * @param {string} organizationId - Organization UUID
+     * @param {Array<Object>} entries - [{ email, reason, notes }]
+     * @param {Object} options - { userId, source, action }
+     * @returns {Object} { added, existing, invalid }
+     */
+    async addSuppressions(organizationId, entries, options = {}) {
+        const { userId = null, source = 'manual', action = 'added' } = options;
+        const client = await pool.connect();
+
+        try {
+            const invalid = [];
+            const unique = new Map();
+
+            for (const entry of entries) {
+                const email = this.normalizeEntry(entry.email);
+                const reason = entry.reason || 'manual';
+
+                if (!email || !this.validReasons.includes(reason)) {
+                    invalid.push(entry.email);
+                    continue;
+                }
+
+                if (!unique.has(email)) {
+                    unique.set(email, { email, reason, notes: entry.notes || null });
+                }
+            }
+
+            await client.query('BEGIN');
+
+            let added = 0;
+            const rows = Array.from(unique.values());
+
+            // Insert in chunks to stay well under the parameter limit
+            for (let i = 0; i < rows.length; i += 1000) {
+                const chunk = rows.slice(i, i + 1000);
+                const result = await client.query(`
+                    INSERT INTO suppression_lists (
+                        organization_id, email, reason, source, notes, suppressed_by
+                    )
+                    SELECT $1, entry.email, entry.reason, $2, entry.notes, $3
+                    FROM UNNEST($4::TEXT[], $5::TEXT[], $6::TEXT[]) as entry(email, reason, notes)
+                    ON CONFLICT (organization_id, email) DO NOTHING
+                    RETURNING email, reason, notes
+                `, [
+                    organizationId,
+                    source,
+                    userId,
+                    chunk.map(row => row.email),
+                    chunk.map(row => row.reason),
+                    chunk.map(row => row.notes)
+                ]);
+
+                await this._logAudit(client, organizationId, result.rows, action, userId);
+
+                added += result.rows.length;
+            }
+
+            await client.query('COMMIT');
+
+            return {
+                added,
+                existing: rows.length - added,
+                invalid
+            };
+
+        } catch (error) {
+            await client.query('ROLLBACK');
+            console.error('Error adding suppressions:', error);
+            throw new Error(`Failed to add suppressions: ${error.message}`);
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Parse CSV text into rows of cells (handles quoted fields and escaped quotes)
+     * @param {string} text - Raw CSV
+     * @returns {Array<Array<string>>} Rows
+     */
+    parseCsv(text) {
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (inQuotes) {
+                if (char === '"' && text[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === ',' || char === ';') {
+                row.push(cell.trim());
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(cell.trim());
+                if (row.some(value => value !== '')) rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+
+        row.push(cell.trim());
+        if (row.some(value => value !== '')) rows.push(row);
+
+        return rows;
+    }
+
+    /**
+     * Turn suppression CSV text into entries for addSuppressions
+     * Uses 'email'/'domain', 'reason' and 'notes' columns when there is a header row,
+     * otherwise the first column of every row
+     * @param {string} text - Raw CSV
+     * @param {Object} defaults - { reason, notes } for rows without their own
+     * @returns {Array<Object>} [{ email, reason, notes }]
+     */
+    csvToEntries(text, defaults = {}) {
+        const rows = this.parseCsv(text);
+        if (rows.length === 0) return [];
+
+        const header = rows[0].map(cell => cell.toLowerCase());
+        const emailColumn = header.findIndex(cell => ['email', 'email address', 'domain', 'address'].includes(cell));
+        const hasHeader = emailColumn !== -1 || !this.normalizeEntry(rows[0][0]);
+        const reasonColumn = hasHeader ? header.indexOf('reason') : -1;
+        const notesColumn = hasHeader ? header.indexOf('notes') : -1;
+        const valueColumn = emailColumn !== -1 ? emailColumn : 0;
+
+        return rows.slice(hasHeader ? 1 : 0).map(row => {
+            let email = row[valueColumn] || '';
+
+            // Bare domains in a 'domain' column become '@domain' entries
+            if (header[valueColumn] === 'domain' && email && !email.includes('@')) {
+                email = `@${email}`;
+            }
+
+            // Free-text reasons from other systems fall back to the import's reason
+            const rowReason = reasonColumn !== -1 ? (row[reasonColumn] || '').toLowerCase() : '';
+
+            return {
+                email,
+                reason: this.validReasons.includes(rowReason) ? rowReason : (defaults.reason || 'manual'),
+                notes: (notesColumn !== -1 && row[notesColumn]) || defaults.notes || null
+            };
+        });
+    }
+
+    /**
+     * Format suppression rows as CSV
+     * @param {Array<Object>} rows - suppression_lists rows
+     * @returns {string} CSV text with header
+     */
+    toCsv(rows) {
+        const columns = ['email', 'reason', 'source', 'bounce_type', 'complaint_type', 'notes', 'suppressed_at'];
+        const escape = (value) => {
+            if (value === null || value === undefined) return '';
+            const text = value instanceof Date ? value.toISOString() : String(value);
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+
+        return [
+            columns.join(','),
+            ...rows.map(row => columns.map(column => escape(row[column])).join(','))
+        ].join('\n') + '\n';
+    }
+
+    // ================================================================
+    // 3. PRIVATE HELPER METHODS
+    // ================================================================
+
+    /**
+     * Map a lead/suppression row to a reason
+     * @private
+     */
+    _resolveReason(row) {
+        if (row.suppression_reason) return row.suppression_reason;
+        if (row.do_not_contact) return 'do_not_contact';
+        if (row.opted_in === false) return 'not_opted_in';
+        if (row.status === 'unsubscribed' || row.status === 'bounced') return row.status;
+        return null;
+    }
+
+    /**
+     * Record changes to the suppression list
+     * @private
+     */
+    async _logAudit(client, organizationId, entries, action, userId) {
+        if (entries.length === 0) return;
+
+        await client.query(`
+            INSERT INTO suppression_audit_log (
+                organization_id, email, action, reason, notes, performed_by
+            )
+            SELECT $1, entry.email, $2, entry.reason, entry.notes, $3
+            FROM UNNEST($4::TEXT[], $5::TEXT[], $6::TEXT[]) as entry(email, reason, notes)
+        `, [
+            organizationId,
+            action,
+            userId,
+            entries.map(entry => entry.email),
+            entries.map(entry => entry.reason),
+            entries.map(entry => entry.notes)
+        ]);
+    }
+}
+
+module.exports = new SuppressionService();
@@ -0,0 +1,597 @@
+/**
+ * TemplateEngine - Personalizes subjects and bodies for each lead
+ *
+ * This service handles:
+ * - Variables with nested access: {{firstName}}, {{custom_fields.industry}}
+ * - Filters and fallbacks: {{firstName | default: "there"}}, {{company | upcase}}
+ * - Conditionals: {% if company %}...{% elsif title %}...{% else %}...{% endif %}
+ * - Building the variable context for a lead
+ * - Reporting syntax errors and variables a lead has no value for
+ *
+ * Preview, launch and sequence follow-ups all render through this engine.
+ * Values are inserted as-is (no HTML escaping), like the plain replacements before it.
+ */
+
+const unsubscribeService = require('./unsubscribeService');
+
+const TAG_PATTERN = /\{\{([\s\S]*?)\}\}|\{%([\s\S]*?)%\}/g;
+const CONDITION_TOKEN_PATTERN = /\s*("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|==|!=|>=|<=|>|<|[^\s=!<>]+)/g;
+const COMPARISON_OPERATORS = ['==', '!=', '>', '<', '>=', '<=', 'contains'];
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const MAX_CACHED_TEMPLATES = 500;
+
+class TemplateEngine {
+    constructor() {
+        this.cache = new Map();
+
+        this.filters = {
+            default: (value, fallback = '') => (this._isBlank(value) ? fallback : value),
+            capitalize: value => {
+                const text = this._toText(value);
+                return text.charAt(0).toUpperCase() + text.slice(1);
+            },
+            upcase: value => this._toText(value).toUpperCase(),
+            downcase: value => this._toText(value).toLowerCase(),
+            trim: value => this._toText(value).trim(),
+            truncate: (value, length = 50, ellipsis = '...') => {
+                const text = this._toText(value);
+                if (text.length <= length) return text;
+                return text.slice(0, Math.max(length - ellipsis.length, 0)).trimEnd() + ellipsis;
+            },
+            date: (value, format = 'MMMM D, YYYY') => this.formatDate(value, format)
+        };
+    }
+
+    // ================================================================
+    // 1. RENDERING
+    // ================================================================
+
+    /**
+     * Render a template against a context
+     * Syntax errors throw; variables without a value render empty and are reported in missing
+     * @param {string} template - Template text
+     * @param {Object} context - Variables (see buildLeadContext)
+     * @returns {Object} { output, missing: Array<string> }
+     */
+    render(template, context = {}) {
+        if (!template) return { output: template, missing: [] };
+
+        const missing = new Set();
+        const output = this._renderNodes(this.parse(template), context, missing);
+
+        return { output, missing: [...missing] };
+    }
+
+    /**
+     * Render an email's subject, HTML and text parts
+     * @param {Object} content - { subject, bodyHtml, bodyText }
+     * @param {Object} context - Variables (see buildLeadContext)
+     * @returns {Object} { subject, bodyHtml, bodyText, missing: Array<string> }
+     */
+    renderEmail(content, context = {}) {
+        const subject = this.render(content.subject, context);
+        const bodyHtml = this.render(content.bodyHtml, context);
+        const bodyText = this.render(content.bodyText, context);
+
+        return {
+            subject: subject.output,
+            bodyHtml: bodyHtml.output,
+            bodyText: bodyText.output,
+            missing: [...new Set([...subject.missing, ...bodyHtml.missing, ...bodyText.missing])]
+        };
+    }
+
+    /**
+     * Render an email and fail if any variable has no value
+     * Used when sending, so an email never goes out with a blank where a name should be
+     * @param {Object} content - { subject, bodyHtml, bodyText }
+     * @param {Object} context - Variables (see buildLeadContext)
+     * @returns {Object} { subject, bodyHtml, bodyText }
+     */
+    renderEmailStrict(content, context = {}) {
+        const rendered = this.renderEmail(content, context);
+
+        if (rendered.missing.length > 0) {
+            throw new Error(`Missing value for ${rendered.missing.map(name => `{{${name}}}`).join(', ')}`);
+        }
+
+        return rendered;
+    }
+
+    // ================================================================
+    // 2. VALIDATION AND INSPECTION
+    // ================================================================
+
+    /**
+     * Check templates for syntax errors
+     * @param {Object} parts - Named templates, e.g. { subject, bodyHtml, bodyText }
+     * @returns {Array<string>} Error messages (empty if every template is valid)
+     */
+    validate(parts) {
+        const errors = [];
+
+        for (const [name, template] of Object.entries(parts)) {
+            if (!template) continue;
+
+            try {
+                this.parse(template);
+            } catch (error) {
+                errors.push(`${name}: ${error.message}`);
+            }
+        }
+
+        return errors;
+    }
+
+    /**
+     * Variables a template prints, in order of first use (conditions excluded)
+     * @param {string} template - Template text
+     * @returns {Array<string>} Variable names, e.g. ['firstName', 'custom_fields.industry']
+     */
+    getVariables(template) {
+        if (!template) return [];
+
+        const variables = new Set();
+        const visit = nodes => {
+            for (const node of nodes) {
+                if (node.type === 'output' && node.operand.type === 'path') {
+                    variables.add(node.operand.name);
+                } else if (node.type === 'if') {
+                    node.branches.forEach(branch => visit(branch.body));
+                }
+            }
+        };
+
+        visit(this.parse(template));
+        return [...variables];
+    }
+
+    // ================================================================
+    // 3. LEAD CONTEXT
+    // ================================================================
+
+    /**
+     * Variables available to a lead's email
+     * Standard fields are exposed under their snake_case and camelCase names, custom fields
+     * both at the top level and under custom_fields
+     * @param {Object} lead - Lead row (leads columns, including custom_fields and original_row_data)
+     * @param {Object} campaign - Campaign row (from_name is used)
+     * @param {string} campaignLeadId - Campaign lead ID for the unsubscribe link
+     * @returns {Object} Template context
+     */
+    buildLeadContext(lead, campaign = {}, campaignLeadId = null) {
+        const customFields = lead.custom_fields && typeof lead.custom_fields === 'object' ? { ...lead.custom_fields } : {};
+        const fullName = [lead.first_name, lead.last_name].filter(Boolean).join(' ');
+
+        // BACKWARD COMPATIBILITY: custom fields of leads imported before the custom_fields column
+        if (lead.original_row_data && typeof lead.original_row_data === 'object') {
+            const standardFields = new Set([
+                'email', 'first_name', 'last_name', 'phone', 'company_name',
+                'job_title', 'website', 'linkedin_url', 'status', 'tags', 'full_name'
+            ]);
+
+            for (const [fieldName, fieldValue] of Object.entries(lead.original_row_data)) {
+                if (!standardFields.has(fieldName) && this._isBlank(customFields[fieldName]) && fieldValue) {
+                    customFields[fieldName] = fieldValue;
+                }
+            }
+        }
+
+        const context = {
+            ...customFields,
+
+            first_name: lead.first_name,
+            firstName: lead.first_name,
+            last_name: lead.last_name,
+            lastName: lead.last_name,
+            full_name: fullName,
+            fullName,
+            email: lead.email,
+            company: lead.company_name,
+            company_name: lead.company_name,
+            companyName: lead.company_name,
+            job_title: lead.job_title,
+            jobTitle: lead.job_title,
+            title: lead.job_title,
+            phone: lead.phone,
+            website: lead.website,
+            from_name: campaign.from_name,
+            fromName: campaign.from_name,
+
+            custom_fields: customFields
+        };
+
+        // Signed one-click unsubscribe link for this recipient
+        if (campaignLeadId) {
+            context.unsubscribeUrl = unsubscribeService.getUnsubscribeUrl(campaignLeadId);
+            context.unsubscribe_url = context.unsubscribeUrl;
+        }
+
+        return context;
+    }
+
+    /**
+     * Variables for a preview or test email, from sample data in camelCase (firstName, company, ...)
+     * Any other keys are treated as custom fields
+     * @param {Object} sampleData - Sample lead values
+     * @param {Object} campaign - Campaign row (from_name is used unless sampleData has fromName)
+     * @returns {Object} Template context
+     */
+    buildSampleContext(sampleData, campaign = {}) {
+        const { firstName, lastName, email, company, jobTitle, phone, website, fromName, ...customFields } = sampleData;
+
+        const context = this.buildLeadContext({
+            first_name: firstName,
+            last_name: lastName,
+            email,
+            company_name: company,
+            job_title: jobTitle,
+            phone,
+            website,
+            custom_fields: customFields
+        }, { from_name: fromName ?? campaign.from_name });
+
+        return this.setSampleUnsubscribeUrl(context);
+    }
+
+    /**
+     * Point the unsubscribe variables at a sample link that unsubscribes nobody
+     * Used for previews and test sends, so they don't report the variable as missing
+     * @param {Object} context - Template context
+     * @returns {Object} The same context
+     */
+    setSampleUnsubscribeUrl(context) {
+        context.unsubscribeUrl = `${unsubscribeService.baseUrl}/api/campaigns/unsubscribe/preview`;
+        context.unsubscribe_url = context.unsubscribeUrl;
+        return context;
+    }
+
+    /**
+     * Format a date with tokens: YYYY, YY, MMMM, MMM, MM, M, DD, D, dddd, ddd (UTC)
+     * @param {Date|string} value - Date, ISO string or 'now'
+     * @param {string} format - Format string, e.g. 'MMMM D, YYYY'
+     * @returns {string} Formatted date, or the value unchanged if it isn't a date
+     */
+    formatDate(value, format) {
+        if (this._isBlank(value)) return '';
+
+        const date = value === 'now' ? new Date() : new Date(value);
+        if (isNaN(date.getTime())) return this._toText(value);
+
+        const pad = number => String(number).padStart(2, '0');
+        const tokens = {
+            YYYY: String(date.getUTCFullYear()),
+            YY: String(date.getUTCFullYear()).slice(-2),
+            MMMM: MONTHS[date.getUTCMonth()],
+            MMM: MONTHS[date.getUTCMonth()].slice(0, 3),
+            MM: pad(date.getUTCMonth() + 1),
+            M: String(date.getUTCMonth() + 1),
+            DD: pad(date.getUTCDate()),
+            D: String(date.getUTCDate()),
+            dddd: WEEKDAYS[date.getUTCDay()],
+            ddd: WEEKDAYS[date.getUTCDay()].slice(0, 3)
+        };
+
+        return String(format).replace(/YYYY|YY|MMMM|MMM|MM|M|DD|D|dddd|ddd/g, token => tokens[token]);
+    }
+
+    // ================================================================
+    // 4. PARSING
+    // ================================================================
+
+    /**
+     * Parse a template into nodes (cached)
+     * @param {string} template - Template text
+     * @returns {Array} Nodes
+     */
+    parse(template) {
+        if (this.cache.has(template)) return this.cache.get(template);
+
+        const root = { body: [] };
+        const stack = [];
+        let current = root.body;
+        let lastIndex = 0;
+
+        for (const match of template.matchAll(TAG_PATTERN)) {
+            if (match.index > lastIndex) {
+                current.push({ type: 'text', value: template.slice(lastIndex, match.index) });
+            }
+            lastIndex = match.index + match[0].length;
+
+            const line = template.slice(0, match.index).split('\n').length;
+
+            try {
+                if (match[1] !== undefined) {
+                    current.push(this._parseOutput(match[1]));
+                    continue;
+                }
+
+                const [keyword, ...rest] = match[2].trim().split(/\s+/);
+                const expression = rest.join(' ');
+
+                if (keyword === 'if') {
+                    const node = { type: 'if', line, branches: [{ condition: this._parseCondition(expression), body: [] }] };
+                    current.push(node);
+                    stack.push(node);
+                    current = node.branches[0].body;
+                } else if (keyword === 'elsif' || keyword === 'else') {
+                    const node = stack[stack.length - 1];
+                    if (!node) throw new Error(`{% ${keyword} %} without {% if %}`);
+                    if (node.hasElse) throw new Error(`{% ${keyword} %} after {% else %}`);
+
+                    const branch = {
+                        condition: keyword === 'else' ? null : this._parseCondition(expression),
+                        body: []
+                    };
+                    node.hasElse = keyword === 'else';
+                    node.branches.push(branch);
+                    current = branch.body;
+                } else if (keyword === 'endif') {
+                    if (!stack.pop()) throw new Error('{% endif %} without {% if %}');
+                    const parent = stack[stack.length - 1];
+                    current = parent ? parent.branches[parent.branches.length - 1].body : root.body;
+                } else {
+                    throw new Error(`Unknown tag {% ${keyword || ''} %}`);
+                }
+            } catch (error) {
+                throw new Error(`Template error on line ${line}: ${error.message}`);
+            }
+        }
+
+        if (stack.length > 0) {
+            throw new Error(`Template error on line ${stack[stack.length - 1].line}: {% if %} is never closed with {% endif %}`);
+        }
+
+        // Unmatched braces would otherwise be sent to the lead as literal text
+        const rest = template.slice(lastIndex);
+        const stray = rest.search(/\{\{|\{%/);
+        if (stray !== -1) {
+            const line = template.slice(0, lastIndex + stray).split('\n').length;
+            throw new Error(`Template error on line ${line}: unclosed ${rest.substr(stray, 2)}`);
+        }
+
+        if (rest) root.body.push({ type: 'text', value: rest });
+
+        if (this.cache.size >= MAX_CACHED_TEMPLATES) this.cache.clear();
+        this.cache.set(template, root.body);
+
+        return root.body;
+    }
+
+    // ================================================================
+    // 5. PRIVATE HELPER METHODS
+    // ================================================================
+
+    /**
+     * Parse the inside of {{ ... }}: an operand followed by filters
+     * @private
+     */
+    _parseOutput(source) {
+        const [operandSource, ...filterSources] = this._splitOutside(source, '|');
+        if (!operandSource.trim()) throw new Error('Empty {{ }} tag');
+
+        const filters = filterSources.map(filterSource => {
+            const colon = this._splitOutside(filterSource, ':');
+            const name = colon[0].trim();
+
+            if (!Object.prototype.hasOwnProperty.call(this.filters, name)) {
+                throw new Error(`Unknown filter "${name}" in {{${source}}}. Available filters: ${Object.keys(this.filters).join(', ')}`);
+            }
+
+            const argsSource = colon.slice(1).join(':');
+            const args = argsSource.trim() ? this._splitOutside(argsSource, ',').map(arg => this._parseOperand(arg.trim(), true)) : [];
+
+            return { name, args };
+        });
+
+        return {
+            type: 'output',
+            operand: this._parseOperand(operandSource.trim(), true),
+            filters,
+            hasDefault: filters.some(filter => filter.name === 'default')
+        };
+    }
+
+    /**
+     * Parse a literal or variable reference
+     * Variable names may contain spaces inside {{ }} so CSV headers like "Company Size" keep working
+     * @private
+     */
+    _parseOperand(source, allowSpaces = false) {
+        if (/^"(?:[^"\\]|\\.)*"$/.test(source) || /^'(?:[^'\\]|\\.)*'$/.test(source)) {
+            return { type: 'literal', value: source.slice(1, -1).replace(/\\(.)/g, '$1') };
+        }
+        if (/^-?\d+(\.\d+)?$/.test(source)) return { type: 'literal', value: Number(source) };
+        if (source === 'true' || source === 'false') return { type: 'literal', value: source === 'true' };
+        if (!source || (!allowSpaces && /\s/.test(source)) || /["'{}]/.test(source)) {
+            throw new Error(`Invalid expression "${source}"`);
+        }
+
+        return { type: 'path', name: source };
+    }
+
+    /**
+     * Parse an if/elsif condition: comparisons joined by and/or, optionally negated with not
+     * @private
+     */
+    _parseCondition(source) {
+        const tokens = [...source.matchAll(CONDITION_TOKEN_PATTERN)].map(match => match[1]);
+        if (tokens.length === 0) throw new Error('Missing condition');
+
+        let position = 0;
+        const peek = () => tokens[position];
+        const next = () => tokens[position++];
+
+        const parseComparison = () => {
+            if (peek() === 'not') {
+                next();
+                return { type: 'not', operand: parseComparison() };
+            }
+
+            const token = next();
+            if (token === undefined) throw new Error(`Incomplete condition "${source}"`);
+            const left = this._parseOperand(token);
+
+            if (COMPARISON_OPERATORS.includes(peek())) {
+                const operator = next();
+                const rightToken = next();
+                if (rightToken === undefined) throw new Error(`Missing value after "${operator}" in "${source}"`);
+                return { type: 'compare', operator, left, right: this._parseOperand(rightToken) };
+            }
+
+            return { type: 'truthy', operand: left };
+        };
+
+        const parseAnd = () => {
+            let node = parseComparison();
+            while (peek() === 'and') {
+                next();
+                node = { type: 'and', left: node, right: parseComparison() };
+            }
+            return node;
+        };
+
+        let node = parseAnd();
+        while (peek() === 'or') {
+            next();
+            node = { type: 'or', left: node, right: parseAnd() };
+        }
+
+        if (position < tokens.length) throw new Error(`Unexpected "${peek()}" in condition "${source}"`);
+
+        return node;
+    }
+
+    /**
+     * Render parsed nodes, collecting variables that had no value
+     * @private
+     */
+    _renderNodes(nodes, context, missing) {
+        let output = '';
+
+        for (const node of nodes) {
+            if (node.type === 'text') {
+                output += node.value;
+            } else if (node.type === 'output') {
+                let value = this._resolve(node.operand, context);
+                for (const filter of node.filters) {
+                    value = this.filters[filter.name](value, ...filter.args.map(arg => this._resolve(arg, context)));
+                }
+
+                if (this._isBlank(value) && !node.hasDefault) {
+                    missing.add(node.operand.name ?? String(node.operand.value));
+                }
+                output += this._toText(value);
+            } else if (node.type === 'if') {
+                const branch = node.branches.find(candidate => candidate.condition === null || this._evaluate(candidate.condition, context));
+                if (branch) output += this._renderNodes(branch.body, context, missing);
+            }
+        }
+
+        return output;
+    }
+
+    /**
+     * Evaluate a parsed condition
+     * @private
+     */
+    _evaluate(condition, context) {
+        switch (condition.type) {
+            case 'and':
+                return this._evaluate(condition.left, context) && this._evaluate(condition.right, context);
+            case 'or':
+                return this._evaluate(condition.left, context) || this._evaluate(condition.right, context);
+            case 'not':
+                return !this._evaluate(condition.operand, context);
+            case 'truthy': {
+                const value = this._resolve(condition.operand, context);
+                return value !== false && !this._isBlank(value);
+            }
+            default: {
+                const left = this._resolve(condition.left, context);
+                const right = this._resolve(condition.right, context);
+
+                switch (condition.operator) {
+                    case '==': return this._toText(left) === this._toText(right);
+                    case '!=': return this._toText(left) !== this._toText(right);
+                    case '>': return Number(left) > Number(right);
+                    case '<': return Number(left) < Number(right);
+                    case '>=': return Number(left) >= Number(right);
+                    case '<=': return Number(left) <= Number(right);
+                    default: return this._toText(left).toLowerCase().includes(this._toText(right).toLowerCase());
+                }
+            }
+        }
+    }
+
+    /**
+     * Value of an operand; exact keys win over dotted paths
+     * Only own properties count, so {{constructor}} or {{a.__proto__}} resolve as missing
+     * @private
+     */
+    _resolve(operand, context) {
+        if (operand.type === 'literal') return operand.value;
+        if (Object.prototype.hasOwnProperty.call(context, operand.name)) return context[operand.name];
+
+        return operand.name.split('.').reduce((value, key) => (
+            value !== null && typeof value === 'object' && Object.prototype.hasOwnProperty.call(value, key.trim()) ? value[key.trim()] : undefined
+        ), context);
+    }
+
+    /**
+     * Split on a separator that isn't inside quotes
+     * @private
+     */
+    _splitOutside(source, separator) {
+        const parts = [];
+        let quote = null;
+        let part = '';
+
+        for (let i = 0; i < source.length; i++) {
+            const char = source[i];
+
+            if (quote) {
+                if (char === '\\') {
+                    part += char + (source[++i] ?? '');
+                    continue;
+                }
+                if (char === quote) quote = null;
+            } else if (char === '"' || char === '\'') {
+                quote = char;
+            } else if (char === separator) {
+                parts.push(part);
+                part = '';
+                continue;
+            }
+
+            part += char;
+        }
+
+        if (quote) throw new Error(`Unclosed quote in "${source.trim()}"`);
+
+        parts.push(part);
+        return parts;
+    }
+
+    /**
+     * Whether a value counts as empty
+     * @private
+     */
+    _isBlank(value) {
+        return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+    }
+
+    /**
+     * Printable form of a value
+     * @private
+     */
+    _toText(value) {
+        if (value === undefined || value === null) return '';
+        if (value instanceof Date) return value.toISOString();
+        if (typeof value === 'object') return JSON.stringify(value);
+        return String(value);
+    }
+}
+
+module.exports = new TemplateEngine();
@@ -0,0 +1,320 @@
+/**
+ * TemplateLibraryService - Organization-wide library of reusable email templates
+ *
+ * This service handles:
+ * - Listing and searching library templates by text, category or tag
+ * - Creating, updating and deleting library templates
+ * - Copying a library template into a campaign and counting the use
+ *
+ * Library templates live in email_templates; a campaign always sends from its own
+ * campaign_templates copy, so editing the library never changes a running campaign.
+ */
+
+const pool = require('../config/database');
+const templateEngine = require('./templateEngine');
+const templateVersionService = require('./templateVersionService');
+
+class TemplateLibraryService {
+
+    // ================================================================
+    // 1. LIBRARY LOOKUPS
+    // ================================================================
+
+    /**
+     * List library templates with optional search
+     * @param {string} organizationId - Organization UUID
+     * @param {Object} filters - { search, category, tag, includeInactive, limit, offset }
+     * @returns {Object} { templates, total }
+     */
+    async listTemplates(organizationId, filters = {}) {
+        const { search, category, tag, includeInactive = false, limit = 50, offset = 0 } = filters;
+
+        const conditions = ['et.organization_id = $1'];
+        const params = [organizationId];
+
+        if (!includeInactive) {
+            conditions.push('et.is_active = true');
+        }
+
+        if (search) {
+            // %, _ and \ in the search text match literally
+            params.push(`%${search.replace(/[\\%_]/g, '\\$&')}%`);
+            conditions.push(`(et.name ILIKE $${params.length} OR et.description ILIKE $${params.length} OR et.subject_template ILIKE $${params.length})`);
+        }
+
+        if (category) {
+            params.push(category);
+            conditions.push(`et.category = $${params.length}`);
+        }
+
+        if (tag) {
+            params.push(tag);
+            conditions.push(`$${params.length} = ANY(et.tags)`);
+        }
+
+        const whereClause = conditions.join(' AND ');
+
+        const countResult = await pool.query(`
+            SELECT COUNT(*) as total FROM email_templates et WHERE ${whereClause}
+        `, params);
+
+        const result = await pool.query(`
+            SELECT
+                et.*,
+                u.first_name as created_by_first_name,
+                u.last_name as created_by_last_name
+            FROM email_templates et
+            LEFT JOIN users u ON et.user_id = u.id
+            WHERE ${whereClause}
+            ORDER BY et.usage_count DESC, et.updated_at DESC
+            LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+        `, [...params, limit, offset]);
+
+        return {
+            templates: result.rows,
+            total: parseInt(countResult.rows[0].total)
+        };
+    }
+
+    /**
+     * Get one library template
+     * @param {string} organizationId - Organization UUID
+     * @param {string} templateId - Template UUID
+     * @returns {Object|null} Template with campaign_count, or null if not found in this organization
+     */
+    async getTemplate(organizationId, templateId) {
+        const result = await pool.query(`
+            SELECT
+                et.*,
+                (SELECT COUNT(DISTINCT ct.campaign_id) FROM campaign_templates ct WHERE ct.source_template_id = et.id) as campaign_count
+            FROM email_templates et
+            WHERE et.id = $1 AND et.organization_id = $2
+        `, [templateId, organizationId]);
+
+        if (result.rows.length === 0) return null;
+
+        return {
+            ...result.rows[0],
+            campaign_count: parseInt(result.rows[0].campaign_count)
+        };
+    }
+
+    /**
+     * Categories and tags in use, for search filters
+     * @param {string} organizationId - Organization UUID
+     * @returns {Object} { categories: [{ category, count }], tags: [{ tag, count }] }
+     */
+    async getFacets(organizationId) {
+        const categoriesResult = await pool.query(`
+            SELECT category, COUNT(*) as count
+            FROM email_templates
+            WHERE organization_id = $1 AND is_active = true AND category IS NOT NULL
+            GROUP BY category
+            ORDER BY category ASC
+        `, [organizationId]);
+
+        const tagsResult = await pool.query(`
+            SELECT tag, COUNT(*) as count
+            FROM email_templates, UNNEST(tags) as tag
+            WHERE organization_id = $1 AND is_active = true
+            GROUP BY tag
+            ORDER BY tag ASC
+        `, [organizationId]);
+
+        return {
+            categories: categoriesResult.rows.map(row => ({ category: row.category, count: parseInt(row.count) })),
+            tags: tagsResult.rows.map(row => ({ tag: row.tag, count: parseInt(row.count) }))
+        };
+    }
+
+    // ================================================================
+    // 2. LIBRARY MANAGEMENT
+    // ================================================================
+
+    /**
+     * Create a library template
+     * @param {string} organizationId - Organization UUID
+     * @param {Object} data - { name, description, subject, bodyHtml, bodyText, category, tags, sampleData }
+     * @param {string} userId - Author's user UUID
+     * @returns {Object} Created template
+     */
+    async createTemplate(organizationId, data, userId) {
+        try {
+            const result = await pool.query(`
+                INSERT INTO email_templates (
+                    organization_id, user_id, name, description, subject_template, html_template,
+                    text_template, category, tags, required_variables, sample_data
+                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+                RETURNING *
+            `, [
+                organizationId,
+                userId,
+                data.name,
+                data.description || null,
+                data.subject,
+                data.bodyHtml || null,
+                data.bodyText || null,
+                data.category || null,
+                data.tags || [],
+                this.getRequiredVariables(data),
+                data.sampleData ? JSON.stringify(data.sampleData) : null
+            ]);
+
+            return result.rows[0];
+
+        } catch (error) {
+            console.error('Error creating library template:', error);
+            throw new Error(`Failed to create library template: ${error.message}`);
+        }
+    }
+
+    /**
+     * Update a library template; omitted fields are left unchanged
+     * @param {string} organizationId - Organization UUID
+     * @param {string} templateId - Template UUID
+     * @param {Object} data - { name, description, subject, bodyHtml, bodyText, category, tags, sampleData, isActive }
+     * @returns {Object|null} Updated template, or null if not found in this organization
+     */
+    async updateTemplate(organizationId, templateId, data) {
+        const client = await pool.connect();
+
+        try {
+            await client.query('BEGIN');
+
+            const existingResult = await client.query(`
+                SELECT * FROM email_templates
+                WHERE id = $1 AND organization_id = $2
+                FOR UPDATE
+            `, [templateId, organizationId]);
+
+            if (existingResult.rows.length === 0) {
+                await client.query('ROLLBACK');
+                return null;
+            }
+
+            const existing = existingResult.rows[0];
+            const content = {
+                subject: data.subject ?? existing.subject_template,
+                bodyHtml: data.bodyHtml !== undefined ? data.bodyHtml : existing.html_template,
+                bodyText: data.bodyText !== undefined ? data.bodyText : existing.text_template
+            };
+
+            if (!content.bodyHtml && !content.bodyText) {
+                throw new Error('Email content (HTML or text) is required');
+            }
+
+            const result = await client.query(`
+                UPDATE email_templates
+                SET
+                    name = COALESCE($2, name),
+                    description = CASE WHEN $3::BOOLEAN THEN $4 ELSE description END,
+                    subject_template = $5,
+                    html_template = $6,
+                    text_template = $7,
+                    category = CASE WHEN $8::BOOLEAN THEN $9 ELSE category END,
+                    tags = COALESCE($10, tags),
+                    required_variables = $11,
+                    sample_data = CASE WHEN $12::BOOLEAN THEN $13::JSONB ELSE sample_data END,
+                    is_active = COALESCE($14, is_active),
+                    updated_at = NOW()
+                WHERE id = $1
+                RETURNING *
+            `, [
+                templateId,
+                data.name ?? null,
+                data.description !== undefined,
+                data.description || null,
+                content.subject,
+                content.bodyHtml || null,
+                content.bodyText || null,
+                data.category !== undefined,
+                data.category || null,
+                data.tags ?? null,
+                this.getRequiredVariables(content),
+                data.sampleData !== undefined,
+                data.sampleData ? JSON.stringify(data.sampleData) : null,
+                typeof data.isActive === 'boolean' ? data.isActive : null
+            ]);
+
+            await client.query('COMMIT');
+
+            return result.rows[0];
+
+        } catch (error) {
+            await client.query('ROLLBACK');
+            console.error('Error updating library template:', error);
+            throw new Error(`Failed to update library template: ${error.message}`);
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Delete a library template (campaigns keep their copies)
+     * @param {string} organizationId - Organization UUID
+     * @param {string} templateId - Template UUID
+     * @returns {boolean} True if deleted
+     */
+    async deleteTemplate(organizationId, templateId) {
+        const result = await pool.query(`
+            DELETE FROM email_templates
+            WHERE id = $1 AND organization_id = $2
+        `, [templateId, organizationId]);
+
+        return result.rowCount > 0;
+    }
+
+    // ================================================================
+    // 3. CAMPAIGN USE
+    // ================================================================
+
+    /**
+     * Copy a library template into a campaign as its newest template version
+     * @param {Object} template - Library template row
+     * @param {string} campaignId - Campaign UUID
+     * @param {string} userId - User UUID
+     * @returns {Object} New campaign_templates row
+     */
+    async copyToCampaign(template, campaignId, userId) {
+        const client = await pool.connect();
+
+        try {
+            await client.query('BEGIN');
+
+            const campaignTemplate = await templateVersionService.createVersion(client, campaignId, {
+                name: template.name,
+                subject: template.subject_template,
+                bodyHtml: template.html_template,
+                bodyText: template.text_template
+            }, userId, { sourceTemplateId: template.id });
+
+            await client.query(`
+                UPDATE email_templates
+                SET usage_count = COALESCE(usage_count, 0) + 1, last_used_at = NOW()
+                WHERE id = $1
+            `, [template.id]);
+
+            await client.query('COMMIT');
+
+            return campaignTemplate;
+
+        } catch (error) {
+            await client.query('ROLLBACK');
+            console.error('Error copying library template to campaign:', error);
+            throw new Error(`Failed to copy library template to campaign: ${error.message}`);
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Variables a template prints, stored as required_variables
+     * @param {Object} content - { subject, bodyHtml, bodyText }
+     * @returns {Array<string>} Variable names
+     */
+    getRequiredVariables(content) {
+        return [...new Set([content.subject, content.bodyHtml, content.bodyText].flatMap(part => templateEngine.getVariables(part)))];
+    }
+}
+
+module.exports = new TemplateLibraryService();
@@ -0,0 +1,259 @@
+/**
+ * TemplateVersionService - Immutable version history of campaign templates
+ *
+ * This service handles:
+ * - Saving a campaign template as a new numbered version
+ * - Listing versions with the leads, sends and replies each one produced
+ * - Line-by-line diffs between two versions
+ * - Rolling back by saving an earlier version as the newest one
+ *
+ * Each campaign_templates row is one version; the active row is the current one.
+ * Jobs and campaign leads reference the version they were rendered from.
+ */
+
+const pool = require('../config/database');
+
+class TemplateVersionService {
+    constructor() {
+        this.diffFields = [
+            { key: 'subject', column: 'subject' },
+            { key: 'bodyHtml', column: 'body_html' },
+            { key: 'bodyText', column: 'body_text' }
+        ];
+    }
+
+    // ================================================================
+    // 1. VERSION CREATION
+    // ================================================================
+
+    /**
+     * Save template content as the campaign's newest, active version
+     * Runs on the caller's client so it joins the caller's transaction
+     * @param {Object} client - Database client inside a transaction
+     * @param {string} campaignId - Campaign UUID
+     * @param {Object} content - { name, subject, bodyHtml, bodyText }
+     * @param {string} userId - Author's user UUID
+     * @param {Object} options - { restoredFromId, sourceTemplateId }
+     * @returns {Object} New campaign_templates row
+     */
+    async createVersion(client, campaignId, content, userId, options = {}) {
+        // Serialize saves per campaign so version numbers never collide
+        await client.query('SELECT id FROM campaigns WHERE id = $1 FOR UPDATE', [campaignId]);
+
+        await client.query(`
+            UPDATE campaign_templates
+            SET is_active = false
+            WHERE campaign_id = $1 AND is_active = true
+        `, [campaignId]);
+
+        const result = await client.query(`
+            INSERT INTO campaign_templates (
+                campaign_id, name, subject, body_html, body_text, is_active,
+                version_number, created_by, restored_from_id, source_template_id
+            )
+            SELECT $1, $2, $3, $4, $5, true, COALESCE(MAX(version_number), 0) + 1, $6, $7, $8
+            FROM campaign_templates
+            WHERE campaign_id = $1
+            RETURNING *
+        `, [
+            campaignId,
+            content.name,
+            content.subject,
+            content.bodyHtml || null,
+            content.bodyText || null,
+            userId || null,
+            options.restoredFromId || null,
+            options.sourceTemplateId || null
+        ]);
+
+        return result.rows[0];
+    }
+
+    /**
+     * Make an earlier version current again by saving a copy of it as a new version
+     * @param {string} campaignId - Campaign UUID
+     * @param {number} versionNumber - Version to restore
+     * @param {string} userId - User UUID
+     * @returns {Object|null} New version, or null if the version doesn't exist
+     */
+    async rollback(campaignId, versionNumber, userId) {
+        const client = await pool.connect();
+
+        try {
+            await client.query('BEGIN');
+
+            const versionResult = await client.query(`
+                SELECT * FROM campaign_templates
+                WHERE campaign_id = $1 AND version_number = $2
+            `, [campaignId, versionNumber]);
+
+            if (versionResult.rows.length === 0) {
+                await client.query('ROLLBACK');
+                return null;
+            }
+
+            const version = versionResult.rows[0];
+            const restored = await this.createVersion(client, campaignId, {
+                name: version.name,
+                subject: version.subject,
+                bodyHtml: version.body_html,
+                bodyText: version.body_text
+            }, userId, {
+                restoredFromId: version.id,
+                sourceTemplateId: version.source_template_id
+            });
+
+            await client.query('COMMIT');
+
+            return restored;
+
+        } catch (error) {
+            await client.query('ROLLBACK');
+            console.error('Error rolling back campaign template:', error);
+            throw new Error(`Failed to roll back campaign template: ${error.message}`);
+        } finally {
+            client.release();
+        }
+    }
+
+    // ================================================================
+    // 2. VERSION LOOKUPS
+    // ================================================================
+
+    /**
+     * All versions of a campaign's template, newest first, with what each produced
+     * @param {string} campaignId - Campaign UUID
+     * @returns {Array} Versions with stats: { leads, sent, replied, replyRate }
+     */
+    async listVersions(campaignId) {
+        const result = await pool.query(`
+            SELECT
+                ct.id,
+                ct.version_number,
+                ct.name,
+                ct.subject,
+                ct.is_active,
+                ct.created_at,
+                ct.created_by,
+                u.first_name as created_by_first_name,
+                u.last_name as created_by_last_name,
+                restored.version_number as restored_from_version,
+                COUNT(cl.id) as leads,
+                COUNT(cl.sent_at) as sent,
+                COUNT(cl.replied_at) as replied
+            FROM campaign_templates ct
+            LEFT JOIN users u ON ct.created_by = u.id
+            LEFT JOIN campaign_templates restored ON ct.restored_from_id = restored.id
+            LEFT JOIN campaign_leads cl ON cl.template_version_id = ct.id
+            WHERE ct.campaign_id = $1
+            GROUP BY ct.id, u.first_name, u.last_name, restored.version_number
+            ORDER BY ct.version_number DESC
+        `, [campaignId]);
+
+        return result.rows.map(({ leads, sent, replied, ...version }) => {
+            const sentCount = parseInt(sent);
+            const repliedCount = parseInt(replied);
+
+            return {
+                ...version,
+                stats: {
+                    leads: parseInt(leads),
+                    sent: sentCount,
+                    replied: repliedCount,
+                    replyRate: sentCount > 0 ? Math.round((repliedCount / sentCount) * 10000) / 100 : 0
+                }
+            };
+        });
+    }
+
+    /**
+     * Get one version of a campaign's template
+     * @param {string} campaignId - Campaign UUID
+     * @param {number} versionNumber - Version number
+     * @returns {Object|null} campaign_templates row
+     */
+    async getVersion(campaignId, versionNumber) {
+        const result = await pool.query(`
+            SELECT * FROM campaign_templates
+            WHERE campaign_id = $1 AND version_number = $2
+        `, [campaignId, versionNumber]);
+
+        return result.rows[0] || null;
+    }
+
+    // ================================================================
+    // 3. DIFFS
+    // ================================================================
+
+    /**
+     * Compare two versions field by field
+     * @param {Object} from - Older campaign_templates row
+     * @param {Object} to - Newer campaign_templates row
+     * @returns {Object} { from, to, changed, fields: { subject, bodyHtml, bodyText } } each field { changed, added, removed, lines }
+     */
+    diffVersions(from, to) {
+        const fields = {};
+
+        for (const { key, column } of this.diffFields) {
+            const lines = this.diffLines(from[column] || '', to[column] || '');
+
+            fields[key] = {
+                changed: lines.some(line => line.type !== 'same'),
+                added: lines.filter(line => line.type === 'added').length,
+                removed: lines.filter(line => line.type === 'removed').length,
+                lines
+            };
+        }
+
+        return {
+            from: from.version_number,
+            to: to.version_number,
+            changed: Object.values(fields).some(field => field.changed),
+            fields
+        };
+    }
+
+    /**
+     * Line diff using the longest common subsequence
+     * @param {string} before - Old text
+     * @param {string} after - New text
+     * @returns {Array} [{ type: 'same' | 'added' | 'removed', text }]
+     */
+    diffLines(before, after) {
+        const a = before === '' ? [] : before.split(/\r?\n/);
+        const b = after === '' ? [] : after.split(/\r?\n/);
+
+        // lengths[i][j] = LCS length of a[i..] and b[j..]
+        const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+        for (let i = a.length - 1; i >= 0; i--) {
+            for (let j = b.length - 1; j >= 0; j--) {
+                lengths[i][j] = a[i] === b[j]
+                    ? lengths[i + 1][j + 1] + 1
+                    : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+            }
+        }
+
+        const lines = [];
+        let i = 0;
+        let j = 0;
+
+        while (i < a.length && j < b.length) {
+            if (a[i] === b[j]) {
+                lines.push({ type: 'same', text: a[i] });
+                i++;
+                j++;
+            } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+                lines.push({ type: 'removed', text: a[i++] });
+            } else {
+                lines.push({ type: 'added', text: b[j++] });
+            }
+        }
+
+        while (i < a.length) lines.push({ type: 'removed', text: a[i++] });
+        while (j < b.length) lines.push({ type: 'added', text: b[j++] });
+
+        return lines;
+    }
+}
+
+module.exports = new TemplateVersionService();
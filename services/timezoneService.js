@@ -0,0 +1,185 @@
+/**
+ * TimezoneService - Wall-clock time conversions for recipient-local scheduling
+ *
+ * This service handles:
+ * - Validating IANA timezone names (e.g. 'Asia/Singapore')
+ * - Reading the local calendar date of an instant in a timezone
+ * - Converting a local date and time of day into a UTC instant, DST included
+ *
+ * Uses the built-in Intl API, so no timezone database package is needed.
+ * Local dates are passed around as 'YYYY-MM-DD' strings.
+ */
+
+class TimezoneService {
+    constructor() {
+        this.formatters = new Map();
+    }
+
+    // ================================================================
+    // 1. TIMEZONE LOOKUPS
+    // ================================================================
+
+    /**
+     * Check whether a timezone name is known to the runtime
+     * @param {string} timezone - IANA timezone name
+     * @returns {boolean} True if valid
+     */
+    isValidTimezone(timezone) {
+        if (!timezone || typeof timezone !== 'string') return false;
+
+        try {
+            this._getFormatter(timezone);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Pick the first valid timezone from a list of candidates
+     * @param {...string} candidates - Timezone names in order of preference
+     * @returns {string} First valid timezone, or 'UTC'
+     */
+    resolveTimezone(...candidates) {
+        return candidates.find(timezone => this.isValidTimezone(timezone)) || 'UTC';
+    }
+
+    /**
+     * Offset of a timezone from UTC at a given instant
+     * @param {Date} date - Instant
+     * @param {string} timezone - IANA timezone name
+     * @returns {number} Offset in minutes (e.g. 480 for Asia/Singapore)
+     */
+    getOffsetMinutes(date, timezone) {
+        const parts = this._getParts(date, timezone);
+        const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+
+        return Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+    }
+
+    // ================================================================
+    // 2. DATE CONVERSIONS
+    // ================================================================
+
+    /**
+     * Local calendar date of an instant
+     * @param {Date} date - Instant
+     * @param {string} timezone - IANA timezone name
+     * @returns {string} 'YYYY-MM-DD'
+     */
+    getLocalDate(date, timezone) {
+        const { year, month, day } = this._getParts(date, timezone);
+        return this._formatDate(year, month, day);
+    }
+
+    /**
+     * Convert a local date and time of day into a UTC instant
+     * Times skipped by a spring-forward change land an hour later;
+     * times repeated by a fall-back change resolve to the first occurrence
+     * @param {string} localDate - 'YYYY-MM-DD'
+     * @param {number} minutesOfDay - Minutes since local midnight
+     * @param {string} timezone - IANA timezone name
+     * @returns {Date} UTC instant
+     */
+    toUtc(localDate, minutesOfDay, timezone) {
+        const [year, month, day] = localDate.split('-').map(Number);
+        const wallClock = Date.UTC(year, month - 1, day, 0, minutesOfDay);
+
+        // Guess with the offset at the wall-clock time, then correct once
+        // in case the guess crossed a DST change
+        const firstOffset = this.getOffsetMinutes(new Date(wallClock), timezone);
+        let result = wallClock - firstOffset * 60000;
+
+        const secondOffset = this.getOffsetMinutes(new Date(result), timezone);
+        if (secondOffset !== firstOffset) {
+            const corrected = wallClock - secondOffset * 60000;
+
+            // Only accept the correction if it really is that wall-clock time
+            if (this.getOffsetMinutes(new Date(corrected), timezone) === secondOffset) {
+                result = Math.min(result, corrected);
+            }
+        }
+
+        return new Date(result);
+    }
+
+    /**
+     * Add calendar days to a local date
+     * @param {string} localDate - 'YYYY-MM-DD'
+     * @param {number} days - Days to add (may be negative)
+     * @returns {string} 'YYYY-MM-DD'
+     */
+    addDays(localDate, days) {
+        const [year, month, day] = localDate.split('-').map(Number);
+        const date = new Date(Date.UTC(year, month - 1, day + days));
+
+        return this._formatDate(date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate());
+    }
+
+    /**
+     * Normalize a DATE column value or date string to 'YYYY-MM-DD'
+     * pg returns DATE columns as Date objects at server-local midnight
+     * @param {Date|string} value - Date or 'YYYY-MM-DD...' string
+     * @returns {string|null} 'YYYY-MM-DD', or null if empty
+     */
+    toDateString(value) {
+        if (!value) return null;
+
+        if (value instanceof Date) {
+            return this._formatDate(value.getFullYear(), value.getMonth() + 1, value.getDate());
+        }
+
+        return String(value).slice(0, 10);
+    }
+
+    // ================================================================
+    // 3. PRIVATE HELPER METHODS
+    // ================================================================
+
+    /**
+     * Cached Intl formatter for a timezone (throws RangeError if unknown)
+     * @private
+     */
+    _getFormatter(timezone) {
+        if (!this.formatters.has(timezone)) {
+            this.formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+                timeZone: timezone,
+                hourCycle: 'h23',
+                year: 'numeric',
+                month: '2-digit',
+                day: '2-digit',
+                hour: '2-digit',
+                minute: '2-digit',
+                second: '2-digit'
+            }));
+        }
+
+        return this.formatters.get(timezone);
+    }
+
+    /**
+     * Wall-clock components of an instant in a timezone
+     * @private
+     */
+    _getParts(date, timezone) {
+        const parts = {};
+
+        for (const part of this._getFormatter(timezone).formatToParts(date)) {
+            if (part.type !== 'literal') {
+                parts[part.type] = Number(part.value);
+            }
+        }
+
+        return parts;
+    }
+
+    /**
+     * Format date components as 'YYYY-MM-DD'
+     * @private
+     */
+    _formatDate(year, month, day) {
+        return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+    }
+}
+
+module.exports = new TimezoneService();
@@ -0,0 +1,140 @@
+/**
+ * TokenRefreshService - Background service that refreshes OAuth tokens before they expire
+ *
+ * This service handles:
+ * - Finding active Gmail/Outlook mailboxes whose tokens expire within the refresh window
+ * - Refreshing them through their mail provider, so sends never wait on a refresh
+ * - Leaving mailboxes with a dead refresh token marked expired/revoked (jobs held)
+ * - Refreshing one mailbox on demand (POST /api/email-auth/google/refresh)
+ */
+
+const pool = require('../config/database');
+const mailProviders = require('./mailProviders');
+const mailboxStatusService = require('./mailboxStatusService');
+
+class TokenRefreshService {
+    constructor() {
+        this.isRunning = false;
+        this.isProcessing = false;
+        this.processingInterval = parseInt(process.env.TOKEN_REFRESH_INTERVAL_MS) || 5 * 60 * 1000; // Every 5 minutes
+        this.refreshWindowMs = parseInt(process.env.TOKEN_REFRESH_WINDOW_MS) || 15 * 60 * 1000; // Longer than the interval
+        this.processingTimer = null;
+        this.batchSize = 50;
+    }
+
+    // ================================================================
+    // 1. MAIN PROCESSING METHODS
+    // ================================================================
+
+    /**
+     * Start the background token refresh
+     */
+    async start() {
+        if (this.isRunning) {
+            console.log('⚠️  TokenRefreshService is already running');
+            return;
+        }
+
+        console.log('🚀 Starting TokenRefreshService...');
+        this.isRunning = true;
+
+        this.processingTimer = setInterval(async () => {
+            try {
+                await this.refreshExpiringTokens();
+            } catch (error) {
+                console.error('❌ Error in token refresh loop:', error);
+            }
+        }, this.processingInterval);
+
+        console.log(`✅ TokenRefreshService started (checking every ${this.processingInterval}ms)`);
+
+        // Tokens may have expired while the server was down
+        await this.refreshExpiringTokens();
+    }
+
+    /**
+     * Stop the background token refresh
+     */
+    async stop() {
+        console.log('🛑 Stopping TokenRefreshService...');
+        this.isRunning = false;
+
+        if (this.processingTimer) {
+            clearInterval(this.processingTimer);
+            this.processingTimer = null;
+        }
+
+        console.log('✅ TokenRefreshService stopped');
+    }
+
+    /**
+     * Refresh every active mailbox whose tokens expire within the refresh window
+     * @returns {Object} { accountsChecked, refreshed, failed }
+     */
+    async refreshExpiringTokens() {
+        if (this.isProcessing) {
+            return { accountsChecked: 0, refreshed: 0, failed: 0 };
+        }
+
+        this.isProcessing = true;
+
+        try {
+            const accountsResult = await pool.query(`
+                SELECT id, email, provider, token_expires_at
+                FROM email_accounts
+                WHERE status = 'active'
+                  AND provider = ANY($1)
+                  AND (token_expires_at IS NULL OR token_expires_at <= NOW() + make_interval(secs => $2))
+                ORDER BY token_expires_at ASC NULLS FIRST
+                LIMIT $3
+            `, [mailProviders.namesWith('refreshableCredentials'), this.refreshWindowMs / 1000, this.batchSize]);
+
+            let refreshed = 0;
+            let failed = 0;
+
+            for (const account of accountsResult.rows) {
+                try {
+                    await this.refreshAccount(account);
+                    refreshed++;
+                } catch (error) {
+                    // The provider already marked the mailbox if the refresh token is dead
+                    failed++;
+                    console.error(`❌ Failed to refresh tokens for ${account.email}:`, error.message);
+                }
+            }
+
+            if (accountsResult.rows.length > 0) {
+                console.log(`🔑 Token refresh: ${refreshed} refreshed, ${failed} failed`);
+            }
+
+            return {
+                accountsChecked: accountsResult.rows.length,
+                refreshed,
+                failed
+            };
+
+        } finally {
+            this.isProcessing = false;
+        }
+    }
+
+    /**
+     * Refresh one mailbox's tokens now and release jobs held while it was down
+     * @param {Object} account - email_accounts row (id, provider)
+     * @returns {Object} { expiresAt, releasedJobs }
+     */
+    async refreshAccount(account) {
+        const provider = mailProviders.forAccount(account);
+
+        if (!provider.capabilities.refreshableCredentials) {
+            throw new Error(`${provider.name} mailboxes have no tokens to refresh`);
+        }
+
+        const { expiresAt } = await provider.refreshCredentials(account.id);
+        const releasedJobs = await mailboxStatusService.markActive(account.id);
+
+        return { expiresAt, releasedJobs };
+    }
+}
+
+module.exports = new TokenRefreshService();
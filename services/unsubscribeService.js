@@ -0,0 +1,215 @@
+/**
+ * UnsubscribeService - Signed unsubscribe links and opt-out handling
+ *
+ * This service handles:
+ * - Signing and verifying per-recipient unsubscribe tokens
+ * - Building unsubscribe URLs and RFC 8058 List-Unsubscribe headers
+ * - Recording opt-outs in suppression_lists, contact lists and leads
+ */
+
+const crypto = require('crypto');
+const pool = require('../config/database');
+
+class UnsubscribeService {
+    constructor() {
+        this.baseUrl = process.env.BACKEND_URL || 'http://localhost:5000';
+    }
+
+    // ================================================================
+    // 1. TOKEN METHODS
+    // ================================================================
+
+    /**
+     * Create a signed unsubscribe token for a campaign lead
+     * @param {string} campaignLeadId - Campaign lead UUID
+     * @returns {string} Token in the form <campaignLeadId>.<signature>
+     */
+    generateToken(campaignLeadId) {
+        return `${campaignLeadId}.${this._sign(campaignLeadId)}`;
+    }
+
+    /**
+     * Verify an unsubscribe token
+     * @param {string} token - Token from the unsubscribe URL
+     * @returns {string|null} Campaign lead UUID, or null if the token is invalid
+     */
+    verifyToken(token) {
+        if (!token || typeof token !== 'string') return null;
+
+        const [campaignLeadId, signature] = token.split('.');
+        if (!campaignLeadId || !signature) return null;
+
+        const expected = Buffer.from(this._sign(campaignLeadId));
+        const actual = Buffer.from(signature);
+
+        if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+            return null;
+        }
+
+        return campaignLeadId;
+    }
+
+    /**
+     * Public unsubscribe URL for a campaign lead
+     * @param {string} campaignLeadId - Campaign lead UUID
+     * @param {string} baseUrl - Base URL of the backend
+     * @returns {string} Unsubscribe URL
+     */
+    getUnsubscribeUrl(campaignLeadId, baseUrl = this.baseUrl) {
+        return `${baseUrl}/api/campaigns/unsubscribe/${this.generateToken(campaignLeadId)}`;
+    }
+
+    /**
+     * RFC 8058 one-click unsubscribe headers for a campaign lead
+     * @param {string} campaignLeadId - Campaign lead UUID
+     * @returns {Object} Header name to value map
+     */
+    getListUnsubscribeHeaders(campaignLeadId) {
+        return {
+            'List-Unsubscribe': `<${this.getUnsubscribeUrl(campaignLeadId)}>`,
+            'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+        };
+    }
+
+    // ================================================================
+    // 2. UNSUBSCRIBE METHODS
+    // ================================================================
+
+    /**
+     * Find the recipient a token belongs to
+     * @param {string} campaignLeadId - Campaign lead UUID
+     * @returns {Object|null} { campaignLeadId, leadId, email, organizationId, campaignId, organizationName, isUnsubscribed }
+     */
+    async getRecipient(campaignLeadId) {
+        const result = await pool.query(`
+            SELECT
+                cl.id as campaign_lead_id,
+                cl.lead_id,
+                cl.campaign_id,
+                l.email,
+                l.organization_id,
+                o.name as organization_name,
+                EXISTS (
+                    SELECT 1 FROM suppression_lists sl
+                    WHERE sl.organization_id = l.organization_id
+                    AND LOWER(sl.email) = LOWER(l.email)
+                    AND sl.reason = 'unsubscribed'
+                ) as is_unsubscribed
+            FROM campaign_leads cl
+            JOIN leads l ON cl.lead_id = l.id
+            JOIN organizations o ON l.organization_id = o.id
+            WHERE cl.id = $1
+        `, [campaignLeadId]);
+
+        if (result.rows.length === 0) return null;
+
+        const row = result.rows[0];
+        return {
+            campaignLeadId: row.campaign_lead_id,
+            leadId: row.lead_id,
+            campaignId: row.campaign_id,
+            email: row.email,
+            organizationId: row.organization_id,
+            organizationName: row.organization_name,
+            isUnsubscribed: row.is_unsubscribed
+        };
+    }
+
+    /**
+     * Opt a recipient out of all future email from their organization
+     * @param {string} campaignLeadId - Campaign lead UUID from a verified token
+     * @param {Object} options - { method: 'one-click' | 'link' }
+     * @returns {Object|null} Recipient info, or null if the campaign lead no longer exists
+     */
+    async unsubscribe(campaignLeadId, options = {}) {
+        const { method = 'link' } = options;
+
+        const recipient = await this.getRecipient(campaignLeadId);
+        if (!recipient) return null;
+
+        const client = await pool.connect();
+
+        try {
+            await client.query('BEGIN');
+
+            await client.query(`
+                INSERT INTO suppression_lists (
+                    organization_id, email, reason, source, notes
+                ) VALUES ($1, LOWER($2), 'unsubscribed', $3, $4)
+                ON CONFLICT (organization_id, email) DO UPDATE
+                SET reason = 'unsubscribed', source = EXCLUDED.source, notes = EXCLUDED.notes, suppressed_at = NOW()
+                WHERE suppression_lists.reason <> 'unsubscribed'
+            `, [
+                recipient.organizationId,
+                recipient.email,
+                `campaign:${recipient.campaignId}`,
+                `Unsubscribed via ${method}`
+            ]);
+
+            await client.query(`
+                UPDATE contact_list_members
+                SET
+                    status = 'unsubscribed',
+                    unsubscribed_at = NOW(),
+                    unsubscribe_reason = $2,
+                    updated_at = NOW()
+                WHERE lead_id = $1 AND status = 'active'
+            `, [recipient.leadId, `Unsubscribed via ${method}`]);
+
+            await client.query(`
+                UPDATE leads
+                SET
+                    status = 'unsubscribed',
+                    updated_at = NOW()
+                WHERE id = $1
+            `, [recipient.leadId]);
+
+            await client.query(`
+                UPDATE campaign_leads
+                SET
+                    status = 'unsubscribed',
+                    unsubscribed_at = COALESCE(unsubscribed_at, NOW()),
+                    updated_at = NOW()
+                WHERE id = $1
+            `, [campaignLeadId]);
+
+            await client.query('COMMIT');
+
+            console.log(`🚫 Unsubscribed: ${recipient.email} (Campaign ${recipient.campaignId}, ${method})`);
+
+            return recipient;
+
+        } catch (error) {
+            await client.query('ROLLBACK');
+            console.error('Error processing unsubscribe:', error);
+            throw new Error(`Failed to unsubscribe: ${error.message}`);
+        } finally {
+            client.release();
+        }
+    }
+
+    // ================================================================
+    // 3. PRIVATE HELPER METHODS
+    // ================================================================
+
+    /**
+     * HMAC signature for a token payload
+     * @private
+     */
+    _sign(payload) {
+        const secret = process.env.UNSUBSCRIBE_SECRET || process.env.JWT_SECRET;
+        if (!secret) {
+            throw new Error('UNSUBSCRIBE_SECRET or JWT_SECRET must be set to sign unsubscribe links');
+        }
+
+        return crypto
+            .createHmac('sha256', secret)
+            .update(`unsubscribe:${payload}`)
+            .digest('base64')
+            .replace(/\+/g, '-')
+            .replace(/\//g, '_')
+            .replace(/=+$/, '');
+    }
+}
+
+module.exports = new UnsubscribeService();
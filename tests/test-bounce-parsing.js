@@ -0,0 +1,86 @@
+/**
+ * Test DSN parsing in BounceProcessor (no database or Gmail access needed)
+ * Run: node tests/test-bounce-parsing.js
+ */
+
+// Test-only key so the script runs without a .env
+process.env.ENCRYPTION_KEY = process.env.ENCRYPTION_KEY || 'a'.repeat(64);
+
+const assert = require('assert');
+const bounceProcessor = require('../services/bounceProcessor');
+
+const cases = [
+    {
+        name: 'Hard bounce with delivery-status part',
+        message: {
+            deliveryStatus: [
+                'Reporting-MTA: dns; googlemail.com',
+                '',
+                'Final-Recipient: rfc822; Nobody@Example.com',
+                'Action: failed',
+                'Status: 5.1.1',
+                'Diagnostic-Code: smtp; 550-5.1.1 The email account that you tried to reach',
+                '    does not exist.'
+            ].join('\r\n'),
+            textBody: 'Address not found'
+        },
+        expected: {
+            recipient: 'nobody@example.com',
+            statusCode: '5.1.1',
+            action: 'failed',
+            bounceType: 'hard',
+            diagnosticCode: '550-5.1.1 The email account that you tried to reach does not exist.'
+        }
+    },
+    {
+        name: 'Delayed delivery is a soft bounce',
+        message: {
+            deliveryStatus: 'Final-Recipient: rfc822; slow@example.com\nAction: delayed\nStatus: 4.4.1',
+            textBody: ''
+        },
+        expected: { recipient: 'slow@example.com', statusCode: '4.4.1', bounceType: 'soft' }
+    },
+    {
+        name: 'Gmail bounce without a report part falls back to headers and body',
+        message: {
+            deliveryStatus: '',
+            failedRecipients: 'missing@example.org',
+            textBody: "The response was: 550 5.1.1 The email account that you tried to reach doesn't exist."
+        },
+        expected: { recipient: 'missing@example.org', statusCode: '5.1.1', bounceType: 'hard' }
+    },
+    {
+        name: 'Successful delivery notification is ignored',
+        message: {
+            deliveryStatus: 'Final-Recipient: rfc822; ok@example.com\nAction: delivered\nStatus: 2.0.0',
+            textBody: ''
+        },
+        expected: null
+    }
+];
+
+let failures = 0;
+
+console.log('📭 Testing BounceProcessor.parseDeliveryStatus\n');
+
+for (const testCase of cases) {
+    try {
+        const report = bounceProcessor.parseDeliveryStatus(testCase.message);
+
+        if (testCase.expected === null) {
+            assert.strictEqual(report, null);
+        } else {
+            for (const [key, value] of Object.entries(testCase.expected)) {
+                assert.strictEqual(report[key], value, `${key}: expected ${value}, got ${report[key]}`);
+            }
+        }
+
+        console.log(`✅ ${testCase.name}`);
+    } catch (error) {
+        failures++;
+        console.log(`❌ ${testCase.name}: ${error.message}`);
+    }
+}
+
+console.log(`\n${failures === 0 ? '🎉 All bounce parsing tests passed' : `❌ ${failures} test(s) failed`}`);
+process.exit(failures === 0 ? 0 : 1);
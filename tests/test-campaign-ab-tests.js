@@ -0,0 +1,276 @@
+/**
+ * Test A/B variant picking, test slices and winner selection (no database needed)
+ * Run: node tests/test-campaign-ab-tests.js
+ */
+
+// Test-only secret for signing unsubscribe links, so the script runs without a .env
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+
+const assert = require('assert');
+const pool = require('../config/database');
+const campaignVariantService = require('../services/campaignVariantService');
+const campaignLaunchService = require('../services/campaignLaunchService');
+const emailJobService = require('../services/emailJobService');
+const suppressionService = require('../services/suppressionService');
+const inboxRotationService = require('../services/inboxRotationService');
+const spintaxService = require('../services/spintaxService');
+
+const variants = [
+    { id: 'a', label: 'A', weight: 50 },
+    { id: 'b', label: 'B', weight: 50 }
+];
+
+const stat = (label, sent, opened, replied, isActive = true) => ({
+    id: label.toLowerCase(),
+    label,
+    is_active: isActive,
+    ...campaignVariantService._withRates({ sent: String(sent), opened: String(opened), clicked: '0', replied: String(replied) })
+});
+
+const tests = [
+    {
+        name: 'The same lead always gets the same variant',
+        run: () => {
+            for (let i = 0; i < 20; i++) {
+                const first = campaignVariantService.pickVariant(variants, `lead-${i}:1`);
+                assert.strictEqual(campaignVariantService.pickVariant(variants, `lead-${i}:1`), first);
+            }
+            assert.strictEqual(campaignVariantService.pickVariant([], 'lead:1'), null);
+        }
+    },
+    {
+        name: 'Leads are split by weight',
+        run: () => {
+            const weighted = [{ id: 'a', weight: 80 }, { id: 'b', weight: 20 }];
+            const counts = { a: 0, b: 0 };
+            for (let i = 0; i < 2000; i++) {
+                counts[campaignVariantService.pickVariant(weighted, `lead-${i}:1`).id]++;
+            }
+            assert.ok(counts.a > 1450 && counts.a < 1750, `A got ${counts.a} of 2000`);
+        }
+    },
+    {
+        name: 'Test slice takes the percentage, rounded up, and covers every lead once',
+        run: () => {
+            const leads = Array.from({ length: 41 }, (_, i) => ({ id: `cl-${i}` }));
+            const { testLeads, holdoutLeads } = campaignVariantService.splitTestSlice(leads, 20);
+
+            assert.strictEqual(testLeads.length, 9);
+            assert.strictEqual(holdoutLeads.length, 32);
+            assert.deepStrictEqual(
+                [...testLeads, ...holdoutLeads].map(lead => lead.id).sort(),
+                leads.map(lead => lead.id).sort()
+            );
+
+            // Doesn't depend on the order the leads came in
+            const reversed = campaignVariantService.splitTestSlice([...leads].reverse(), 20);
+            assert.deepStrictEqual(
+                reversed.testLeads.map(lead => lead.id).sort(),
+                testLeads.map(lead => lead.id).sort()
+            );
+        }
+    },
+    {
+        name: 'A tiny list still gets at least one test lead',
+        run: () => {
+            const { testLeads, holdoutLeads } = campaignVariantService.splitTestSlice([{ id: 'only' }], 10);
+            assert.strictEqual(testLeads.length, 1);
+            assert.strictEqual(holdoutLeads.length, 0);
+        }
+    },
+    {
+        name: 'Winner is the best rate of the chosen metric',
+        run: () => {
+            const stats = [stat('A', 100, 40, 2), stat('B', 100, 30, 6)];
+            assert.strictEqual(campaignVariantService.chooseWinner(stats, 'open').label, 'A');
+            assert.strictEqual(campaignVariantService.chooseWinner(stats, 'reply').label, 'B');
+            assert.strictEqual(stats[1].replyRate, 6);
+        }
+    },
+    {
+        name: 'Ties go to the variant sent to more leads, then by label; inactive variants cannot win',
+        run: () => {
+            assert.strictEqual(campaignVariantService.chooseWinner([stat('A', 10, 5, 0), stat('B', 20, 10, 0)], 'open').label, 'B');
+            assert.strictEqual(campaignVariantService.chooseWinner([stat('B', 0, 0, 0), stat('A', 0, 0, 0)], 'open').label, 'A');
+            assert.strictEqual(campaignVariantService.chooseWinner([stat('A', 10, 9, 0, false), stat('B', 10, 1, 0)], 'open').label, 'B');
+            assert.strictEqual(campaignVariantService.chooseWinner([stat('A', 10, 9, 0)], 'bounce'), null);
+        }
+    },
+    {
+        name: 'Next label skips letters already used',
+        run: () => {
+            assert.strictEqual(campaignVariantService.nextLabel([]), 'A');
+            assert.strictEqual(campaignVariantService.nextLabel(['A', 'C']), 'B');
+        }
+    },
+    {
+        name: 'Relaunching during a running test holds only leads without a queued email',
+        run: async () => {
+            const originalQuery = pool.query;
+            // lead-1 and lead-2 are the test slice: still 'pending', but their jobs are queued
+            const leadsWithJobs = new Set(['lead-1', 'lead-2']);
+            const calls = [];
+            pool.query = async (sql, params) => {
+                calls.push({ sql, params });
+                const held = sql.includes('NOT EXISTS (SELECT 1 FROM email_jobs ej WHERE ej.campaign_lead_id = cl.id)')
+                    ? params[0].filter(id => !leadsWithJobs.has(id))
+                    : params[0];
+                return { rows: [], rowCount: held.length };
+            };
+
+            try {
+                assert.strictEqual(await campaignVariantService.holdLeads(['lead-1', 'lead-2', 'lead-3']), 1);
+                assert.deepStrictEqual(calls[0].params, [['lead-1', 'lead-2', 'lead-3']]);
+
+                assert.strictEqual(await campaignVariantService.holdLeads([]), 0);
+                assert.strictEqual(calls.length, 1);
+            } finally {
+                pool.query = originalQuery;
+            }
+        }
+    },
+    {
+        name: 'The winner of a scheduled campaign is sent inside its stored send window',
+        run: async () => {
+            const originalQuery = pool.query;
+            const originalConnect = pool.connect;
+            const launches = [];
+
+            pool.connect = async () => ({
+                query: async (sql) => {
+                    if (sql.includes('FROM campaign_ab_tests')) return { rows: [{ id: 'test-1', winner_metric: 'reply', rate_limit: 40 }] };
+                    if (sql.includes('UPDATE campaign_ab_tests')) return { rows: [{ id: 'test-1', winner_metric: 'reply', rate_limit: 40 }] };
+                    if (sql.includes('UPDATE campaign_variants')) return { rows: [{ id: 'a', label: 'A', subject: 'Hi', body_html: '<p>Hi</p>' }] };
+                    if (sql.includes('UPDATE campaign_leads')) return { rows: [{ id: 'lead-3' }] };
+                    return { rows: [] };
+                },
+                release: () => {}
+            });
+            pool.query = async (sql) => {
+                if (sql.includes('FROM campaigns')) return { rows: [{ id: 'campaign-1', status: 'active' }] };
+                if (sql.includes('FROM campaign_schedules')) return { rows: [{ schedule_type: 'scheduled' }] };
+                return { rows: [{ id: 'lead-3' }] };
+            };
+            campaignVariantService.getVariantStats = async () => [{ id: 'a', label: 'A', is_active: true }];
+            campaignLaunchService.launchLeads = async (campaign, leads, options) => {
+                launches.push(options);
+                return { jobResult: { jobsCreated: leads.length } };
+            };
+
+            try {
+                const result = await campaignLaunchService.sendWinner('campaign-1', { variantId: 'a' });
+                assert.strictEqual(result.winner.id, 'a');
+                assert.strictEqual(launches[0].sendType, 'scheduled');
+                assert.ok(launches[0].scheduledFor instanceof Date);
+                assert.strictEqual(launches[0].rateLimit, 40);
+            } finally {
+                pool.query = originalQuery;
+                pool.connect = originalConnect;
+                delete campaignVariantService.getVariantStats;
+                delete campaignLaunchService.launchLeads;
+            }
+        }
+    },
+    {
+        name: 'Variant emails are tracked so opens and clicks can pick the winner',
+        run: async () => {
+            const queued = [];
+            suppressionService.getSuppressedLeads = async () => new Map();
+            inboxRotationService.assignLeads = async (campaignId, leads) => new Map(leads.map(lead => [lead.id, 'mailbox-1']));
+            spintaxService.saveVariants = async () => {};
+            emailJobService.createImmediateJobs = async (params) => {
+                queued.push(...params.recipients);
+                return { jobsCreated: params.recipients.length };
+            };
+
+            const campaign = { id: 'campaign-1', organization_id: 'org-1', from_name: 'Sam' };
+            const leads = [
+                { id: 'lead-1', lead_id: 'l1', email: 'a@acme.com', first_name: 'Ann' },
+                { id: 'lead-2', lead_id: 'l2', email: 'b@acme.com', first_name: 'Bo' }
+            ];
+            const content = { subject: 'Hi {{first_name}}', bodyHtml: '<p>See <a href="https://acme.com">this</a></p>', bodyText: 'See this' };
+
+            try {
+                await campaignLaunchService.launchLeads(campaign, leads, {
+                    getContent: lead => (lead.id === 'lead-1' ? { content, variantId: 'a' } : { content })
+                });
+
+                assert.ok(queued[0].personalizedBodyHtml.includes('/api/campaigns/track/open/lead-1'));
+                assert.ok(queued[0].personalizedBodyHtml.includes('/api/campaigns/track/click/lead-1/1?url=https%3A%2F%2Facme.com'));
+                // Campaigns without variants go out untouched
+                assert.strictEqual(queued[1].personalizedBodyHtml, content.bodyHtml);
+            } finally {
+                delete suppressionService.getSuppressedLeads;
+                delete inboxRotationService.assignLeads;
+                delete spintaxService.saveVariants;
+                delete emailJobService.createImmediateJobs;
+            }
+        }
+    },
+    {
+        name: 'Opens and clicks are recorded on the latest email sent to the lead',
+        run: async () => {
+            const originalQuery = pool.query;
+            const calls = [];
+            pool.query = async (sql, params) => {
+                calls.push({ sql, params });
+                return { rows: [{ id: 'job-2' }] };
+            };
+
+            try {
+                assert.strictEqual(await emailJobService.recordJobEngagement('lead-1', 'click'), 'job-2');
+                assert.deepStrictEqual(calls[0].params, ['lead-1', 'click']);
+                assert.ok(/ORDER BY sent_at DESC\s+LIMIT 1/.test(calls[0].sql));
+            } finally {
+                pool.query = originalQuery;
+            }
+        }
+    },
+    {
+        name: 'Variant results and edit checks are per sent email',
+        run: async () => {
+            const originalQuery = pool.query;
+            const calls = [];
+            pool.query = async (sql, params) => {
+                calls.push({ sql, params });
+                return sql.includes('EXISTS (SELECT 1 FROM email_jobs WHERE variant_id')
+                    ? { rows: [{ sent: true }] }
+                    : { rows: [{ id: 'a', label: 'A', sent: '4', opened: '2', clicked: '1', replied: '1' }] };
+            };
+
+            try {
+                const [stats] = await campaignVariantService.getVariantStats('campaign-1', 2);
+                assert.strictEqual(stats.openRate, 50);
+                assert.strictEqual(stats.replyRate, 25);
+                assert.ok(calls[0].sql.includes('ej.opened_at') && !calls[0].sql.includes('cl.opened_at'));
+                assert.deepStrictEqual(calls[0].params, ['campaign-1', 2]);
+
+                assert.strictEqual(await campaignVariantService.hasSends('variant-a'), true);
+                assert.ok(calls[1].sql.includes("status = 'sent'"));
+            } finally {
+                pool.query = originalQuery;
+            }
+        }
+    }
+];
+
+async function runTests() {
+    let failures = 0;
+
+    console.log('🧪 Testing campaign A/B tests\n');
+
+    for (const test of tests) {
+        try {
+            await test.run();
+            console.log(`✅ ${test.name}`);
+        } catch (error) {
+            failures++;
+            console.log(`❌ ${test.name}: ${error.message}`);
+        }
+    }
+
+    console.log(`\n${failures === 0 ? '🎉 All campaign A/B test tests passed' : `❌ ${failures} test(s) failed`}`);
+    process.exit(failures === 0 ? 0 : 1);
+}
+
+runTests();
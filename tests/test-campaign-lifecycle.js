@@ -0,0 +1,153 @@
+/**
+ * Test the campaign status state machine and what lets a campaign complete (no database needed)
+ * Run: node tests/test-campaign-lifecycle.js
+ */
+
+// Test-only key so the script runs without a .env
+process.env.ENCRYPTION_KEY = process.env.ENCRYPTION_KEY || 'a'.repeat(64);
+
+const assert = require('assert');
+const pool = require('../config/database');
+const campaignLifecycleService = require('../services/campaignLifecycleService');
+const emailJobService = require('../services/emailJobService');
+const emailJobProcessor = require('../services/emailJobProcessor');
+
+/**
+ * Hand out clients that record every query into one list
+ */
+function stubConnect() {
+    const queries = [];
+    pool.connect = async () => ({
+        query: async (sql, params) => {
+            queries.push({ sql, params });
+            return { rows: [], rowCount: 0 };
+        },
+        release: () => {}
+    });
+    return queries;
+}
+
+/**
+ * Campaign lead updates that end a lead's sequence
+ */
+const sequenceStops = queries => queries
+    .filter(query => query.sql.includes('sequence_stopped_at = NOW()'))
+    .map(query => query.params);
+
+const tests = [
+    {
+        name: 'Allows the forward path draft → scheduled → active → paused → completed → archived',
+        run: () => {
+            const path = ['draft', 'scheduled', 'active', 'paused', 'completed', 'archived'];
+            for (let i = 0; i < path.length - 1; i++) {
+                assert.ok(campaignLifecycleService.canTransition(path[i], path[i + 1]), `${path[i]} → ${path[i + 1]}`);
+            }
+        }
+    },
+    {
+        name: 'Rejects moving backwards or out of archived',
+        run: () => {
+            assert.strictEqual(campaignLifecycleService.canTransition('completed', 'active'), false);
+            assert.strictEqual(campaignLifecycleService.canTransition('active', 'draft'), false);
+            assert.strictEqual(campaignLifecycleService.canTransition('active', 'scheduled'), false);
+            assert.strictEqual(campaignLifecycleService.canTransition('draft', 'paused'), false);
+            assert.strictEqual(campaignLifecycleService.canTransition('draft', 'completed'), false);
+            assert.deepStrictEqual(campaignLifecycleService.getAllowedTransitions('archived'), []);
+            assert.strictEqual(campaignLifecycleService.canTransition('unknown', 'active'), false);
+        }
+    },
+    {
+        name: 'Resuming and unscheduling are allowed',
+        run: () => {
+            assert.ok(campaignLifecycleService.canTransition('paused', 'active'));
+            assert.ok(campaignLifecycleService.canTransition('paused', 'scheduled'));
+            assert.ok(campaignLifecycleService.canTransition('scheduled', 'draft'));
+        }
+    },
+    {
+        name: 'Only draft, scheduled and active campaigns can be launched',
+        run: () => {
+            assert.deepStrictEqual(
+                campaignLifecycleService.statuses.filter(status => campaignLifecycleService.canLaunch(status)),
+                ['draft', 'scheduled', 'active']
+            );
+        }
+    },
+    {
+        name: 'Refuses a transition the state machine does not allow',
+        run: async () => {
+            const client = { query: () => assert.fail('no query expected') };
+            await assert.rejects(
+                campaignLifecycleService.transition(client, 'campaign-id', 'active', { fromStatus: 'completed' }),
+                /Cannot change status from completed to active/
+            );
+        }
+    },
+    {
+        name: 'A sequence lead whose follow-up fails for good no longer keeps the campaign active',
+        run: async () => {
+            const originalConnect = pool.connect;
+            const queries = stubConnect();
+            emailJobProcessor.updateCampaignStatistics = async () => {};
+
+            try {
+                const job = { id: 'job-2', campaign_id: 'campaign-1', campaign_lead_id: 'lead-1', campaign_type: 'sequence', retry_count: 3 };
+                await emailJobProcessor.handleJobFailure(job, 'Mailbox rejected the message');
+
+                assert.deepStrictEqual(sequenceStops(queries), [['lead-1', 'send_failed']]);
+                // The job and lead are still marked failed
+                assert.ok(queries.some(query => query.sql.includes("status = 'failed'")));
+
+                // A failure with retries left keeps the sequence going
+                const retryQueries = stubConnect();
+                await emailJobProcessor.handleJobFailure({ ...job, retry_count: 1 }, 'Timeout');
+                assert.deepStrictEqual(sequenceStops(retryQueries), []);
+            } finally {
+                pool.connect = originalConnect;
+                delete emailJobProcessor.updateCampaignStatistics;
+            }
+        }
+    },
+    {
+        name: 'A follow-up that cannot be scheduled stops the sequence instead of leaving it open',
+        run: async () => {
+            const originalConnect = pool.connect;
+            const queries = stubConnect();
+            emailJobService.scheduleNextSequenceStep = async () => {
+                throw new Error('connection terminated');
+            };
+
+            try {
+                await emailJobProcessor.scheduleNextStep({ id: 'job-1', campaign_lead_id: 'lead-1', campaign_type: 'sequence' });
+                assert.deepStrictEqual(sequenceStops(queries), [['lead-1', 'schedule_failed']]);
+                // Follow-ups waiting on a paused campaign or a held mailbox are cancelled too
+                assert.ok(queries.some(query => query.sql.includes("status = 'cancelled'") &&
+                    query.sql.includes("status IN ('pending', 'paused', 'held')")));
+            } finally {
+                pool.connect = originalConnect;
+                delete emailJobService.scheduleNextSequenceStep;
+            }
+        }
+    }
+];
+
+async function runTests() {
+    let failures = 0;
+
+    console.log('🔀 Testing campaign lifecycle\n');
+
+    for (const test of tests) {
+        try {
+            await test.run();
+            console.log(`✅ ${test.name}`);
+        } catch (error) {
+            failures++;
+            console.log(`❌ ${test.name}: ${error.message}`);
+        }
+    }
+
+    console.log(`\n${failures === 0 ? '🎉 All campaign lifecycle tests passed' : `❌ ${failures} test(s) failed`}`);
+    process.exit(failures === 0 ? 0 : 1);
+}
+
+runTests();
@@ -0,0 +1,169 @@
+/**
+ * Test campaign pre-flight checks and send-time estimates (no database needed)
+ * Run: node tests/test-campaign-preflight.js
+ */
+
+// Test-only secret for signing unsubscribe links, so the script runs without a .env
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+
+const assert = require('assert');
+const campaignPreflightService = require('../services/campaignPreflightService');
+
+const steps = [
+    {
+        step: 1,
+        subject: 'Quick question, {{first_name}}',
+        body_html: '<p>Hi {{first_name}}, saw {{company}} is hiring.</p><a href="{{unsubscribeUrl}}">Unsubscribe</a>',
+        body_text: 'Hi {{first_name}}, saw {{company}} is hiring.'
+    },
+    {
+        step: 2,
+        subject: 'Re: Quick question',
+        body_html: '<p>Any thoughts on {{ custom_fields.industry }}?</p>',
+        body_text: ''
+    }
+];
+
+const leads = [
+    { id: 'cl-1', lead_id: 'l-1', email: 'ada@example.com', first_name: 'Ada', company_name: 'Analytical' },
+    { id: 'cl-2', lead_id: 'l-2', email: 'bob@example.com', first_name: 'Bob', company_name: '' },
+    { id: 'cl-3', lead_id: 'l-3', email: 'cy@example.com', first_name: 'Cy', company_name: null }
+];
+
+// Mon-Fri with Christmas blacked out (25 Dec 2026 is a Friday)
+const calendar = {
+    id: 'test',
+    name: 'Business days',
+    allowedWeekdays: [1, 2, 3, 4, 5],
+    blackoutDates: new Set(['2026-12-25'])
+};
+
+const tests = [
+    {
+        name: 'Flags variables no lead can fill as errors',
+        run: () => {
+            const check = campaignPreflightService.checkTemplateVariables(steps, leads, { from_name: 'Sam' });
+            assert.strictEqual(check.status, 'error');
+
+            const unfillable = check.details.missing.find(variable => variable.variable === 'custom_fields.industry');
+            assert.strictEqual(unfillable.leadCount, 3);
+        }
+    },
+    {
+        name: 'Flags variables some leads are missing as warnings',
+        run: () => {
+            const check = campaignPreflightService.checkTemplateVariables([steps[0]], leads, {});
+            assert.strictEqual(check.status, 'warning');
+            assert.strictEqual(check.details.skippedLeads, 2);
+            assert.deepStrictEqual(check.details.missing, [
+                { variable: 'company', leadCount: 2, sampleLeads: ['bob@example.com', 'cy@example.com'] }
+            ]);
+
+            const withDefault = {
+                step: 1,
+                subject: 'Quick question, {{first_name}}',
+                body_html: '<p>Hi {{first_name}} at {{company | default: "your team"}}</p>',
+                body_text: 'Hi {{first_name}} at {{company | default: "your team"}}'
+            };
+            assert.strictEqual(campaignPreflightService.checkTemplateVariables([withDefault], leads, {}).status, 'pass');
+        }
+    },
+    {
+        name: 'Warns about missing unsubscribe links and empty text parts',
+        run: () => {
+            const checks = campaignPreflightService.checkContent(steps);
+            const byId = Object.fromEntries(checks.map(check => [check.id, check]));
+
+            assert.strictEqual(byId.template.status, 'pass');
+            assert.strictEqual(byId.unsubscribe_link.status, 'warning');
+            assert.deepStrictEqual(byId.unsubscribe_link.details.steps, [2]);
+            assert.strictEqual(byId.text_part.status, 'warning');
+            assert.deepStrictEqual(byId.text_part.details.steps, [2]);
+
+            const [missing] = campaignPreflightService.checkContent([]);
+            assert.strictEqual(missing.status, 'error');
+
+            const [broken] = campaignPreflightService.checkContent([{ ...steps[0], body_text: '{% if company %}Hi' }]);
+            assert.strictEqual(broken.status, 'error');
+            assert.strictEqual(broken.details.errors.length, 1);
+        }
+    },
+    {
+        name: 'Reports suppressed leads and blocks when all are suppressed',
+        run: () => {
+            const some = campaignPreflightService.checkLeads(leads, new Map([['l-2', 'unsubscribed']]));
+            assert.strictEqual(some.status, 'warning');
+            assert.strictEqual(some.details.sendable, 2);
+            assert.deepStrictEqual(some.details.reasons, { unsubscribed: 1 });
+
+            const all = campaignPreflightService.checkLeads(leads, new Map(leads.map(lead => [lead.lead_id, 'do_not_contact'])));
+            assert.strictEqual(all.status, 'error');
+
+            assert.strictEqual(campaignPreflightService.checkLeads([], new Map()).status, 'error');
+        }
+    },
+    {
+        name: 'Blocks when no sending account is active',
+        run: () => {
+            const expired = { id: 'a-1', email: 'sam@example.com', status: 'expired', dailyLimit: 50, remainingToday: 50, usable: false };
+            const active = { id: 'a-2', email: 'kim@example.com', status: 'active', dailyLimit: 50, remainingToday: 10, usable: true };
+
+            assert.strictEqual(campaignPreflightService.checkSenders([]).status, 'error');
+            assert.strictEqual(campaignPreflightService.checkSenders([expired]).status, 'error');
+            assert.strictEqual(campaignPreflightService.checkSenders([expired, active]).status, 'warning');
+            assert.strictEqual(campaignPreflightService.checkSenders([active]).status, 'pass');
+        }
+    },
+    {
+        name: 'Estimates sending days around the calendar',
+        run: () => {
+            // Thursday 24 Dec: 10 left today, then 50 a day skipping Christmas and the weekend
+            const estimate = campaignPreflightService.estimateDuration({
+                emails: 100,
+                remainingToday: 10,
+                dailyCapacity: 50,
+                calendar,
+                startDate: '2026-12-24'
+            });
+            assert.strictEqual(estimate.sendingDays, 3);
+            assert.strictEqual(estimate.estimatedCompletionDate, '2026-12-29');
+
+            // Nothing left today, so sending starts on the next sending day
+            const tomorrow = campaignPreflightService.estimateDuration({
+                emails: 50,
+                remainingToday: 0,
+                dailyCapacity: 50,
+                calendar: null,
+                startDate: '2026-12-24'
+            });
+            assert.strictEqual(tomorrow.sendingDays, 1);
+            assert.strictEqual(tomorrow.estimatedCompletionDate, '2026-12-25');
+
+            const noCapacity = campaignPreflightService.estimateDuration({
+                emails: 5, remainingToday: 0, dailyCapacity: 0, calendar: null, startDate: '2026-12-24'
+            });
+            assert.strictEqual(noCapacity.sendingDays, null);
+        }
+    }
+];
+
+async function runTests() {
+    let failures = 0;
+
+    console.log('🛫 Testing campaign pre-flight checks\n');
+
+    for (const test of tests) {
+        try {
+            await test.run();
+            console.log(`✅ ${test.name}`);
+        } catch (error) {
+            failures++;
+            console.log(`❌ ${test.name}: ${error.message}`);
+        }
+    }
+
+    console.log(`\n${failures === 0 ? '🎉 All campaign pre-flight tests passed' : `❌ ${failures} test(s) failed`}`);
+    process.exit(failures === 0 ? 0 : 1);
+}
+
+runTests();
@@ -0,0 +1,56 @@
+/**
+ * Test that test-send tracking never reaches campaign analytics (no database needed)
+ * Run: node tests/test-campaign-test-send.js
+ */
+
+// Test-only key so the script runs without a .env
+process.env.ENCRYPTION_KEY = process.env.ENCRYPTION_KEY || 'a'.repeat(64);
+
+const assert = require('assert');
+const campaignTestSendService = require('../services/campaignTestSendService');
+const emailJobService = require('../services/emailJobService');
+
+const tests = [
+    {
+        name: 'Recognizes test tracking IDs',
+        run: () => {
+            assert.strictEqual(campaignTestSendService.isTestTrackingId('test_0b7c2f9e-8d51-4c36-9a57-3f0e6f0f1a2b'), true);
+            assert.strictEqual(campaignTestSendService.isTestTrackingId('0b7c2f9e-8d51-4c36-9a57-3f0e6f0f1a2b'), false);
+            assert.strictEqual(campaignTestSendService.isTestTrackingId(undefined), false);
+        }
+    },
+    {
+        name: 'Tracked test emails only carry the test tracking ID',
+        run: () => {
+            const html = emailJobService.addEmailTracking(
+                '<p><a href="https://example.com/pricing">Pricing</a></p>',
+                'test_abc',
+                'https://api.example.com'
+            );
+
+            assert.ok(html.includes('https://api.example.com/api/campaigns/track/open/test_abc'));
+            assert.ok(html.includes('https://api.example.com/api/campaigns/track/click/test_abc/1?url=https%3A%2F%2Fexample.com%2Fpricing'));
+        }
+    }
+];
+
+async function runTests() {
+    let failures = 0;
+
+    console.log('🧪 Testing campaign test sends\n');
+
+    for (const test of tests) {
+        try {
+            await test.run();
+            console.log(`✅ ${test.name}`);
+        } catch (error) {
+            failures++;
+            console.log(`❌ ${test.name}: ${error.message}`);
+        }
+    }
+
+    console.log(`\n${failures === 0 ? '🎉 All campaign test send tests passed' : `❌ ${failures} test(s) failed`}`);
+    process.exit(failures === 0 ? 0 : 1);
+}
+
+runTests();
@@ -0,0 +1,109 @@
+/**
+ * Test follow-up threading headers and "Re:" subjects (no database needed)
+ * Run: node tests/test-email-threading.js
+ */
+
+// Test-only key so the script runs without a .env
+process.env.ENCRYPTION_KEY = process.env.ENCRYPTION_KEY || 'a'.repeat(64);
+
+const assert = require('assert');
+const emailJobService = require('../services/emailJobService');
+const gmailService = require('../services/gmailService');
+
+const decode = raw => Buffer.from(raw.replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString();
+
+const tests = [
+    {
+        name: 'Replies to the latest email and references the whole thread',
+        run: () => {
+            const thread = emailJobService.buildThreadContext([
+                { subject: 'Quick question', thread_id: 't1', rfc_message_id: '<one@mail.gmail.com>' },
+                { subject: 'Following up', thread_id: 't1', rfc_message_id: '<two@mail.gmail.com>' }
+            ]);
+
+            assert.deepStrictEqual(thread, {
+                threadId: 't1',
+                subject: 'Quick question',
+                inReplyTo: '<two@mail.gmail.com>',
+                references: '<one@mail.gmail.com> <two@mail.gmail.com>'
+            });
+        }
+    },
+    {
+        name: 'A step that started a new thread starts a new chain',
+        run: () => {
+            const thread = emailJobService.buildThreadContext([
+                { subject: 'Quick question', thread_id: 't1', rfc_message_id: '<one@mail.gmail.com>' },
+                { subject: 'New idea', thread_id: 't2', rfc_message_id: '<two@mail.gmail.com>' }
+            ]);
+
+            assert.strictEqual(thread.threadId, 't2');
+            assert.strictEqual(thread.subject, 'New idea');
+            assert.strictEqual(thread.references, '<two@mail.gmail.com>');
+        }
+    },
+    {
+        name: 'Without earlier sends or Message-IDs there is nothing to reply to',
+        run: () => {
+            assert.strictEqual(emailJobService.buildThreadContext([]), null);
+
+            const thread = emailJobService.buildThreadContext([{ subject: 'Hi', thread_id: 't1', rfc_message_id: null }]);
+            assert.strictEqual(thread.threadId, 't1');
+            assert.strictEqual(thread.inReplyTo, null);
+            assert.strictEqual(thread.references, null);
+        }
+    },
+    {
+        name: 'Reply subjects do not stack prefixes',
+        run: () => {
+            assert.strictEqual(emailJobService.toReplySubject('Quick question'), 'Re: Quick question');
+            assert.strictEqual(emailJobService.toReplySubject('Re: Quick question'), 'Re: Quick question');
+            assert.strictEqual(emailJobService.toReplySubject('RE: Aw: Quick question'), 'Re: Quick question');
+        }
+    },
+    {
+        name: 'Message carries In-Reply-To and References only for replies',
+        run: () => {
+            const reply = decode(gmailService.constructEmailMessage({
+                from: 'sam@example.com',
+                to: 'ana@example.com',
+                subject: 'Re: Quick question',
+                textBody: 'Hi',
+                inReplyTo: '<two@mail.gmail.com>',
+                references: '<one@mail.gmail.com> <two@mail.gmail.com>'
+            }));
+            assert.ok(reply.includes('In-Reply-To: <two@mail.gmail.com>\r\n'));
+            assert.ok(reply.includes('References: <one@mail.gmail.com> <two@mail.gmail.com>\r\n'));
+
+            const first = decode(gmailService.constructEmailMessage({
+                from: 'sam@example.com',
+                to: 'ana@example.com',
+                subject: 'Quick question',
+                textBody: 'Hi'
+            }));
+            assert.ok(!first.includes('In-Reply-To'));
+            assert.ok(!first.includes('References'));
+        }
+    }
+];
+
+async function runTests() {
+    let failures = 0;
+
+    console.log('🧵 Testing email threading\n');
+
+    for (const test of tests) {
+        try {
+            await test.run();
+            console.log(`✅ ${test.name}`);
+        } catch (error) {
+            failures++;
+            console.log(`❌ ${test.name}: ${error.message}`);
+        }
+    }
+
+    console.log(`\n${failures === 0 ? '🎉 All email threading tests passed' : `❌ ${failures} test(s) failed`}`);
+    process.exit(failures === 0 ? 0 : 1);
+}
+
+runTests();
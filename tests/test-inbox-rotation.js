@@ -0,0 +1,78 @@
+/**
+ * Test mailbox selection for inbox rotation (no database needed)
+ * Run: node tests/test-inbox-rotation.js
+ */
+
+const assert = require('assert');
+const inboxRotationService = require('../services/inboxRotationService');
+
+const mailboxes = [
+    { email_account_id: 'a', assigned_leads: 0, remaining_capacity: 10 },
+    { email_account_id: 'b', assigned_leads: 0, remaining_capacity: 30 },
+    { email_account_id: 'c', assigned_leads: 0, remaining_capacity: 20 }
+];
+
+const countPicks = (picks) => picks.reduce((counts, id) => ({ ...counts, [id]: (counts[id] || 0) + 1 }), {});
+
+const tests = [
+    {
+        name: 'Round-robin cycles through mailboxes in order',
+        run: () => {
+            assert.deepStrictEqual(inboxRotationService.pickMailboxes(mailboxes, 7, 'round_robin'), ['a', 'b', 'c', 'a', 'b', 'c', 'a']);
+        }
+    },
+    {
+        name: 'Round-robin evens out leads assigned at earlier launches',
+        run: () => {
+            const picks = inboxRotationService.pickMailboxes([
+                { email_account_id: 'a', assigned_leads: 5 },
+                { email_account_id: 'b', assigned_leads: 2 },
+                { email_account_id: 'c', assigned_leads: 0 }
+            ], 8, 'round_robin');
+
+            assert.deepStrictEqual(countPicks(picks), { b: 3, c: 5 });
+        }
+    },
+    {
+        name: 'Capacity weighting follows remaining daily capacity',
+        run: () => {
+            const picks = inboxRotationService.pickMailboxes(mailboxes, 36, 'capacity');
+            assert.deepStrictEqual(countPicks(picks), { a: 2, b: 22, c: 12 });
+            assert.strictEqual(picks[0], 'b');
+        }
+    },
+    {
+        name: 'Capacity weighting keeps spreading once every mailbox is full',
+        run: () => {
+            const picks = inboxRotationService.pickMailboxes([
+                { email_account_id: 'a', remaining_capacity: 0 },
+                { email_account_id: 'b', remaining_capacity: 0 }
+            ], 4, 'capacity');
+
+            assert.deepStrictEqual(picks, ['a', 'b', 'a', 'b']);
+        }
+    },
+    {
+        name: 'No mailboxes means no picks',
+        run: () => {
+            assert.deepStrictEqual(inboxRotationService.pickMailboxes([], 3), []);
+        }
+    }
+];
+
+let failures = 0;
+
+console.log('📬 Testing inbox rotation\n');
+
+for (const test of tests) {
+    try {
+        test.run();
+        console.log(`✅ ${test.name}`);
+    } catch (error) {
+        failures++;
+        console.log(`❌ ${test.name}: ${error.message}`);
+    }
+}
+
+console.log(`\n${failures === 0 ? '🎉 All inbox rotation tests passed' : `❌ ${failures} test(s) failed`}`);
+process.exit(failures === 0 ? 0 : 1);
@@ -0,0 +1,215 @@
+/**
+ * Test the mail provider registry, capabilities and the capture adapter (no database needed)
+ * Run: node tests/test-mail-providers.js
+ */
+
+// Test-only key so the script runs without a .env
+process.env.ENCRYPTION_KEY = process.env.ENCRYPTION_KEY || 'a'.repeat(64);
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mailProviders = require('../services/mailProviders');
+const captureProvider = require('../services/mailProviders/captureProvider');
+
+const ACCOUNT_ID = '00000000-0000-0000-0000-000000000001';
+const SENDER = 'sam@example.com';
+
+const tests = [
+    {
+        name: 'Each email_accounts provider has an adapter',
+        run: () => {
+            assert.deepStrictEqual(mailProviders.list(), ['gmail', 'outlook', 'imap_smtp', 'capture']);
+            assert.strictEqual(mailProviders.get('gmail').name, 'gmail');
+            assert.strictEqual(mailProviders.forAccount({ provider: 'imap_smtp' }).name, 'imap_smtp');
+            assert.throws(() => mailProviders.get('yahoo'), /Unsupported mail provider: yahoo/);
+            assert.throws(() => mailProviders.register({ name: 'fake' }), /must extend MailProvider/);
+        }
+    },
+    {
+        name: 'Capabilities describe threading, reading, credentials and limits',
+        run: () => {
+            const gmail = mailProviders.get('gmail').capabilities;
+            const outlook = mailProviders.get('outlook').capabilities;
+            const smtp = mailProviders.get('imap_smtp').capabilities;
+
+            assert.strictEqual(gmail.threading, 'native');
+            assert.strictEqual(outlook.threading, 'conversation');
+            assert.strictEqual(smtp.threading, 'headers');
+            assert.strictEqual(gmail.quotaUnits.sendEmail, 105);
+            assert.strictEqual(outlook.maxMessageBytes, 3 * 1024 * 1024);
+            assert.strictEqual(smtp.maxMessageBytes, null);
+            assert.strictEqual(captureProvider.capabilities.deliversMail, false);
+
+            assert.deepStrictEqual(mailProviders.namesWith('readMessages'), ['gmail', 'outlook', 'imap_smtp', 'capture']);
+            assert.deepStrictEqual(mailProviders.namesWith('refreshableCredentials'), ['gmail', 'outlook']);
+        }
+    },
+    {
+        name: 'Adapters without an operation say so; credentials without expiry need no refresh',
+        run: async () => {
+            const provider = new mailProviders.MailProvider('test', { threading: 'native' });
+
+            assert.strictEqual(provider.capabilities.threading, 'native');
+            assert.strictEqual(provider.capabilities.readMessages, false);
+            await assert.rejects(provider.sendEmail(ACCOUNT_ID, {}), /test mail provider does not support sending email/);
+            assert.deepStrictEqual(await mailProviders.get('imap_smtp').refreshCredentials(ACCOUNT_ID), { refreshed: false, expiresAt: null });
+        }
+    },
+    {
+        name: 'Bounce searches translate to each provider\'s search syntax',
+        run: () => {
+            const since = new Date('2026-03-01T12:00:00Z');
+
+            assert.deepStrictEqual(mailProviders.get('gmail').toSearchOptions({ maxResults: 50, since, bounces: true }), {
+                maxResults: 50,
+                query: `from:(mailer-daemon OR postmaster) after:${since.getTime() / 1000}`
+            });
+            assert.deepStrictEqual(mailProviders.get('outlook').toSearchOptions({ since, bounces: true }), {
+                maxResults: 10,
+                search: '(from:postmaster OR from:mailer-daemon OR subject:Undeliverable) AND received>=2026-03-01',
+                includeDeliveryStatus: true
+            });
+            assert.deepStrictEqual(mailProviders.get('imap_smtp').toSearchOptions({ since, bounces: true }).search, {
+                or: [{ from: 'mailer-daemon' }, { from: 'postmaster' }],
+                since
+            });
+            assert.deepStrictEqual(mailProviders.get('imap_smtp').toSearchOptions({}).search, { all: true });
+        }
+    },
+    {
+        name: 'MAIL_PROVIDER_OVERRIDE routes every account to the capture adapter',
+        run: () => {
+            process.env.MAIL_PROVIDER_OVERRIDE = 'capture';
+
+            try {
+                assert.strictEqual(mailProviders.get('gmail'), captureProvider);
+                assert.strictEqual(mailProviders.forAccount({ provider: 'outlook' }), captureProvider);
+                assert.deepStrictEqual(mailProviders.namesWith('refreshableCredentials'), []);
+            } finally {
+                delete process.env.MAIL_PROVIDER_OVERRIDE;
+            }
+
+            assert.strictEqual(mailProviders.get('gmail').name, 'gmail');
+        }
+    },
+    {
+        name: 'Capture records sends with the same threading as SMTP',
+        run: async () => {
+            captureProvider.clear();
+
+            const first = await captureProvider.sendEmail(ACCOUNT_ID, {
+                to: 'ana@example.org',
+                fromName: 'Sam',
+                subject: 'Quick question',
+                textBody: 'Hi Ana'
+            });
+            const followUp = await captureProvider.sendEmail(ACCOUNT_ID, {
+                to: 'ana@example.org',
+                subject: 'Re: Quick question',
+                textBody: 'Following up',
+                threadId: first.threadId,
+                inReplyTo: first.rfcMessageId,
+                references: first.rfcMessageId
+            });
+
+            assert.strictEqual(first.threadId, first.messageId);
+            assert.ok(first.messageId.endsWith('@example.com>'));
+            assert.strictEqual(followUp.threadId, first.threadId);
+
+            const captured = captureProvider.getMessages(ACCOUNT_ID);
+            assert.strictEqual(captured.length, 2);
+            assert.ok(captured[0].from.includes(SENDER));
+            assert.strictEqual(captured[0].to, 'ana@example.org');
+            assert.strictEqual(captured[1].inReplyTo, first.rfcMessageId);
+            assert.deepStrictEqual(captured[1].labelIds, ['SENT']);
+        }
+    },
+    {
+        name: 'Delivered replies and bounces are readable like a real inbox',
+        run: async () => {
+            const [first] = captureProvider.getMessages(ACCOUNT_ID);
+
+            await captureProvider.deliver(ACCOUNT_ID, [
+                'From: Ana <ana@example.org>',
+                `To: ${SENDER}`,
+                'Subject: Re: Quick question',
+                'Message-ID: <reply-1@example.org>',
+                `In-Reply-To: ${first.messageIdHeader}`,
+                `References: ${first.messageIdHeader}`,
+                '',
+                'Sounds good.'
+            ].join('\r\n'));
+            await captureProvider.deliver(ACCOUNT_ID, [
+                'From: Mail Delivery System <MAILER-DAEMON@example.com>',
+                `To: ${SENDER}`,
+                'Subject: Undelivered Mail Returned to Sender',
+                'Message-ID: <bounce-1@example.com>',
+                '',
+                'This is the mail system.'
+            ].join('\r\n'));
+
+            const thread = await captureProvider.getThread(ACCOUNT_ID, first.threadId);
+            assert.strictEqual(thread.messages.length, 3);
+            assert.strictEqual(thread.messages[2].snippet, 'Sounds good.');
+
+            const inbox = await captureProvider.listMessages(ACCOUNT_ID);
+            assert.deepStrictEqual(inbox.map(message => message.id), ['<bounce-1@example.com>', '<reply-1@example.org>']);
+
+            const bounces = await captureProvider.listMessages(ACCOUNT_ID, { bounces: true, since: new Date(Date.now() - 60000) });
+            assert.deepStrictEqual(bounces.map(message => message.id), ['<bounce-1@example.com>']);
+            assert.strictEqual((await captureProvider.listMessages(ACCOUNT_ID, { since: new Date(Date.now() + 60000) })).length, 0);
+        }
+    },
+    {
+        name: 'Capture keeps the newest messages and can write .eml files',
+        run: async () => {
+            const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mail-capture-'));
+            const { limit, captureDir } = captureProvider;
+            captureProvider.limit = 2;
+            captureProvider.captureDir = dir;
+
+            try {
+                captureProvider.clear();
+                for (const subject of ['One', 'Two', 'Three']) {
+                    await captureProvider.sendEmail(ACCOUNT_ID, { to: 'ana@example.org', subject, textBody: subject });
+                }
+
+                assert.deepStrictEqual(captureProvider.getMessages().map(message => message.subject), ['Two', 'Three']);
+                const files = fs.readdirSync(dir);
+                assert.strictEqual(files.length, 3);
+                assert.ok(files.every(file => file.endsWith('.eml')));
+                assert.ok(fs.readFileSync(path.join(dir, files[0]), 'utf8').includes('Subject: '));
+            } finally {
+                captureProvider.limit = limit;
+                captureProvider.captureDir = captureDir;
+                fs.rmSync(dir, { recursive: true, force: true });
+            }
+        }
+    }
+];
+
+async function runTests() {
+    let failures = 0;
+
+    console.log('📬 Testing mail providers\n');
+
+    // Sender lookups would otherwise go to email_accounts
+    captureProvider.accounts.set(ACCOUNT_ID, SENDER);
+
+    for (const test of tests) {
+        try {
+            await test.run();
+            console.log(`✅ ${test.name}`);
+        } catch (error) {
+            failures++;
+            console.log(`❌ ${test.name}: ${error.message}`);
+        }
+    }
+
+    console.log(`\n${failures === 0 ? '🎉 All mail provider tests passed' : `❌ ${failures} test(s) failed`}`);
+    process.exit(failures === 0 ? 0 : 1);
+}
+
+runTests();
@@ -0,0 +1,154 @@
+/**
+ * Test per-mailbox caps and warm-up ramps (no database needed)
+ * Run: node tests/test-mailbox-limits.js
+ */
+
+// Test-only key so the script runs without a .env
+process.env.ENCRYPTION_KEY = process.env.ENCRYPTION_KEY || 'a'.repeat(64);
+
+const assert = require('assert');
+const mailboxLimitService = require('../services/mailboxLimitService');
+const emailJobProcessor = require('../services/emailJobProcessor');
+
+const now = new Date('2026-10-19T12:00:00Z');
+const daysAgo = (days) => new Date(now.getTime() - days * 24 * 60 * 60 * 1000);
+const noUsage = { sentLastHour: 0, sentLastDay: 0, oldestInHour: null, oldestInDay: null };
+
+const warmingAccount = {
+    id: 'mailbox',
+    daily_send_limit: 100,
+    hourly_send_limit: 20,
+    warmup_enabled: true,
+    warmup_started_at: daysAgo(10),
+    warmup_start_volume: 5,
+    warmup_daily_increment: 3,
+    warmup_max_volume: 65
+};
+
+const tests = [
+    {
+        name: 'Warm-up ramps from the start volume by the daily increment',
+        run: () => {
+            assert.strictEqual(mailboxLimitService.getWarmupStatus({ ...warmingAccount, warmup_started_at: now }, now).volume, 5);
+
+            const status = mailboxLimitService.getWarmupStatus(warmingAccount, now);
+            assert.strictEqual(status.day, 10);
+            assert.strictEqual(status.volume, 35);
+            assert.strictEqual(status.percentComplete, 50);
+            assert.strictEqual(status.isComplete, false);
+            assert.strictEqual(status.completesAt.toISOString(), daysAgo(-10).toISOString());
+        }
+    },
+    {
+        name: 'Warm-up stops at the ceiling',
+        run: () => {
+            const status = mailboxLimitService.getWarmupStatus({ ...warmingAccount, warmup_started_at: daysAgo(60) }, now);
+            assert.strictEqual(status.volume, 65);
+            assert.strictEqual(status.isComplete, true);
+            assert.strictEqual(mailboxLimitService.getWarmupStatus({ ...warmingAccount, warmup_enabled: false }, now), null);
+        }
+    },
+    {
+        name: 'Allowance is the lower of the daily cap and the warm-up volume',
+        run: () => {
+            const warming = mailboxLimitService.getAllowance(warmingAccount, noUsage, now);
+            assert.strictEqual(warming.dailyLimit, 35);
+            assert.strictEqual(warming.hourlyLimit, 20);
+            assert.strictEqual(warming.canSend, true);
+
+            const capped = mailboxLimitService.getAllowance({ ...warmingAccount, daily_send_limit: 10 }, noUsage, now);
+            assert.strictEqual(capped.dailyLimit, 10);
+            assert.strictEqual(capped.hourlyLimit, 10);
+        }
+    },
+    {
+        name: 'Blocks at the daily limit until the oldest send is 24 hours old',
+        run: () => {
+            const allowance = mailboxLimitService.getAllowance(warmingAccount, {
+                sentLastHour: 2,
+                sentLastDay: 35,
+                oldestInHour: new Date('2026-10-19T11:30:00Z'),
+                oldestInDay: new Date('2026-10-18T15:00:00Z')
+            }, now);
+
+            assert.strictEqual(allowance.canSend, false);
+            assert.ok(allowance.reason.startsWith('Daily limit reached (35/35'));
+            assert.strictEqual(allowance.nextAvailableAt.toISOString(), '2026-10-19T15:00:00.000Z');
+        }
+    },
+    {
+        name: 'Blocks at the hourly limit until the oldest send is an hour old',
+        run: () => {
+            const allowance = mailboxLimitService.getAllowance({ id: 'plain', daily_send_limit: 50, hourly_send_limit: 5 }, {
+                sentLastHour: 5,
+                sentLastDay: 12,
+                oldestInHour: new Date('2026-10-19T11:20:00Z'),
+                oldestInDay: new Date('2026-10-19T02:00:00Z')
+            }, now);
+
+            assert.strictEqual(allowance.canSend, false);
+            assert.strictEqual(allowance.reason, 'Hourly limit reached (5/5)');
+            assert.strictEqual(allowance.nextAvailableAt.toISOString(), '2026-10-19T12:20:00.000Z');
+            assert.strictEqual(allowance.remainingToday, 38);
+        }
+    },
+    {
+        name: 'Mailboxes without caps are never held back',
+        run: () => {
+            const allowance = mailboxLimitService.getAllowance({ id: 'legacy', daily_send_limit: null, hourly_send_limit: null }, {
+                sentLastHour: 400,
+                sentLastDay: 2000,
+                oldestInHour: new Date('2026-10-19T11:20:00Z'),
+                oldestInDay: new Date('2026-10-19T02:00:00Z')
+            }, now);
+
+            assert.strictEqual(allowance.canSend, true);
+            assert.strictEqual(allowance.remainingToday, Infinity);
+            assert.strictEqual(JSON.parse(JSON.stringify(allowance)).dailyLimit, null);
+
+            const warming = mailboxLimitService.getAllowance({ ...warmingAccount, daily_send_limit: null, hourly_send_limit: null }, noUsage, now);
+            assert.strictEqual(warming.dailyLimit, 35);
+            assert.strictEqual(warming.hourlyLimit, 35);
+        }
+    },
+    {
+        name: 'Jobs for one mailbox run one at a time',
+        run: async () => {
+            const order = [];
+            const job = async (accountId, name) => {
+                const release = await emailJobProcessor.acquireMailbox(accountId);
+                order.push(`${name} start`);
+                await new Promise(resolve => setImmediate(resolve));
+                order.push(`${name} end`);
+                release();
+            };
+
+            await Promise.all([job('a', 'a1'), job('a', 'a2'), job('b', 'b1'), job('a', 'a3')]);
+
+            assert.deepStrictEqual(order.filter(step => step.startsWith('a')), ['a1 start', 'a1 end', 'a2 start', 'a2 end', 'a3 start', 'a3 end']);
+            assert.ok(order.indexOf('b1 start') < order.indexOf('a1 end'));
+            assert.strictEqual(emailJobProcessor.mailboxQueues.size, 0);
+        }
+    }
+];
+
+async function runTests() {
+    let failures = 0;
+
+    console.log('🔥 Testing mailbox limits and warm-up\n');
+
+    for (const test of tests) {
+        try {
+            await test.run();
+            console.log(`✅ ${test.name}`);
+        } catch (error) {
+            failures++;
+            console.log(`❌ ${test.name}: ${error.message}`);
+        }
+    }
+
+    console.log(`\n${failures === 0 ? '🎉 All mailbox limit tests passed' : `❌ ${failures} test(s) failed`}`);
+    process.exit(failures === 0 ? 0 : 1);
+}
+
+runTests();
@@ -0,0 +1,207 @@
+/**
+ * Test MIME message composition and attachment limits (no database needed)
+ * Run: node tests/test-mime-builder.js
+ */
+
+// Test-only key so the script runs without a .env
+process.env.ENCRYPTION_KEY = process.env.ENCRYPTION_KEY || 'a'.repeat(64);
+
+const assert = require('assert');
+const mimeBuilder = require('../services/mimeBuilder');
+const campaignAttachmentService = require('../services/campaignAttachmentService');
+const emailJobProcessor = require('../services/emailJobProcessor');
+
+const decodeWords = value => value.replace(/\r\n /g, '').replace(/=\?UTF-8\?B\?([^?]*)\?=/g, (_, b64) => Buffer.from(b64, 'base64').toString());
+
+const decodeQuotedPrintable = value => Buffer.from(
+    value.replace(/=\r\n/g, '').replace(/=([0-9A-F]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16))),
+    'latin1'
+).toString('utf8');
+
+const headerOf = (raw, name) => {
+    const head = raw.split('\r\n\r\n')[0].replace(/\r\n /g, ' ');
+    const line = head.split('\r\n').find(entry => entry.toLowerCase().startsWith(`${name.toLowerCase()}:`));
+    return line ? line.slice(name.length + 1).trim() : null;
+};
+
+const tests = [
+    {
+        name: 'Non-ASCII subjects become short encoded-words that decode back',
+        run: () => {
+            const subject = 'Grüße aus Zürich — ' + 'ü'.repeat(60);
+            const encoded = mimeBuilder.encodeHeader(subject);
+
+            assert.ok(encoded.startsWith('=?UTF-8?B?'));
+            assert.ok(encoded.split('\r\n ').every(word => word.length <= 75));
+            assert.strictEqual(decodeWords(encoded), subject);
+            assert.strictEqual(mimeBuilder.encodeHeader('Plain subject'), 'Plain subject');
+        }
+    },
+    {
+        name: 'Display names are quoted or encoded',
+        run: () => {
+            assert.strictEqual(mimeBuilder.formatAddress({ name: 'Sam Lee', email: 'sam@example.com' }), 'Sam Lee <sam@example.com>');
+            assert.strictEqual(mimeBuilder.formatAddress('"Lee, Sam" <sam@example.com>'), '"Lee, Sam" <sam@example.com>');
+            assert.strictEqual(decodeWords(mimeBuilder.formatAddress({ name: 'José', email: 'jose@example.com' })), 'José <jose@example.com>');
+            assert.strictEqual(
+                mimeBuilder.formatAddressList('a@example.com, "Lee, Sam" <sam@example.com>'),
+                'a@example.com, "Lee, Sam" <sam@example.com>'
+            );
+        }
+    },
+    {
+        name: 'Quoted-printable keeps lines under 77 characters and round-trips',
+        run: () => {
+            const text = `${'Long line with ünïcödé and = signs '.repeat(10)}\nSecond line ends with a space `;
+            const encoded = mimeBuilder.encodeQuotedPrintable(text);
+
+            assert.ok(encoded.split('\r\n').every(line => line.length <= 76));
+            assert.ok(encoded.endsWith('=20'));
+            assert.strictEqual(decodeQuotedPrintable(encoded), text.replace(/\n/g, '\r\n'));
+        }
+    },
+    {
+        name: 'Attachments and inline images are nested mixed > related > alternative',
+        run: () => {
+            const { raw } = mimeBuilder.build({
+                from: 'sam@example.com',
+                to: 'ana@example.com',
+                subject: 'Deck',
+                textBody: 'See attached',
+                htmlBody: '<p>See attached <img src="cid:logo"></p>',
+                attachments: [
+                    { filename: 'deck.pdf', contentType: 'application/pdf', content: Buffer.from('%PDF').toString('base64') },
+                    { filename: 'logo.png', contentType: 'image/png', content: Buffer.from('png'), contentId: 'logo' }
+                ]
+            });
+
+            const mixed = raw.indexOf('multipart/mixed');
+            const alternative = raw.indexOf('multipart/alternative');
+            const related = raw.indexOf('multipart/related');
+            assert.ok(mixed > 0 && mixed < alternative && alternative < related);
+            assert.ok(raw.includes('Content-Disposition: attachment; filename="deck.pdf"'));
+            assert.ok(raw.includes('Content-Disposition: inline; filename="logo.png"'));
+            assert.ok(raw.includes('Content-ID: <logo>'));
+            assert.ok(raw.includes(Buffer.from('%PDF').toString('base64')));
+        }
+    },
+    {
+        name: 'Non-ASCII file names use RFC 2231',
+        run: () => {
+            const { raw } = mimeBuilder.build({
+                from: 'sam@example.com',
+                to: 'ana@example.com',
+                subject: 'Angebot',
+                textBody: 'Hallo',
+                attachments: [{ filename: 'Angebot für Sie.pdf', content: Buffer.from('x') }]
+            });
+
+            assert.ok(raw.includes("filename*=UTF-8''Angebot%20f%C3%BCr%20Sie.pdf"));
+        }
+    },
+    {
+        name: 'Message-ID, threading and custom headers; line breaks cannot inject headers',
+        run: () => {
+            const { raw, messageId } = mimeBuilder.build({
+                from: 'sam@example.com',
+                to: 'ana@example.com',
+                bcc: 'boss@example.com',
+                subject: 'Hi\r\nBcc: attacker@example.com',
+                textBody: 'Hi',
+                inReplyTo: '<one@example.com>',
+                headers: { 'List-Unsubscribe': '<https://example.com/u>', 'Message-ID': '<forged@example.com>' }
+            }, { includeBcc: false });
+
+            assert.ok(/^<[0-9a-f-]+@example\.com>$/.test(messageId));
+            assert.strictEqual(headerOf(raw, 'Message-ID'), messageId);
+            assert.strictEqual(headerOf(raw, 'References'), '<one@example.com>');
+            assert.strictEqual(headerOf(raw, 'List-Unsubscribe'), '<https://example.com/u>');
+            assert.strictEqual(headerOf(raw, 'Bcc'), null);
+            assert.strictEqual(headerOf(raw, 'Subject'), 'Hi Bcc: attacker@example.com');
+        }
+    },
+    {
+        name: 'Client attachments are validated',
+        run: () => {
+            assert.deepStrictEqual(mimeBuilder.validateAttachments(undefined), []);
+            assert.deepStrictEqual(mimeBuilder.validateAttachments([{ filename: 'a.txt', content: 'aGVsbG8=' }]), []);
+            assert.strictEqual(mimeBuilder.validateAttachments([{ filename: '../a.txt', content: 'aGVsbG8=' }]).length, 1);
+            assert.strictEqual(mimeBuilder.validateAttachments([{ filename: 'a.txt', content: 'not base64!' }]).length, 1);
+            assert.ok(mimeBuilder.validateAttachments(Array(11).fill({ filename: 'a.txt', content: 'aGVsbG8=' }))[0].includes('No more than'));
+        }
+    },
+    {
+        name: 'Campaign-wide files count against every step',
+        run: () => {
+            const mb = 1024 * 1024;
+            const existing = [
+                { step_number: null, size_bytes: 10 * mb },
+                { step_number: 2, size_bytes: 7 * mb }
+            ];
+
+            assert.strictEqual(campaignAttachmentService.checkLimits(existing, 1, 7 * mb), null);
+            assert.ok(campaignAttachmentService.checkLimits(existing, 2, 2 * mb).includes('18MB'));
+            assert.ok(campaignAttachmentService.checkLimits(existing, null, 2 * mb).includes('18MB'));
+
+            const full = Array(10).fill({ step_number: null, size_bytes: 1 });
+            assert.ok(campaignAttachmentService.checkLimits(full, 3, 1).includes('more than 10'));
+        }
+    },
+    {
+        name: 'Attachments are loaded once per campaign step in a batch',
+        run: async () => {
+            const original = campaignAttachmentService.getAttachmentsForSend;
+            const loads = [];
+            campaignAttachmentService.getAttachmentsForSend = async (campaignId, step) => {
+                loads.push(`${campaignId}:${step}`);
+                if (campaignId === 'broken' && loads.filter(key => key === 'broken:1').length === 1) {
+                    throw new Error('connection reset');
+                }
+                return [{ filename: `${campaignId}-${step}.pdf` }];
+            };
+
+            try {
+                const cache = new Map();
+                const jobs = [
+                    { campaign_id: 'c1', sequence_step: 1 },
+                    { campaign_id: 'c1' },
+                    { campaign_id: 'c1', sequence_step: 2 },
+                    { campaign_id: 'c2', sequence_step: 1 }
+                ];
+                const results = await Promise.all(jobs.map(job => emailJobProcessor.getAttachmentsForJob(job, cache)));
+
+                assert.deepStrictEqual(loads, ['c1:1', 'c1:2', 'c2:1']);
+                assert.strictEqual(results[0], results[1]);
+                assert.strictEqual(results[2][0].filename, 'c1-2.pdf');
+
+                // A failed load is retried by the next job instead of failing the whole batch
+                await assert.rejects(emailJobProcessor.getAttachmentsForJob({ campaign_id: 'broken' }, cache), /connection reset/);
+                const retried = await emailJobProcessor.getAttachmentsForJob({ campaign_id: 'broken' }, cache);
+                assert.strictEqual(retried[0].filename, 'broken-1.pdf');
+            } finally {
+                campaignAttachmentService.getAttachmentsForSend = original;
+            }
+        }
+    }
+];
+
+async function runTests() {
+    let failures = 0;
+
+    console.log('📎 Testing MIME builder\n');
+
+    for (const test of tests) {
+        try {
+            await test.run();
+            console.log(`✅ ${test.name}`);
+        } catch (error) {
+            failures++;
+            console.log(`❌ ${test.name}: ${error.message}`);
+        }
+    }
+
+    console.log(`\n${failures === 0 ? '🎉 All MIME builder tests passed' : `❌ ${failures} test(s) failed`}`);
+    process.exit(failures === 0 ? 0 : 1);
+}
+
+runTests();
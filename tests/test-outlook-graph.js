@@ -0,0 +1,333 @@
+/**
+ * Test Microsoft sign-in and Outlook mailboxes against a mocked Microsoft endpoint (no database needed)
+ * Run: node tests/test-outlook-graph.js
+ */
+
+// Test-only key so the script runs without a .env
+process.env.ENCRYPTION_KEY = process.env.ENCRYPTION_KEY || 'a'.repeat(64);
+
+const assert = require('assert');
+const crypto = require('crypto');
+const http = require('http');
+const jwt = require('jsonwebtoken');
+
+const CLIENT_ID = 'reachly-test-client';
+const TENANT_ID = '11111111-2222-4333-8444-555555555555';
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+// Services read their endpoints when loaded, so they are required once the mock is listening
+let microsoftIdentityService;
+let outlookService;
+let bounceProcessor;
+let mailProviders;
+
+/**
+ * Mock of the Microsoft identity platform and Graph; records the requests it gets
+ */
+function startMicrosoftMock() {
+    const state = { requests: [], drafts: new Map(), sent: [], conversation: [], inbox: [], sources: new Map() };
+
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            const url = new URL(req.url, 'http://localhost');
+            state.requests.push({ method: req.method, path: url.pathname, query: url.searchParams, headers: req.headers, body });
+
+            const json = (status, data) => {
+                res.writeHead(status, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify(data));
+            };
+
+            if (url.pathname === `/common/oauth2/v2.0/token`) {
+                const params = new URLSearchParams(body);
+                if (params.get('refresh_token') === 'revoked-refresh') {
+                    return json(400, { error: 'invalid_grant', error_description: 'AADSTS70008: The refresh token has expired' });
+                }
+                return json(200, {
+                    access_token: `access-${params.get('grant_type')}`,
+                    refresh_token: params.get('grant_type') === 'authorization_code' ? 'refresh-1' : undefined,
+                    expires_in: 3600,
+                    token_type: 'Bearer',
+                    scope: params.get('scope')
+                });
+            }
+
+            if (url.pathname === `/common/discovery/v2.0/keys`) {
+                return json(200, { keys: [{ ...publicKey.export({ format: 'jwk' }), kid: 'key-1', use: 'sig' }] });
+            }
+
+            if (req.headers.authorization !== 'Bearer graph-token') {
+                return json(401, { error: { code: 'InvalidAuthenticationToken', message: 'Access token is empty.' } });
+            }
+
+            if (req.method === 'GET' && url.pathname === '/v1.0/me') {
+                return json(200, { mail: null, userPrincipalName: 'Sam@Contoso.com', displayName: 'Sam Lee' });
+            }
+
+            if (req.method === 'POST' && url.pathname === '/v1.0/me/messages') {
+                const mime = Buffer.from(body, 'base64').toString('utf8');
+                const id = `draft-${state.drafts.size + 1}`;
+                state.drafts.set(id, mime);
+                return json(201, {
+                    id,
+                    conversationId: 'conv-1',
+                    internetMessageId: (mime.match(/^Message-ID: (.+)$/m) || [])[1].trim()
+                });
+            }
+
+            const sendMatch = url.pathname.match(/^\/v1\.0\/me\/messages\/([^/]+)\/send$/);
+            if (req.method === 'POST' && sendMatch) {
+                state.sent.push(state.drafts.get(decodeURIComponent(sendMatch[1])));
+                res.writeHead(202);
+                return res.end();
+            }
+
+            const valueMatch = url.pathname.match(/^\/v1\.0\/me\/messages\/([^/]+)\/\$value$/);
+            if (req.method === 'GET' && valueMatch) {
+                res.writeHead(200, { 'Content-Type': 'text/plain' });
+                return res.end(state.sources.get(decodeURIComponent(valueMatch[1])));
+            }
+
+            if (req.method === 'GET' && url.pathname === '/v1.0/me/messages') {
+                return json(200, { value: state.conversation });
+            }
+
+            if (req.method === 'GET' && url.pathname === '/v1.0/me/mailFolders/inbox/messages') {
+                return json(200, { value: state.inbox });
+            }
+
+            json(404, { error: { code: 'NotFound', message: `No mock for ${req.method} ${url.pathname}` } });
+        });
+    });
+
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({ server, state, port: server.address().port })));
+}
+
+const signIdToken = (claims, options = {}) => jwt.sign({
+    aud: CLIENT_ID,
+    iss: `${microsoftIdentityService.loginUrl}/${TENANT_ID}/v2.0`,
+    tid: TENANT_ID,
+    oid: 'aaaaaaaa-0000-4000-8000-000000000001',
+    email: 'sam@contoso.com',
+    name: 'Sam Lee',
+    ...claims
+}, options.key || privateKey, { algorithm: 'RS256', keyid: options.kid || 'key-1', expiresIn: '5m' });
+
+let mock;
+const mailbox = { email: 'sam@contoso.com', accessToken: 'graph-token' };
+
+const graphMessage = (id, from, receivedAt, extra = {}) => ({
+    id,
+    conversationId: 'conv-1',
+    internetMessageId: `<${id}@contoso.com>`,
+    subject: 'Re: Quick question',
+    bodyPreview: `Body of ${id}`,
+    body: { contentType: 'text', content: `Body of ${id}` },
+    from: { emailAddress: { name: from.split('@')[0], address: from } },
+    toRecipients: [],
+    sentDateTime: receivedAt,
+    receivedDateTime: receivedAt,
+    isDraft: false,
+    ...extra
+});
+
+const tests = [
+    {
+        name: 'Code exchange and refresh return Google-shaped tokens',
+        run: async () => {
+            const authUrl = new URL(microsoftIdentityService.getAuthUrl('state-1'));
+            assert.strictEqual(authUrl.searchParams.get('client_id'), CLIENT_ID);
+            assert.strictEqual(authUrl.searchParams.get('state'), 'state-1');
+            assert.ok(authUrl.searchParams.get('scope').includes('offline_access'));
+            assert.ok(authUrl.searchParams.get('scope').includes('Mail.Send'));
+
+            const tokens = await microsoftIdentityService.exchangeCode('code-1');
+            assert.strictEqual(tokens.access_token, 'access-authorization_code');
+            assert.strictEqual(tokens.refresh_token, 'refresh-1');
+            assert.ok(tokens.expiry_date > Date.now() + 3500 * 1000);
+
+            // Microsoft doesn't always rotate the refresh token
+            const refreshed = await microsoftIdentityService.refreshAccessToken('refresh-1');
+            assert.strictEqual(refreshed.access_token, 'access-refresh_token');
+            assert.strictEqual(refreshed.refresh_token, 'refresh-1');
+
+            await assert.rejects(
+                () => microsoftIdentityService.refreshAccessToken('revoked-refresh'),
+                error => error.code === 'invalid_grant' && error.message.includes('AADSTS70008')
+            );
+        }
+    },
+    {
+        name: 'ID tokens are checked against the signing keys, audience and issuer',
+        run: async () => {
+            const claims = await microsoftIdentityService.verifyIdToken(signIdToken());
+            assert.strictEqual(claims.email, 'sam@contoso.com');
+            assert.strictEqual(claims.tid, TENANT_ID);
+
+            await assert.rejects(() => microsoftIdentityService.verifyIdToken(signIdToken({ aud: 'another-app' })), /Invalid token/);
+            await assert.rejects(() => microsoftIdentityService.verifyIdToken(signIdToken({ iss: 'https://evil.example.com/v2.0' })), /unexpected issuer/);
+            await assert.rejects(() => microsoftIdentityService.verifyIdToken(signIdToken({}, { kid: 'key-2' })), /unknown signing key/);
+
+            const otherKey = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }).privateKey;
+            await assert.rejects(() => microsoftIdentityService.verifyIdToken(signIdToken({}, { key: otherKey })), /invalid signature/);
+            await assert.rejects(() => microsoftIdentityService.verifyIdToken('not-a-token'), /not a JWT/);
+
+            // No client ID means no audience check, so nothing is accepted
+            microsoftIdentityService.clientId = undefined;
+            try {
+                await assert.rejects(() => microsoftIdentityService.verifyIdToken(signIdToken({ aud: 'another-app' })), /MICROSOFT_CLIENT_ID must be set/);
+            } finally {
+                microsoftIdentityService.clientId = CLIENT_ID;
+            }
+        }
+    },
+    {
+        name: 'Mail is sent as a MIME draft, keeping threading and unsubscribe headers',
+        run: async () => {
+            const sent = await outlookService.sendMessage(mailbox, {
+                to: 'ana@example.org',
+                bcc: 'crm@contoso.com',
+                subject: 'Re: Quick question',
+                textBody: 'Following up',
+                inReplyTo: '<first@contoso.com>',
+                references: '<first@contoso.com>',
+                headers: { 'List-Unsubscribe': '<https://example.com/u/1>' }
+            });
+
+            const draftRequest = mock.state.requests.find(request => request.method === 'POST' && request.path === '/v1.0/me/messages');
+            assert.strictEqual(draftRequest.headers['content-type'], 'text/plain');
+
+            assert.strictEqual(mock.state.sent.length, 1);
+            const mime = mock.state.sent[0];
+            assert.ok(mime.includes('In-Reply-To: <first@contoso.com>'));
+            assert.ok(mime.includes('List-Unsubscribe: <https://example.com/u/1>'));
+            assert.ok(mime.includes('Bcc: crm@contoso.com'));
+
+            assert.strictEqual(sent.messageId, 'draft-1');
+            assert.strictEqual(sent.threadId, 'conv-1');
+            assert.ok(mime.includes(`Message-ID: ${sent.rfcMessageId}`));
+        }
+    },
+    {
+        name: 'Messages over the Graph request limit are refused before any request',
+        run: async () => {
+            const before = mock.state.requests.length;
+
+            await assert.rejects(() => outlookService.sendMessage(mailbox, {
+                to: 'ana@example.org',
+                subject: 'Deck',
+                textBody: 'Attached',
+                attachments: [{ filename: 'deck.pdf', content: Buffer.alloc(4 * 1024 * 1024) }]
+            }), /4MB/);
+
+            assert.strictEqual(mock.state.requests.length, before);
+        }
+    },
+    {
+        name: 'Conversations come back oldest first with our messages labelled SENT',
+        run: async () => {
+            mock.state.conversation = [
+                graphMessage('reply-1', 'ana@example.org', '2026-03-02T09:00:00Z'),
+                graphMessage('sent-1', 'sam@contoso.com', '2026-03-01T09:00:00Z'),
+                graphMessage('draft-9', 'sam@contoso.com', '2026-03-03T09:00:00Z', { isDraft: true })
+            ];
+
+            const thread = await outlookService.fetchThread(mailbox, "conv-'1");
+            const request = mock.state.requests[mock.state.requests.length - 1];
+
+            assert.strictEqual(request.query.get('$filter'), "conversationId eq 'conv-''1'");
+            assert.deepStrictEqual(thread.messages.map(message => message.id), ['sent-1', 'reply-1']);
+            assert.deepStrictEqual(thread.messages[0].labelIds, ['SENT']);
+            assert.deepStrictEqual(thread.messages[1].labelIds, ['INBOX']);
+            assert.strictEqual(thread.messages[1].from, 'ana <ana@example.org>');
+            assert.strictEqual(thread.messages[1].snippet, 'Body of reply-1');
+            assert.ok(thread.messages[1].internalDate instanceof Date);
+        }
+    },
+    {
+        name: 'Bounce notifications read the DSN from the MIME source',
+        run: async () => {
+            mock.state.inbox = [graphMessage('ndr-1', 'postmaster@contoso.com', '2026-03-02T09:00:00Z', { subject: 'Undeliverable: Quick question' })];
+            mock.state.sources.set('ndr-1', [
+                'From: postmaster@contoso.com',
+                'Subject: Undeliverable: Quick question',
+                'Content-Type: multipart/report; report-type=delivery-status; boundary="b1"',
+                '',
+                '--b1',
+                'Content-Type: text/plain',
+                '',
+                'Delivery has failed to these recipients.',
+                '--b1',
+                'Content-Type: message/delivery-status',
+                '',
+                'Reporting-MTA: dns; contoso.com',
+                '',
+                'Final-Recipient: rfc822; gone@example.org',
+                'Action: failed',
+                'Status: 5.1.10',
+                '--b1--',
+                ''
+            ].join('\r\n'));
+
+            const messages = await outlookService.fetchMessages(mailbox, mailProviders.get('outlook').toSearchOptions({
+                maxResults: 50,
+                since: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000),
+                bounces: true
+            }));
+            const request = mock.state.requests.find(entry => entry.path === '/v1.0/me/mailFolders/inbox/messages');
+
+            assert.ok(request.query.get('$search').includes('from:postmaster'));
+            assert.strictEqual(request.query.get('$orderby'), null);
+
+            const report = bounceProcessor.parseDeliveryStatus(messages[0]);
+            assert.strictEqual(report.recipient, 'gone@example.org');
+            assert.strictEqual(report.statusCode, '5.1.10');
+            assert.strictEqual(report.bounceType, 'hard');
+        }
+    },
+    {
+        name: 'Graph errors surface their message',
+        run: async () => {
+            const profile = await outlookService.getProfile('graph-token');
+            assert.deepStrictEqual(profile, { email: 'sam@contoso.com', displayName: 'Sam Lee' });
+
+            const error = await outlookService.getProfile('stale-token').catch(err => err);
+            assert.strictEqual(outlookService._graphErrorMessage(error), 'Access token is empty.');
+        }
+    }
+];
+
+async function runTests() {
+    let failures = 0;
+
+    console.log('📨 Testing Microsoft sign-in and Outlook mailboxes\n');
+
+    mock = await startMicrosoftMock();
+    process.env.MICROSOFT_LOGIN_URL = `http://127.0.0.1:${mock.port}`;
+    process.env.MICROSOFT_GRAPH_URL = `http://127.0.0.1:${mock.port}/v1.0`;
+    process.env.MICROSOFT_CLIENT_ID = CLIENT_ID;
+    process.env.MICROSOFT_CLIENT_SECRET = 'test-secret';
+
+    microsoftIdentityService = require('../services/microsoftIdentityService');
+    outlookService = require('../services/outlookService');
+    bounceProcessor = require('../services/bounceProcessor');
+    mailProviders = require('../services/mailProviders');
+
+    for (const test of tests) {
+        try {
+            await test.run();
+            console.log(`✅ ${test.name}`);
+        } catch (error) {
+            failures++;
+            console.log(`❌ ${test.name}: ${error.message}`);
+        }
+    }
+
+    mock.server.close();
+
+    console.log(`\n${failures === 0 ? '🎉 All Outlook tests passed' : `❌ ${failures} test(s) failed`}`);
+    process.exit(failures === 0 ? 0 : 1);
+}
+
+runTests();
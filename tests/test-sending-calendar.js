@@ -0,0 +1,250 @@
+/**
+ * Test sending calendar rules, iCal parsing and calendar-aware scheduling (no database needed)
+ * Run: node tests/test-sending-calendar.js
+ */
+
+const assert = require('assert');
+const sendingCalendarService = require('../services/sendingCalendarService');
+const emailJobService = require('../services/emailJobService');
+
+// Mon-Fri with Christmas and observed Boxing Day blacked out (25 Dec 2026 is a Friday)
+const calendar = {
+    id: 'test',
+    name: 'Business days',
+    allowedWeekdays: [1, 2, 3, 4, 5],
+    blackoutDates: new Set(['2026-12-25', '2026-12-28'])
+};
+
+const sampleIcs = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'BEGIN:VEVENT',
+    'DTSTART;VALUE=DATE:20261225',
+    'DTEND;VALUE=DATE:20261226',
+    'SUMMARY:Christmas Day',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'DTSTART;VALUE=DATE:20261231',
+    'DTEND;VALUE=DATE:20270102',
+    'SUMMARY:New Year\\, office closed',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'DTSTART:20261124T090000Z',
+    'DTEND:20261124T170000Z',
+    'SUMMARY:Company offsite with a very long descr',
+    ' iption folded onto the next line',
+    'END:VEVENT',
+    'END:VCALENDAR'
+].join('\r\n');
+
+const recurringIcs = [
+    'BEGIN:VCALENDAR',
+    'BEGIN:VEVENT',
+    'UID:christmas',
+    'DTSTART;VALUE=DATE:20201225',
+    'DTEND;VALUE=DATE:20201226',
+    'RRULE:FREQ=YEARLY',
+    'EXDATE;VALUE=DATE:20261225',
+    'SUMMARY:Christmas Day',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'UID:thanksgiving',
+    'DTSTART;VALUE=DATE:20261126',
+    'DTEND;VALUE=DATE:20261128',
+    'RRULE:FREQ=YEARLY;BYMONTH=11;BYDAY=4TH',
+    'SUMMARY:Thanksgiving',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'UID:memorial',
+    'DTSTART;VALUE=DATE:20260525',
+    'RRULE:FREQ=YEARLY;BYMONTH=5;BYDAY=-1MO;UNTIL=20271231',
+    'SUMMARY:Memorial Day',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'UID:standup',
+    'DTSTART:20261102T090000Z',
+    'RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE;COUNT=3',
+    'SUMMARY:Offsite',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'UID:standup',
+    'RECURRENCE-ID:20261104T090000Z',
+    'DTSTART:20261105T090000Z',
+    'SUMMARY:Offsite (moved)',
+    'END:VEVENT',
+    'END:VCALENDAR'
+].join('\r\n');
+
+const tests = [
+    {
+        name: 'Allows weekdays and blocks weekends and blackout dates',
+        run: () => {
+            assert.strictEqual(sendingCalendarService.isSendableDate(calendar, '2026-12-24'), true);
+            assert.strictEqual(sendingCalendarService.isSendableDate(calendar, '2026-12-25'), false);
+            assert.strictEqual(sendingCalendarService.isSendableDate(calendar, '2026-12-26'), false);
+            assert.strictEqual(sendingCalendarService.isSendableDate(calendar, '2026-12-27'), false);
+            assert.strictEqual(sendingCalendarService.isSendableDate(null, '2026-12-27'), true);
+            assert.strictEqual(sendingCalendarService.nextSendableDate(calendar, '2026-12-25'), '2026-12-29');
+        }
+    },
+    {
+        name: 'Counts business days',
+        run: () => {
+            assert.strictEqual(sendingCalendarService.addSendingDays(calendar, '2026-12-23', 2), '2026-12-29');
+            assert.strictEqual(sendingCalendarService.addSendingDays(calendar, '2026-12-14', 5), '2026-12-21');
+            assert.strictEqual(sendingCalendarService.addSendingDays(null, '2026-12-18', 3), '2026-12-21');
+        }
+    },
+    {
+        name: 'Moves send times off blocked days at the same local time',
+        run: () => {
+            // Saturday 26 Dec 10:30 in Sydney -> Tuesday 29 Dec 10:30 in Sydney
+            const next = sendingCalendarService.getNextSendTime(calendar, new Date('2026-12-25T23:30:00Z'), 'Australia/Sydney');
+            assert.strictEqual(next.toISOString(), '2026-12-28T23:30:00.000Z');
+
+            const allowed = new Date('2026-12-24T15:00:00Z');
+            assert.strictEqual(sendingCalendarService.getNextSendTime(calendar, allowed, 'America/New_York'), allowed);
+        }
+    },
+    {
+        name: 'Moves send times off blocked days to the start of the send window',
+        run: () => {
+            const sendWindow = sendingCalendarService.parseSendWindow('09:00:00', '17:00:00');
+            assert.deepStrictEqual(sendWindow, { startMinutes: 540, endMinutes: 1020 });
+
+            // Saturday 26 Dec 22:00 in London -> Tuesday 29 Dec 09:00
+            const blocked = sendingCalendarService.getNextSendTime(calendar, new Date('2026-12-26T22:00:00Z'), 'Europe/London', sendWindow);
+            assert.strictEqual(blocked.toISOString(), '2026-12-29T09:00:00.000Z');
+
+            // Before the window waits for it to open; after it waits for the next sending day
+            const early = sendingCalendarService.getNextSendTime(calendar, new Date('2026-12-22T07:15:00Z'), 'Europe/London', sendWindow);
+            assert.strictEqual(early.toISOString(), '2026-12-22T09:00:00.000Z');
+            const late = sendingCalendarService.getNextSendTime(calendar, new Date('2026-12-24T18:00:00Z'), 'Europe/London', sendWindow);
+            assert.strictEqual(late.toISOString(), '2026-12-29T09:00:00.000Z');
+
+            const inside = new Date('2026-12-22T12:00:00Z');
+            assert.strictEqual(sendingCalendarService.getNextSendTime(calendar, inside, 'Europe/London', sendWindow), inside);
+            assert.strictEqual(sendingCalendarService.parseSendWindow(null, '17:00'), null);
+        }
+    },
+    {
+        name: 'Parses iCal events into blackout dates',
+        run: () => {
+            assert.deepStrictEqual(sendingCalendarService.parseIcal(sampleIcs), [
+                { date: '2026-12-25', description: 'Christmas Day' },
+                { date: '2026-12-31', description: 'New Year, office closed' },
+                { date: '2027-01-01', description: 'New Year, office closed' },
+                { date: '2026-11-24', description: 'Company offsite with a very long description folded onto the next line' }
+            ]);
+        }
+    },
+    {
+        name: 'Expands recurring iCal events',
+        run: () => {
+            const dates = sendingCalendarService.parseIcal(recurringIcs, { until: '2028-01-01' });
+            const byName = name => dates.filter(entry => entry.description === name).map(entry => entry.date);
+
+            assert.deepStrictEqual(byName('Christmas Day'), ['2020-12-25', '2021-12-25', '2022-12-25', '2023-12-25', '2024-12-25', '2025-12-25', '2027-12-25']);
+            assert.deepStrictEqual(byName('Thanksgiving'), ['2026-11-26', '2026-11-27', '2027-11-25', '2027-11-26']);
+            assert.deepStrictEqual(byName('Memorial Day'), ['2026-05-25', '2027-05-31']);
+            assert.deepStrictEqual(byName('Offsite'), ['2026-11-02', '2026-11-16']);
+            assert.deepStrictEqual(byName('Offsite (moved)'), ['2026-11-05']);
+        }
+    },
+    {
+        name: 'Refuses repeat rules it cannot expand',
+        run: () => {
+            const withRule = rule => `BEGIN:VCALENDAR\nBEGIN:VEVENT\nDTSTART;VALUE=DATE:20260101\nRRULE:${rule}\nSUMMARY:Holiday\nEND:VEVENT\nEND:VCALENDAR`;
+
+            assert.throws(() => sendingCalendarService.parseIcal(withRule('FREQ=MONTHLY;BYDAY=MO,TU;BYSETPOS=-1')), /BYSETPOS in "Holiday" is not supported/);
+            assert.throws(() => sendingCalendarService.parseIcal(withRule('FREQ=HOURLY')), /frequency HOURLY/);
+            assert.throws(() => sendingCalendarService.parseIcal(withRule('FREQ=YEARLY;BYDAY=20MO')), /need BYMONTH/);
+            assert.strictEqual(sendingCalendarService.parseIcal(withRule('FREQ=DAILY;COUNT=2')).length, 2);
+        }
+    },
+    {
+        name: 'Scheduled sends skip weekends and blackout dates',
+        run: async () => {
+            const { jobs } = await emailJobService._calculateScheduledSendTimes({
+                recipients: [1, 2, 3, 4, 5, 6].map(n => ({ email: `${n}@uk.com`, timezone: 'Europe/London' })),
+                startDate: new Date('2026-12-24T00:00:00Z'),
+                startTime: '09:00',
+                endTime: '17:00',
+                timezone: 'UTC',
+                dailyLimit: 2,
+                calendar,
+                now: new Date('2026-12-01T00:00:00Z')
+            });
+
+            const days = [...new Set(jobs.map(job => job.scheduledFor.toISOString().slice(0, 10)))];
+            assert.deepStrictEqual(days, ['2026-12-24', '2026-12-29', '2026-12-30']);
+        }
+    },
+    {
+        name: 'Sequence delays can count business days',
+        run: () => {
+            // Sent Thursday 24 Dec 14:00 London, 2 business days later is Wednesday 30 Dec 14:00
+            const now = new Date('2026-12-24T14:00:00Z');
+            const businessDays = emailJobService._calculateStepSendTime(
+                { delay_days: 2, delay_hours: 0, delay_business_days: true }, calendar, 'Europe/London', now
+            );
+            assert.strictEqual(businessDays.toISOString(), '2026-12-30T14:00:00.000Z');
+
+            // Calendar days land on Saturday, then move to the next sending day
+            const calendarDays = emailJobService._calculateStepSendTime(
+                { delay_days: 2, delay_hours: 0, delay_business_days: false }, calendar, 'Europe/London', now
+            );
+            assert.strictEqual(calendarDays.toISOString(), '2026-12-29T14:00:00.000Z');
+
+            const noCalendar = emailJobService._calculateStepSendTime(
+                { delay_days: 2, delay_hours: 3 }, null, 'Europe/London', now
+            );
+            assert.strictEqual(noCalendar.toISOString(), '2026-12-26T17:00:00.000Z');
+        }
+    },
+    {
+        name: 'Follow-up steps land inside the campaign send window',
+        run: () => {
+            const sendWindow = sendingCalendarService.parseSendWindow('09:00', '17:00');
+
+            // Sent Tuesday 22 Dec 20:00 London, a day later falls after the window -> Thursday 24 Dec 09:00
+            const late = emailJobService._calculateStepSendTime(
+                { delay_days: 1, delay_hours: 0 }, calendar, 'Europe/London', new Date('2026-12-22T20:00:00Z'), sendWindow
+            );
+            assert.strictEqual(late.toISOString(), '2026-12-24T09:00:00.000Z');
+
+            // Business-day delays that land before the window wait for it to open
+            const early = emailJobService._calculateStepSendTime(
+                { delay_days: 2, delay_hours: 0, delay_business_days: true }, calendar, 'Europe/London', new Date('2026-12-21T06:30:00Z'), sendWindow
+            );
+            assert.strictEqual(early.toISOString(), '2026-12-23T09:00:00.000Z');
+
+            // No calendar still respects the window
+            const noCalendar = emailJobService._calculateStepSendTime(
+                { delay_days: 0, delay_hours: 2 }, null, 'Europe/London', new Date('2026-12-26T16:30:00Z'), sendWindow
+            );
+            assert.strictEqual(noCalendar.toISOString(), '2026-12-27T09:00:00.000Z');
+        }
+    }
+];
+
+async function runTests() {
+    let failures = 0;
+
+    console.log('📅 Testing sending calendars\n');
+
+    for (const test of tests) {
+        try {
+            await test.run();
+            console.log(`✅ ${test.name}`);
+        } catch (error) {
+            failures++;
+            console.log(`❌ ${test.name}: ${error.message}`);
+        }
+    }
+
+    console.log(`\n${failures === 0 ? '🎉 All sending calendar tests passed' : `❌ ${failures} test(s) failed`}`);
+    process.exit(failures === 0 ? 0 : 1);
+}
+
+runTests();
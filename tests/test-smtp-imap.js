@@ -0,0 +1,413 @@
+/**
+ * Test SMTP/IMAP mailboxes against local stand-in servers (no database needed)
+ * Run: node tests/test-smtp-imap.js
+ */
+
+// Test-only key so the script runs without a .env
+process.env.ENCRYPTION_KEY = process.env.ENCRYPTION_KEY || 'a'.repeat(64);
+
+const assert = require('assert');
+const net = require('net');
+
+// The stand-in servers listen on 127.0.0.1 without TLS
+process.env.SMTP_IMAP_ALLOW_LOCAL_SERVERS = 'true';
+
+const smtpImapService = require('../services/smtpImapService');
+const bounceProcessor = require('../services/bounceProcessor');
+
+const USER = 'sam@example.com';
+const PASSWORD = 'secret';
+
+/**
+ * Minimal SMTP server that records every delivered message
+ */
+function startSmtpStandIn() {
+    const delivered = [];
+
+    const server = net.createServer(socket => {
+        let buffer = '';
+        let envelope = { from: null, to: [] };
+        let data = null;
+        let authLogin = null;
+
+        socket.write('220 stand-in ESMTP\r\n');
+
+        socket.on('data', chunk => {
+            buffer += chunk.toString('binary');
+
+            while (true) {
+                if (data !== null) {
+                    const end = buffer.indexOf('\r\n.\r\n');
+                    if (end === -1) return;
+                    data += buffer.slice(0, end);
+                    buffer = buffer.slice(end + 5);
+                    delivered.push({ ...envelope, data: data.replace(/^\.\./gm, '.') });
+                    envelope = { from: null, to: [] };
+                    data = null;
+                    socket.write('250 Queued\r\n');
+                    continue;
+                }
+
+                const lineEnd = buffer.indexOf('\r\n');
+                if (lineEnd === -1) return;
+                const line = buffer.slice(0, lineEnd);
+                buffer = buffer.slice(lineEnd + 2);
+
+                if (authLogin) {
+                    authLogin.push(Buffer.from(line, 'base64').toString());
+                    if (authLogin.length === 1) {
+                        socket.write('334 UGFzc3dvcmQ6\r\n');
+                    } else {
+                        socket.write(authLogin[0] === USER && authLogin[1] === PASSWORD ? '235 Authenticated\r\n' : '535 Invalid credentials\r\n');
+                        authLogin = null;
+                    }
+                    continue;
+                }
+
+                const command = line.split(' ')[0].toUpperCase();
+                if (command === 'EHLO') {
+                    socket.write('250-stand-in\r\n250-AUTH PLAIN LOGIN\r\n250 8BITMIME\r\n');
+                } else if (command === 'AUTH' && /^AUTH PLAIN /i.test(line)) {
+                    const [, user, pass] = Buffer.from(line.slice(11), 'base64').toString().split('\0');
+                    socket.write(user === USER && pass === PASSWORD ? '235 Authenticated\r\n' : '535 Invalid credentials\r\n');
+                } else if (command === 'AUTH') {
+                    authLogin = [];
+                    socket.write('334 VXNlcm5hbWU6\r\n');
+                } else if (command === 'MAIL') {
+                    envelope.from = line.match(/<([^>]*)>/)[1];
+                    socket.write('250 OK\r\n');
+                } else if (command === 'RCPT') {
+                    envelope.to.push(line.match(/<([^>]*)>/)[1]);
+                    socket.write('250 OK\r\n');
+                } else if (command === 'DATA') {
+                    data = '';
+                    socket.write('354 Go ahead\r\n');
+                } else if (command === 'QUIT') {
+                    socket.end('221 Bye\r\n');
+                } else {
+                    socket.write('250 OK\r\n');
+                }
+            }
+        });
+        socket.on('error', () => {});
+    });
+
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({ server, delivered, port: server.address().port })));
+}
+
+/**
+ * Minimal IMAP server with an INBOX and a Sent folder; SEARCH matches FROM/HEADER values anywhere in the message
+ */
+function startImapStandIn(folders) {
+    const server = net.createServer(socket => {
+        let buffer = Buffer.alloc(0);
+        let selected = null;
+        let literal = null;
+
+        const send = text => socket.write(text);
+
+        const handle = (tag, command, args, literalData) => {
+            const verb = command.toUpperCase();
+
+            if (verb === 'CAPABILITY') {
+                send(`* CAPABILITY IMAP4rev1\r\n${tag} OK Done\r\n`);
+            } else if (verb === 'LOGIN') {
+                const [user, pass] = args.match(/"[^"]*"|\S+/g).map(value => value.replace(/^"|"$/g, ''));
+                send(user === USER && pass === PASSWORD
+                    ? `${tag} OK [CAPABILITY IMAP4rev1] Logged in\r\n`
+                    : `${tag} NO [AUTHENTICATIONFAILED] Invalid credentials\r\n`);
+            } else if (verb === 'LIST' && args === '"" ""') {
+                // Hierarchy delimiter lookup
+                send(`* LIST (\\Noselect) "/" ""\r\n${tag} OK Done\r\n`);
+            } else if (verb === 'LIST' || verb === 'LSUB') {
+                send(`* ${verb} (\\HasNoChildren) "/" INBOX\r\n* ${verb} (\\HasNoChildren \\Sent) "/" Sent\r\n${tag} OK Done\r\n`);
+            } else if (verb === 'SELECT' || verb === 'EXAMINE') {
+                selected = args.replace(/"/g, '');
+                const messages = folders[selected] || [];
+                send(`* ${messages.length} EXISTS\r\n* 0 RECENT\r\n* FLAGS (\\Seen)\r\n* OK [UIDVALIDITY 7] UIDs valid\r\n* OK [UIDNEXT ${messages.length + 1}] Next\r\n${tag} OK [READ-ONLY] Done\r\n`);
+            } else if (verb === 'UID' && /^SEARCH/i.test(args)) {
+                const values = [...args.matchAll(/(?:FROM|HEADER \S+) ("[^"]*"|\S+)/gi)].map(match => match[1].replace(/^"|"$/g, '').toLowerCase());
+                const uids = (folders[selected] || [])
+                    .map((raw, index) => (values.length === 0 || values.some(value => raw.toLowerCase().includes(value))) ? index + 1 : null)
+                    .filter(Boolean);
+                send(`* SEARCH ${uids.join(' ')}\r\n${tag} OK Done\r\n`);
+            } else if (verb === 'UID' && /^FETCH/i.test(args)) {
+                const uids = args.split(' ')[1].split(',').flatMap(range => {
+                    const [start, end] = range.split(':').map(Number);
+                    return end ? Array.from({ length: end - start + 1 }, (_, i) => start + i) : [start];
+                });
+                for (const uid of uids) {
+                    const raw = (folders[selected] || [])[uid - 1];
+                    if (!raw) continue;
+                    send(`* ${uid} FETCH (UID ${uid} INTERNALDATE "01-Mar-2026 10:0${uid}:00 +0000" BODY[] {${Buffer.byteLength(raw)}}\r\n${raw})\r\n`);
+                }
+                send(`${tag} OK Done\r\n`);
+            } else if (verb === 'APPEND') {
+                const folder = args.match(/^"?([^" ]+)"?/)[1];
+                folders[folder] = folders[folder] || [];
+                folders[folder].push(literalData);
+                send(`${tag} OK Appended\r\n`);
+            } else if (verb === 'LOGOUT') {
+                send(`* BYE Logging out\r\n${tag} OK Done\r\n`);
+                socket.end();
+            } else {
+                send(`${tag} OK Done\r\n`);
+            }
+        };
+
+        send('* OK [CAPABILITY IMAP4rev1] stand-in ready\r\n');
+
+        socket.on('data', chunk => {
+            buffer = Buffer.concat([buffer, chunk]);
+
+            while (true) {
+                if (literal && literal.data === null) {
+                    if (buffer.length < literal.size) return;
+                    literal.data = buffer.subarray(0, literal.size).toString();
+                    buffer = buffer.subarray(literal.size);
+                }
+
+                const lineEnd = buffer.indexOf('\r\n');
+                if (lineEnd === -1) return;
+                const line = buffer.subarray(0, lineEnd).toString();
+                buffer = buffer.subarray(lineEnd + 2);
+
+                if (literal) {
+                    const { tag, command, args, data } = literal;
+                    literal = null;
+                    handle(tag, command, args, data);
+                    continue;
+                }
+
+                const match = line.match(/^(\S+) (\S+) ?(.*)$/);
+                if (!match) continue;
+                const [, tag, command, args] = match;
+
+                const literalMatch = args.match(/\{(\d+)\}$/);
+                if (literalMatch) {
+                    literal = { tag, command, args, size: parseInt(literalMatch[1]), data: null };
+                    send('+ Ready\r\n');
+                    continue;
+                }
+
+                handle(tag, command, args);
+            }
+        });
+        socket.on('error', () => {});
+    });
+
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({ server, port: server.address().port })));
+}
+
+const reply = (threadId, inReplyTo) => [
+    'From: Ana Ruiz <ana@example.org>',
+    'To: sam@example.com',
+    'Subject: Re: Quick question',
+    'Message-ID: <reply-1@example.org>',
+    `In-Reply-To: ${inReplyTo}`,
+    `References: ${threadId} ${inReplyTo}`,
+    'Date: Sun, 01 Mar 2026 10:00:00 +0000',
+    'Content-Type: text/plain; charset=utf-8',
+    '',
+    'Sounds good, call me tomorrow.',
+    ''
+].join('\r\n');
+
+const bounce = [
+    'From: Mail Delivery System <MAILER-DAEMON@mx.example.com>',
+    'To: sam@example.com',
+    'Subject: Undelivered Mail Returned to Sender',
+    'Message-ID: <dsn-1@mx.example.com>',
+    'Date: Sun, 01 Mar 2026 10:00:00 +0000',
+    'Content-Type: multipart/report; report-type=delivery-status; boundary="b1"',
+    '',
+    '--b1',
+    'Content-Type: text/plain',
+    '',
+    'Your message could not be delivered.',
+    '--b1',
+    'Content-Type: message/delivery-status',
+    '',
+    'Reporting-MTA: dns; mx.example.com',
+    '',
+    'Final-Recipient: rfc822; gone@example.org',
+    'Action: failed',
+    'Status: 5.1.1',
+    'Diagnostic-Code: smtp; 550 5.1.1 User unknown',
+    '--b1--',
+    ''
+].join('\r\n');
+
+let smtp;
+let imap;
+let folders;
+let mailbox;
+
+const tests = [
+    {
+        name: 'Settings are validated and defaults fill in ports and usernames',
+        run: () => {
+            assert.ok(smtpImapService.validateSettings({}).includes('SMTP host is required'));
+            assert.ok(smtpImapService.validateSettings({
+                email: USER, password: 'x', smtp: { host: 'smtp.example.com', security: 'ssl' }, imap: { host: 'imap.example.com', port: 0 }
+            }).length === 2);
+
+            const { settings, credentials } = smtpImapService.buildConfig({
+                email: USER,
+                password: 'shared',
+                smtp: { host: ' smtp.example.com ', security: 'starttls' },
+                imap: { host: 'imap.example.com', username: 'sam', password: 'imap-only' }
+            });
+
+            assert.deepStrictEqual(settings.smtp, { host: 'smtp.example.com', port: 587, security: 'starttls' });
+            assert.deepStrictEqual(settings.imap, { host: 'imap.example.com', port: 993, security: 'tls' });
+            assert.deepStrictEqual(credentials, { smtp: { user: USER, pass: 'shared' }, imap: { user: 'sam', pass: 'imap-only' } });
+        }
+    },
+    {
+        name: 'Private addresses and plaintext connections are refused outside local testing',
+        run: async () => {
+            smtpImapService.allowLocalServers = false;
+
+            try {
+                const errors = smtpImapService.validateSettings({
+                    email: USER, password: 'x', smtp: { host: 'smtp.example.com', security: 'none' }, imap: { host: 'imap.example.com' }
+                });
+                assert.deepStrictEqual(errors, ["SMTP security 'none' would send the password unencrypted; use tls or starttls"]);
+
+                for (const host of ['127.0.0.1', 'localhost', '10.1.2.3', '172.20.0.5', '192.168.1.1', '169.254.169.254', '::1', '::ffff:127.0.0.1', 'fd00::1']) {
+                    await assert.rejects(() => smtpImapService.resolveHost(host), /is not a public address/, host);
+                }
+                assert.strictEqual(await smtpImapService.resolveHost('93.184.216.34'), '93.184.216.34');
+
+                // Refused before any connection is attempted
+                await assert.rejects(() => smtpImapService.verifyCredentials(mailbox), /is not a public address/);
+                assert.strictEqual(smtp.delivered.length, 0);
+            } finally {
+                smtpImapService.allowLocalServers = true;
+            }
+        }
+    },
+    {
+        name: 'Connecting logs in to both servers and finds the Sent folder',
+        run: async () => {
+            const settings = await smtpImapService.verifyCredentials(mailbox);
+            assert.strictEqual(settings.sentFolder, 'Sent');
+            mailbox.settings = settings;
+
+            const wrong = { ...mailbox, credentials: { smtp: { user: USER, pass: 'nope' }, imap: mailbox.credentials.imap } };
+            await assert.rejects(() => smtpImapService.verifyCredentials(wrong), /SMTP login failed/);
+
+            const wrongImap = { ...mailbox, credentials: { smtp: mailbox.credentials.smtp, imap: { user: USER, pass: 'nope' } } };
+            await assert.rejects(() => smtpImapService.verifyCredentials(wrongImap), /IMAP login failed/);
+        }
+    },
+    {
+        name: 'Mail goes out over SMTP with Bcc only in the envelope and a copy in Sent',
+        run: async () => {
+            const sent = await smtpImapService.sendMessage(mailbox, {
+                to: 'ana@example.org',
+                bcc: 'crm@example.com',
+                fromName: 'Sam Lee',
+                subject: 'Quick question',
+                textBody: 'Hi Ana'
+            });
+
+            assert.strictEqual(smtp.delivered.length, 1);
+            const [message] = smtp.delivered;
+            assert.strictEqual(message.from, USER);
+            assert.deepStrictEqual(message.to, ['ana@example.org', 'crm@example.com']);
+            assert.ok(!/^Bcc:/im.test(message.data));
+            assert.ok(message.data.includes(`Message-ID: ${sent.rfcMessageId}`));
+
+            // IMAP has no thread IDs; the first Message-ID keys the conversation
+            assert.strictEqual(sent.threadId, sent.rfcMessageId);
+            assert.strictEqual(folders.Sent.length, 1);
+            assert.ok(folders.Sent[0].includes(sent.rfcMessageId));
+
+            const followUp = await smtpImapService.sendMessage(mailbox, {
+                to: 'ana@example.org',
+                subject: 'Re: Quick question',
+                textBody: 'Following up',
+                threadId: sent.threadId,
+                inReplyTo: sent.rfcMessageId
+            });
+            assert.strictEqual(followUp.threadId, sent.threadId);
+            assert.ok(smtp.delivered[1].data.includes(`In-Reply-To: ${sent.rfcMessageId}`));
+
+            mailbox.lastThreadId = sent.threadId;
+            mailbox.lastFollowUpId = followUp.rfcMessageId;
+        }
+    },
+    {
+        name: 'Replies in the inbox are found by thread alongside our Sent copies',
+        run: async () => {
+            folders.INBOX.push(reply(mailbox.lastThreadId, mailbox.lastFollowUpId));
+
+            const thread = await smtpImapService.fetchThread(mailbox, mailbox.lastThreadId);
+            const inbound = thread.messages.find(message => message.labelIds.includes('INBOX'));
+
+            assert.strictEqual(thread.messages.filter(message => message.labelIds.includes('SENT')).length, 2);
+            assert.ok(inbound);
+            assert.strictEqual(inbound.id, '<reply-1@example.org>');
+            assert.strictEqual(inbound.threadId, mailbox.lastThreadId);
+            assert.strictEqual(inbound.inReplyTo, mailbox.lastFollowUpId);
+            assert.ok(inbound.from.includes('ana@example.org'));
+            assert.strictEqual(inbound.snippet, 'Sounds good, call me tomorrow.');
+            assert.ok(inbound.internalDate instanceof Date);
+        }
+    },
+    {
+        name: 'Bounce notifications parse into the same DSN report as Gmail',
+        run: async () => {
+            folders.INBOX.push(bounce);
+
+            const messages = await smtpImapService.fetchMessages(mailbox, {
+                search: { or: [{ from: 'mailer-daemon' }, { from: 'postmaster' }] }
+            });
+
+            assert.strictEqual(messages.length, 1);
+            const report = bounceProcessor.parseDeliveryStatus(messages[0]);
+            assert.strictEqual(report.recipient, 'gone@example.org');
+            assert.strictEqual(report.statusCode, '5.1.1');
+            assert.strictEqual(report.bounceType, 'hard');
+        }
+    }
+];
+
+async function runTests() {
+    let failures = 0;
+
+    console.log('📮 Testing SMTP/IMAP mailboxes\n');
+
+    smtp = await startSmtpStandIn();
+    folders = { INBOX: [], Sent: [] };
+    imap = await startImapStandIn(folders);
+    mailbox = {
+        email: USER,
+        ...smtpImapService.buildConfig({
+            email: USER,
+            password: PASSWORD,
+            smtp: { host: '127.0.0.1', port: smtp.port, security: 'none' },
+            imap: { host: '127.0.0.1', port: imap.port, security: 'none' }
+        })
+    };
+
+    for (const test of tests) {
+        try {
+            await test.run();
+            console.log(`✅ ${test.name}`);
+        } catch (error) {
+            failures++;
+            console.log(`❌ ${test.name}: ${error.message}`);
+        }
+    }
+
+    smtp.server.close();
+    imap.server.close();
+
+    console.log(`\n${failures === 0 ? '🎉 All SMTP/IMAP tests passed' : `❌ ${failures} test(s) failed`}`);
+    process.exit(failures === 0 ? 0 : 1);
+}
+
+runTests();
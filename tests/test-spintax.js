@@ -0,0 +1,95 @@
+/**
+ * Test seeded spintax resolution (no database needed)
+ * Run: node tests/test-spintax.js
+ */
+
+const assert = require('assert');
+const spintaxService = require('../services/spintaxService');
+const templateEngine = require('../services/templateEngine');
+
+const tests = [
+    {
+        name: 'Picks one option per group',
+        run: () => {
+            const { output, choices } = spintaxService.spin('{Hi|Hello|Hey} there', 'lead-1');
+            assert.ok(['Hi there', 'Hello there', 'Hey there'].includes(output));
+            assert.strictEqual(choices.length, 1);
+            assert.strictEqual(output, `${choices[0]} there`);
+        }
+    },
+    {
+        name: 'Same seed gives the same text, other seeds vary',
+        run: () => {
+            const template = '{Hi|Hello|Hey|Good day} {friend|there|again}, {quick|short|brief} {question|note}';
+            const first = spintaxService.spin(template, 'lead-1').output;
+
+            assert.strictEqual(spintaxService.spin(template, 'lead-1').output, first);
+
+            const outputs = new Set(Array.from({ length: 30 }, (_, i) => spintaxService.spin(template, `lead-${i}`).output));
+            assert.ok(outputs.size > 5, `only ${outputs.size} distinct variants`);
+        }
+    },
+    {
+        name: 'Resolves nested groups',
+        run: () => {
+            for (let i = 0; i < 20; i++) {
+                const { output } = spintaxService.spin('{Hi {there|friend}|Hello}', `lead-${i}`);
+                assert.ok(['Hi there', 'Hi friend', 'Hello'].includes(output), output);
+            }
+        }
+    },
+    {
+        name: 'Leaves template tags and plain braces alone',
+        run: () => {
+            const css = '<style>p { color: red; }</style>';
+            assert.strictEqual(spintaxService.spin(css, 'lead-1').output, css);
+
+            const tags = '{{firstName | default: "there"}} {% if company %}{{company}}{% endif %}';
+            assert.strictEqual(spintaxService.spin(tags, 'lead-1').output, tags);
+
+            const { output } = spintaxService.spin('{Hi {{firstName}}|Hello {{firstName | default: "there"}}}', 'lead-1');
+            assert.ok(['Hi {{firstName}}', 'Hello {{firstName | default: "there"}}'].includes(output), output);
+        }
+    },
+    {
+        name: 'Spins each email part separately and reports the variants',
+        run: () => {
+            const content = {
+                subject: '{Quick|Short} question',
+                bodyHtml: '<p>{Hi|Hello} {{firstName}}</p>',
+                bodyText: 'No spintax here'
+            };
+            const spun = spintaxService.spinEmail(content, 'lead-1:1');
+
+            assert.deepStrictEqual(Object.keys(spun.variants), ['subject', 'bodyHtml']);
+            assert.strictEqual(spun.subject, `${spun.variants.subject[0]} question`);
+            assert.strictEqual(spun.bodyText, 'No spintax here');
+            assert.deepStrictEqual(spintaxService.spinEmail(content, 'lead-1:1'), spun);
+            assert.strictEqual(spintaxService.spinEmail({ subject: 'Plain' }, 'lead-1:1').variants, null);
+
+            const rendered = templateEngine.renderEmail(spun, { firstName: 'Ada' });
+            assert.match(rendered.bodyHtml, /^<p>(Hi|Hello) Ada<\/p>$/);
+        }
+    }
+];
+
+async function runTests() {
+    let failures = 0;
+
+    console.log('🎲 Testing spintax\n');
+
+    for (const test of tests) {
+        try {
+            await test.run();
+            console.log(`✅ ${test.name}`);
+        } catch (error) {
+            failures++;
+            console.log(`❌ ${test.name}: ${error.message}`);
+        }
+    }
+
+    console.log(`\n${failures === 0 ? '🎉 All spintax tests passed' : `❌ ${failures} test(s) failed`}`);
+    process.exit(failures === 0 ? 0 : 1);
+}
+
+runTests();
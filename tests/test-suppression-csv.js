@@ -0,0 +1,137 @@
+/**
+ * Test suppression entry normalization, CSV import/export and suppression checks (no database needed)
+ * Run: node tests/test-suppression-csv.js
+ */
+
+const assert = require('assert');
+const pool = require('../config/database');
+const suppressionService = require('../services/suppressionService');
+
+/**
+ * Answer pool.query with the given rows and record the queries
+ */
+function stubQuery(rows) {
+    const queries = [];
+    pool.query = async (text, params) => {
+        queries.push({ text, params });
+        return { rows };
+    };
+    return queries;
+}
+
+const tests = [
+    {
+        name: 'Normalizes emails and domains',
+        run: () => {
+            assert.strictEqual(suppressionService.normalizeEntry('  Jane@Acme.COM '), 'jane@acme.com');
+            assert.strictEqual(suppressionService.normalizeEntry('@Competitor.com'), '@competitor.com');
+            assert.strictEqual(suppressionService.normalizeEntry('mailto:bob@example.org'), 'bob@example.org');
+            assert.strictEqual(suppressionService.normalizeEntry('not-an-email'), null);
+            assert.strictEqual(suppressionService.normalizeEntry('@nodot'), null);
+        }
+    },
+    {
+        name: 'Reads email, reason and notes columns from a header row',
+        run: () => {
+            const entries = suppressionService.csvToEntries(
+                'Name,Email,Reason,Notes\n"Doe, Jane",jane@acme.com,complained,"Said ""stop"""\nBob,bob@acme.com,legal hold,\n',
+                { reason: 'manual' }
+            );
+            assert.deepStrictEqual(entries, [
+                { email: 'jane@acme.com', reason: 'complained', notes: 'Said "stop"' },
+                { email: 'bob@acme.com', reason: 'manual', notes: null }
+            ]);
+        }
+    },
+    {
+        name: 'Headerless files use the first column',
+        run: () => {
+            const entries = suppressionService.csvToEntries('a@x.com\r\nb@y.com\r\n', { reason: 'manual', notes: 'From legal' });
+            assert.deepStrictEqual(entries.map(entry => entry.email), ['a@x.com', 'b@y.com']);
+            assert.strictEqual(entries[0].notes, 'From legal');
+        }
+    },
+    {
+        name: 'Bare domains in a domain column become @domain entries',
+        run: () => {
+            const entries = suppressionService.csvToEntries('domain\ncompetitor.com\n@other.io\n');
+            assert.deepStrictEqual(entries.map(entry => entry.email), ['@competitor.com', '@other.io']);
+        }
+    },
+    {
+        name: 'Exports CSV that imports back',
+        run: () => {
+            const csv = suppressionService.toCsv([
+                { email: '@competitor.com', reason: 'manual', notes: 'Competitor, do not contact', suppressed_at: new Date('2026-01-02T03:04:05Z') }
+            ]);
+            assert.ok(csv.startsWith('email,reason,source,bounce_type,complaint_type,notes,suppressed_at\n'));
+            assert.ok(csv.includes('"Competitor, do not contact"'));
+
+            const [entry] = suppressionService.csvToEntries(csv);
+            assert.deepStrictEqual(entry, { email: '@competitor.com', reason: 'manual', notes: 'Competitor, do not contact' });
+        }
+    },
+    {
+        name: 'Checks a single address against list entries and its lead',
+        run: async () => {
+            const queries = stubQuery([{ suppression_reason: null, status: null, do_not_contact: null, opted_in: null }]);
+            assert.strictEqual(await suppressionService.getSuppressionReason('org-1', 'jane@acme.com'), null);
+            assert.deepStrictEqual(queries[0].params, ['org-1', 'jane@acme.com']);
+            assert.ok(queries[0].text.includes(suppressionService.matchSql));
+
+            stubQuery([{ suppression_reason: 'complained', status: 'new', do_not_contact: false, opted_in: true }]);
+            assert.strictEqual(await suppressionService.getSuppressionReason('org-1', 'jane@acme.com'), 'complained');
+
+            stubQuery([
+                { suppression_reason: null, status: 'new', do_not_contact: false, opted_in: true },
+                { suppression_reason: null, status: 'bounced', do_not_contact: false, opted_in: true }
+            ]);
+            assert.strictEqual(await suppressionService.getSuppressionReason('org-1', 'jane@acme.com'), 'bounced');
+        }
+    },
+    {
+        name: 'Maps each suppressed lead to its reason',
+        run: async () => {
+            stubQuery([
+                { id: 'lead-1', suppression_reason: 'manual', status: 'new', do_not_contact: false, opted_in: true },
+                { id: 'lead-2', suppression_reason: null, status: 'new', do_not_contact: true, opted_in: true },
+                { id: 'lead-3', suppression_reason: null, status: 'new', do_not_contact: false, opted_in: false },
+                { id: 'lead-4', suppression_reason: null, status: 'unsubscribed', do_not_contact: false, opted_in: null },
+                { id: 'lead-5', suppression_reason: null, status: 'contacted', do_not_contact: false, opted_in: null }
+            ]);
+
+            const suppressed = await suppressionService.getSuppressedLeads('org-1', ['lead-1', 'lead-2', 'lead-3', 'lead-4', 'lead-5']);
+            assert.deepStrictEqual(Array.from(suppressed.entries()), [
+                ['lead-1', 'manual'],
+                ['lead-2', 'do_not_contact'],
+                ['lead-3', 'not_opted_in'],
+                ['lead-4', 'unsubscribed']
+            ]);
+
+            const queries = stubQuery([]);
+            assert.strictEqual((await suppressionService.getSuppressedLeads('org-1', [])).size, 0);
+            assert.strictEqual(queries.length, 0);
+        }
+    }
+];
+
+async function runTests() {
+    let failures = 0;
+
+    console.log('🚫 Testing suppression CSV handling and checks\n');
+
+    for (const test of tests) {
+        try {
+            await test.run();
+            console.log(`✅ ${test.name}`);
+        } catch (error) {
+            failures++;
+            console.log(`❌ ${test.name}: ${error.message}`);
+        }
+    }
+
+    console.log(`\n${failures === 0 ? '🎉 All suppression tests passed' : `❌ ${failures} test(s) failed`}`);
+    process.exit(failures === 0 ? 0 : 1);
+}
+
+runTests();
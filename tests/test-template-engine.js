@@ -0,0 +1,164 @@
+/**
+ * Test the template engine: variables, fallbacks, filters, conditionals and errors (no database needed)
+ * Run: node tests/test-template-engine.js
+ */
+
+const assert = require('assert');
+const templateEngine = require('../services/templateEngine');
+
+const lead = {
+    first_name: 'ada',
+    last_name: 'Lovelace',
+    email: 'ada@example.com',
+    company_name: '',
+    job_title: 'Chief Analyst',
+    custom_fields: { industry: 'Computing', renewal_date: '2026-03-01', 'Company Size': '50-200' }
+};
+
+const context = templateEngine.buildLeadContext(lead, { from_name: 'Sam' });
+
+const tests = [
+    {
+        name: 'Renders variables with snake_case, camelCase and nested names',
+        run: () => {
+            const { output, missing } = templateEngine.render(
+                'Hi {{firstName}} {{ last_name }}, {{custom_fields.industry}} / {{industry}} / {{Company Size}} from {{fromName}}',
+                context
+            );
+            assert.strictEqual(output, 'Hi ada Lovelace, Computing / Computing / 50-200 from Sam');
+            assert.deepStrictEqual(missing, []);
+        }
+    },
+    {
+        name: 'Falls back to defaults and reports variables without a value',
+        run: () => {
+            assert.strictEqual(templateEngine.render('at {{company | default: "your team"}}', context).output, 'at your team');
+
+            const { output, missing } = templateEngine.render('at {{company}} ({{custom_fields.region}})', context);
+            assert.strictEqual(output, 'at  ()');
+            assert.deepStrictEqual(missing, ['company', 'custom_fields.region']);
+        }
+    },
+    {
+        name: 'Applies filters in order',
+        run: () => {
+            assert.strictEqual(templateEngine.render('{{firstName | capitalize}}', context).output, 'Ada');
+            assert.strictEqual(templateEngine.render('{{jobTitle | upcase}}', context).output, 'CHIEF ANALYST');
+            assert.strictEqual(templateEngine.render('{{jobTitle | truncate: 8}}', context).output, 'Chief...');
+            assert.strictEqual(templateEngine.render('{{jobTitle | truncate: 6, ""}}', context).output, 'Chief');
+            assert.strictEqual(templateEngine.render('{{company | default: "friend" | upcase}}', context).output, 'FRIEND');
+            assert.strictEqual(
+                templateEngine.render('{{custom_fields.renewal_date | date: "dddd, MMMM D YYYY"}}', context).output,
+                'Sunday, March 1 2026'
+            );
+            assert.strictEqual(templateEngine.render('{{custom_fields.renewal_date | date: "DD/MM/YY"}}', context).output, '01/03/26');
+        }
+    },
+    {
+        name: 'Evaluates conditionals',
+        run: () => {
+            const template = '{% if company %}at {{company}}{% elsif jobTitle contains "analyst" %}as an analyst{% else %}hello{% endif %}';
+            assert.strictEqual(templateEngine.render(template, context).output, 'as an analyst');
+            assert.strictEqual(templateEngine.render(template, { ...context, company: 'Acme' }).output, 'at Acme');
+            assert.strictEqual(templateEngine.render(template, { jobTitle: 'CEO' }).output, 'hello');
+
+            assert.strictEqual(
+                templateEngine.render('{% if industry == "Computing" and not company %}yes{% endif %}', context).output,
+                'yes'
+            );
+            assert.strictEqual(
+                templateEngine.render('{% if company or custom_fields.industry != "Computing" %}yes{% else %}no{% endif %}', context).output,
+                'no'
+            );
+
+            // Variables inside branches that aren't rendered are not reported
+            assert.deepStrictEqual(templateEngine.render('{% if company %}{{company}}{% endif %}', context).missing, []);
+        }
+    },
+    {
+        name: 'Reports syntax errors with line numbers',
+        run: () => {
+            assert.deepStrictEqual(templateEngine.validate({ subject: 'Hi {{firstName}}' }), []);
+
+            const errors = templateEngine.validate({
+                subject: 'Hi {{firstName | shout}}',
+                bodyText: 'Hello\n{% if company %}\nno end',
+                bodyHtml: '<p>{{firstName</p>'
+            });
+            assert.strictEqual(errors.length, 3);
+            assert.match(errors[0], /^subject: Template error on line 1: Unknown filter "shout"/);
+            assert.match(errors[1], /^bodyText: Template error on line 2: \{% if %\} is never closed/);
+            assert.match(errors[2], /^bodyHtml: Template error on line 1: unclosed \{\{/);
+
+            assert.throws(() => templateEngine.render('{% endif %}', context), /without \{% if %\}/);
+            assert.throws(() => templateEngine.render('{% for x in y %}{% endfor %}', context), /Unknown tag/);
+        }
+    },
+    {
+        name: 'Strict email rendering refuses to leave blanks',
+        run: () => {
+            const content = { subject: 'Hi {{firstName}}', bodyHtml: '<p>{{company}}</p>', bodyText: null };
+
+            assert.throws(() => templateEngine.renderEmailStrict(content, context), /Missing value for \{\{company\}\}/);
+
+            const rendered = templateEngine.renderEmailStrict(content, { ...context, company: 'Acme' });
+            assert.strictEqual(rendered.subject, 'Hi ada');
+            assert.strictEqual(rendered.bodyHtml, '<p>Acme</p>');
+            assert.strictEqual(rendered.bodyText, null);
+        }
+    },
+    {
+        name: 'Builds sample contexts with a harmless unsubscribe link',
+        run: () => {
+            const sample = templateEngine.buildSampleContext({ firstName: 'John', company: 'Example Corp', industry: 'Retail' }, { from_name: 'Sam' });
+            assert.strictEqual(sample.firstName, 'John');
+            assert.strictEqual(sample.company_name, 'Example Corp');
+            assert.strictEqual(sample.custom_fields.industry, 'Retail');
+            assert.strictEqual(sample.fromName, 'Sam');
+            assert.match(sample.unsubscribeUrl, /\/api\/campaigns\/unsubscribe\/preview$/);
+
+            assert.strictEqual(templateEngine.buildSampleContext({ fromName: 'Alex' }, { from_name: 'Sam' }).fromName, 'Alex');
+        }
+    },
+    {
+        name: 'Only the lead\'s own fields resolve, never inherited properties',
+        run: () => {
+            const { output, missing } = templateEngine.render('[{{constructor}}][{{custom_fields.__proto__}}][{{ toString }}][{{custom_fields.hasOwnProperty}}]', context);
+            assert.strictEqual(output, '[][][][]');
+            assert.deepStrictEqual(missing, ['constructor', 'custom_fields.__proto__', 'toString', 'custom_fields.hasOwnProperty']);
+
+            assert.strictEqual(templateEngine.render('{% if constructor %}yes{% else %}no{% endif %}', context).output, 'no');
+            assert.throws(() => templateEngine.render('{{firstName | constructor}}', context), /Unknown filter "constructor"/);
+        }
+    },
+    {
+        name: 'Lists printed variables',
+        run: () => {
+            assert.deepStrictEqual(
+                templateEngine.getVariables('{{firstName}} {% if company %}{{company | upcase}}{% else %}{{unsubscribeUrl}}{% endif %} {{firstName}}'),
+                ['firstName', 'company', 'unsubscribeUrl']
+            );
+        }
+    }
+];
+
+async function runTests() {
+    let failures = 0;
+
+    console.log('🧩 Testing template engine\n');
+
+    for (const test of tests) {
+        try {
+            await test.run();
+            console.log(`✅ ${test.name}`);
+        } catch (error) {
+            failures++;
+            console.log(`❌ ${test.name}: ${error.message}`);
+        }
+    }
+
+    console.log(`\n${failures === 0 ? '🎉 All template engine tests passed' : `❌ ${failures} test(s) failed`}`);
+    process.exit(failures === 0 ? 0 : 1);
+}
+
+runTests();
@@ -0,0 +1,96 @@
+/**
+ * Test template version diffs (no database needed)
+ * Run: node tests/test-template-versions.js
+ */
+
+const assert = require('assert');
+const templateVersionService = require('../services/templateVersionService');
+
+const version1 = {
+    version_number: 1,
+    subject: 'Quick question, {{firstName}}',
+    body_html: null,
+    body_text: 'Hi {{firstName}},\n\nDo you have 10 minutes this week?\n\nThanks,\n{{fromName}}'
+};
+
+const version2 = {
+    version_number: 2,
+    subject: 'Quick question, {{firstName}}',
+    body_html: '<p>Hi {{firstName}}</p>',
+    body_text: 'Hi {{firstName}},\n\nDo you have 15 minutes on Thursday?\n\nThanks,\n{{fromName}}'
+};
+
+const tests = [
+    {
+        name: 'Diffs lines with the longest common subsequence',
+        run: () => {
+            assert.deepStrictEqual(templateVersionService.diffLines('a\nb\nc', 'a\nx\nc\nd'), [
+                { type: 'same', text: 'a' },
+                { type: 'removed', text: 'b' },
+                { type: 'added', text: 'x' },
+                { type: 'same', text: 'c' },
+                { type: 'added', text: 'd' }
+            ]);
+
+            assert.deepStrictEqual(templateVersionService.diffLines('', 'a'), [{ type: 'added', text: 'a' }]);
+            assert.deepStrictEqual(templateVersionService.diffLines('a\r\nb', 'a\nb').map(line => line.type), ['same', 'same']);
+        }
+    },
+    {
+        name: 'Reports which fields changed between versions',
+        run: () => {
+            const diff = templateVersionService.diffVersions(version1, version2);
+
+            assert.strictEqual(diff.from, 1);
+            assert.strictEqual(diff.to, 2);
+            assert.strictEqual(diff.changed, true);
+
+            assert.strictEqual(diff.fields.subject.changed, false);
+
+            assert.strictEqual(diff.fields.bodyHtml.changed, true);
+            assert.strictEqual(diff.fields.bodyHtml.added, 1);
+            assert.strictEqual(diff.fields.bodyHtml.removed, 0);
+
+            assert.strictEqual(diff.fields.bodyText.added, 1);
+            assert.strictEqual(diff.fields.bodyText.removed, 1);
+            assert.deepStrictEqual(
+                diff.fields.bodyText.lines.filter(line => line.type !== 'same'),
+                [
+                    { type: 'removed', text: 'Do you have 10 minutes this week?' },
+                    { type: 'added', text: 'Do you have 15 minutes on Thursday?' }
+                ]
+            );
+        }
+    },
+    {
+        name: 'A version restored by rollback has no changes against the original',
+        run: () => {
+            const restored = { ...version1, version_number: 3 };
+            const diff = templateVersionService.diffVersions(version1, restored);
+
+            assert.strictEqual(diff.changed, false);
+            assert.ok(Object.values(diff.fields).every(field => field.added === 0 && field.removed === 0));
+        }
+    }
+];
+
+async function runTests() {
+    let failures = 0;
+
+    console.log('🗂️ Testing template versions\n');
+
+    for (const test of tests) {
+        try {
+            await test.run();
+            console.log(`✅ ${test.name}`);
+        } catch (error) {
+            failures++;
+            console.log(`❌ ${test.name}: ${error.message}`);
+        }
+    }
+
+    console.log(`\n${failures === 0 ? '🎉 All template version tests passed' : `❌ ${failures} test(s) failed`}`);
+    process.exit(failures === 0 ? 0 : 1);
+}
+
+runTests();
@@ -0,0 +1,175 @@
+/**
+ * Test recipient-local send window scheduling (no database needed)
+ * Run: node tests/test-timezone-scheduling.js
+ */
+
+const assert = require('assert');
+const timezoneService = require('../services/timezoneService');
+const emailJobService = require('../services/emailJobService');
+
+const localTime = (date, timezone) => new Intl.DateTimeFormat('en-GB', {
+    timeZone: timezone,
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+}).format(date);
+
+const tests = [
+    {
+        name: 'Converts local wall-clock times to UTC',
+        run: () => {
+            assert.strictEqual(timezoneService.toUtc('2026-07-01', 9 * 60, 'Asia/Singapore').toISOString(), '2026-07-01T01:00:00.000Z');
+            assert.strictEqual(timezoneService.toUtc('2026-07-01', 9 * 60, 'America/New_York').toISOString(), '2026-07-01T13:00:00.000Z');
+            assert.strictEqual(timezoneService.toUtc('2026-01-15', 9 * 60, 'America/New_York').toISOString(), '2026-01-15T14:00:00.000Z');
+            assert.strictEqual(timezoneService.toUtc('2026-01-15', 9 * 60 + 30, 'Asia/Kolkata').toISOString(), '2026-01-15T04:00:00.000Z');
+        }
+    },
+    {
+        name: 'Handles DST change days',
+        run: () => {
+            // US spring forward (8 Mar 2026) and fall back (1 Nov 2026)
+            assert.strictEqual(timezoneService.toUtc('2026-03-08', 9 * 60, 'America/New_York').toISOString(), '2026-03-08T13:00:00.000Z');
+            assert.strictEqual(timezoneService.toUtc('2026-11-01', 9 * 60, 'America/New_York').toISOString(), '2026-11-01T14:00:00.000Z');
+            // 02:30 does not exist on spring forward day and lands an hour later
+            assert.strictEqual(localTime(timezoneService.toUtc('2026-03-08', 150, 'America/New_York'), 'America/New_York'), '03:30');
+            // 01:30 happens twice on fall back day; the first (EDT) occurrence is used
+            assert.strictEqual(timezoneService.toUtc('2026-11-01', 90, 'America/New_York').toISOString(), '2026-11-01T05:30:00.000Z');
+            // Southern hemisphere: Sydney leaves DST on 5 Apr 2026
+            assert.strictEqual(timezoneService.toUtc('2026-04-05', 9 * 60, 'Australia/Sydney').toISOString(), '2026-04-04T23:00:00.000Z');
+        }
+    },
+    {
+        name: 'Resolves invalid timezones to a fallback',
+        run: () => {
+            assert.strictEqual(timezoneService.resolveTimezone('Not/AZone', 'Europe/London'), 'Europe/London');
+            assert.strictEqual(timezoneService.resolveTimezone(null, undefined), 'UTC');
+            assert.strictEqual(timezoneService.addDays('2026-12-31', 1), '2027-01-01');
+        }
+    },
+    {
+        name: 'Schedules each lead inside the window in their own timezone',
+        run: async () => {
+            const { jobs } = await emailJobService._calculateScheduledSendTimes({
+                recipients: [
+                    { email: 'a@sg.com', timezone: 'Asia/Singapore' },
+                    { email: 'b@sg.com', timezone: 'Asia/Singapore' },
+                    { email: 'c@ny.com', timezone: 'America/New_York' },
+                    { email: 'd@none.com' }
+                ],
+                startDate: new Date('2026-07-01T00:00:00Z'),
+                startTime: '09:00',
+                endTime: '17:00',
+                timezone: 'Europe/London',
+                dailyLimit: 100,
+                now: new Date('2026-06-30T12:00:00Z')
+            });
+
+            const byEmail = Object.fromEntries(jobs.map(job => [job.email, job]));
+
+            assert.strictEqual(byEmail['a@sg.com'].scheduledFor.toISOString(), '2026-07-01T01:00:00.000Z');
+            assert.strictEqual(localTime(byEmail['b@sg.com'].scheduledFor, 'Asia/Singapore'), '13:00');
+            assert.strictEqual(byEmail['c@ny.com'].scheduledFor.toISOString(), '2026-07-01T13:00:00.000Z');
+            assert.strictEqual(byEmail['d@none.com'].timezone, 'Europe/London');
+            assert.strictEqual(byEmail['d@none.com'].scheduledFor.toISOString(), '2026-07-01T08:00:00.000Z');
+
+            for (const job of jobs) {
+                const time = localTime(job.scheduledFor, job.timezone);
+                assert.ok(time >= '09:00' && time < '17:00', `${job.email} scheduled at ${time}`);
+            }
+        }
+    },
+    {
+        name: 'Rolls leads whose window has passed today to tomorrow',
+        run: async () => {
+            // 10:00 UTC is 18:00 in Singapore (window closed) and 06:00 in New York (window ahead)
+            const { jobs } = await emailJobService._calculateScheduledSendTimes({
+                recipients: [
+                    { email: 'a@sg.com', timezone: 'Asia/Singapore' },
+                    { email: 'c@ny.com', timezone: 'America/New_York' },
+                    { email: 'e@uk.com', timezone: 'Europe/London' }
+                ],
+                startDate: new Date('2026-07-01T10:00:00Z'),
+                startTime: '09:00',
+                endTime: '17:00',
+                timezone: 'UTC',
+                dailyLimit: 100,
+                now: new Date('2026-07-01T10:00:00Z')
+            });
+
+            const byEmail = Object.fromEntries(jobs.map(job => [job.email, job]));
+
+            assert.strictEqual(byEmail['a@sg.com'].scheduledFor.toISOString(), '2026-07-02T01:00:00.000Z');
+            assert.strictEqual(byEmail['c@ny.com'].scheduledFor.toISOString(), '2026-07-01T13:00:00.000Z');
+            // London is mid-window (11:00), so sending starts now rather than at 09:00
+            assert.strictEqual(byEmail['e@uk.com'].scheduledFor.toISOString(), '2026-07-01T10:00:00.000Z');
+        }
+    },
+    {
+        name: 'Applies the daily limit across days and stops at the end date',
+        run: async () => {
+            const { jobs, unscheduled } = await emailJobService._calculateScheduledSendTimes({
+                recipients: [1, 2, 3, 4, 5].map(n => ({ email: `${n}@ny.com`, timezone: 'America/New_York' })),
+                startDate: new Date('2026-03-07T00:00:00Z'),
+                endDate: '2026-03-08',
+                startTime: '09:00',
+                endTime: '11:00',
+                timezone: 'UTC',
+                dailyLimit: 2,
+                now: new Date('2026-03-01T00:00:00Z')
+            });
+
+            assert.deepStrictEqual(jobs.map(job => job.scheduledFor.toISOString()), [
+                '2026-03-07T14:00:00.000Z',
+                '2026-03-07T15:00:00.000Z',
+                // Clocks went forward overnight, so 09:00 is now 13:00 UTC
+                '2026-03-08T13:00:00.000Z',
+                '2026-03-08T14:00:00.000Z'
+            ]);
+            // The fifth lead would only fit on the 9th, after the end date
+            assert.deepStrictEqual(unscheduled.map(recipient => recipient.email), ['5@ny.com']);
+        }
+    },
+    {
+        name: 'Reports leads whose timezone reaches the window only after the end date',
+        run: async () => {
+            // It is already evening of the end date in Singapore, but still morning in New York
+            const { jobs, unscheduled } = await emailJobService._calculateScheduledSendTimes({
+                recipients: [
+                    { email: 'a@sg.com', timezone: 'Asia/Singapore' },
+                    { email: 'b@ny.com', timezone: 'America/New_York' }
+                ],
+                startDate: new Date('2026-07-01T12:00:00Z'),
+                endDate: '2026-07-01',
+                startTime: '09:00',
+                endTime: '17:00',
+                timezone: 'UTC',
+                dailyLimit: 50,
+                now: new Date('2026-07-01T12:00:00Z')
+            });
+
+            assert.deepStrictEqual(jobs.map(job => job.email), ['b@ny.com']);
+            assert.deepStrictEqual(unscheduled.map(recipient => recipient.email), ['a@sg.com']);
+        }
+    }
+];
+
+async function runTests() {
+    let failures = 0;
+
+    console.log('🌍 Testing timezone-aware scheduling\n');
+
+    for (const test of tests) {
+        try {
+            await test.run();
+            console.log(`✅ ${test.name}`);
+        } catch (error) {
+            failures++;
+            console.log(`❌ ${test.name}: ${error.message}`);
+        }
+    }
+
+    console.log(`\n${failures === 0 ? '🎉 All timezone scheduling tests passed' : `❌ ${failures} test(s) failed`}`);
+    process.exit(failures === 0 ? 0 : 1);
+}
+
+runTests();
@@ -0,0 +1,251 @@
+/**
+ * Test token refresh, failure classification and holding mailbox jobs (no database needed)
+ * Run: node tests/test-token-refresh.js
+ */
+
+// Test-only key so the script runs without a .env
+process.env.ENCRYPTION_KEY = process.env.ENCRYPTION_KEY || 'a'.repeat(64);
+
+const assert = require('assert');
+const pool = require('../config/database');
+const mailboxStatusService = require('../services/mailboxStatusService');
+const tokenRefreshService = require('../services/tokenRefreshService');
+const emailJobProcessor = require('../services/emailJobProcessor');
+
+const originalConnect = pool.connect;
+const originalQuery = pool.query;
+
+/**
+ * Hand out a client that records its queries and answers them with answer(sql)
+ */
+function stubConnect(answer) {
+    const client = { queries: [], released: false };
+    client.query = async (sql, params) => {
+        client.queries.push({ sql: sql.trim(), params });
+        return answer(sql) || { rows: [], rowCount: 0 };
+    };
+    client.release = () => { client.released = true; };
+    pool.connect = async () => client;
+    return client;
+}
+
+function restorePool() {
+    pool.connect = originalConnect;
+    pool.query = originalQuery;
+}
+
+const deadMailbox = { id: 'mailbox-1', email: 'sales@acme.com', status: 'revoked', status_reason: 'Token has been expired or revoked.' };
+
+/**
+ * Error shaped like the one googleapis throws for a failed refresh
+ */
+function googleError(error, description) {
+    const gaxiosError = new Error(error);
+    gaxiosError.code = '400';
+    gaxiosError.response = { status: 400, data: { error, error_description: description } };
+    return gaxiosError;
+}
+
+/**
+ * Error shaped like microsoftIdentityService._requestTokens throws
+ */
+function microsoftError(code, description) {
+    const tokenError = new Error(`Microsoft token request failed: ${description}`);
+    tokenError.code = code;
+    return tokenError;
+}
+
+const tests = [
+    {
+        name: 'Revoked Google access marks the mailbox revoked',
+        run: () => {
+            const failure = mailboxStatusService.classifyRefreshError(googleError('invalid_grant', 'Token has been expired or revoked.'));
+            assert.deepStrictEqual(failure, { status: 'revoked', reason: 'Token has been expired or revoked.' });
+        }
+    },
+    {
+        name: 'Microsoft refresh tokens that aged out mark the mailbox expired',
+        run: () => {
+            const failure = mailboxStatusService.classifyRefreshError(microsoftError('invalid_grant', 'AADSTS70008: The refresh token has expired due to inactivity.'));
+            assert.strictEqual(failure.status, 'expired');
+            assert.ok(failure.reason.includes('AADSTS70008'));
+        }
+    },
+    {
+        name: 'Microsoft password resets and withdrawn consent mark the mailbox revoked',
+        run: () => {
+            assert.strictEqual(mailboxStatusService.classifyRefreshError(microsoftError('invalid_grant', 'AADSTS50173: The provided grant has expired due to it being revoked')).status, 'revoked');
+            assert.strictEqual(mailboxStatusService.classifyRefreshError(microsoftError('invalid_grant', 'AADSTS65001: The user or administrator has not consented')).status, 'revoked');
+        }
+    },
+    {
+        name: 'A missing refresh token means the mailbox must be reconnected',
+        run: () => {
+            const failure = mailboxStatusService.classifyRefreshError(new Error('No refresh token stored for this account'));
+            assert.strictEqual(failure.status, 'expired');
+        }
+    },
+    {
+        name: 'Network and provider outages leave the mailbox active',
+        run: async () => {
+            const reset = new Error('socket hang up');
+            reset.code = 'ECONNRESET';
+
+            assert.strictEqual(mailboxStatusService.classifyRefreshError(reset), null);
+            assert.strictEqual(mailboxStatusService.classifyRefreshError(googleError('temporarily_unavailable', 'Try again later')), null);
+            assert.strictEqual(mailboxStatusService.classifyRefreshError(microsoftError('invalid_client', 'AADSTS7000215: Invalid client secret provided.')), null);
+            // Nothing to mark, so nothing is written
+            assert.strictEqual(await mailboxStatusService.handleRefreshFailure('account-1', reset), null);
+        }
+    },
+    {
+        name: 'Long provider messages are trimmed for the status reason',
+        run: () => {
+            const failure = mailboxStatusService.classifyRefreshError(googleError('invalid_grant', `Bad\n  request ${'x'.repeat(1000)}`));
+            assert.strictEqual(failure.reason.length, 500);
+            assert.ok(failure.reason.startsWith('Bad request x'));
+        }
+    },
+    {
+        name: 'Password mailboxes have no tokens to refresh',
+        run: async () => {
+            await assert.rejects(
+                tokenRefreshService.refreshAccount({ id: 'account-1', provider: 'imap_smtp' }),
+                /imap_smtp mailboxes have no tokens to refresh/
+            );
+            assert.ok(tokenRefreshService.refreshWindowMs > tokenRefreshService.processingInterval);
+        }
+    },
+    {
+        name: 'A job that fails on a dead mailbox is held with its queue in one transaction',
+        run: async () => {
+            const client = stubConnect(sql => (sql.includes("status = 'held'")
+                ? { rows: [{ id: 'job-1' }, { id: 'job-2' }], rowCount: 2 }
+                : null));
+
+            try {
+                assert.strictEqual(await emailJobProcessor.holdJobsForMailbox({ id: 'job-1' }, deadMailbox), true);
+
+                // Committed, with the failed job back in the queue before the hold picks it up
+                const statements = client.queries.map(query => query.sql.split(/\s+/)[0]);
+                assert.deepStrictEqual(statements, ['BEGIN', 'UPDATE', 'WITH', 'INSERT', 'COMMIT']);
+                assert.ok(client.queries[1].sql.includes("status = 'pending'"));
+                assert.ok(client.queries[2].sql.includes("status = 'held'"));
+                assert.deepStrictEqual(client.queries[3].params[0], ['job-1', 'job-2']);
+                assert.deepStrictEqual(client.queries[1].params, ['job-1', 'mailbox-1']);
+                assert.ok(client.queries[1].sql.includes("status = 'processing'"));
+                assert.deepStrictEqual(client.queries[2].params, ['mailbox-1', 'Mailbox revoked: Token has been expired or revoked.']);
+                assert.ok(client.released);
+            } finally {
+                restorePool();
+            }
+        }
+    },
+    {
+        name: 'A failed hold rolls back and tells the caller to fail the job as usual',
+        run: async () => {
+            // Simulated database error while holding; logged by the service, then rolled back
+            const client = stubConnect(sql => {
+                if (sql.includes("status = 'held'")) throw new Error('simulated hold failure');
+            });
+
+            try {
+                assert.strictEqual(await emailJobProcessor.holdJobsForMailbox({ id: 'job-1' }, deadMailbox), false);
+
+                const statements = client.queries.map(query => query.sql.split(/\s+/)[0]);
+                assert.deepStrictEqual(statements, ['BEGIN', 'UPDATE', 'WITH', 'ROLLBACK']);
+                assert.ok(client.released);
+            } finally {
+                restorePool();
+            }
+        }
+    },
+    {
+        name: 'A refreshed mailbox is marked active and its held jobs released',
+        run: async () => {
+            const accountUpdates = [];
+            pool.query = async (sql, params) => {
+                accountUpdates.push({ sql, params });
+                return { rows: [], rowCount: 1 };
+            };
+            const client = stubConnect(sql => (sql.includes("ej.status = 'held'")
+                ? { rows: [{ id: 'job-1' }, { id: 'job-2' }, { id: 'job-3' }], rowCount: 3 }
+                : null));
+
+            try {
+                assert.strictEqual(await mailboxStatusService.markActive('mailbox-1'), 3);
+                assert.ok(accountUpdates[0].sql.includes("status = 'active'"));
+                assert.deepStrictEqual(accountUpdates[0].params, ['mailbox-1']);
+                assert.deepStrictEqual(client.queries[0].params, ['mailbox-1']);
+                // Jobs of paused campaigns go back to paused, not pending
+                assert.ok(client.queries[0].sql.includes("WHEN c.status = 'paused' THEN 'paused'"));
+            } finally {
+                restorePool();
+            }
+        }
+    },
+    {
+        name: 'Refreshes active token mailboxes that expire within the window',
+        run: async () => {
+            const queries = [];
+            pool.query = async (sql, params) => {
+                queries.push({ sql, params });
+                return {
+                    rows: [
+                        { id: 'account-1', email: 'a@acme.com', provider: 'gmail', token_expires_at: null },
+                        { id: 'account-2', email: 'b@acme.com', provider: 'outlook', token_expires_at: new Date() }
+                    ]
+                };
+            };
+            const refreshed = [];
+            tokenRefreshService.refreshAccount = async (account) => {
+                refreshed.push(account.id);
+                if (account.id === 'account-2') throw new Error('invalid_grant');
+                return { expiresAt: new Date(), releasedJobs: 0 };
+            };
+
+            try {
+                const result = await tokenRefreshService.refreshExpiringTokens();
+                assert.deepStrictEqual(result, { accountsChecked: 2, refreshed: 1, failed: 1 });
+                assert.deepStrictEqual(refreshed, ['account-1', 'account-2']);
+
+                const [providers, windowSeconds, batchSize] = queries[0].params;
+                assert.deepStrictEqual([...providers].sort(), ['gmail', 'outlook']);
+                assert.strictEqual(windowSeconds, tokenRefreshService.refreshWindowMs / 1000);
+                assert.strictEqual(batchSize, tokenRefreshService.batchSize);
+                assert.ok(queries[0].sql.includes("status = 'active'"));
+                assert.ok(queries[0].sql.includes('token_expires_at IS NULL'));
+
+                // A run already in progress is not started twice
+                tokenRefreshService.isProcessing = true;
+                assert.deepStrictEqual(await tokenRefreshService.refreshExpiringTokens(), { accountsChecked: 0, refreshed: 0, failed: 0 });
+                assert.strictEqual(queries.length, 1);
+            } finally {
+                tokenRefreshService.isProcessing = false;
+                delete tokenRefreshService.refreshAccount;
+                restorePool();
+            }
+        }
+    }
+];
+
+async function runTests() {
+    let failures = 0;
+
+    console.log('🔑 Testing token refresh\n');
+
+    for (const test of tests) {
+        try {
+            await test.run();
+            console.log(`✅ ${test.name}`);
+        } catch (error) {
+            failures++;
+            console.log(`❌ ${test.name}: ${error.message}`);
+        }
+    }
+
+    console.log(`\n${failures === 0 ? '🎉 All token refresh tests passed' : `❌ ${failures} test(s) failed`}`);
+    process.exit(failures === 0 ? 0 : 1);
+}
+
+runTests();